@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+/**
+ * Builds the sidecar index of CSV files ahead of time, so that an indexed
+ * CsvDataGateway does not have to build them on first read.
+ *
+ * Usage: build-csv-index [--delimiter=<d>] [--time-column=<name>] [--interval=<rows>] <file.csv>...
+ */
+const CsvIndex = require("../server/gateways/CsvIndex.js");
+
+async function main(args) {
+    const options = {};
+    const files = [];
+
+    for (const arg of args) {
+        const [name, value] = arg.split(/=(.*)/s);
+        if (name === "--delimiter") {
+            options.delimiter = value === "\\t" ? "\t" : value;
+        } else if (name === "--time-column") {
+            options.timeStampColumn = value;
+        } else if (name === "--interval") {
+            options.interval = parseInt(value, 10);
+        } else {
+            files.push(arg);
+        }
+    }
+
+    if (files.length === 0) {
+        console.error(
+            "Usage: build-csv-index [--delimiter=<d>] [--time-column=<name>] [--interval=<rows>] <file.csv>..."
+        );
+        return 1;
+    }
+
+    for (const file of files) {
+        const index = await CsvIndex.buildIndex(file, options);
+        const note = index.sorted ? "" : " (rows not sorted by time, index will not be used)";
+        console.log(`${CsvIndex.getIndexPath(file)}: ${index.entries.length} entries${note}`);
+    }
+
+    return 0;
+}
+
+main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
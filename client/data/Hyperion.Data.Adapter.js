@@ -17,9 +17,11 @@
 /* eslint no-unused-vars: ["error", { "varsIgnorePattern": "(DeviceModel|DeviceData)" }] */
 
 import { DeviceModel } from "./Hyperion.Data.DeviceModel";
-import { DeviceData, AggregatedValues } from "./Hyperion.Data.DataModel";
+import { DeviceData, AggregatedValues, PropertyValue } from "./Hyperion.Data.DataModel";
 import { getTimeInEpochSeconds, getPaddedRange } from "../../shared/Utility";
 import { DateTimeSpan } from "./Hyperion.Data.Storage";
+import { AggregationMode, PropertyKind } from "../../shared/Aggregation.js";
+import { getGroupReducer, reduceGroup } from "../../shared/GroupAggregation.js";
 
 /**
  * Parameters used for device property data query.
@@ -36,7 +38,8 @@ class QueryParam {
         this._dateTimeSpan = new DateTimeSpan(
             dateTimeSpan.startSecond,
             dateTimeSpan.endSecond,
-            dateTimeSpan.resolution
+            dateTimeSpan.resolution,
+            dateTimeSpan.timeZone
         );
     }
 
@@ -65,6 +68,33 @@ class QueryParam {
         return this._dateTimeSpan;
     }
 
+    /**
+     * @returns {number|undefined} The maximum number of raw readings to be
+     * retrieved, or undefined if the data provider default applies.
+     * @private
+     */
+    get limit() {
+        return this._limit;
+    }
+
+    /**
+     * @returns {number[]|undefined} The percentiles between 0 and 100 to be
+     * retrieved along with aggregated values, or undefined if none is needed.
+     * @private
+     */
+    get percentiles() {
+        return this._percentiles;
+    }
+
+    /**
+     * @returns {AbortSignal|undefined} The signal aborting this query, or
+     * undefined if it cannot be aborted.
+     * @private
+     */
+    get signal() {
+        return this._signal;
+    }
+
     /**
      * The ID of device whose property is to be queried.
      * @param {string} value
@@ -80,9 +110,198 @@ class QueryParam {
     set propertyIds(values) {
         this._propertyIds = values;
     }
+
+    /**
+     * The maximum number of raw readings to be retrieved. This only
+     * applies to queries for raw (non-aggregated) values.
+     * @param {number} value
+     */
+    set limit(value) {
+        this._limit = value;
+    }
+
+    /**
+     * The percentiles between 0 and 100 to be retrieved along with aggregated
+     * values, e.g. [50, 95] for the median and the 95th percentile.
+     * @param {number[]} values
+     */
+    set percentiles(values) {
+        this._percentiles = values;
+    }
+
+    /**
+     * The signal of an AbortController that aborts this query once its results
+     * are no longer needed. Data adapters pass it on to their requests, which
+     * then reject with a QueryAbortedError.
+     * @param {AbortSignal} value
+     */
+    set signal(value) {
+        this._signal = value;
+    }
 }
 export { QueryParam };
 
+/**
+ * Parameters used for a query of device property data aggregated over a
+ * group of devices, e.g. the average temperature of all devices on a floor.
+ * The group is either a list of devices or the devices carrying some tags.
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.GroupQueryParam
+ * @augments QueryParam
+ */
+class GroupQueryParam extends QueryParam {
+    /**
+     * @param {DateTimeSpan} dateTimeSpan The time range with resolution.
+     */
+    constructor(dateTimeSpan) {
+        super(dateTimeSpan);
+    }
+
+    /**
+     * @returns {string[]|undefined} The identifiers of the devices in the group.
+     */
+    get deviceIds() {
+        return this._deviceIds;
+    }
+
+    /**
+     * @returns {Object.<string, string>|undefined} The tags devices must all
+     * carry to be in the group, when 'deviceIds' is not set.
+     */
+    get tags() {
+        return this._tags;
+    }
+
+    /**
+     * @returns {string} How the values of the devices are combined, one of
+     * GroupReducer. Defaults to "avg".
+     */
+    get reducer() {
+        return getGroupReducer(this._reducer);
+    }
+
+    /**
+     * @returns {string} The key under which the group aggregates are cached.
+     * Two queries for the same devices or tags and the same reducer have the
+     * same key, regardless of the order of the devices or tags.
+     */
+    get groupKey() {
+        const members = this._deviceIds
+            ? `devices:${this._deviceIds.slice(0).sort().join(",")}`
+            : `tags:${Object.keys(this._tags || {})
+                  .sort()
+                  .map((key) => `${key}=${this._tags[key]}`)
+                  .join(",")}`;
+
+        return `${this.reducer}|${members}`;
+    }
+
+    /**
+     * @param {string[]} values The identifiers of the devices in the group.
+     */
+    set deviceIds(values) {
+        this._deviceIds = values;
+    }
+
+    /**
+     * @param {Object.<string, string>} values The tags devices must all carry
+     * to be in the group, e.g. { floor: "3" }.
+     */
+    set tags(values) {
+        this._tags = values;
+    }
+
+    /**
+     * @param {string} value How the values of the devices are combined, one
+     * of GroupReducer.
+     * @throws {InvalidGroupError} The reducer is not known.
+     */
+    set reducer(value) {
+        this._reducer = getGroupReducer(value);
+    }
+}
+export { GroupQueryParam };
+
+/**
+ * Error reported when a request to a data provider fails, either because the
+ * provider could not be reached or because it responded with an error.
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.DataRequestError
+ */
+export class DataRequestError extends Error {
+    /**
+     * @param {string} message The error message.
+     * @param {string} url The URL of the failed request.
+     * @param {number} [status] The HTTP status of the response, undefined if
+     * no response was received.
+     */
+    constructor(message, url, status) {
+        super(message);
+        this.name = "DataRequestError";
+        this.url = url;
+        this.status = status;
+    }
+}
+
+/**
+ * Error reported when a query is aborted through its 'signal', see QueryParam.
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.QueryAbortedError
+ */
+export class QueryAbortedError extends Error {
+    /**
+     * @param {string} [message] The error message.
+     */
+    constructor(message = "Query aborted") {
+        super(message);
+        this.name = "QueryAbortedError";
+    }
+}
+
+/**
+ * Fetches a JSON resource from a data provider.
+ *
+ * @param {string} url The URL of the resource.
+ * @param {AbortSignal} [signal] The signal aborting the request.
+ * @returns {Promise<any>} A promise that resolves to the parsed response.
+ * @throws {DataRequestError} No response was received, the response is an
+ * error, or it is not JSON. The message of an error response is the one
+ * reported by the data router, if any.
+ * @throws {QueryAbortedError} The request was aborted.
+ * @private
+ */
+async function fetchJson(url, signal) {
+    let response = undefined;
+    try {
+        response = await fetch(url, { signal });
+    } catch (err) {
+        if (signal && signal.aborted) {
+            throw new QueryAbortedError();
+        }
+
+        throw new DataRequestError(`Request failed: ${err.message}`, url);
+    }
+
+    let body = undefined;
+    try {
+        body = await response.json();
+    } catch (err) {
+        if (signal && signal.aborted) {
+            throw new QueryAbortedError();
+        } else if (response.ok) {
+            throw new DataRequestError(`Invalid response: ${err.message}`, url, response.status);
+        }
+    }
+
+    if (!response.ok) {
+        const message =
+            body && body.error ? body.error : `${response.status} ${response.statusText}`;
+        throw new DataRequestError(message, url, response.status);
+    }
+
+    return body;
+}
+
 /**
  * Base class for all data adapters.
  * @memberof Autodesk.DataVisualization.Data
@@ -112,6 +331,20 @@ export class DataAdapter {
         return this._adapterId;
     }
 
+    /**
+     * Gets whether the data provider evaluates derived properties itself. When
+     * &nbsp;it does not, the DataStore fetches the properties they depend on and
+     * &nbsp;evaluates them client-side. Derived data adapters whose data
+     * &nbsp;provider evaluates them override this getter.
+     *
+     * @returns {boolean} This implementation returns false.
+     * @memberof Autodesk.DataVisualization.Data.DataAdapter
+     * @alias Autodesk.DataVisualization.Data.DataAdapter#evaluatesDerivedProperties
+     */
+    get evaluatesDerivedProperties() {
+        return false;
+    }
+
     /**
      * Loads all DeviceModel objects from the corresponding data provider. This
      * &nbsp;method must be implemented in the derived class.
@@ -146,9 +379,43 @@ export class DataAdapter {
         throw new Error("'fetchDevicesForModels' not implemented");
     }
 
+    /**
+     * Loads the spatial hierarchy devices are placed in from the corresponding
+     * &nbsp;data provider. Derived data adapters whose data provider supplies a
+     * &nbsp;hierarchy override this method.
+     *
+     * @returns {Promise<Object[]>} A promise that resolves to the nodes of the
+     * &nbsp;hierarchy as a flat list, see 'Hierarchy.fromNodes'. This
+     * &nbsp;implementation resolves to an empty array.
+     * @memberof Autodesk.DataVisualization.Data.DataAdapter
+     * @alias Autodesk.DataVisualization.Data.DataAdapter#loadHierarchy
+     */
+    async loadHierarchy() {
+        return [];
+    }
+
+    /**
+     * Fetches the status of the devices as known to the corresponding data
+     * &nbsp;provider, such as whether they are enabled and when they last
+     * &nbsp;reported. Derived data adapters whose data provider tracks devices
+     * &nbsp;override this method.
+     *
+     * @returns {Promise<Object[]>} A promise that resolves to the status of each
+     * &nbsp;device, of the form `{ deviceId, status, lastActivityTime }`. This
+     * &nbsp;implementation resolves to an empty array.
+     * @memberof Autodesk.DataVisualization.Data.DataAdapter
+     * @alias Autodesk.DataVisualization.Data.DataAdapter#fetchDeviceStatus
+     */
+    async fetchDeviceStatus() {
+        return [];
+    }
+
     /**
      * Fetches the property data based on the given device ID. Derived data
      * &nbsp;adapters implement this method to download relevant property data.
+     * &nbsp;Failed requests should reject with a DataRequestError, so that the
+     * &nbsp;RequestPool can tell whether they are worth retrying, and requests
+     * &nbsp;aborted through 'query.signal' with a QueryAbortedError.
      *
      * @param {QueryParam} query Parameters of this query.
      *
@@ -163,6 +430,119 @@ export class DataAdapter {
         query;
         throw new Error("'fetchDeviceData' not implemented");
     }
+
+    /**
+     * Fetches the raw (non-aggregated) property values based on the given
+     * &nbsp;device ID. Derived data adapters implement this method if their
+     * &nbsp;data provider is able to supply individual readings.
+     *
+     * @param {QueryParam} query Parameters of this query. The resolution of
+     * &nbsp;its DateTimeSpan is not used.
+     *
+     * @returns {Promise<DeviceData>} A promise that resolves to the property
+     * &nbsp;data holding raw values for the queried device.
+     *
+     * @throws {Error} This method must be implemented in derived class.
+     * @memberof Autodesk.DataVisualization.Data.DataAdapter
+     * @alias Autodesk.DataVisualization.Data.DataAdapter#fetchRawData
+     */
+    async fetchRawData(query) {
+        query;
+        throw new Error("'fetchRawData' not implemented");
+    }
+
+    /**
+     * Fetches the property data aggregated over a group of devices. This
+     * &nbsp;implementation fetches the data of each device in the group and
+     * &nbsp;combines it client-side, and only supports groups listing their
+     * &nbsp;devices. Derived data adapters whose data provider aggregates groups
+     * &nbsp;override it.
+     *
+     * @param {GroupQueryParam} query Parameters of this query.
+     *
+     * @returns {Promise<DeviceData>} A promise that resolves to the aggregated
+     * &nbsp;property data of the group, whose identifier is the group key.
+     *
+     * @throws {Error} The group is given by tags.
+     * @memberof Autodesk.DataVisualization.Data.DataAdapter
+     * @alias Autodesk.DataVisualization.Data.DataAdapter#fetchGroupData
+     */
+    async fetchGroupData(query) {
+        if (!query.deviceIds) {
+            throw new Error(`'${this.id}' cannot find devices by tags`);
+        }
+
+        const reducer = query.reducer;
+        const devicesData = await Promise.all(
+            query.deviceIds.map((deviceId) => {
+                const deviceQuery = new QueryParam(query.dateTimeSpan);
+                deviceQuery.deviceId = deviceId;
+                deviceQuery.propertyIds = query.propertyIds;
+                deviceQuery.signal = query.signal;
+                return this.fetchDeviceData(deviceQuery);
+            })
+        );
+
+        const groupData = new DeviceData(query.groupKey);
+        query.propertyIds.forEach((propertyId) => {
+            const aggrValuesList = devicesData.map((deviceData) =>
+                deviceData.getPropertyData(propertyId).getAggregatedValues(query.dateTimeSpan)
+            );
+
+            const first = aggrValuesList.find((aggrValues) => aggrValues);
+            if (first) {
+                const rawValues = reduceGroup(
+                    first.tsValues.length,
+                    aggrValuesList.map((aggrValues) => aggrValues && aggrValues.values),
+                    reducer
+                );
+
+                const aggrValues = this._createGroupAggregatedValues(
+                    query.dateTimeSpan,
+                    first.tsValues,
+                    first.bucketing,
+                    rawValues,
+                    query.deviceIds
+                );
+                groupData.getPropertyData(propertyId).setAggregatedValues(aggrValues);
+            }
+        });
+
+        return groupData;
+    }
+
+    /**
+     * Converts the values of a property aggregated over a group of devices
+     * into 'AggregatedValues'.
+     *
+     * @param {DateTimeSpan} dateTimeSpan The time range and resolution at which
+     * &nbsp;the aggregated values were retrieved.
+     * @param {number[]} timestamps The timestamps of the aggregated values.
+     * @param {Object} bucketing The descriptor of the buckets aggregated into.
+     * @param {Object} rawValues The values combined across devices, see
+     * &nbsp;'reduceGroup' in "shared/GroupAggregation.js".
+     * @param {string[]} deviceIds The identifiers of the devices in the group.
+     *
+     * @returns {AggregatedValues} The aggregated values of the group.
+     * @private
+     */
+    _createGroupAggregatedValues(dateTimeSpan, timestamps, bucketing, rawValues, deviceIds) {
+        const aggrValues = new AggregatedValues(dateTimeSpan);
+        aggrValues.bucketing = bucketing;
+        aggrValues.tsValues = timestamps;
+        aggrValues.reducer = rawValues.reducer;
+        aggrValues.deviceIds = deviceIds;
+        aggrValues.countValues = rawValues.count;
+        aggrValues.gapMask = rawValues.gaps;
+        aggrValues.values = rawValues.value;
+        aggrValues.maxValues = rawValues.max;
+        aggrValues.minValues = rawValues.min;
+        aggrValues.avgValues = rawValues.avg;
+        aggrValues.sumValues = rawValues.sum;
+        aggrValues.setDataRange("avgValues", getPaddedRange(aggrValues.avgValues));
+        aggrValues.setDataRange("values", getPaddedRange(aggrValues.values));
+        return aggrValues;
+    }
 }
 
 /**
@@ -179,23 +559,21 @@ export class AzureDataAdapter extends DataAdapter {
         super("AzureDataAdapter", baseName);
     }
 
+    /**
+     * Fetches the devices of a device model, whatever their status. Disabled
+     * &nbsp;devices are kept so that they can be found by status and reported
+     * &nbsp;as such, see 'DataStore.findDevices' and DeviceHealthMonitor.
+     *
+     * @param {string} deviceModelId The identifier of the device model.
+     * @returns {Promise<Object[]>} A promise that resolves to the devices as
+     * &nbsp;returned by the IoT hub registry.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.AzureDataAdapter#getDevices
+     */
     async getDevices(deviceModelId) {
-        let devices = await fetch(
+        return fetchJson(
             `${this._baseName}/api/devices?provider=azure&project=test&model=${deviceModelId}`
-        )
-            .then((response) => {
-                if (!response.ok) {
-                    return Promise.reject(response.json());
-                }
-                return response.json();
-            })
-            .then((rawData) => {
-                return rawData.filter((item) => item.status == "Enabled");
-            })
-            .catch((err) => {
-                console.error(err);
-            });
-        return devices;
+        );
     }
 
     /**
@@ -209,9 +587,8 @@ export class AzureDataAdapter extends DataAdapter {
      */
     async loadDeviceModels() {
         const adapterId = this.id;
-        return fetch(`${this._baseName}/api/device-models?provider=azure&project=test`)
-            .then((response) => response.json())
-            .then((rawDeviceModels) => {
+        return fetchJson(`${this._baseName}/api/device-models?provider=azure&project=test`).then(
+            (rawDeviceModels) => {
                 /** @type {DeviceModel[]} */
                 const normalizedDeviceModels = [];
 
@@ -220,6 +597,7 @@ export class AzureDataAdapter extends DataAdapter {
                     const ndm = new DeviceModel(rdm.deviceModelId, adapterId);
                     ndm.name = rdm.deviceModelName;
                     ndm.description = rdm.deviceModelDesc;
+                    ndm.reportingInterval = rdm.reportingInterval;
 
                     // Generate device property representation.
                     rdm.deviceProperties.forEach((rdp) => {
@@ -230,6 +608,10 @@ export class AzureDataAdapter extends DataAdapter {
                         ndp.description = rdp.propertyDesc;
                         ndp.dataType = rdp.propertyType;
                         ndp.dataUnit = rdp.propertyUnit;
+                        ndp.aggregation = rdp.aggregation;
+                        ndp.kind = rdp.kind;
+                        ndp.allowedValues = rdp.allowedValues;
+                        ndp.expression = rdp.expression;
                         ndp.rangeMin = rdp.rangeMin ? rdp.rangeMin : undefined;
                         ndp.rangeMax = rdp.rangeMax ? rdp.rangeMax : undefined;
                     });
@@ -239,7 +621,8 @@ export class AzureDataAdapter extends DataAdapter {
 
                 // Fetch actual devices for each of the device models.
                 return this.fetchDevicesForModels(normalizedDeviceModels);
-            });
+            }
+        );
     }
 
     /**
@@ -266,7 +649,10 @@ export class AzureDataAdapter extends DataAdapter {
                 const devices = deviceList[index];
                 devices.forEach((device) => {
                     let deviceObj = deviceModel.addDevice(device.deviceId);
+                    deviceObj.status = device.status;
+                    deviceObj.metadata = device.modelProperties;
                     if (device.tags) {
+                        deviceObj.tags = device.tags;
                         deviceObj.name = device.tags.name;
                         deviceObj.deviceModel = deviceModel;
                         deviceObj.sensorTypes = deviceModel.propertyIds;
@@ -287,6 +673,33 @@ export class AzureDataAdapter extends DataAdapter {
         });
     }
 
+    /**
+     * Loads the spatial hierarchy devices are placed in, as built from the
+     * &nbsp;"site", "building", "floor" and "room" tags of the device twins.
+     *
+     * @returns {Promise<Object[]>} A promise that resolves to the nodes of the
+     * &nbsp;hierarchy as a flat list, see 'Hierarchy.fromNodes'.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.AzureDataAdapter#loadHierarchy
+     */
+    async loadHierarchy() {
+        return fetchJson(`${this._baseName}/api/hierarchy?provider=azure&project=test`).then(
+            (rawHierarchy) => rawHierarchy.nodes
+        );
+    }
+
+    /**
+     * Fetches the status of the devices as reported by the IoT hub registry.
+     *
+     * @returns {Promise<Object[]>} A promise that resolves to the status of each
+     * &nbsp;device, of the form `{ deviceId, status, lastActivityTime }`.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.AzureDataAdapter#fetchDeviceStatus
+     */
+    async fetchDeviceStatus() {
+        return fetchJson(`${this._baseName}/api/device-status?provider=azure&project=test`);
+    }
+
     /**
      * Fetches the property data based on the given device ID.
      *
@@ -301,48 +714,41 @@ export class AzureDataAdapter extends DataAdapter {
         const qs = this.getQueryString(query);
         const url = `${this._baseName}/api/aggregates?provider=azure&project=test&${qs}`;
 
-        return fetch(url)
-            .then((response) => {
-                if (!response.ok) {
-                    return Promise.reject(response.json());
-                }
-                return response.json();
-            })
-            .then((rawAggregates) => {
-                const deviceData = new DeviceData(query.deviceId);
-                for (let prop of query.propertyIds) {
-                    const aggrValues = new AggregatedValues(query.dateTimeSpan);
-                    aggrValues.tsValues = rawAggregates.timestamps.map((item) =>
-                        getTimeInEpochSeconds(item)
-                    );
+        return fetchJson(url, query.signal).then((rawAggregates) => {
+            const deviceData = new DeviceData(query.deviceId);
+            for (let prop of query.propertyIds) {
+                const aggrValues = new AggregatedValues(query.dateTimeSpan);
+                aggrValues.bucketing = rawAggregates.bucketing;
+                aggrValues.tsValues = rawAggregates.timestamps.map((item) =>
+                    getTimeInEpochSeconds(item)
+                );
 
-                    for (let property of rawAggregates.properties) {
-                        if (property.name === prop + "Count") {
-                            aggrValues.countValues = property.values;
-                        } else if (property.name === prop + "Max") {
-                            aggrValues.maxValues = property.values;
-                        } else if (property.name === prop + "Min") {
-                            aggrValues.minValues = property.values;
-                        } else if (property.name === prop + "Avg") {
-                            aggrValues.avgValues = property.values;
-                            aggrValues.setDataRange("avgValues", getPaddedRange(property.values));
-                        } else if (property.name === prop + "Sum") {
-                            aggrValues.sumValues = property.values;
-                        } else if (property.name === prop + "StdDev") {
-                            aggrValues.stdDevValues = property.values;
-                        }
+                for (let property of rawAggregates.properties) {
+                    if (property.name === prop + "Count") {
+                        aggrValues.countValues = property.values;
+                    } else if (property.name === prop + "Max") {
+                        aggrValues.maxValues = property.values;
+                    } else if (property.name === prop + "Min") {
+                        aggrValues.minValues = property.values;
+                    } else if (property.name === prop + "Avg") {
+                        aggrValues.avgValues = property.values;
+                        aggrValues.setDataRange("avgValues", getPaddedRange(property.values));
+                    } else if (property.name === prop + "Sum") {
+                        aggrValues.sumValues = property.values;
+                    } else if (property.name === prop + "StdDev") {
+                        aggrValues.stdDevValues = property.values;
                     }
-
-                    const propertyData = deviceData.getPropertyData(prop);
-                    propertyData.setAggregatedValues(aggrValues);
                 }
 
-                return deviceData;
-            })
-            .catch((err) => {
-                console.log(err);
-                return Promise.reject(err);
-            });
+                // TSI reports intervals without events as null.
+                aggrValues.gapMask = (aggrValues.avgValues || []).map((v) => v === null);
+
+                const propertyData = deviceData.getPropertyData(prop);
+                propertyData.setAggregatedValues(aggrValues);
+            }
+
+            return deviceData;
+        });
     }
 
     /**
@@ -357,8 +763,10 @@ export class AzureDataAdapter extends DataAdapter {
         const st = query.dateTimeSpan.startSecond;
         const et = query.dateTimeSpan.endSecond;
         const res = query.dateTimeSpan.resolution;
+        const tz = query.dateTimeSpan.timeZone;
 
-        return `device=${did}&property=${pids}&startTime=${st}&endTime=${et}&resolution=${res}`;
+        const qs = `device=${did}&property=${pids}&startTime=${st}&endTime=${et}&resolution=${res}`;
+        return tz ? `${qs}&timeZone=${encodeURIComponent(tz)}` : qs;
     }
 }
 
@@ -378,6 +786,18 @@ export class RestApiDataAdapter extends DataAdapter {
         this._provider = provider;
     }
 
+    /**
+     * Gets whether the data provider evaluates derived properties itself. The
+     * &nbsp;CSV and synthetic data gateways evaluate them for every reading.
+     *
+     * @returns {boolean} True unless the provider is Azure.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.RestApiDataAdapter#evaluatesDerivedProperties
+     */
+    get evaluatesDerivedProperties() {
+        return this._provider !== "azure";
+    }
+
     /**
      * Loads all DeviceModel objects from the sample REST API.
      *
@@ -389,37 +809,40 @@ export class RestApiDataAdapter extends DataAdapter {
      */
     async loadDeviceModels() {
         const adapterId = this.id;
-        return fetch(this._getResourceUrl("api/device-models"))
-            .then((response) => response.json())
-            .then((rawDeviceModels) => {
-                /** @type {DeviceModel[]} */
-                const normalizedDeviceModels = [];
+        return fetchJson(this._getResourceUrl("api/device-models")).then((rawDeviceModels) => {
+            /** @type {DeviceModel[]} */
+            const normalizedDeviceModels = [];
 
-                rawDeviceModels.forEach((rdm) => {
-                    // Create a normalized device model representation.
-                    const ndm = new DeviceModel(rdm.deviceModelId, adapterId);
-                    ndm.name = rdm.deviceModelName;
-                    ndm.description = rdm.deviceModelDesc;
-
-                    // Generate device property representation.
-                    rdm.deviceProperties.forEach((rdp) => {
-                        const propId = rdp.propertyId;
-                        const propName = rdp.propertyName;
+            rawDeviceModels.forEach((rdm) => {
+                // Create a normalized device model representation.
+                const ndm = new DeviceModel(rdm.deviceModelId, adapterId);
+                ndm.name = rdm.deviceModelName;
+                ndm.description = rdm.deviceModelDesc;
+                ndm.reportingInterval = rdm.reportingInterval;
 
-                        const ndp = ndm.addProperty(propId, propName);
-                        ndp.description = rdp.propertyDesc;
-                        ndp.dataType = rdp.propertyType;
-                        ndp.dataUnit = rdp.propertyUnit;
-                        ndp.rangeMin = rdp.rangeMin ? rdp.rangeMin : undefined;
-                        ndp.rangeMax = rdp.rangeMax ? rdp.rangeMax : undefined;
-                    });
+                // Generate device property representation.
+                rdm.deviceProperties.forEach((rdp) => {
+                    const propId = rdp.propertyId;
+                    const propName = rdp.propertyName;
 
-                    normalizedDeviceModels.push(ndm);
+                    const ndp = ndm.addProperty(propId, propName);
+                    ndp.description = rdp.propertyDesc;
+                    ndp.dataType = rdp.propertyType;
+                    ndp.dataUnit = rdp.propertyUnit;
+                    ndp.aggregation = rdp.aggregation;
+                    ndp.kind = rdp.kind;
+                    ndp.allowedValues = rdp.allowedValues;
+                    ndp.expression = rdp.expression;
+                    ndp.rangeMin = rdp.rangeMin ? rdp.rangeMin : undefined;
+                    ndp.rangeMax = rdp.rangeMax ? rdp.rangeMax : undefined;
                 });
 
-                // Fetch actual devices for each of the device models.
-                return this.fetchDevicesForModels(normalizedDeviceModels);
+                normalizedDeviceModels.push(ndm);
             });
+
+            // Fetch actual devices for each of the device models.
+            return this.fetchDevicesForModels(normalizedDeviceModels);
+        });
     }
 
     /**
@@ -436,9 +859,9 @@ export class RestApiDataAdapter extends DataAdapter {
     async fetchDevicesForModels(deviceModels) {
         const promises = deviceModels.map((deviceModel) => {
             const model = deviceModel.id;
-            return fetch(this._getResourceUrl("api/devices", { model: model }))
-                .then((response) => response.json())
-                .then((jsonData) => jsonData.deviceInfo);
+            return fetchJson(this._getResourceUrl("api/devices", { model: model })).then(
+                (jsonData) => jsonData.deviceInfo
+            );
         });
 
         return Promise.all(promises).then((deviceInfosList) => {
@@ -460,6 +883,9 @@ export class RestApiDataAdapter extends DataAdapter {
                     );
 
                     device.lastActivityTime = deviceInfo.lastActivityTime;
+                    device.tags = deviceInfo.tags;
+                    device.status = deviceInfo.status;
+                    device.metadata = deviceInfo.metadata;
                     device.deviceModel = deviceModel;
                     device.sensorTypes = deviceModel.propertyIds;
                 });
@@ -470,7 +896,41 @@ export class RestApiDataAdapter extends DataAdapter {
     }
 
     /**
-     * Fetches the property data based on the given device ID.
+     * Loads the spatial hierarchy devices are placed in from the sample REST API.
+     *
+     * @returns {Promise<Object[]>} A promise that resolves to the nodes of the
+     * &nbsp;hierarchy as a flat list, see 'Hierarchy.fromNodes'.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.RestApiDataAdapter#loadHierarchy
+     */
+    async loadHierarchy() {
+        return fetchJson(this._getResourceUrl("api/hierarchy")).then((rawHierarchy) => {
+            // rawHierarchy = {
+            //     nodes: [
+            //         { id, name, level, parentId, deviceIds, dbIds },
+            //         ...
+            //     ]
+            // }
+            //
+            return rawHierarchy.nodes;
+        });
+    }
+
+    /**
+     * Fetches the status of the devices from the sample REST API.
+     *
+     * @returns {Promise<Object[]>} A promise that resolves to the status of each
+     * &nbsp;device, of the form `{ deviceId, status, lastActivityTime }`.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.RestApiDataAdapter#fetchDeviceStatus
+     */
+    async fetchDeviceStatus() {
+        return fetchJson(this._getResourceUrl("api/device-status"));
+    }
+
+    /**
+     * Fetches the property data based on the given device ID. All properties
+     * &nbsp;of the query are fetched in a single request.
      *
      * @param {QueryParam} query Parameters of this query.
      *
@@ -480,68 +940,263 @@ export class RestApiDataAdapter extends DataAdapter {
      * @alias Autodesk.DataVisualization.Data.RestApiDataAdapter#fetchDeviceData
      */
     async fetchDeviceData(query) {
-        const pids = query.propertyIds;
-        const promises = pids.map((pid) => this._fetchPropertyData(query, pid));
+        const url = this._getResourceUrl("api/aggregates", {
+            device: query.deviceId,
+            property: query.propertyIds.join(","),
+            startTime: query.dateTimeSpan.startSecond,
+            endTime: query.dateTimeSpan.endSecond,
+            resolution: query.dateTimeSpan.resolution,
+            timeZone: query.dateTimeSpan.timeZone,
+            percentiles: query.percentiles ? query.percentiles.join(",") : undefined,
+        });
 
-        return Promise.all(promises).then((deviceDataList) => {
+        return fetchJson(url, query.signal).then((rawAggregates) => {
+            // A request for multiple properties results in 'rawAggregates' of the
+            // following format, while a request for a single property results in
+            // only the per-property part, along with its 'timestamps'.
+            //
+            // rawAggregates = {
+            //     timestamps: number[],
+            //     bucketing: {
+            //         resolution: string,
+            //         closed: "left" | "right",
+            //         timeZone: string | undefined,
+            //         timeZoneOffset: number | undefined,
+            //         start: number,
+            //         end: number
+            //     },
+            //     properties: {
+            //         [propertyId: string]: {
+            //             aggregation: string,
+            //             kind: string,
+            //             count: number[],
+            //             gaps: boolean[],
+            //             value: number[],
+            //             min: number[],
+            //             max: number[],
+            //             avg: number[],
+            //             sum: number[],
+            //             stdDev: number[],
+            //             percentiles: { [percentile: string]: number[] } | undefined,
+            //             delta: number[] | undefined,
+            //             rate: number[] | undefined,
+            //             states: string[] | undefined,
+            //             durations: { [state: string]: number[] } | undefined,
+            //             transitions: number[] | undefined
+            //         }
+            //     }
+            // }
+            //
             const deviceData = new DeviceData(query.deviceId);
-            deviceDataList.forEach((devData) => deviceData.mergeFrom(devData));
+            query.propertyIds.forEach((propertyId) => {
+                const rawValues = rawAggregates.properties
+                    ? rawAggregates.properties[propertyId]
+                    : rawAggregates;
+
+                if (rawValues) {
+                    const aggrValues = this._createAggregatedValues(
+                        query.dateTimeSpan,
+                        rawAggregates.timestamps,
+                        rawAggregates.bucketing,
+                        rawValues
+                    );
+
+                    const propertyData = deviceData.getPropertyData(propertyId);
+                    propertyData.setAggregatedValues(aggrValues);
+                }
+            });
+
             return deviceData;
         });
     }
 
     /**
-     * Fetches data for a single property based on the given device ID.
+     * Fetches the property data aggregated over a group of devices. The data
+     * &nbsp;provider aggregates the group, which may be given by tags.
      *
-     * @param {QueryParam} query Parameters of this query.
-     * @param {string} propertyId The ID of the property.
+     * @param {GroupQueryParam} query Parameters of this query.
      *
-     * @returns {Promise<DeviceData>} A promise that resolves to an aggregated
-     * &nbsp;property data for the queried device.
+     * @returns {Promise<DeviceData>} A promise that resolves to the aggregated
+     * &nbsp;property data of the group, whose identifier is the group key.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.RestApiDataAdapter#fetchGroupData
      */
-    async _fetchPropertyData(query, propertyId) {
-        const url = this._getResourceUrl("api/aggregates", {
-            device: query.deviceId,
-            property: propertyId,
+    async fetchGroupData(query) {
+        const tags = query.tags || {};
+        const url = this._getResourceUrl("api/group-aggregates", {
+            devices: query.deviceIds ? query.deviceIds.join(",") : undefined,
+            tags: query.deviceIds
+                ? undefined
+                : Object.keys(tags)
+                      .map((key) => `${key}:${tags[key]}`)
+                      .join(","),
+            property: query.propertyIds.join(","),
             startTime: query.dateTimeSpan.startSecond,
             endTime: query.dateTimeSpan.endSecond,
             resolution: query.dateTimeSpan.resolution,
+            timeZone: query.dateTimeSpan.timeZone,
+            reducer: query.reducer,
         });
 
-        return fetch(url)
-            .then((response) => response.json())
-            .then((rawAggregates) => {
-                // Convert 'rawAggregates' which is in the following format, into 'AggregatedValues'
-                //
-                // rawAggregates = {
-                //     timestamps: number[],
-                //     count: number[],
-                //     min: number[],
-                //     max: number[],
-                //     avg: number[],
-                //     sum: number[],
-                //     stdDev: number[]
-                // }
-                //
-                const aggrValues = new AggregatedValues(query.dateTimeSpan);
-                aggrValues.tsValues = rawAggregates.timestamps;
-                aggrValues.countValues = rawAggregates.count;
-                aggrValues.maxValues = rawAggregates.max;
-                aggrValues.minValues = rawAggregates.min;
-                aggrValues.avgValues = rawAggregates.avg;
-                aggrValues.sumValues = rawAggregates.sum;
-                aggrValues.stdDevValues = rawAggregates.stdDev;
-                aggrValues.setDataRange("avgValues", getPaddedRange(aggrValues.avgValues));
-
-                const deviceData = new DeviceData(query.deviceId);
-                const propertyData = deviceData.getPropertyData(propertyId);
-                propertyData.setAggregatedValues(aggrValues);
+        return fetchJson(url, query.signal).then((rawAggregates) => {
+            // rawAggregates = {
+            //     timestamps: number[],
+            //     bucketing: { ... },
+            //     reducer: string,
+            //     deviceIds: string[],
+            //     properties: {
+            //         [propertyId: string]: {
+            //             reducer: string,
+            //             value: number[],
+            //             count: number[],
+            //             gaps: boolean[],
+            //             min: number[],
+            //             max: number[],
+            //             avg: number[],
+            //             sum: number[]
+            //         }
+            //     }
+            // }
+            //
+            const groupData = new DeviceData(query.groupKey);
+            query.propertyIds.forEach((propertyId) => {
+                const rawValues = rawAggregates.properties[propertyId];
+                if (rawValues) {
+                    const aggrValues = this._createGroupAggregatedValues(
+                        query.dateTimeSpan,
+                        rawAggregates.timestamps,
+                        rawAggregates.bucketing,
+                        rawValues,
+                        rawAggregates.deviceIds
+                    );
 
-                return deviceData;
-            })
-            .catch((err) => {
-                console.error(err);
+                    groupData.getPropertyData(propertyId).setAggregatedValues(aggrValues);
+                }
             });
+
+            return groupData;
+        });
+    }
+
+    /**
+     * Converts the aggregated values of a single property into 'AggregatedValues'.
+     *
+     * @param {DateTimeSpan} dateTimeSpan The time range and resolution at which
+     * &nbsp;the aggregated values were retrieved.
+     * @param {number[]} timestamps The timestamps of the aggregated values.
+     * @param {Object} bucketing The descriptor of the buckets aggregated into.
+     * @param {Object.<string, number[]>} rawValues The aggregated values of the property.
+     *
+     * @returns {AggregatedValues} The aggregated values of the property.
+     * @private
+     */
+    _createAggregatedValues(dateTimeSpan, timestamps, bucketing, rawValues) {
+        const aggrValues = new AggregatedValues(dateTimeSpan);
+        aggrValues.bucketing = bucketing;
+        aggrValues.tsValues = timestamps;
+        aggrValues.countValues = rawValues.count;
+        aggrValues.gapMask = rawValues.gaps || rawValues.count.map((count) => !count);
+        aggrValues.aggregation = rawValues.aggregation || AggregationMode.SampleMean;
+        aggrValues.values = rawValues.value || rawValues.avg;
+        aggrValues.kind = rawValues.kind || PropertyKind.Gauge;
+        aggrValues.maxValues = rawValues.max;
+        aggrValues.minValues = rawValues.min;
+        aggrValues.avgValues = rawValues.avg;
+        aggrValues.sumValues = rawValues.sum;
+        aggrValues.stdDevValues = rawValues.stdDev;
+        aggrValues.setDataRange("avgValues", getPaddedRange(aggrValues.avgValues));
+
+        // State properties have the time spent in each state instead of numbers.
+        if (rawValues.states) {
+            aggrValues.states = rawValues.states;
+            aggrValues.transitionValues = rawValues.transitions;
+            rawValues.states.forEach((state) => {
+                aggrValues.setStateDurations(state, rawValues.durations[state]);
+            });
+        } else {
+            aggrValues.setDataRange("values", getPaddedRange(aggrValues.values));
+        }
+
+        // Increases and rates are only present for counters.
+        if (rawValues.delta && rawValues.rate) {
+            aggrValues.deltaValues = rawValues.delta;
+            aggrValues.rateValues = rawValues.rate;
+            aggrValues.setDataRange("deltaValues", getPaddedRange(rawValues.delta));
+            aggrValues.setDataRange("rateValues", getPaddedRange(rawValues.rate));
+        }
+
+        // Percentiles are only present when the query asked for them.
+        Object.keys(rawValues.percentiles || {}).forEach((percentile) => {
+            const values = rawValues.percentiles[percentile];
+            aggrValues.setPercentileValues(percentile, values);
+            aggrValues.setDataRange(`p${percentile}Values`, getPaddedRange(values));
+        });
+
+        return aggrValues;
+    }
+
+    /**
+     * Fetches the raw (non-aggregated) property values based on the given
+     * &nbsp;device ID. Pages of readings are requested until either all readings
+     * &nbsp;in the time window or 'query.limit' readings have been retrieved.
+     *
+     * @param {QueryParam} query Parameters of this query.
+     *
+     * @returns {Promise<DeviceData>} A promise that resolves to the property
+     * &nbsp;data holding raw values for the queried device.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.RestApiDataAdapter#fetchRawData
+     */
+    async fetchRawData(query) {
+        /** @type {Object.<string, PropertyValue[]>} */
+        const rawValues = {};
+        query.propertyIds.forEach((pid) => (rawValues[pid] = []));
+
+        let cursor = undefined;
+        let remaining = query.limit || Infinity;
+
+        do {
+            const parameters = {
+                device: query.deviceId,
+                property: query.propertyIds.join(","),
+                startTime: query.dateTimeSpan.startSecond,
+                endTime: query.dateTimeSpan.endSecond,
+            };
+
+            if (remaining !== Infinity) parameters.limit = remaining;
+            if (cursor) parameters.cursor = cursor;
+
+            // Each page is in the following format:
+            //
+            // page = {
+            //     timestamps: number[],
+            //     values: { [propertyId: string]: number[] },
+            //     cursor: string | undefined
+            // }
+            //
+            const url = this._getResourceUrl("api/raw-values", parameters);
+            const page = await fetchJson(url, query.signal);
+
+            query.propertyIds.forEach((pid) => {
+                const values = page.values[pid] || [];
+                page.timestamps.forEach((ts, index) => {
+                    if (values[index] !== null && values[index] !== undefined) {
+                        rawValues[pid].push(new PropertyValue(ts, values[index]));
+                    }
+                });
+            });
+
+            cursor = page.cursor;
+            remaining -= page.timestamps.length;
+        } while (cursor && remaining > 0);
+
+        const deviceData = new DeviceData(query.deviceId);
+        Object.entries(rawValues).forEach(([pid, values]) => {
+            const propertyData = deviceData.getPropertyData(pid);
+            propertyData.setRawValues(query.dateTimeSpan, values);
+        });
+
+        return deviceData;
     }
 
     /**
@@ -558,7 +1213,9 @@ export class RestApiDataAdapter extends DataAdapter {
 
         parameters["provider"] = this._provider;
         parameters["project"] = "unused";
-        const ps = Object.entries(parameters).map(([k, v]) => `${k}=${v}`);
+        const ps = Object.entries(parameters)
+            .filter(([, v]) => v !== undefined)
+            .map(([k, v]) => `${k}=${encodeURIComponent(v)}`);
         return `${this._baseName}/${endpoint}?${ps.join("&")}`;
     }
 }
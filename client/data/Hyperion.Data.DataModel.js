@@ -124,6 +124,8 @@
  */
 
 import { DateTimeSpan } from "./Hyperion.Data.Storage";
+import { getConverter } from "../../shared/Units.js";
+import { getPaddedRange } from "../../shared/Utility";
 
 /**
  * Timestamped values of a device's property
@@ -172,10 +174,80 @@ export class AggregatedValues {
         this._dateTimeSpan = new DateTimeSpan(
             dateTimeSpan.startSecond,
             dateTimeSpan.endSecond,
-            dateTimeSpan.resolution
+            dateTimeSpan.resolution,
+            dateTimeSpan.timeZone
         );
 
         this._dataRange = {};
+        this._percentileValues = {};
+        this._stateDurations = {};
+    }
+
+    /**
+     * @param {{resolution: string, closed: string, timeZone: string,
+     * timeZoneOffset: number, start: number, end: number}} value The descriptor
+     * of the buckets the values were aggregated into.
+     */
+    set bucketing(value) {
+        this._bucketing = value;
+    }
+
+    /**
+     * @param {string} value How readings were aggregated into 'values', one of
+     * AggregationMode.
+     */
+    set aggregation(value) {
+        this._aggregation = value;
+    }
+
+    /**
+     * @param {number[]} values An array of numbers, each element of which
+     * represents the time series over a time interval window, aggregated
+     * in the aggregation mode of the property.
+     */
+    set values(values) {
+        this._values = values;
+    }
+
+    /**
+     * @param {string} value What the aggregated readings measure, one of
+     * PropertyKind.
+     */
+    set kind(value) {
+        this._kind = value;
+    }
+
+    /**
+     * @param {number[]} values An array of numbers, each element of which
+     * represents the increase of a counter over a time interval window.
+     */
+    set deltaValues(values) {
+        this._deltaValues = values;
+    }
+
+    /**
+     * @param {number[]} values An array of numbers, each element of which
+     * represents the rate per second at which a counter increased over a
+     * time interval window.
+     */
+    set rateValues(values) {
+        this._rateValues = values;
+    }
+
+    /**
+     * @param {string[]} values The states of a property holding states.
+     */
+    set states(values) {
+        this._states = values;
+    }
+
+    /**
+     * @param {number[]} values An array of numbers, each element of which
+     * represents the number of times the state of a property changed over a
+     * time interval window.
+     */
+    set transitionValues(values) {
+        this._transitionValues = values;
     }
 
     /**
@@ -195,6 +267,15 @@ export class AggregatedValues {
         this._countValues = values;
     }
 
+    /**
+     * @param {boolean[]} values An array of booleans, each element of which
+     * indicates whether the time series has no data points over a time
+     * interval window.
+     */
+    set gapMask(values) {
+        this._gapMask = values;
+    }
+
     /**
      * @param {number[]} values An array of numbers, each element of which
      * represents the maximum value of the time series over a time interval
@@ -239,6 +320,30 @@ export class AggregatedValues {
         this._stdDevValues = values;
     }
 
+    /**
+     * @param {string} value How the values of a group of devices were combined,
+     * one of GroupReducer.
+     */
+    set reducer(value) {
+        this._reducer = value;
+    }
+
+    /**
+     * @param {string[]} values The identifiers of the devices whose values
+     * were combined.
+     */
+    set deviceIds(values) {
+        this._deviceIds = values;
+    }
+
+    /**
+     * @param {string|undefined} value The unit the values are in, or undefined
+     * if they are in the unit of the property.
+     */
+    set unit(value) {
+        this._unit = value;
+    }
+
     /**
      * @returns {string} The identifier of this AggregatedValues object.
      */
@@ -246,6 +351,87 @@ export class AggregatedValues {
         return this._dateTimeSpan.hashCode;
     }
 
+    /**
+     * @returns {{resolution: string, closed: string, timeZone: string,
+     * timeZoneOffset: number, start: number, end: number}|undefined} The
+     * descriptor of the buckets the values were aggregated into: the canonical
+     * resolution, which end of each bucket is included in it ("left" or "right"),
+     * either the IANA time zone or the offset in minutes east of UTC buckets are
+     * aligned to, and the time range covered by all buckets in Epoch seconds.
+     * Each timestamp in tsValues is the start of a bucket. Undefined if the data
+     * provider does not describe its buckets.
+     */
+    get bucketing() {
+        return this._bucketing;
+    }
+
+    /**
+     * @returns {string|undefined} How readings were aggregated into 'values',
+     * one of AggregationMode: "sampleMean", "timeWeighted", "last" or "sum".
+     */
+    get aggregation() {
+        return this._aggregation;
+    }
+
+    /**
+     * @returns {number[]} An array of numbers, each element of which
+     * represents the time series over a time interval window, aggregated in
+     * the aggregation mode of the property. For a property aggregated by
+     * "last", this is the latest value within each window. Its range is kept
+     * under the aggregate type "values".
+     */
+    get values() {
+        return this._values;
+    }
+
+    /**
+     * @returns {string|undefined} What the aggregated readings measure, one of
+     * PropertyKind: "gauge" or "counter".
+     */
+    get kind() {
+        return this._kind;
+    }
+
+    /**
+     * @returns {number[]|undefined} An array of numbers, each element of which
+     * represents the increase of a counter over a time interval window,
+     * accounting for the counter being reset or rolling over. The increase
+     * since the previous reading is counted in the window of each reading.
+     * Undefined if the property is not a counter.
+     */
+    get deltaValues() {
+        return this._deltaValues;
+    }
+
+    /**
+     * @returns {number[]|undefined} An array of numbers, each element of which
+     * represents the rate per second at which a counter increased over a time
+     * interval window, or null if the window has no two consecutive readings.
+     * Undefined if the property is not a counter.
+     */
+    get rateValues() {
+        return this._rateValues;
+    }
+
+    /**
+     * @returns {string[]|undefined} The states of a property holding states,
+     * such as ["false", "true"] for a Boolean property, or undefined if the
+     * property holds numbers. For such properties 'values' holds the state
+     * of each time interval window, and the numeric values are null.
+     */
+    get states() {
+        return this._states;
+    }
+
+    /**
+     * @returns {number[]|undefined} An array of numbers, each element of which
+     * represents the number of times the state of a property changed over a
+     * time interval window. Undefined if the property holds numbers.
+     */
+    get transitionValues() {
+        return this._transitionValues;
+    }
+
     /**
      * @returns {number[]} An array of numbers, each element
      * of which represents a Unix epoch timestamp in seconds.
@@ -263,6 +449,16 @@ export class AggregatedValues {
         return this._countValues;
     }
 
+    /**
+     * @returns {boolean[]} An array of booleans, each element of which
+     * indicates whether the time series has no data points over a time
+     * interval window. The other values of such a window are null, except
+     * for its count which is 0.
+     */
+    get gapMask() {
+        return this._gapMask;
+    }
+
     /**
      * @returns {number[]} An array of numbers, each element of which
      * represents the maximum value of the time series over a time interval
@@ -307,9 +503,195 @@ export class AggregatedValues {
         return this._stdDevValues;
     }
 
+    /**
+     * @returns {string|undefined} How the values of a group of devices were
+     * combined into 'values', one of GroupReducer, or undefined if the values
+     * are those of a single device. The values of a group are only aggregated
+     * into 'values', 'minValues', 'maxValues', 'avgValues' and 'sumValues',
+     * each across the devices, and 'countValues' holds the number of devices
+     * with a value.
+     */
+    get reducer() {
+        return this._reducer;
+    }
+
+    /**
+     * @returns {string[]|undefined} The identifiers of the devices whose values
+     * were combined, or undefined if the values are those of a single device.
+     */
+    get deviceIds() {
+        return this._deviceIds;
+    }
+
+    /**
+     * @returns {string|undefined} The unit the values are in, or undefined if
+     * they are in the unit of the property, see
+     * {@link Autodesk.DataVisualization.Data.DeviceProperty#dataUnit}.
+     */
+    get unit() {
+        return this._unit;
+    }
+
+    /**
+     * @returns {number[]} The percentiles between 0 and 100 for which values
+     * were retrieved, in ascending order.
+     */
+    get percentiles() {
+        return Object.keys(this._percentileValues)
+            .map((key) => Number(key))
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Gets the values of a percentile of the time series over every time
+     * interval window, e.g. the medians for a percentile of 50. The range of
+     * these values is kept under the aggregate type "p50Values", see
+     * {@link Autodesk.DataVisualization.Data.AggregatedValues#getDataRange}.
+     * @param {number} percentile The percentile between 0 and 100.
+     * @returns {number[]|undefined} An array of numbers, each element of which
+     * &nbsp;represents the percentile of the time series over a time interval
+     * &nbsp;window, or undefined if the percentile was not retrieved.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.AggregatedValues#getPercentileValues
+     */
+    getPercentileValues(percentile) {
+        return this._percentileValues[Number(percentile)];
+    }
+
+    /**
+     * Sets the values of a percentile of the time series over every time
+     * interval window.
+     * @param {number} percentile The percentile between 0 and 100.
+     * @param {number[]} values An array of numbers, each element of which
+     * &nbsp;represents the percentile of the time series over a time interval window.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.AggregatedValues#setPercentileValues
+     */
+    setPercentileValues(percentile, values) {
+        this._percentileValues[Number(percentile)] = values;
+    }
+
+    /**
+     * Gets the time a property holding states spent in a state over every
+     * time interval window.
+     * @param {string} state The state, e.g. "true" for a Boolean property.
+     * @returns {number[]|undefined} An array of numbers, each element of which
+     * &nbsp;represents the seconds spent in the state over a time interval window,
+     * &nbsp;or undefined if the property is never in that state.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.AggregatedValues#getStateDurations
+     */
+    getStateDurations(state) {
+        return this._stateDurations[String(state)];
+    }
+
+    /**
+     * Sets the time a property holding states spent in a state over every
+     * time interval window.
+     * @param {string} state The state.
+     * @param {number[]} values An array of numbers, each element of which
+     * &nbsp;represents the seconds spent in the state over a time interval window.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.AggregatedValues#setStateDurations
+     */
+    setStateDurations(state, values) {
+        this._stateDurations[String(state)] = values;
+    }
+
+    /**
+     * Gets the fraction of time a property holding states spent in a state
+     * over every time interval window, out of the time it was in any known
+     * state. For instance, the fractions of the "true" state of an occupancy
+     * sensor give the percentage of time a space was occupied.
+     * @param {string} state The state, e.g. "true" for a Boolean property.
+     * @returns {number[]|undefined} An array of numbers between 0 and 1, each
+     * &nbsp;element of which represents the fraction of a time interval window
+     * &nbsp;spent in the state, or null if no state is known over the window.
+     * &nbsp;Undefined if the property holds numbers.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.AggregatedValues#getStateFractions
+     */
+    getStateFractions(state) {
+        if (!this._states) {
+            return undefined;
+        }
+
+        const durations = this.getStateDurations(state);
+        return this._tsValues.map((_, i) => {
+            let total = 0;
+            this._states.forEach((s) => (total += (this._stateDurations[s] || [])[i] || 0));
+            return total > 0 && durations ? durations[i] / total : total > 0 ? 0 : null;
+        });
+    }
+
+    /**
+     * Converts the values to another unit. Differences between values, that is
+     * standard deviations, increases and rates of counters, are scaled without
+     * being offset. The data ranges are recomputed from the converted values.
+     * Durations and transitions of properties holding states are left as is.
+     *
+     * @param {string} fromUnit The unit the values are in.
+     * @param {string} toUnit The unit to convert the values to.
+     * @returns {AggregatedValues} A new AggregatedValues object holding the
+     * &nbsp;converted values, whose 'unit' is 'toUnit'.
+     * @throws {UnitConversionError} Either unit is not known, or they measure
+     * &nbsp;different quantities.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.AggregatedValues#convertUnit
+     */
+    convertUnit(fromUnit, toUnit) {
+        const convert = getConverter(fromUnit, toUnit);
+        const convertDifference = getConverter(fromUnit, toUnit, true);
+        const map = (values, fn) => values && values.map((value) => fn(value));
+
+        const result = Object.assign(Object.create(AggregatedValues.prototype), this);
+        result._dataRange = {};
+        result._percentileValues = {};
+        result._unit = toUnit;
+
+        if (!this._states) {
+            result._values = map(this._values, convert);
+            result._minValues = map(this._minValues, convert);
+            result._maxValues = map(this._maxValues, convert);
+            result._avgValues = map(this._avgValues, convert);
+            result._stdDevValues = map(this._stdDevValues, convertDifference);
+            result._deltaValues = map(this._deltaValues, convertDifference);
+            result._rateValues = map(this._rateValues, convertDifference);
+
+            // Each reading adds an offset to the sum, e.g. 32 °F per reading.
+            const offset = convert(0);
+            result._sumValues =
+                this._sumValues &&
+                this._sumValues.map((sum, i) =>
+                    sum === null || sum === undefined
+                        ? sum
+                        : convertDifference(sum) +
+                          offset * ((this._countValues && this._countValues[i]) || 0)
+                );
+
+            Object.keys(this._percentileValues).forEach((percentile) => {
+                result._percentileValues[percentile] = map(
+                    this._percentileValues[percentile],
+                    convert
+                );
+            });
+        }
+
+        Object.keys(this._dataRange).forEach((propName) => {
+            const match = /^p(.+)Values$/.exec(propName);
+            const values = match ? result.getPercentileValues(match[1]) : result[propName];
+            result._dataRange[propName] = values
+                ? getPaddedRange(values)
+                : this._dataRange[propName];
+        });
+
+        return result;
+    }
+
     /**
      * Gets the range of values for a particular aggregate type
-     * @param {string} propName The aggregate type
+     * @param {string} propName The aggregate type, such as "avgValues", or
+     * &nbsp;"p95Values" for the 95th percentile
      * @returns {{min:number, max:number}}
      * @memberof Autodesk.DataVisualization.Data
      * @alias Autodesk.DataVisualization.Data.AggregatedValues#getDataRange
@@ -320,7 +702,8 @@ export class AggregatedValues {
 
     /**
      * Sets the range of values for a particular aggregate type
-     * @param {string} propName The aggregate type
+     * @param {string} propName The aggregate type, such as "avgValues", or
+     * &nbsp;"p95Values" for the 95th percentile
      * @param  {{min:number, max:number}} value The data range
      * @memberof Autodesk.DataVisualization.Data
      * @alias Autodesk.DataVisualization.Data.AggregatedValues#setDataRange
@@ -344,6 +727,7 @@ export class PropertyData {
         this._propId = propId;
         this._currentValue = undefined;
         this._aggregatedValues = {};
+        this._rawValues = {};
     }
 
     /**
@@ -371,13 +755,22 @@ export class PropertyData {
      * @alias Autodesk.DataVisualization.Data.PropertyData#mergeFrom
      */
     mergeFrom(otherPropertyData) {
-        this.setCurrentValue(otherPropertyData.getCurrentValue());
+        // Fetched data rarely carries a current value, keep the latest known one.
+        const currentValue = otherPropertyData.getCurrentValue();
+        if (currentValue) {
+            const ownValue = this.getCurrentValue();
+            if (!ownValue || ownValue.timestamp <= currentValue.timestamp) {
+                this.setCurrentValue(currentValue);
+            }
+        }
 
         const aggValuesList = otherPropertyData.aggregatedValuesList;
         aggValuesList.forEach((aggValues) => {
             const id = aggValues.id;
             this._aggregatedValues[id] = aggValues;
         });
+
+        Object.assign(this._rawValues, otherPropertyData._rawValues);
     }
 
     /**
@@ -433,6 +826,55 @@ export class PropertyData {
         const id = dateTimeSpan.hashCode;
         return this._aggregatedValues[id];
     }
+
+    /**
+     * Removes the aggregated values for the property given the time range and resolution.
+     *
+     * @param {DateTimeSpan} dateTimeSpan The time range and resolution at which
+     * &nbsp;aggregated values are to be removed.
+     * @returns {boolean} True if aggregated values were found and removed.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.PropertyData#removeAggregatedValues
+     */
+    removeAggregatedValues(dateTimeSpan) {
+        const id = dateTimeSpan.hashCode;
+        const found = !!this._aggregatedValues[id];
+        delete this._aggregatedValues[id];
+        return found;
+    }
+
+    /**
+     * Associates the raw (non-aggregated) values within a time range with this
+     * property. Any existing raw values of the same time range are replaced.
+     * The resolution of the time range is not taken into consideration.
+     *
+     * @param {DateTimeSpan} dateTimeSpan The time range the raw values are meant for.
+     * @param {PropertyValue[]} propertyValues The raw values in chronological order.
+     *
+     * @returns {string} The identifier of the time range.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.PropertyData#setRawValues
+     */
+    setRawValues(dateTimeSpan, propertyValues) {
+        const id = `${dateTimeSpan.startSecond}-${dateTimeSpan.endSecond}`;
+        this._rawValues[id] = propertyValues;
+        return id;
+    }
+
+    /**
+     * Gets the raw (non-aggregated) values for the property given the time range.
+     *
+     * @param {DateTimeSpan} dateTimeSpan The time range at which raw values are
+     * &nbsp;to be retrieved. The resolution of the time range is not used.
+     * @returns {PropertyValue[]} The raw values if they have been previously
+     * &nbsp;set for the time range; undefined otherwise.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.PropertyData#getRawValues
+     */
+    getRawValues(dateTimeSpan) {
+        const id = `${dateTimeSpan.startSecond}-${dateTimeSpan.endSecond}`;
+        return this._rawValues[id];
+    }
 }
 
 /**
@@ -513,14 +955,22 @@ export class DeviceData {
     }
 
     /**
-     * Updates the current value of a specified property
+     * Updates the current value of a specified property, unless it is older
+     * than the current one.
      *
      * @param {string} propId ID of the property to be updated
-     * @param {any} value The new current value of the specified property
+     * @param {PropertyValue} value The new current value of the specified property
+     *
+     * @returns {boolean} True if the current value was updated.
      */
     updateCurrentPropertyValue(propId, value) {
-        if (this._propData[propId]) {
-            this._propData[propId].setCurrentValue(value);
+        const propertyData = this.getPropertyData(propId);
+        const currentValue = propertyData.getCurrentValue();
+        if (currentValue && value && currentValue.timestamp > value.timestamp) {
+            return false;
         }
+
+        propertyData.setCurrentValue(value);
+        return true;
     }
 }
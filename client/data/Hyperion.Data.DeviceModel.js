@@ -13,16 +13,21 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 //
+import { AggregationMode, PropertyKind } from "../../shared/Aggregation.js";
+import { isStateDataType } from "../../shared/PropertyState.js";
+import { DataUnit, getUnit } from "../../shared/Units.js";
+import { DerivedProperties } from "../../shared/Expression.js";
+
 export const DataType = {
     None: "None",
     Long: "Long",
     Double: "Double",
+    Boolean: "Boolean",
+    String: "String",
+    Enum: "Enum",
 };
 
-export const DataUnit = {
-    Celsius: "Celsius",
-    Fahrenheit: "Fahrenheit",
-};
+export { DataUnit };
 
 /**
  * A class that represents an actual instance of a device. Each device
@@ -42,6 +47,8 @@ export class Device {
     constructor(deviceId) {
         this._deviceId = deviceId;
         this._name = "";
+        this._tags = {};
+        this._metadata = {};
     }
 
     /**
@@ -73,6 +80,31 @@ export class Device {
         this._lastActivityTime = value;
     }
 
+    /**
+     * @param {Object.<string, any>} value The tags of this device instance,
+     * e.g. { floor: "3", zone: "A" }, as set in the data provider.
+     */
+    set tags(value) {
+        this._tags = value || {};
+    }
+
+    /**
+     * @param {string} value The status of this device instance as reported by
+     * the data provider, e.g. "Enabled" or "Disabled".
+     */
+    set status(value) {
+        this._status = value;
+    }
+
+    /**
+     * @param {Object.<string, any>} value Any other information the data
+     * provider holds about this device instance, e.g. the desired properties
+     * of an Azure device twin.
+     */
+    set metadata(value) {
+        this._metadata = value || {};
+    }
+
     /**
      * @returns {string} The ID of this device instance.
      */
@@ -109,6 +141,30 @@ export class Device {
     get lastActivityTime() {
         return this._lastActivityTime;
     }
+
+    /**
+     * @returns {Object.<string, any>} The tags of this device instance, or an
+     * empty object if it has none.
+     */
+    get tags() {
+        return this._tags;
+    }
+
+    /**
+     * @returns {string|undefined} The status of this device instance as
+     * reported by the data provider, if any.
+     */
+    get status() {
+        return this._status;
+    }
+
+    /**
+     * @returns {Object.<string, any>} Any other information the data provider
+     * holds about this device instance, or an empty object if there is none.
+     */
+    get metadata() {
+        return this._metadata;
+    }
 }
 
 /**
@@ -144,12 +200,47 @@ export class DeviceProperty {
     }
 
     /**
-     * @param {string} value The unit of the property in DataUnit.
+     * @param {string} value The unit the property is measured in, that is the
+     * unit of the values supplied by data adapters. Either one of DataUnit or
+     * the symbol or alias of a unit, e.g. "°C" or "%RH".
      */
     set dataUnit(value) {
         this._dataUnit = value;
     }
 
+    /**
+     * @param {string} value How readings of the property are aggregated over a
+     * time interval window, one of AggregationMode.
+     */
+    set aggregation(value) {
+        this._aggregation = value;
+    }
+
+    /**
+     * @param {string} value What readings of the property measure, one of
+     * PropertyKind.
+     */
+    set kind(value) {
+        this._kind = value;
+    }
+
+    /**
+     * @param {string|undefined} value The expression computing the property from
+     * other properties of the same device, e.g. "PowerL1 + PowerL2 + PowerL3",
+     * or undefined if the property is reported by sensors.
+     */
+    set expression(value) {
+        this._expression = value;
+    }
+
+    /**
+     * @param {string[]} values The states a property of the "String" or "Enum"
+     * data type may be in, e.g. ["heat", "cool", "off"].
+     */
+    set allowedValues(values) {
+        this._allowedValues = values;
+    }
+
     /**
      * @param {number} value The lower bound of the value range that is
      * possible for this device property. This value is used to generate
@@ -197,12 +288,74 @@ export class DeviceProperty {
     }
 
     /**
-     * @returns {string} value The unit of the property in DataUnit.
+     * @returns {string} value The unit the property is measured in, that is
+     * the unit of the values supplied by data adapters.
      */
     get dataUnit() {
         return this._dataUnit;
     }
 
+    /**
+     * @returns {string|undefined} The symbol of the unit the property is
+     * measured in, e.g. "°C", or the unit as is if it is not a known unit.
+     */
+    get unitSymbol() {
+        const unit = getUnit(this._dataUnit);
+        return unit ? unit.symbol : this._dataUnit;
+    }
+
+    /**
+     * @returns {string} How readings of the property are aggregated over a
+     * time interval window, one of AggregationMode. Defaults to "sampleMean".
+     */
+    get aggregation() {
+        return this._aggregation || AggregationMode.SampleMean;
+    }
+
+    /**
+     * @returns {string} What readings of the property measure, one of
+     * PropertyKind. Defaults to "gauge". Aggregated values of "counter"
+     * properties carry their increase and rate over time interval windows.
+     */
+    get kind() {
+        return this._kind || PropertyKind.Gauge;
+    }
+
+    /**
+     * @returns {string|undefined} The expression computing the property from
+     * other properties of the same device, or undefined if the property is
+     * reported by sensors. See {@link DerivedProperties} for the syntax.
+     */
+    get expression() {
+        return this._expression;
+    }
+
+    /**
+     * @returns {boolean} True if the property is derived from other properties
+     * of the same device by an expression rather than reported by sensors.
+     */
+    get isDerived() {
+        return !!this._expression;
+    }
+
+    /**
+     * @returns {string[]|undefined} The states a property of the "String" or
+     * "Enum" data type may be in, or undefined if it may be in any state.
+     * Properties of the "Boolean" data type are either in "true" or "false".
+     */
+    get allowedValues() {
+        return this._allowedValues;
+    }
+
+    /**
+     * @returns {boolean} True if the property holds states rather than numbers,
+     * that is if it is of the "Boolean", "String" or "Enum" data type. Its
+     * aggregated values then hold the time spent in each state.
+     */
+    get isState() {
+        return isStateDataType(this._dataType);
+    }
+
     /**
      * @returns {number} The lower bound of the value range that is
      * possible for this device property. This value is used to generate
@@ -259,6 +412,17 @@ class DeviceModel {
         this._description = value;
     }
 
+    /**
+     * The interval at which devices of this model are expected to report, if
+     * known. Devices that have not reported for longer are stale or offline,
+     * see {@link DeviceHealthMonitor}.
+     * @param {string|undefined} value The interval as an ISO 8601 duration or
+     * in short form, e.g. "PT5M" or "5m".
+     */
+    set reportingInterval(value) {
+        this._reportingInterval = value;
+    }
+
     /**
      * The identifier of this instance of DeviceModel object.
      * @returns {string} The identifier of this instance of DeviceModel object.
@@ -293,6 +457,16 @@ class DeviceModel {
         return this._description;
     }
 
+    /**
+     * The interval at which devices of this model are expected to report, if
+     * known.
+     * @returns {string|undefined} The interval as an ISO 8601 duration or in
+     * short form, e.g. "PT5M" or "5m".
+     */
+    get reportingInterval() {
+        return this._reportingInterval;
+    }
+
     /**
      * All property identifiers for this DeviceModel.
      * @returns {string[]} All property identifiers for this DeviceModel.
@@ -309,6 +483,21 @@ class DeviceModel {
         return Object.values(this._properties);
     }
 
+    /**
+     * The properties of this DeviceModel derived from other properties by an
+     * expression. They are listed in 'propertyIds' like any other property.
+     * @returns {DerivedProperties} The derived properties of this DeviceModel.
+     * @throws {InvalidExpressionError} An expression cannot be parsed.
+     */
+    get derivedProperties() {
+        const derived = new DerivedProperties();
+        this.properties
+            .filter((property) => property.isDerived)
+            .forEach((property) => derived.add(property.id, property.expression));
+
+        return derived;
+    }
+
     /**
      * All device identifiers found within this DeviceModel.
      * @returns {string[]} All device identifiers found within this DeviceModel.
@@ -351,6 +540,19 @@ class DeviceModel {
         return property;
     }
 
+    /**
+     * Gets the DeviceProperty object given its identifier.
+     *
+     * @param {string} propId Identifier of the property.
+     * @returns {DeviceProperty} The DeviceProperty object if one is found
+     * or undefined otherwise.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceModel#getProperty
+     */
+    getProperty(propId) {
+        return this._properties[propId];
+    }
+
     /**
      * Adds a new device to the device model. If a device with the same ID
      * exists, this method thrown an exception. The caller should populate
@@ -373,6 +575,22 @@ class DeviceModel {
         return this._devices[deviceId];
     }
 
+    /**
+     * Removes a device from the device model.
+     *
+     * @param {string} deviceId The identifier of the device.
+     *
+     * @returns {Device|undefined} The Device object that is removed from the
+     * &nbsp;model, or undefined if no device with the given ID is found.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceModel#removeDevice
+     */
+    removeDevice(deviceId) {
+        const device = this._devices[deviceId];
+        delete this._devices[deviceId];
+        return device;
+    }
+
     /**
      * Checks to see if a device belongs to this DeviceModel.
      *
@@ -16,8 +16,32 @@
 // eslint-disable-next-line no-unused-vars
 import { QueryParam } from "./Hyperion.Data.Adapter";
 
+/**
+ * The events emitted by DataStore, DataView and other event sources:
+ *
+ * - "QueryCompleted": data of a query was fetched, see QueryCompletedEventArgs.
+ * - "QueryFailed": a query was given up on, see QueryFailedEventArgs.
+ * - "DeviceModelsLoaded": device models were loaded from data adapters.
+ * - "DeviceModelChanged": a device model was added or replaced.
+ * - "DeviceAdded" and "DeviceRemoved": a device was added to or removed from
+ *   a loaded device model.
+ * - "CurrentValueChanged": the current value of a property was updated.
+ * - "CacheEvicted": the cached data of a time window was evicted, it is
+ *   fetched again when next requested.
+ * - "DeviceHealthChanged": the health of a device changed, see DeviceHealthMonitor.
+ * - "LiveDataReceived": a live reading updated current values, see LiveDataAdapter.
+ */
 export const EventType = {
     QueryCompleted: "QueryCompleted",
+    QueryFailed: "QueryFailed",
+    DeviceModelsLoaded: "DeviceModelsLoaded",
+    DeviceModelChanged: "DeviceModelChanged",
+    DeviceAdded: "DeviceAdded",
+    DeviceRemoved: "DeviceRemoved",
+    CurrentValueChanged: "CurrentValueChanged",
+    CacheEvicted: "CacheEvicted",
+    DeviceHealthChanged: "DeviceHealthChanged",
+    LiveDataReceived: "LiveDataReceived",
 };
 
 /**
@@ -42,6 +66,321 @@ export class QueryCompletedEventArgs {
     }
 }
 
+/**
+ * Class to encapsulate arguments for a QueryFailed event to be used with {@link EventSource}
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.QueryFailedEventArgs
+ */
+export class QueryFailedEventArgs {
+    /**
+     * The event argument for a QueryFailed event.
+     * @param {QueryParam} query The query parameter this event is meant for.
+     * @param {any} error The reason the query failed.
+     */
+    constructor(query, error) {
+        this._query = query;
+        this._error = error;
+    }
+
+    /**
+     * @returns {QueryParam} The query parameter this event is meant for.
+     */
+    get query() {
+        return this._query;
+    }
+
+    /**
+     * @returns {any} The reason the query failed.
+     */
+    get error() {
+        return this._error;
+    }
+}
+
+/**
+ * Class to encapsulate arguments for a DeviceModelsLoaded event to be used with {@link EventSource}
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.DeviceModelsLoadedEventArgs
+ */
+export class DeviceModelsLoadedEventArgs {
+    /**
+     * The event argument for a DeviceModelsLoaded event.
+     * @param {DeviceModel[]} deviceModels The loaded device models.
+     */
+    constructor(deviceModels) {
+        this._deviceModels = deviceModels;
+    }
+
+    /**
+     * @returns {DeviceModel[]} The loaded device models.
+     */
+    get deviceModels() {
+        return this._deviceModels;
+    }
+}
+
+/**
+ * Class to encapsulate arguments for a DeviceModelChanged event to be used with {@link EventSource}
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.DeviceModelChangedEventArgs
+ */
+export class DeviceModelChangedEventArgs {
+    /**
+     * The event argument for a DeviceModelChanged event.
+     * @param {DeviceModel} deviceModel The device model.
+     * @param {DeviceModel|undefined} previousDeviceModel The device model it replaced, if any.
+     */
+    constructor(deviceModel, previousDeviceModel) {
+        this._deviceModel = deviceModel;
+        this._previousDeviceModel = previousDeviceModel;
+    }
+
+    /**
+     * @returns {DeviceModel} The device model.
+     */
+    get deviceModel() {
+        return this._deviceModel;
+    }
+
+    /**
+     * @returns {DeviceModel|undefined} The device model it replaced, if any.
+     */
+    get previousDeviceModel() {
+        return this._previousDeviceModel;
+    }
+}
+
+/**
+ * Class to encapsulate arguments for a DeviceAdded event to be used with {@link EventSource}
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.DeviceAddedEventArgs
+ */
+export class DeviceAddedEventArgs {
+    /**
+     * The event argument for a DeviceAdded event.
+     * @param {Device} device The device that was added.
+     * @param {DeviceModel} deviceModel The device model the device was added to.
+     */
+    constructor(device, deviceModel) {
+        this._device = device;
+        this._deviceModel = deviceModel;
+    }
+
+    /**
+     * @returns {Device} The device that was added.
+     */
+    get device() {
+        return this._device;
+    }
+
+    /**
+     * @returns {DeviceModel} The device model the device was added to.
+     */
+    get deviceModel() {
+        return this._deviceModel;
+    }
+}
+
+/**
+ * Class to encapsulate arguments for a DeviceRemoved event to be used with {@link EventSource}
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.DeviceRemovedEventArgs
+ */
+export class DeviceRemovedEventArgs {
+    /**
+     * The event argument for a DeviceRemoved event.
+     * @param {Device} device The device that was removed.
+     * @param {DeviceModel} deviceModel The device model the device was removed from.
+     */
+    constructor(device, deviceModel) {
+        this._device = device;
+        this._deviceModel = deviceModel;
+    }
+
+    /**
+     * @returns {Device} The device that was removed.
+     */
+    get device() {
+        return this._device;
+    }
+
+    /**
+     * @returns {DeviceModel} The device model the device was removed from.
+     */
+    get deviceModel() {
+        return this._deviceModel;
+    }
+}
+
+/**
+ * Class to encapsulate arguments for a CurrentValueChanged event to be used with {@link EventSource}
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.CurrentValueChangedEventArgs
+ */
+export class CurrentValueChangedEventArgs {
+    /**
+     * The event argument for a CurrentValueChanged event.
+     * @param {string} deviceId The identifier of the device.
+     * @param {string} propertyId The identifier of the property.
+     * @param {PropertyValue} value The new current value of the property.
+     * @param {PropertyValue|undefined} previousValue The previous current value, if any.
+     */
+    constructor(deviceId, propertyId, value, previousValue) {
+        this._deviceId = deviceId;
+        this._propertyId = propertyId;
+        this._value = value;
+        this._previousValue = previousValue;
+    }
+
+    /**
+     * @returns {string} The identifier of the device.
+     */
+    get deviceId() {
+        return this._deviceId;
+    }
+
+    /**
+     * @returns {string} The identifier of the property.
+     */
+    get propertyId() {
+        return this._propertyId;
+    }
+
+    /**
+     * @returns {PropertyValue} The new current value of the property.
+     */
+    get value() {
+        return this._value;
+    }
+
+    /**
+     * @returns {PropertyValue|undefined} The previous current value, if any.
+     */
+    get previousValue() {
+        return this._previousValue;
+    }
+}
+
+/**
+ * Class to encapsulate arguments for a CacheEvicted event to be used with {@link EventSource}
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.CacheEvictedEventArgs
+ */
+export class CacheEvictedEventArgs {
+    /**
+     * The event argument for a CacheEvicted event.
+     * @param {DateTimeSpan} dateTimeSpan The time window whose cached data was evicted.
+     * @param {string[]} deviceIds The identifiers of the devices whose data was evicted.
+     */
+    constructor(dateTimeSpan, deviceIds) {
+        this._dateTimeSpan = dateTimeSpan;
+        this._deviceIds = deviceIds;
+    }
+
+    /**
+     * @returns {DateTimeSpan} The time window whose cached data was evicted.
+     */
+    get dateTimeSpan() {
+        return this._dateTimeSpan;
+    }
+
+    /**
+     * @returns {string[]} The identifiers of the devices whose data was evicted.
+     */
+    get deviceIds() {
+        return this._deviceIds;
+    }
+}
+
+/**
+ * Class to encapsulate arguments for a DeviceHealthChanged event to be used with {@link EventSource}
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.DeviceHealthChangedEventArgs
+ */
+export class DeviceHealthChangedEventArgs {
+    /**
+     * The event argument for a DeviceHealthChanged event.
+     * @param {string} deviceId The identifier of the device whose health changed.
+     * @param {string} previousHealth The previous health of the device, in DeviceHealth.
+     * @param {string} health The current health of the device, in DeviceHealth.
+     */
+    constructor(deviceId, previousHealth, health) {
+        this._deviceId = deviceId;
+        this._previousHealth = previousHealth;
+        this._health = health;
+    }
+
+    /**
+     * @returns {string} The identifier of the device whose health changed.
+     */
+    get deviceId() {
+        return this._deviceId;
+    }
+
+    /**
+     * @returns {string} The previous health of the device, in DeviceHealth.
+     */
+    get previousHealth() {
+        return this._previousHealth;
+    }
+
+    /**
+     * @returns {string} The current health of the device, in DeviceHealth.
+     */
+    get health() {
+        return this._health;
+    }
+}
+
+/**
+ * Class to encapsulate arguments for a LiveDataReceived event to be used with {@link EventSource}
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.LiveDataReceivedEventArgs
+ */
+export class LiveDataReceivedEventArgs {
+    /**
+     * The event argument for a LiveDataReceived event.
+     * @param {string} deviceId The identifier of the device that reported.
+     * @param {number} timestamp The time of the reading in Unix epoch seconds.
+     * @param {Object.<string, any>} values The new current value of each
+     * property keyed by property identifier.
+     */
+    constructor(deviceId, timestamp, values) {
+        this._deviceId = deviceId;
+        this._timestamp = timestamp;
+        this._values = values;
+    }
+
+    /**
+     * @returns {string} The identifier of the device that reported.
+     */
+    get deviceId() {
+        return this._deviceId;
+    }
+
+    /**
+     * @returns {number} The time of the reading in Unix epoch seconds.
+     */
+    get timestamp() {
+        return this._timestamp;
+    }
+
+    /**
+     * @returns {Object.<string, any>} The new current value of each property
+     * keyed by property identifier.
+     */
+    get values() {
+        return this._values;
+    }
+
+    /**
+     * @returns {string[]} The identifiers of the properties whose current value changed.
+     */
+    get propertyIds() {
+        return Object.keys(this._values);
+    }
+}
+
 /**
  * Base class for publish subscribe handling of events
  * @memberof Autodesk.DataVisualization.Data
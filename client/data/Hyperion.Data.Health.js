@@ -0,0 +1,434 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+import { EventSource, EventType, DeviceHealthChangedEventArgs } from "./Hyperion.Data.Event";
+import { resolutionToSeconds } from "../../shared/Resolution";
+
+/**
+ * The health of a device, as classified by {@link DeviceHealthMonitor}.
+ *
+ * - "online": the device reported within the expected reporting interval of
+ *   its model, allowing for a few missed reports.
+ * - "stale": the device missed more reports, but may still come back.
+ * - "offline": the device has not reported for long, or the data provider
+ *   reports it as disabled.
+ * - "unknown": nothing is known about when the device last reported.
+ */
+export const DeviceHealth = {
+    Online: "online",
+    Stale: "stale",
+    Offline: "offline",
+    Unknown: "unknown",
+};
+
+const DEFAULT_OPTIONS = {
+    reportingInterval: "PT5M",
+    staleAfter: 2,
+    offlineAfter: 10,
+    inactiveStatuses: ["Disabled"],
+};
+
+/**
+ * Gets a last activity time in Unix epoch seconds.
+ * @param {Date|string|number|undefined} time The time as a Date, as an
+ * ISO 8601 string, or in Unix epoch seconds.
+ * @returns {number|undefined} The time, or undefined if it is not valid.
+ */
+function toEpochSeconds(time) {
+    if (time === undefined || time === null || time === "") {
+        return undefined;
+    }
+
+    const seconds = typeof time === "number" ? time : new Date(time).getTime() / 1000;
+    return isFinite(seconds) ? seconds : undefined;
+}
+
+/**
+ * Tracks the health of the devices of a DataStore. Devices are classified as
+ * online, stale or offline by how long ago they last reported compared to the
+ * expected reporting interval of their device model. When devices last
+ * reported is known from their last activity time, as supplied by data
+ * adapters, from the latest non-empty bucket of the aggregated values fetched
+ * for them, whose empty buckets are tracked as data gaps, and from the live
+ * readings received for them, see {@link LiveDataAdapter}.
+ *
+ * A DeviceHealthChanged event is emitted whenever the health of a device
+ * changes. Health is re-evaluated when data is fetched, when 'update' or
+ * 'refresh' is called, and periodically once 'start' is called.
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor
+ * @augments EventSource
+ */
+export class DeviceHealthMonitor extends EventSource {
+    /**
+     * Constructs an instance of DeviceHealthMonitor object.
+     *
+     * @param {DataStore} dataStore The DataStore whose devices are monitored.
+     * @param {Object} [options] How devices are classified.
+     * @param {string} [options.reportingInterval] The reporting interval of
+     * &nbsp;device models that do not define one, as an ISO 8601 duration or in
+     * &nbsp;short form. Defaults to "PT5M".
+     * @param {number} [options.staleAfter] The number of reporting intervals
+     * &nbsp;after which a device that has not reported is stale. Defaults to 2.
+     * @param {number} [options.offlineAfter] The number of reporting intervals
+     * &nbsp;after which a device that has not reported is offline. Defaults to 10.
+     * @param {string[]} [options.inactiveStatuses] The device statuses for which
+     * &nbsp;devices are offline regardless of when they last reported, compared
+     * &nbsp;case-insensitively as the IoT hub registry reports "disabled".
+     * &nbsp;Defaults to ["Disabled"].
+     * @throws {InvalidResolutionError} The reporting interval is not valid.
+     */
+    constructor(dataStore, options = {}) {
+        super();
+
+        this._dataStore = dataStore;
+        this._options = Object.assign({}, DEFAULT_OPTIONS, options);
+        this._defaultInterval = resolutionToSeconds(this._options.reportingInterval);
+
+        // /** @type {Object.<string, number>} */
+        this._reportingIntervals = {};
+
+        // /** @type {Object.<string, string>} */
+        this._health = {};
+
+        // /** @type {Object.<string, number>} */
+        this._lastDataTimes = {};
+
+        // /** @type {Object.<string, Object.<string, Object[]>>} */
+        this._gaps = {};
+
+        this.handleQueryCompleted = this.handleQueryCompleted.bind(this);
+        this.handleLiveDataReceived = this.handleLiveDataReceived.bind(this);
+        this._dataStore.addEventListener(EventType.QueryCompleted, this.handleQueryCompleted);
+        this._dataStore.addEventListener(EventType.LiveDataReceived, this.handleLiveDataReceived);
+    }
+
+    /**
+     * Sets the interval at which devices of a model are expected to report,
+     * &nbsp;overriding the one defined in the device model.
+     *
+     * @param {string} deviceModelId The identifier of the device model.
+     * @param {string|undefined} interval The interval as an ISO 8601 duration
+     * &nbsp;or in short form, e.g. "PT15M". Undefined to use the one defined in
+     * &nbsp;the device model.
+     * @throws {InvalidResolutionError} The interval is not valid.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#setReportingInterval
+     */
+    setReportingInterval(deviceModelId, interval) {
+        if (interval === undefined) {
+            delete this._reportingIntervals[deviceModelId];
+        } else {
+            this._reportingIntervals[deviceModelId] = resolutionToSeconds(interval);
+        }
+    }
+
+    /**
+     * Gets the interval at which devices of a model are expected to report.
+     *
+     * @param {string} deviceModelId The identifier of the device model.
+     * @returns {number} The interval in seconds, as set through
+     * &nbsp;'setReportingInterval', defined in the device model, or given in the
+     * &nbsp;options of this monitor, in that order.
+     * @throws {InvalidResolutionError} The interval of the device model is not valid.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#getReportingInterval
+     */
+    getReportingInterval(deviceModelId) {
+        if (this._reportingIntervals[deviceModelId] !== undefined) {
+            return this._reportingIntervals[deviceModelId];
+        }
+
+        const deviceModel = this._dataStore.getDeviceModel(deviceModelId);
+        return deviceModel && deviceModel.reportingInterval
+            ? resolutionToSeconds(deviceModel.reportingInterval)
+            : this._defaultInterval;
+    }
+
+    /**
+     * Gets when a device last reported, as known from its last activity time
+     * &nbsp;and from the aggregated values fetched for it.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @returns {number|undefined} The time in Unix epoch seconds, or undefined
+     * &nbsp;if it is not known.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#getLastActivity
+     */
+    getLastActivity(deviceId) {
+        const device = this._dataStore.getDevice(deviceId);
+        const times = [
+            device ? toEpochSeconds(device.lastActivityTime) : undefined,
+            this._lastDataTimes[deviceId],
+        ].filter((time) => time !== undefined);
+
+        return times.length ? Math.max(...times) : undefined;
+    }
+
+    /**
+     * Gets the health of a device as of its last evaluation.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @returns {string} The health of the device in DeviceHealth, "unknown" if
+     * &nbsp;it has not been evaluated yet.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#getHealth
+     */
+    getHealth(deviceId) {
+        return this._health[deviceId] || DeviceHealth.Unknown;
+    }
+
+    /**
+     * Gets the devices of a given health as of their last evaluation.
+     *
+     * @param {string} health The health in DeviceHealth.
+     * @returns {Device[]} The devices.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#getDevicesByHealth
+     */
+    getDevicesByHealth(health) {
+        return this._getDevices().filter((device) => this.getHealth(device.id) === health);
+    }
+
+    /**
+     * Gets the data gaps of a device, that is the runs of empty buckets found
+     * &nbsp;in the aggregated values most recently fetched for each property.
+     * &nbsp;Buckets starting after the time the data was fetched are not gaps.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {string} [propertyId] The identifier of a property, to only get its gaps.
+     * @returns {{propertyId: string, startSecond: number, endSecond: number}[]}
+     * &nbsp;The gaps, ordered by property and then by time.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#getGaps
+     */
+    getGaps(deviceId, propertyId) {
+        const gaps = this._gaps[deviceId] || {};
+        const propertyIds = propertyId === undefined ? Object.keys(gaps) : [propertyId];
+        return propertyIds.map((id) => gaps[id] || []).flat();
+    }
+
+    /**
+     * Classifies a device from when it last reported and its status.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {number} [now] The current time in Unix epoch seconds.
+     * @returns {string} The health of the device in DeviceHealth.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#classify
+     */
+    classify(deviceId, now = Date.now() / 1000) {
+        const device = this._dataStore.getDevice(deviceId);
+        const status = device && device.status ? String(device.status).toLowerCase() : undefined;
+        const inactive = this._options.inactiveStatuses.map((s) => String(s).toLowerCase());
+        if (status !== undefined && inactive.includes(status)) {
+            return DeviceHealth.Offline;
+        }
+
+        const lastActivity = this.getLastActivity(deviceId);
+        if (lastActivity === undefined) {
+            return DeviceHealth.Unknown;
+        }
+
+        const deviceModel = this._dataStore.getDeviceModelFromDeviceId(deviceId);
+        const interval = deviceModel
+            ? this.getReportingInterval(deviceModel.id)
+            : this._defaultInterval;
+
+        const age = now - lastActivity;
+        if (age <= interval * this._options.staleAfter) {
+            return DeviceHealth.Online;
+        } else if (age <= interval * this._options.offlineAfter) {
+            return DeviceHealth.Stale;
+        }
+
+        return DeviceHealth.Offline;
+    }
+
+    /**
+     * Re-evaluates the health of all devices of the DataStore, emitting a
+     * &nbsp;DeviceHealthChanged event for each device whose health changed.
+     *
+     * @param {number} [now] The current time in Unix epoch seconds.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#update
+     */
+    update(now = Date.now() / 1000) {
+        this._getDevices().forEach((device) => this._updateDevice(device.id, now));
+    }
+
+    /**
+     * Fetches the status of the devices from the data adapters of the
+     * &nbsp;DataStore, then re-evaluates the health of all devices.
+     *
+     * @returns {Promise<void>} A promise that resolves once health is evaluated.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#refresh
+     */
+    async refresh() {
+        await this._dataStore.fetchDeviceStatusFromAdapters();
+        this.update();
+    }
+
+    /**
+     * Starts re-evaluating the health of all devices periodically.
+     *
+     * @param {number} [intervalMs] The period in milliseconds, defaults to a minute.
+     * @param {boolean} [fetchStatus] True to fetch the status of the devices
+     * &nbsp;from the data adapters each time, see 'refresh'. Defaults to false.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#start
+     */
+    start(intervalMs = 60000, fetchStatus = false) {
+        this.stop();
+        this._timer = setInterval(() => {
+            if (fetchStatus) {
+                this.refresh().catch((err) => console.error(err));
+            } else {
+                this.update();
+            }
+        }, intervalMs);
+    }
+
+    /**
+     * Stops re-evaluating the health of devices periodically.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#stop
+     */
+    stop() {
+        if (this._timer !== undefined) {
+            clearInterval(this._timer);
+            this._timer = undefined;
+        }
+    }
+
+    /**
+     * Stops monitoring the DataStore. The monitor should not be used afterwards.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#dispose
+     */
+    dispose() {
+        this.stop();
+        this._dataStore.removeEventListener(EventType.QueryCompleted, this.handleQueryCompleted);
+        this._dataStore.removeEventListener(
+            EventType.LiveDataReceived,
+            this.handleLiveDataReceived
+        );
+    }
+
+    /**
+     * Handle QueryCompleted event originated from DataStore object, tracking
+     * &nbsp;the data gaps and last reports found in the fetched aggregated values.
+     * @param {QueryCompletedEventArgs} eventArgs The event argument.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#handleQueryCompleted
+     */
+    handleQueryCompleted(eventArgs) {
+        const query = eventArgs.query;
+        const deviceId = query.deviceId;
+        if (deviceId === undefined || !query.dateTimeSpan.resolution) {
+            return; // Only aggregated values of single devices tell about devices.
+        }
+
+        const now = Date.now() / 1000;
+        query.propertyIds.forEach((propertyId) => {
+            // Looking up values must not request them again, or missing values
+            // of an offline device would be fetched over and over.
+            const aggrValues = this._dataStore.peekAggregatedValues(
+                deviceId,
+                propertyId,
+                query.dateTimeSpan
+            );
+
+            if (aggrValues) {
+                const end = query.dateTimeSpan.endSecond;
+                this._trackAggregatedValues(deviceId, propertyId, aggrValues, end, now);
+            }
+        });
+
+        this._updateDevice(deviceId, now);
+    }
+
+    /**
+     * Handle LiveDataReceived event originated from DataStore object, taking
+     * &nbsp;the reading as the latest report of its device.
+     * @param {LiveDataReceivedEventArgs} eventArgs The event argument.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DeviceHealthMonitor#handleLiveDataReceived
+     */
+    handleLiveDataReceived(eventArgs) {
+        const deviceId = eventArgs.deviceId;
+        const lastDataTime = this._lastDataTimes[deviceId];
+        if (lastDataTime === undefined || eventArgs.timestamp > lastDataTime) {
+            this._lastDataTimes[deviceId] = eventArgs.timestamp;
+        }
+
+        this._updateDevice(deviceId, Date.now() / 1000);
+    }
+
+    /**
+     * Records the data gaps and the latest non-empty bucket of aggregated values.
+     * @private
+     */
+    _trackAggregatedValues(deviceId, propertyId, aggrValues, endSecond, now) {
+        const timestamps = aggrValues.tsValues || [];
+        const gapMask = aggrValues.gapMask || [];
+        const end = aggrValues.bucketing ? aggrValues.bucketing.end : endSecond;
+
+        const gaps = [];
+        for (let i = 0; i < timestamps.length && timestamps[i] <= now; i++) {
+            if (!gapMask[i]) {
+                const lastDataTime = this._lastDataTimes[deviceId];
+                this._lastDataTimes[deviceId] = Math.max(lastDataTime || -Infinity, timestamps[i]);
+                continue;
+            }
+
+            const gapEnd = Math.min(i + 1 < timestamps.length ? timestamps[i + 1] : end, now);
+            const previous = gaps[gaps.length - 1];
+            if (previous && previous.endSecond === timestamps[i]) {
+                previous.endSecond = gapEnd;
+            } else {
+                gaps.push({ propertyId, startSecond: timestamps[i], endSecond: gapEnd });
+            }
+        }
+
+        this._gaps[deviceId] = this._gaps[deviceId] || {};
+        this._gaps[deviceId][propertyId] = gaps;
+    }
+
+    /**
+     * Re-evaluates the health of a device, emitting a DeviceHealthChanged event
+     * if it changed.
+     * @private
+     */
+    _updateDevice(deviceId, now) {
+        const previousHealth = this.getHealth(deviceId);
+        const health = this.classify(deviceId, now);
+        this._health[deviceId] = health;
+
+        if (health !== previousHealth) {
+            const eventArgs = new DeviceHealthChangedEventArgs(deviceId, previousHealth, health);
+            this.emit(EventType.DeviceHealthChanged, eventArgs);
+        }
+    }
+
+    /**
+     * Gets all devices of the DataStore.
+     * @private
+     */
+    _getDevices() {
+        return this._dataStore.deviceModels.map((deviceModel) => deviceModel.devices).flat();
+    }
+}
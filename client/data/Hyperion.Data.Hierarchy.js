@@ -0,0 +1,433 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+import {
+    HierarchyLevel,
+    InvalidHierarchyError,
+    validateHierarchy,
+} from "../../shared/Hierarchy.js";
+
+// Levels of the nodes of a shading tree without levels, by depth, matching
+// the twins created by 'convertSurfaceShadingDataToDigitalTwinGraph'.
+const SHADING_LEVELS = [HierarchyLevel.Building, HierarchyLevel.Floor, HierarchyLevel.Room];
+
+/**
+ * A node of the spatial hierarchy devices are placed in, such as a building,
+ * a floor or a room. Each node has at most one parent, any number of child
+ * nodes, and the devices attached to it.
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.HierarchyNode
+ */
+export class HierarchyNode {
+    /**
+     * Constructs a new node. Nodes are created through {@link Hierarchy#addNode}.
+     * @param {string} id Id of the new node
+     * @param {string} level The level of the node in HierarchyLevel
+     */
+    constructor(id, level) {
+        this._id = id;
+        this._level = level;
+        this._name = "";
+        this._parent = undefined;
+        this._children = [];
+        this._deviceIds = [];
+    }
+
+    /**
+     * @param {string} value The optional name of this node.
+     */
+    set name(value) {
+        this._name = value;
+    }
+
+    /**
+     * @param {number[]|undefined} values The identifiers of the elements of the
+     * 3D model this node stands for, such as the walls and floor of a room.
+     */
+    set dbIds(values) {
+        this._dbIds = values;
+    }
+
+    /**
+     * @returns {string} The ID of this node.
+     */
+    get id() {
+        return this._id;
+    }
+
+    /**
+     * @returns {string} The name of this node. If a name was not previously
+     * assigned, the node ID will be returned.
+     */
+    get name() {
+        return this._name || this._id;
+    }
+
+    /**
+     * @returns {string} The level of this node in HierarchyLevel.
+     */
+    get level() {
+        return this._level;
+    }
+
+    /**
+     * @returns {HierarchyNode|undefined} The parent of this node, or undefined
+     * for a root node.
+     */
+    get parent() {
+        return this._parent;
+    }
+
+    /**
+     * @returns {HierarchyNode[]} The child nodes of this node.
+     */
+    get children() {
+        return this._children;
+    }
+
+    /**
+     * @returns {string[]} The identifiers of the devices attached to this node
+     * itself, not to its descendants.
+     */
+    get deviceIds() {
+        return this._deviceIds;
+    }
+
+    /**
+     * @returns {number[]|undefined} The identifiers of the elements of the 3D
+     * model this node stands for.
+     */
+    get dbIds() {
+        return this._dbIds;
+    }
+}
+
+/**
+ * The spatial hierarchy devices are placed in, such as the buildings, floors
+ * and rooms of a site. A hierarchy may have several root nodes.
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.Hierarchy
+ */
+export class Hierarchy {
+    /**
+     * Constructs an empty hierarchy.
+     */
+    constructor() {
+        // /** @type {Object.<string, HierarchyNode>} */
+        this._nodes = {};
+
+        // /** @type {Object.<string, HierarchyNode>} */
+        this._deviceNodes = {};
+    }
+
+    /**
+     * Creates a hierarchy from a flat list of nodes, as supplied by data
+     * &nbsp;adapters. Each node is of the form `{ id, name, level, parentId,
+     * &nbsp;deviceIds, dbIds }`, parents listed before or after their children.
+     *
+     * @param {Object[]} nodes The nodes of the hierarchy.
+     * @returns {Hierarchy} The hierarchy.
+     * @throws {InvalidHierarchyError} The nodes do not form trees.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.Hierarchy.fromNodes
+     */
+    static fromNodes(nodes) {
+        validateHierarchy(nodes);
+
+        const hierarchy = new Hierarchy();
+        nodes.forEach((rawNode) => {
+            const node = new HierarchyNode(rawNode.id, rawNode.level);
+            node.name = rawNode.name;
+            node.dbIds = rawNode.dbIds;
+            hierarchy._nodes[node.id] = node;
+        });
+
+        nodes.forEach((rawNode) => {
+            const node = hierarchy._nodes[rawNode.id];
+            if (rawNode.parentId !== undefined && rawNode.parentId !== null) {
+                node._parent = hierarchy._nodes[rawNode.parentId];
+                node._parent._children.push(node);
+            }
+
+            (rawNode.deviceIds || []).forEach((deviceId) => {
+                hierarchy.attachDevice(deviceId, node.id);
+            });
+        });
+
+        return hierarchy;
+    }
+
+    /**
+     * Creates a hierarchy from a shading tree, as consumed by the surface
+     * &nbsp;shading extension and 'convertSurfaceShadingDataToDigitalTwinGraph'.
+     * &nbsp;Groups of the tree become nodes with children, and its leaf nodes
+     * &nbsp;become nodes with the devices of their shading points attached. Nodes
+     * &nbsp;without a 'level' are taken as buildings, floors and rooms by depth.
+     *
+     * @param {Object} surfaceShadingData The root of the shading tree.
+     * @returns {Hierarchy} The hierarchy.
+     * @throws {InvalidHierarchyError} The tree has duplicate nodes or devices.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.Hierarchy.fromSurfaceShadingData
+     */
+    static fromSurfaceShadingData(surfaceShadingData) {
+        const nodes = [];
+
+        function traverse(shadingNode, parentId, depth) {
+            const level = SHADING_LEVELS[Math.min(depth, SHADING_LEVELS.length - 1)];
+            const points = shadingNode.isGroup ? [] : shadingNode.shadingPoints || [];
+            nodes.push({
+                id: shadingNode.id,
+                name: shadingNode.name,
+                level: shadingNode.level || level,
+                parentId,
+                deviceIds: points.map((point) => point.id),
+                dbIds: shadingNode.dbIds,
+            });
+
+            if (shadingNode.isGroup) {
+                shadingNode.children.forEach((child) => {
+                    traverse(child, shadingNode.id, depth + 1);
+                });
+            }
+        }
+
+        traverse(surfaceShadingData, undefined, 0);
+        return Hierarchy.fromNodes(nodes);
+    }
+
+    /**
+     * @returns {HierarchyNode[]} All nodes of the hierarchy.
+     */
+    get nodes() {
+        return Object.values(this._nodes);
+    }
+
+    /**
+     * @returns {HierarchyNode[]} The nodes without a parent.
+     */
+    get roots() {
+        return this.nodes.filter((node) => !node.parent);
+    }
+
+    /**
+     * Adds a node to the hierarchy.
+     *
+     * @param {string} id The identifier of the node.
+     * @param {string} level The level of the node in HierarchyLevel.
+     * @param {string} [parentId] The identifier of the parent node, undefined
+     * &nbsp;for a root node.
+     * @returns {HierarchyNode} The new node.
+     * @throws {InvalidHierarchyError} A node with the same identifier exists, or
+     * &nbsp;the parent node does not.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.Hierarchy#addNode
+     */
+    addNode(id, level, parentId) {
+        if (this._nodes[id]) {
+            throw new InvalidHierarchyError(`Duplicate node '${id}'`, id);
+        }
+
+        const parent = parentId === undefined ? undefined : this._nodes[parentId];
+        if (parentId !== undefined && !parent) {
+            throw new InvalidHierarchyError(`Node '${id}' has an unknown parent '${parentId}'`, id);
+        }
+
+        const node = new HierarchyNode(id, level);
+        node._parent = parent;
+        if (parent) {
+            parent._children.push(node);
+        }
+
+        this._nodes[id] = node;
+        return node;
+    }
+
+    /**
+     * Attaches a device to a node, detaching it from the node it was attached
+     * &nbsp;to if any.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {string} nodeId The identifier of the node, usually a room.
+     * @throws {InvalidHierarchyError} The node does not exist.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.Hierarchy#attachDevice
+     */
+    attachDevice(deviceId, nodeId) {
+        const node = this._nodes[nodeId];
+        if (!node) {
+            throw new InvalidHierarchyError(`Unknown node '${nodeId}'`, nodeId);
+        }
+
+        this.detachDevice(deviceId);
+        node._deviceIds.push(deviceId);
+        this._deviceNodes[deviceId] = node;
+    }
+
+    /**
+     * Detaches a device from the node it is attached to, if any.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.Hierarchy#detachDevice
+     */
+    detachDevice(deviceId) {
+        const node = this._deviceNodes[deviceId];
+        if (node) {
+            node._deviceIds = node._deviceIds.filter((id) => id !== deviceId);
+            delete this._deviceNodes[deviceId];
+        }
+    }
+
+    /**
+     * Gets a node given its identifier.
+     *
+     * @param {string} nodeId The identifier of the node.
+     * @returns {HierarchyNode|undefined} The node if one is found, or undefined
+     * &nbsp;otherwise.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.Hierarchy#getNode
+     */
+    getNode(nodeId) {
+        return this._nodes[nodeId];
+    }
+
+    /**
+     * Gets the node a device is attached to.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @returns {HierarchyNode|undefined} The node if the device is attached to
+     * &nbsp;one, or undefined otherwise.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.Hierarchy#getNodeOfDevice
+     */
+    getNodeOfDevice(deviceId) {
+        return this._deviceNodes[deviceId];
+    }
+
+    /**
+     * Gets the identifiers of the devices attached to a node or any of its
+     * &nbsp;descendants, e.g. all devices on a floor.
+     *
+     * @param {string} nodeId The identifier of the node.
+     * @returns {string[]} The identifiers of the devices, depth first. The list
+     * &nbsp;is empty if the node does not exist.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.Hierarchy#getDeviceIdsUnder
+     */
+    getDeviceIdsUnder(nodeId) {
+        const deviceIds = [];
+
+        function collect(node) {
+            deviceIds.push(...node.deviceIds);
+            node.children.forEach((child) => collect(child));
+        }
+
+        const node = this._nodes[nodeId];
+        if (node) {
+            collect(node);
+        }
+
+        return deviceIds;
+    }
+
+    /**
+     * Converts the hierarchy into a flat list of nodes, the inverse of
+     * &nbsp;'fromNodes'.
+     *
+     * @returns {Object[]} The nodes, parents before their children.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.Hierarchy#toNodes
+     */
+    toNodes() {
+        const nodes = [];
+
+        function visit(node) {
+            nodes.push({
+                id: node.id,
+                name: node.name,
+                level: node.level,
+                parentId: node.parent ? node.parent.id : undefined,
+                deviceIds: node.deviceIds.slice(0),
+                dbIds: node.dbIds,
+            });
+
+            node.children.forEach((child) => visit(child));
+        }
+
+        this.roots.forEach((root) => visit(root));
+        return nodes;
+    }
+
+    /**
+     * Converts a node and its descendants into a shading tree, as consumed by
+     * &nbsp;the surface shading extension. Nodes with children become groups, and
+     * &nbsp;the others become leaf nodes whose shading points are the devices
+     * &nbsp;attached to them. Devices attached to nodes with children are left
+     * &nbsp;out, as groups have no shading points.
+     *
+     * @param {string} [nodeId] The identifier of the root of the shading tree.
+     * &nbsp;Defaults to the root of the hierarchy.
+     * @param {function(string): Object|undefined} [getShadingPoint] Gets the
+     * &nbsp;shading point of a device given its identifier, of the form
+     * &nbsp;`{ id, position, types, name }`, or undefined to leave the device out.
+     * &nbsp;Defaults to a shading point with only an 'id'.
+     * @returns {Object} The root of the shading tree.
+     * @throws {InvalidHierarchyError} The node does not exist, or none is given
+     * &nbsp;and the hierarchy does not have exactly one root.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.Hierarchy#toSurfaceShadingData
+     */
+    toSurfaceShadingData(nodeId, getShadingPoint) {
+        const roots = this.roots;
+        if (nodeId === undefined && roots.length != 1) {
+            throw new InvalidHierarchyError(
+                `Expecting a single root node, the hierarchy has ${roots.length}`
+            );
+        }
+
+        const root = nodeId === undefined ? roots[0] : this._nodes[nodeId];
+        if (!root) {
+            throw new InvalidHierarchyError(`Unknown node '${nodeId}'`, nodeId);
+        }
+
+        getShadingPoint = getShadingPoint || ((deviceId) => ({ id: deviceId }));
+
+        function convert(node) {
+            if (node.children.length) {
+                return {
+                    id: node.id,
+                    name: node.name,
+                    level: node.level,
+                    isGroup: true,
+                    children: node.children.map((child) => convert(child)),
+                };
+            }
+
+            return {
+                id: node.id,
+                name: node.name,
+                level: node.level,
+                isGroup: false,
+                dbIds: node.dbIds || [],
+                shadingPoints: node.deviceIds
+                    .map((deviceId) => getShadingPoint(deviceId))
+                    .filter((point) => !!point),
+            };
+        }
+
+        return convert(root);
+    }
+}
@@ -0,0 +1,262 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+import { EventType, LiveDataReceivedEventArgs } from "./Hyperion.Data.Event";
+import { PropertyValue } from "./Hyperion.Data.DataModel";
+
+/**
+ * Keeps the current values of properties in a DataStore up to date, as devices
+ * report them. Readings are streamed as Server-Sent Events from the `api/live`
+ * endpoint of the data router, see {@link createDataRouter}, for the devices
+ * and properties subscribed to. Each reading updates the current values of
+ * its properties in the DataStore, see 'DataStore.updateCurrentPropertyValue',
+ * and a LiveDataReceived event is then emitted by the DataStore.
+ *
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.LiveDataAdapter
+ */
+export class LiveDataAdapter {
+    /**
+     * Constructs an instance of LiveDataAdapter object.
+     *
+     * @param {DataStore} dataStore The DataStore whose current values are updated.
+     * @param {string} [provider] The data provider readings are streamed from,
+     * &nbsp;as registered with the data router. Defaults to "synthetic".
+     * @param {string} [baseName] The base URL of the data router.
+     */
+    constructor(dataStore, provider = "synthetic", baseName = "") {
+        this._dataStore = dataStore;
+        this._provider = provider;
+        this._baseName = baseName;
+
+        // /** @type {Object.<string, string[]>} */
+        this._subscriptions = {};
+
+        this._connected = false;
+        this._stream = undefined;
+        this._reopenTimer = undefined;
+    }
+
+    /**
+     * @returns {Object.<string, string[]>} The identifiers of the properties
+     * subscribed to, keyed by device identifier.
+     */
+    get subscriptions() {
+        return this._subscriptions;
+    }
+
+    /**
+     * @returns {boolean} True if readings are being streamed, see 'connect'.
+     */
+    get connected() {
+        return this._connected;
+    }
+
+    /**
+     * Subscribes to the readings of properties of a device. The stream of
+     * &nbsp;readings is reopened if connected.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {string[]} propertyIds The identifiers of the properties.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.LiveDataAdapter#subscribe
+     */
+    subscribe(deviceId, propertyIds) {
+        const subscribed = this._subscriptions[deviceId] || [];
+        const added = propertyIds.filter((propertyId) => !subscribed.includes(propertyId));
+        if (added.length) {
+            this._subscriptions[deviceId] = subscribed.concat(added);
+            this._reopen();
+        }
+    }
+
+    /**
+     * Unsubscribes from the readings of properties of a device. The stream of
+     * &nbsp;readings is reopened if connected.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {string[]} [propertyIds] The identifiers of the properties,
+     * &nbsp;all properties of the device if not given.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.LiveDataAdapter#unsubscribe
+     */
+    unsubscribe(deviceId, propertyIds) {
+        const subscribed = this._subscriptions[deviceId];
+        if (!subscribed) {
+            return;
+        }
+
+        const remaining = propertyIds
+            ? subscribed.filter((propertyId) => !propertyIds.includes(propertyId))
+            : [];
+
+        if (remaining.length) {
+            this._subscriptions[deviceId] = remaining;
+        } else {
+            delete this._subscriptions[deviceId];
+        }
+
+        if (remaining.length != subscribed.length) {
+            this._reopen();
+        }
+    }
+
+    /**
+     * Starts streaming the readings of the subscribed properties. The stream
+     * &nbsp;is only opened while there are subscriptions.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.LiveDataAdapter#connect
+     */
+    connect() {
+        this._connected = true;
+        this._open();
+    }
+
+    /**
+     * Stops streaming readings.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.LiveDataAdapter#disconnect
+     */
+    disconnect() {
+        this._connected = false;
+        this._close();
+    }
+
+    /**
+     * Updates the DataStore with a reading of a device. Readings are received
+     * &nbsp;through the stream opened by 'connect', but may be handed over from
+     * &nbsp;any other source. Only the properties subscribed to are updated, and
+     * &nbsp;values older than the current ones are ignored.
+     *
+     * @param {{deviceId: string, timestamp: number, values: Object.<string, any>}} reading
+     * &nbsp;The reading, with its time in Unix epoch seconds and the values of
+     * &nbsp;properties keyed by property identifier.
+     * @returns {boolean} True if any current value was updated, in which case a
+     * &nbsp;LiveDataReceived event is emitted by the DataStore.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.LiveDataAdapter#receive
+     */
+    receive(reading) {
+        const deviceId = reading.deviceId;
+        const values = {};
+        (this._subscriptions[deviceId] || []).forEach((propertyId) => {
+            const value = reading.values[propertyId];
+            if (value === undefined || value === null) {
+                return;
+            }
+
+            const propertyValue = new PropertyValue(reading.timestamp, value);
+            if (this._dataStore.updateCurrentPropertyValue(deviceId, propertyId, propertyValue)) {
+                values[propertyId] = value;
+            }
+        });
+
+        if (Object.keys(values).length == 0) {
+            return false;
+        }
+
+        const eventArgs = new LiveDataReceivedEventArgs(deviceId, reading.timestamp, values);
+        this._dataStore.emit(EventType.LiveDataReceived, eventArgs);
+        return true;
+    }
+
+    /**
+     * Stops streaming readings, the adapter should not be used afterwards.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.LiveDataAdapter#dispose
+     */
+    dispose() {
+        this.disconnect();
+        this._subscriptions = {};
+    }
+
+    /**
+     * Reopens the stream once subscriptions are done changing, so that many
+     * subscriptions in a row reopen it only once.
+     * @private
+     */
+    _reopen() {
+        if (this._connected && this._reopenTimer === undefined) {
+            this._reopenTimer = setTimeout(() => this._open(), 0);
+        }
+    }
+
+    /**
+     * Opens the stream of readings for the current subscriptions, replacing
+     * the one already open.
+     * @private
+     */
+    _open() {
+        this._close();
+
+        const deviceIds = Object.keys(this._subscriptions);
+        if (!this._connected || deviceIds.length == 0) {
+            return;
+        }
+
+        const propertyIds = [];
+        Object.values(this._subscriptions).forEach((subscribed) => {
+            subscribed
+                .filter((propertyId) => !propertyIds.includes(propertyId))
+                .forEach((propertyId) => propertyIds.push(propertyId));
+        });
+
+        const ps = [
+            `provider=${encodeURIComponent(this._provider)}`,
+            `devices=${deviceIds.map(encodeURIComponent).join(",")}`,
+            `properties=${propertyIds.map(encodeURIComponent).join(",")}`,
+        ];
+
+        // The browser's EventSource, not the one of this library.
+        /* eslint-disable no-undef */
+        this._stream = new globalThis.EventSource(`${this._baseName}/api/live?${ps.join("&")}`);
+        /* eslint-enable no-undef */
+        this._stream.onmessage = (event) => {
+            let reading;
+            try {
+                reading = JSON.parse(event.data);
+            } catch (err) {
+                reading = undefined;
+            }
+
+            if (!reading || typeof reading.values !== "object" || !reading.values) {
+                console.warn("Ignoring malformed live data frame.", event.data);
+                return;
+            }
+
+            this.receive(reading);
+        };
+        this._stream.onerror = (event) => {
+            // The browser reconnects by itself unless the request was refused.
+            console.warn("Live data stream interrupted.", event);
+        };
+    }
+
+    /**
+     * Closes the stream of readings if open.
+     * @private
+     */
+    _close() {
+        if (this._reopenTimer !== undefined) {
+            clearTimeout(this._reopenTimer);
+            this._reopenTimer = undefined;
+        }
+
+        if (this._stream) {
+            this._stream.close();
+            this._stream = undefined;
+        }
+    }
+}
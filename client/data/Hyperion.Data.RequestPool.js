@@ -16,17 +16,37 @@
 // eslint-disable-next-line no-unused-vars
 import { DataStore, DateTimeSpan } from "./Hyperion.Data.Storage";
 import TaskQueue from "../../shared/TaskQueue";
-import { QueryParam } from "./Hyperion.Data.Adapter";
-import { EventType, QueryCompletedEventArgs } from "./Hyperion.Data.Event";
+import { QueryParam, DataRequestError } from "./Hyperion.Data.Adapter";
+import { EventType, QueryCompletedEventArgs, QueryFailedEventArgs } from "./Hyperion.Data.Event";
 
-const requestQueue = new TaskQueue(6, "RequestPoolTaskQueue", true);
+/**
+ * The default options of a RequestPool, see its constructor.
+ */
+const DEFAULT_OPTIONS = {
+    concurrency: 6,
+    debounceDelay: 100,
+    batchingWindow: 1000,
+    priority: 0,
+};
+
+/**
+ * How failed queries are retried, see 'RequestPool.retryPolicy'.
+ */
+const DEFAULT_RETRY_POLICY = {
+    retries: 4,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    jitter: 0.5,
+    retryableStatuses: [408, 429, 500, 502, 503, 504],
+};
 
 /**
  * A request pool that collects all requests for device property data before
  * sending them after a small delay when no further requests are made.
  * The request pool also makes use of TaskQueue to ensure that no more than the
  * intended number of concurrent requests can take place thereby rate limiting
- * the number of outgoing requests.
+ * the number of outgoing requests. Each DataStore owns a request pool, which
+ * owns a TaskQueue unless one is shared with other request pools.
  * @memberof Autodesk.DataVisualization.Data
  * @alias Autodesk.DataVisualization.Data.RequestPool
  */
@@ -35,17 +55,142 @@ export class RequestPool {
      * Constructs an instance of a RequestPool object.
      * @param {DataStore} owningDataStore The DataStore object that owns this
      * instance of RequestPool object.
+     * @param {Object} [options] Options of the request pool:
+     *
+     * - 'concurrency': The number of requests made at the same time.
+     * &nbsp;Defaults to 6. Ignored if 'taskQueue' is given.
+     * - 'debounceDelay': The time in milliseconds without new requests after
+     * &nbsp;which the pooled requests are made. Defaults to 100.
+     * - 'batchingWindow': The longest time in milliseconds requests are pooled
+     * &nbsp;while new ones keep coming in. Defaults to 1000.
+     * - 'priority': The priority of the requests in a shared TaskQueue, those
+     * &nbsp;of higher priority are made first. Defaults to 0.
+     * - 'retryPolicy': How failed queries are retried, see 'retryPolicy'.
+     * - 'taskQueue': The TaskQueue requests are made through, to share the
+     * &nbsp;one of another request pool, see 'taskQueue'. A TaskQueue owned by
+     * &nbsp;this request pool is created if not given.
      */
-    constructor(owningDataStore) {
+    constructor(owningDataStore, options = {}) {
+        options = Object.assign({}, DEFAULT_OPTIONS, options);
         this._dataStore = owningDataStore;
 
+        // /** @type {TaskQueue} */
+        this._taskQueue =
+            options.taskQueue || new TaskQueue(options.concurrency, "RequestPoolTaskQueue", true);
+
+        this._debounceDelay = options.debounceDelay;
+        this._batchingWindow = options.batchingWindow;
+        this._priority = options.priority;
+
         // /** @type {DateTimeSpan} */
         this._dateTimeSpan = null;
 
         // /** @type {Object.<string, string[]>} */
         this._requestedData = {};
 
+        // Aborts the queries of the current time span once superseded.
+        // /** @type {AbortController} */
+        this._abortController = null;
+
         this._throttleTimerId = 0;
+
+        // The time the first of the pooled requests was added at.
+        this._batchStartTime = 0;
+
+        this._retryPolicy = Object.assign({}, DEFAULT_RETRY_POLICY, options.retryPolicy);
+    }
+
+    /**
+     * @returns {TaskQueue} The TaskQueue requests are made through. It may be
+     * passed as 'taskQueue' option to other request pools, usually through
+     * the options of their DataStore, so that they share the same number of
+     * concurrent requests.
+     */
+    get taskQueue() {
+        return this._taskQueue;
+    }
+
+    /**
+     * The time in milliseconds without new requests after which the pooled
+     * requests are made.
+     * @param {number} value
+     */
+    set debounceDelay(value) {
+        this._debounceDelay = value;
+    }
+
+    /**
+     * @returns {number} The time in milliseconds without new requests after
+     * which the pooled requests are made.
+     */
+    get debounceDelay() {
+        return this._debounceDelay;
+    }
+
+    /**
+     * The longest time in milliseconds requests are pooled while new ones keep
+     * coming in.
+     * @param {number} value
+     */
+    set batchingWindow(value) {
+        this._batchingWindow = value;
+    }
+
+    /**
+     * @returns {number} The longest time in milliseconds requests are pooled
+     * while new ones keep coming in.
+     */
+    get batchingWindow() {
+        return this._batchingWindow;
+    }
+
+    /**
+     * The priority of the requests in a shared TaskQueue, those of higher
+     * priority are made first. This applies to requests made afterwards.
+     * @param {number} value
+     */
+    set priority(value) {
+        this._priority = value;
+    }
+
+    /**
+     * @returns {number} The priority of the requests in a shared TaskQueue.
+     */
+    get priority() {
+        return this._priority;
+    }
+
+    /**
+     * Sets how failed queries are retried. Only the given fields are changed,
+     * &nbsp;the others keep their current value:
+     *
+     * - 'retries': The number of times a query is retried before a QueryFailed
+     * &nbsp;event is emitted. Defaults to 4.
+     * - 'baseDelay': The delay in milliseconds before the first retry, doubled
+     * &nbsp;with each further retry. Defaults to 1000.
+     * - 'maxDelay': The longest delay in milliseconds between retries.
+     * &nbsp;Defaults to 30000.
+     * - 'jitter': The fraction of each delay, between 0 and 1, that is randomly
+     * &nbsp;taken off so that failed queries are not retried all at once.
+     * &nbsp;Defaults to 0.5.
+     * - 'retryableStatuses': The HTTP statuses of a DataRequestError that are
+     * &nbsp;worth retrying. A DataRequestError without status, i.e. one where the
+     * &nbsp;data provider could not be reached, is always retried, while other
+     * &nbsp;errors never are. Defaults to 408, 429 and 5xx gateway errors.
+     *
+     * @param {{retries: number, baseDelay: number, maxDelay: number,
+     * jitter: number, retryableStatuses: number[]}} policy
+     */
+    set retryPolicy(policy) {
+        this._retryPolicy = Object.assign({}, this._retryPolicy, policy);
+    }
+
+    /**
+     * @returns {{retries: number, baseDelay: number, maxDelay: number,
+     * jitter: number, retryableStatuses: number[]}} How failed queries are retried.
+     */
+    get retryPolicy() {
+        return Object.assign({}, this._retryPolicy);
     }
 
     /**
@@ -68,7 +213,14 @@ export class RequestPool {
             // request because they won't be retrieved by any UI component
             // anymore (Hyperion operates on a main timeline that governs all
             // other UIs to display sensor data within the time span).
+            // Queries already made for the prior time span are aborted for
+            // the same reason, whether queued or in flight.
             //
+            if (this._abortController) {
+                this._abortController.abort();
+            }
+
+            this._abortController = new AbortController();
             this._dateTimeSpan = dateTimeSpan;
             this._requestedData = {};
         }
@@ -88,15 +240,21 @@ export class RequestPool {
      * Starts or restarts throttle timer. The timer is used to ensure multiple
      * requests are pooled before a batched request is made. If there is an
      * active throttle timer, then clear/restart it so that batch requests begin
-     * only after some idle period without incoming requests.
+     * only after some idle period without incoming requests, unless requests
+     * have been pooled for longer than the batching window.
      * @private
      */
     _startThrottleTimer() {
         if (this._throttleTimerId) {
             clearTimeout(this._throttleTimerId);
             this._throttleTimerId = 0;
+        } else {
+            this._batchStartTime = Date.now();
         }
 
+        const remaining = this._batchStartTime + this._batchingWindow - Date.now();
+        const delay = Math.max(0, Math.min(this._debounceDelay, remaining));
+
         // Only begin processing all requests after a delay.
         this._throttleTimerId = setTimeout(
             (thisObject) => {
@@ -104,7 +262,7 @@ export class RequestPool {
                 thisObject._throttleTimerId = 0;
                 thisObject._beginProcessRequests();
             },
-            100,
+            delay,
             this
         );
     }
@@ -120,6 +278,8 @@ export class RequestPool {
             const query = new QueryParam(that._dateTimeSpan);
             query.deviceId = deviceId;
             query.propertyIds = propIds.slice(0);
+            query.percentiles = that._dataStore.percentiles;
+            query.signal = that._abortController.signal;
             return query;
         });
 
@@ -129,6 +289,8 @@ export class RequestPool {
 
     /**
      * Make a fetch request for a single device with one or more properties.
+     * &nbsp;The request is dropped from the queue, or aborted if in flight, once
+     * &nbsp;the signal of the query is aborted.
      * @param {QueryParam} query The query to execute.
      * @private
      */
@@ -147,15 +309,58 @@ export class RequestPool {
                     that._dataStore.emit(EventType.QueryCompleted, eventArgs);
                 })
                 .catch((reason) => {
-                    reason;
-                    if (retryAttempts++ < 4) {
-                        // Only make few attempts so it won't go on forever.
-                        setTimeout(() => requestQueue.addTask(requestTask), 3000);
+                    if (query.signal.aborted) {
+                        // The query was superseded, there is nothing to report.
+                    } else if (that._shouldRetry(reason, retryAttempts)) {
+                        const delay = that._getRetryDelay(retryAttempts++);
+                        setTimeout(
+                            () =>
+                                that._taskQueue.addTask(
+                                    requestTask,
+                                    false,
+                                    query.signal,
+                                    that._priority
+                                ),
+                            delay
+                        );
+                    } else {
+                        // Notify listeners that the query is given up on.
+                        const eventArgs = new QueryFailedEventArgs(query, reason);
+                        that._dataStore.emit(EventType.QueryFailed, eventArgs);
                     }
                 })
                 .finally(() => finish());
         }
 
-        requestQueue.addTask(requestTask);
+        that._taskQueue.addTask(requestTask, false, query.signal, that._priority);
+    }
+
+    /**
+     * Tells whether a failed query is to be retried, see 'retryPolicy'.
+     * @param {Error} error The error the query failed with.
+     * @param {number} retryAttempts The number of times it has been retried.
+     * @returns {boolean} True if the query is to be retried.
+     * @private
+     */
+    _shouldRetry(error, retryAttempts) {
+        const policy = this._retryPolicy;
+        if (retryAttempts >= policy.retries || !(error instanceof DataRequestError)) {
+            return false;
+        }
+
+        return error.status === undefined || policy.retryableStatuses.includes(error.status);
+    }
+
+    /**
+     * Gets the delay before retrying a failed query, which grows exponentially
+     * with the number of times the query has been retried.
+     * @param {number} retryAttempts The number of times it has been retried.
+     * @returns {number} The delay in milliseconds.
+     * @private
+     */
+    _getRetryDelay(retryAttempts) {
+        const policy = this._retryPolicy;
+        const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, retryAttempts));
+        return delay * (1 - policy.jitter * Math.random());
     }
 }
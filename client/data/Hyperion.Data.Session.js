@@ -30,10 +30,12 @@ let sessionCount = 0;
 class Session {
     /**
      * Constructs a new session object
+     * @param {Object} [options] Options of the DataStore of the session, see
+     * its constructor.
      */
-    constructor() {
+    constructor(options) {
         this._sessionId = `session-${sessionCount++}`;
-        this._dataStore = new DataStore();
+        this._dataStore = new DataStore(options);
     }
 
     /**
@@ -20,14 +20,30 @@
     }]
 */
 
-import { QueryParam } from "./Hyperion.Data.Adapter";
+import { QueryParam, GroupQueryParam, QueryAbortedError } from "./Hyperion.Data.Adapter";
 import { DataAdapter } from "./Hyperion.Data.Adapter";
 // eslint-disable-next-line no-unused-vars
-import { DeviceData, AggregatedValues } from "./Hyperion.Data.DataModel";
+import { DeviceData, AggregatedValues, PropertyValue } from "./Hyperion.Data.DataModel";
 import { DeviceModel, DeviceProperty } from "./Hyperion.Data.DeviceModel";
-// eslint-disable-next-line no-unused-vars
-import { EventSource, QueryCompletedEventArgs, EventType } from "./Hyperion.Data.Event";
+import { Hierarchy } from "./Hyperion.Data.Hierarchy";
+import {
+    EventSource,
+    EventType,
+    QueryCompletedEventArgs,
+    QueryFailedEventArgs,
+    DeviceModelsLoadedEventArgs,
+    DeviceModelChangedEventArgs,
+    DeviceAddedEventArgs,
+    DeviceRemovedEventArgs,
+    CurrentValueChangedEventArgs,
+    CacheEvictedEventArgs,
+} from "./Hyperion.Data.Event";
 import { RequestPool } from "./Hyperion.Data.RequestPool";
+import { toIsoDuration } from "../../shared/Resolution";
+import { TimeZone } from "../../shared/TimeZone";
+import { UnitConversionError, getUnit } from "../../shared/Units.js";
+import { getPaddedRange } from "../../shared/Utility";
+import { matchTags } from "../../shared/GroupAggregation.js";
 
 /**
  * Specifies the start and end points of a window in time,
@@ -49,12 +65,27 @@ class DateTimeSpan {
      * @param {string} resolution The interval at which time series data is to
      * &nbsp;be aggregated. This parameter is specified in ISO-8601 duration format.
      * &nbsp;For example, 1 minute is "PT1M", 1 millisecond is "PT0.001S". For more
-     * &nbsp;information, see https://www.w3.org/TR/xmlschema-2/#duration.
+     * &nbsp;information, see https://www.w3.org/TR/xmlschema-2/#duration. The short
+     * &nbsp;forms "30s", "5m", "1h", "1d" and "1w" are accepted as well. Calendar
+     * &nbsp;months and years such as "P1M", "P3M" or "P1Y" vary in length, and
+     * &nbsp;cannot be combined with shorter units. Time ranges of raw values, which
+     * &nbsp;are not aggregated, leave it undefined.
+     * @param {string} [timeZone] The IANA time zone in which time series data is
+     * &nbsp;to be aggregated, for example "America/Los_Angeles". Daily and weekly
+     * &nbsp;aggregates then start at local midnight, and weeks on Monday. Defaults to
+     * &nbsp;UTC. Timestamps remain expressed in Unix epoch seconds either way.
+     * @throws {InvalidResolutionError} The resolution is not a valid duration.
+     * @throws {InvalidTimeZoneError} The time zone is not a known IANA time zone.
      */
-    constructor(startSecond, endSecond, resolution) {
+    constructor(startSecond, endSecond, resolution, timeZone) {
+        // Validates the resolution, equivalent ones share the same hash code.
+        this._canonicalResolution =
+            resolution === undefined ? undefined : toIsoDuration(resolution);
+
         this._startSecond = startSecond;
         this._endSecond = endSecond;
         this._resolution = resolution;
+        this._timeZone = timeZone ? new TimeZone(timeZone).name : undefined;
     }
 
     /**
@@ -85,14 +116,24 @@ class DateTimeSpan {
         return this._resolution;
     }
 
+    /**
+     * @returns {string|undefined} The IANA time zone in which time series data
+     * &nbsp;is to be aggregated, or undefined for UTC.
+     */
+    get timeZone() {
+        return this._timeZone;
+    }
+
     /**
      * @returns {string} The hash code that represents this instance of
      * &nbsp;DateTimeSpan object. Two instances of the DateTimeSpan objects that
-     * &nbsp;have the same start time, end time and resolution value will produce
-     * &nbsp;the same hash code.
+     * &nbsp;have the same start time, end time, time zone and equivalent resolution
+     * &nbsp;(e.g. "P12M" and "P1Y") will produce the same hash code.
      */
     get hashCode() {
-        return `${this._startSecond}-${this._endSecond}-${this._resolution}`;
+        const resolution = this._canonicalResolution;
+        const hashCode = `${this._startSecond}-${this._endSecond}-${resolution}`;
+        return this._timeZone ? `${hashCode}-${this._timeZone}` : hashCode;
     }
 }
 export { DateTimeSpan };
@@ -117,8 +158,23 @@ class DataView extends EventSource {
         this._deviceProperties = {};
         this._dataStore = dataStore;
 
+        // /** @type {Object.<string, string>} */
+        this._displayUnits = {};
+
+        // /** @type {WeakMap<AggregatedValues, AggregatedValues>} */
+        this._convertedValues = new WeakMap();
+
         this.handleQueryCompleted = this.handleQueryCompleted.bind(this);
+        this.handleQueryFailed = this.handleQueryFailed.bind(this);
+        this.handleCurrentValueChanged = this.handleCurrentValueChanged.bind(this);
+        this.handleCacheEvicted = this.handleCacheEvicted.bind(this);
         this._dataStore.addEventListener(EventType.QueryCompleted, this.handleQueryCompleted);
+        this._dataStore.addEventListener(EventType.QueryFailed, this.handleQueryFailed);
+        this._dataStore.addEventListener(
+            EventType.CurrentValueChanged,
+            this.handleCurrentValueChanged
+        );
+        this._dataStore.addEventListener(EventType.CacheEvicted, this.handleCacheEvicted);
     }
 
     /**
@@ -170,12 +226,52 @@ class DataView extends EventSource {
         this._dateTimeSpan = dateTimeSpan;
     }
 
+    /**
+     * Sets the unit in which the values of a property are to be displayed,
+     * &nbsp;e.g. "Fahrenheit" for a "Temperature" property measured in "Celsius".
+     * &nbsp;Subsequent calls to getAggregatedValues method return values converted
+     * &nbsp;from the unit the property is measured in to this unit.
+     *
+     * @param {string} propertyId The identifier of the property.
+     * @param {string|undefined} unit One of DataUnit, or the symbol or alias of
+     * &nbsp;a unit, e.g. "°F". Undefined to display the values in the unit the
+     * &nbsp;property is measured in.
+     * @throws {UnitConversionError} The unit is not known.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataView#setDisplayUnit
+     */
+    setDisplayUnit(propertyId, unit) {
+        if (unit === undefined || unit === null || unit === "") {
+            delete this._displayUnits[propertyId];
+        } else if (!getUnit(unit)) {
+            throw new UnitConversionError(`Unknown unit '${unit}'`, undefined, unit);
+        } else {
+            this._displayUnits[propertyId] = unit;
+        }
+    }
+
+    /**
+     * Gets the unit in which the values of a property are displayed.
+     *
+     * @param {string} propertyId The identifier of the property.
+     * @returns {string|undefined} The unit set through setDisplayUnit method,
+     * &nbsp;or undefined if the values are displayed in the unit the property is
+     * &nbsp;measured in.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataView#getDisplayUnit
+     */
+    getDisplayUnit(propertyId) {
+        return this._displayUnits[propertyId];
+    }
+
     /**
      * Gets the aggregated values for a property of a given device. Note that
      * &nbsp;this call returns only the aggregated data that was previously loaded
      * &nbsp;through a call to 'fetchDeviceData' function. If the data has not been
      * &nbsp;fetched before, this call returns undefined. In either case the function
-     * &nbsp;returns immediately.
+     * &nbsp;returns immediately. If a display unit is set for the property, the
+     * &nbsp;values and their data ranges are converted to that unit, unless the
+     * &nbsp;property does not declare the unit it is measured in.
      *
      * @param {string} deviceId The identifier of the device whose aggregated
      * &nbsp;property values are to be retrieved.
@@ -184,11 +280,37 @@ class DataView extends EventSource {
      *
      * @returns {AggregatedValues|undefined} The aggregated values of a device
      * &nbsp;property if it has been loaded before, or undefined otherwise.
+     * @throws {UnitConversionError} The display unit of the property measures
+     * &nbsp;another quantity than the unit the property is measured in.
      * @memberof Autodesk.DataVisualization.Data
      * @alias Autodesk.DataVisualization.Data.DataView#getAggregatedValues
      */
     getAggregatedValues(deviceId, propertyId) {
-        return this._dataStore.getAggregatedValues(deviceId, propertyId, this._dateTimeSpan);
+        const aggrValues = this._dataStore.getAggregatedValues(
+            deviceId,
+            propertyId,
+            this._dateTimeSpan
+        );
+
+        const displayUnit = this._displayUnits[propertyId];
+        if (!aggrValues || !displayUnit) {
+            return aggrValues;
+        }
+
+        const deviceModel = this._dataStore.getDeviceModelFromDeviceId(deviceId);
+        const property = deviceModel && deviceModel.getProperty(propertyId);
+        if (!property || !property.dataUnit) {
+            return aggrValues;
+        }
+
+        // Conversions are cached until the display unit changes or new values are fetched.
+        let converted = this._convertedValues.get(aggrValues);
+        if (!converted || converted.unit !== displayUnit) {
+            converted = aggrValues.convertUnit(property.dataUnit, displayUnit);
+            this._convertedValues.set(aggrValues, converted);
+        }
+
+        return converted;
     }
 
     /**
@@ -205,6 +327,64 @@ class DataView extends EventSource {
             this.emit(EventType.QueryCompleted, eventArgs);
         }
     }
+
+    /**
+     * Handle QueryFailed event originated from DataStore object, propagating
+     * &nbsp;it if it is meant for the time window of this DataView object.
+     * @param {QueryFailedEventArgs} eventArgs The event argument.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataView#handleQueryFailed
+     */
+    handleQueryFailed(eventArgs) {
+        const dts = eventArgs.query.dateTimeSpan;
+        if (this._dateTimeSpan && dts.hashCode === this._dateTimeSpan.hashCode) {
+            this.emit(EventType.QueryFailed, eventArgs);
+        }
+    }
+
+    /**
+     * Handle CurrentValueChanged event originated from DataStore object,
+     * &nbsp;propagating it if the property is registered in this DataView object.
+     * @param {CurrentValueChangedEventArgs} eventArgs The event argument.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataView#handleCurrentValueChanged
+     */
+    handleCurrentValueChanged(eventArgs) {
+        const propIds = this._deviceProperties[eventArgs.deviceId];
+        if (propIds && propIds.includes(eventArgs.propertyId)) {
+            this.emit(EventType.CurrentValueChanged, eventArgs);
+        }
+    }
+
+    /**
+     * Handle CacheEvicted event originated from DataStore object, propagating
+     * &nbsp;it if it is meant for the time window of this DataView object.
+     * @param {CacheEvictedEventArgs} eventArgs The event argument.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataView#handleCacheEvicted
+     */
+    handleCacheEvicted(eventArgs) {
+        const dts = eventArgs.dateTimeSpan;
+        if (this._dateTimeSpan && dts.hashCode === this._dateTimeSpan.hashCode) {
+            this.emit(EventType.CacheEvicted, eventArgs);
+        }
+    }
+
+    /**
+     * Stops listening to the owning DataStore object. The DataView object
+     * &nbsp;should not be used afterwards.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataView#dispose
+     */
+    dispose() {
+        this._dataStore.removeEventListener(EventType.QueryCompleted, this.handleQueryCompleted);
+        this._dataStore.removeEventListener(EventType.QueryFailed, this.handleQueryFailed);
+        this._dataStore.removeEventListener(
+            EventType.CurrentValueChanged,
+            this.handleCurrentValueChanged
+        );
+        this._dataStore.removeEventListener(EventType.CacheEvicted, this.handleCacheEvicted);
+    }
 }
 export { DataView };
 
@@ -233,8 +413,15 @@ export { DataView };
 class DataStore extends EventSource {
     /**
      * Constructs a new DataStore object
+     * @param {Object} [options] Options of the DataStore:
+     *
+     * - 'requestPool': The options of the RequestPool aggregated values of
+     * &nbsp;device properties are requested through, see its constructor. Two
+     * &nbsp;DataStore objects only share the number of concurrent requests they
+     * &nbsp;make if given the same 'taskQueue', e.g.
+     * &nbsp;`{ requestPool: { taskQueue: other.requestPool.taskQueue } }`.
      */
-    constructor() {
+    constructor(options = {}) {
         super();
 
         // /** @type {Object.<string, DeviceModel>} */
@@ -243,10 +430,79 @@ class DataStore extends EventSource {
         // /** @type {Object.<string, DeviceData>} */
         this._deviceData = {};
 
+        // Built on first use, see '_getDeviceIndex'.
+        this._deviceIndex = undefined;
+
         // /** @type {DataAdapter[]} */
         this._dataAdapters = [];
 
-        this._requestPool = new RequestPool(this);
+        this._hierarchy = new Hierarchy();
+
+        this._requestPool = new RequestPool(this, options.requestPool);
+
+        // /** @type {Object.<string, DeviceData>} */
+        this._groupData = {};
+
+        // /** @type {Object.<string, Promise>} */
+        this._pendingGroupQueries = {};
+
+        // /** @type {number[]|undefined} */
+        this._percentiles = undefined;
+
+        // Time windows with cached aggregated values, least recently used first.
+        // /** @type {DateTimeSpan[]} */
+        this._timeWindows = [];
+
+        // /** @type {number|undefined} */
+        this._maxCachedTimeWindows = undefined;
+    }
+
+    /**
+     * @returns {RequestPool} The pool aggregated values of device properties
+     * are requested through, e.g. to configure its 'retryPolicy'.
+     */
+    get requestPool() {
+        return this._requestPool;
+    }
+
+    /**
+     * @returns {number[]|undefined} The percentiles retrieved along with the
+     * aggregated values of device properties, or undefined if none is.
+     */
+    get percentiles() {
+        return this._percentiles;
+    }
+
+    /**
+     * The percentiles between 0 and 100 to retrieve along with the aggregated
+     * values of device properties, e.g. [50, 95] for the median and the 95th
+     * percentile. They are then available through 'getPercentileValues' of
+     * AggregatedValues. This only applies to aggregated values that are not
+     * already cached, so it is best set before any data is fetched.
+     * @param {number[]|undefined} values
+     */
+    set percentiles(values) {
+        this._percentiles = values && values.length ? values.slice(0) : undefined;
+    }
+
+    /**
+     * The maximum number of time windows whose aggregated values are cached.
+     * When more time windows are fetched, the aggregated values of the least
+     * recently used one are evicted from the cache and a CacheEvicted event is
+     * emitted. Undefined for no limit, which is the default.
+     * @param {number|undefined} value
+     */
+    set maxCachedTimeWindows(value) {
+        this._maxCachedTimeWindows = value;
+        this._evictTimeWindows();
+    }
+
+    /**
+     * @returns {number|undefined} The maximum number of time windows whose
+     * aggregated values are cached, or undefined if there is no limit.
+     */
+    get maxCachedTimeWindows() {
+        return this._maxCachedTimeWindows;
     }
 
     /**
@@ -263,6 +519,22 @@ class DataStore extends EventSource {
         return Object.values(this._deviceData);
     }
 
+    /**
+     * @returns {Hierarchy} The spatial hierarchy devices are placed in, empty
+     * until loaded through 'loadHierarchyFromAdapters' or set.
+     */
+    get hierarchy() {
+        return this._hierarchy;
+    }
+
+    /**
+     * @param {Hierarchy} value The spatial hierarchy devices are placed in,
+     * e.g. one created from a shading tree through 'fromSurfaceShadingData'.
+     */
+    set hierarchy(value) {
+        this._hierarchy = value || new Hierarchy();
+    }
+
     /**
      * Registers a data adapter in the DataStore. At least one DataAdapter
      * &nbsp;must be registered in the DataStore before device data can be fetched.
@@ -286,7 +558,9 @@ class DataStore extends EventSource {
     }
 
     /**
-     * Begin loading all device models from registered data adapters
+     * Begin loading all device models from registered data adapters. A
+     * DeviceModelsLoaded event is emitted once they are loaded, rather than
+     * events for each device model or device.
      * @returns {Promise<boolean>} Result of device model loading.
      * @memberof Autodesk.DataVisualization.Data
      * @alias Autodesk.DataVisualization.Data.DataStore#loadDeviceModelsFromAdapters
@@ -308,12 +582,263 @@ class DataStore extends EventSource {
                 this._deviceModels[deviceModelId] = deviceModel;
             });
 
+            this._deviceIndex = undefined;
+
+            const eventArgs = new DeviceModelsLoadedEventArgs(this.deviceModels);
+            this.emit(EventType.DeviceModelsLoaded, eventArgs);
+
             return Promise.resolve(true);
         });
     }
 
+    /**
+     * Begin loading the spatial hierarchy devices are placed in from registered
+     * &nbsp;data adapters. The nodes supplied by all data adapters make up a
+     * &nbsp;single hierarchy, which replaces the current one.
+     *
+     * @returns {Promise<Hierarchy>} The loaded hierarchy.
+     * @throws {InvalidHierarchyError} The nodes do not form trees, e.g. two data
+     * &nbsp;adapters supply nodes with the same identifier.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#loadHierarchyFromAdapters
+     */
+    async loadHierarchyFromAdapters() {
+        const loadPromises = this._dataAdapters.map((dataAdapter) => {
+            return dataAdapter.loadHierarchy();
+        });
+
+        return Promise.all(loadPromises).then((nodesList) => {
+            this._hierarchy = Hierarchy.fromNodes(nodesList.flat());
+            return this._hierarchy;
+        });
+    }
+
+    /**
+     * Fetches the status of the devices from registered data adapters, and
+     * &nbsp;updates the status and last activity time of the loaded devices.
+     *
+     * @returns {Promise<Object[]>} The status of each device, of the form
+     * &nbsp;`{ deviceId, status, lastActivityTime }`.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#fetchDeviceStatusFromAdapters
+     */
+    async fetchDeviceStatusFromAdapters() {
+        const fetchPromises = this._dataAdapters.map((dataAdapter) => {
+            return dataAdapter.fetchDeviceStatus();
+        });
+
+        return Promise.all(fetchPromises).then((statusList) => {
+            const allStatus = statusList.flat();
+            allStatus.forEach((deviceStatus) => {
+                const device = this.getDevice(deviceStatus.deviceId);
+                if (device) {
+                    device.status = deviceStatus.status;
+                    if (deviceStatus.lastActivityTime) {
+                        device.lastActivityTime = deviceStatus.lastActivityTime;
+                    }
+                }
+            });
+
+            // Devices are indexed by status.
+            this._deviceIndex = undefined;
+            return allStatus;
+        });
+    }
+
+    /**
+     * Gets the devices attached to a node of the hierarchy or any of its
+     * &nbsp;descendants, e.g. all devices on a floor.
+     *
+     * @param {string} nodeId Identifier of the hierarchy node.
+     * @returns {Device[]} The Device objects, leaving out devices that are not
+     * &nbsp;found in any loaded device model. The list is empty if the node does
+     * &nbsp;not exist.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#getDevicesUnder
+     */
+    getDevicesUnder(nodeId) {
+        return this._hierarchy
+            .getDeviceIdsUnder(nodeId)
+            .map((deviceId) => this.getDevice(deviceId))
+            .filter((device) => !!device);
+    }
+
+    /**
+     * Converts a node of the hierarchy and its descendants into a shading tree,
+     * &nbsp;as consumed by the surface shading extension. The shading points are
+     * &nbsp;the devices attached to the nodes, with their positions and the
+     * &nbsp;properties of their device models as types.
+     *
+     * @param {string} [nodeId] Identifier of the hierarchy node. Defaults to the
+     * &nbsp;root of the hierarchy.
+     * @returns {Object} The root of the shading tree.
+     * @throws {InvalidHierarchyError} The node does not exist, or none is given
+     * &nbsp;and the hierarchy does not have exactly one root.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#getSurfaceShadingData
+     */
+    getSurfaceShadingData(nodeId) {
+        return this._hierarchy.toSurfaceShadingData(nodeId, (deviceId) => {
+            const deviceModel = this.getDeviceModelFromDeviceId(deviceId);
+            const device = deviceModel ? deviceModel.getDevice(deviceId) : undefined;
+            if (!device) {
+                return undefined;
+            }
+
+            return {
+                id: device.id,
+                name: device.name,
+                position: device.position,
+                types: deviceModel.propertyIds,
+            };
+        });
+    }
+
+    /**
+     * Adds a device model to the storage, replacing any device model with the
+     * &nbsp;same identifier, and emits a DeviceModelChanged event.
+     *
+     * @param {DeviceModel} deviceMode The device model to add.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#addDeviceModel
+     */
     addDeviceModel(deviceMode) {
+        const previousDeviceModel = this._deviceModels[deviceMode.id];
         this._deviceModels[deviceMode.id] = deviceMode;
+        this._deviceIndex = undefined;
+
+        const eventArgs = new DeviceModelChangedEventArgs(deviceMode, previousDeviceModel);
+        this.emit(EventType.DeviceModelChanged, eventArgs);
+    }
+
+    /**
+     * Adds a device to a loaded device model, and emits a DeviceAdded event.
+     * &nbsp;The caller should populate the resulting Device object with further
+     * &nbsp;data (e.g. name and position).
+     *
+     * @param {string} deviceModelId Identifier of the device model.
+     * @param {string} deviceId Identifier of the device to add.
+     *
+     * @returns {Device} The Device object that is added to the model.
+     * @throws {Error} The device model is not loaded, or a device with the same
+     * &nbsp;ID already exists in it.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#addDevice
+     */
+    addDevice(deviceModelId, deviceId) {
+        const deviceModel = this._deviceModels[deviceModelId];
+        if (!deviceModel) {
+            throw new Error(`Device model with ID ${deviceModelId} is not loaded`);
+        }
+
+        const device = deviceModel.addDevice(deviceId);
+        this._deviceIndex = undefined;
+
+        this.emit(EventType.DeviceAdded, new DeviceAddedEventArgs(device, deviceModel));
+        return device;
+    }
+
+    /**
+     * Removes a device from its device model along with its cached data, and
+     * &nbsp;emits a DeviceRemoved event.
+     *
+     * @param {string} deviceId Identifier of the device to remove.
+     *
+     * @returns {Device|undefined} The Device object that is removed, or
+     * &nbsp;undefined if the device is not found in any loaded device model.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#removeDevice
+     */
+    removeDevice(deviceId) {
+        const deviceModel = this.getDeviceModelFromDeviceId(deviceId);
+        const device = deviceModel ? deviceModel.removeDevice(deviceId) : undefined;
+        if (!device) {
+            return undefined;
+        }
+
+        delete this._deviceData[deviceId];
+        this._deviceIndex = undefined;
+
+        this.emit(EventType.DeviceRemoved, new DeviceRemovedEventArgs(device, deviceModel));
+        return device;
+    }
+
+    /**
+     * Finds the devices matching all given criteria. Devices are indexed by
+     * &nbsp;identifier, device model, tag and status the first time they are
+     * &nbsp;looked up, so that queries do not scan all devices. The index is
+     * &nbsp;rebuilt whenever device models are loaded or added, and devices are
+     * &nbsp;added or removed through 'addDevice' and 'removeDevice'; call
+     * &nbsp;'reindexDevices' after adding devices to a loaded model directly or
+     * &nbsp;changing their tags or status.
+     *
+     * @param {Object} [criteria] The criteria devices must all match. Devices
+     * &nbsp;are not filtered by criteria that are left out.
+     * @param {string} [criteria.model] Identifier of the device model.
+     * @param {Object.<string, string>} [criteria.tags] The tags devices must all
+     * &nbsp;carry, compared as strings, e.g. { floor: "3" }.
+     * @param {string} [criteria.status] The status of the devices, e.g. "Enabled",
+     * &nbsp;compared case-insensitively as the IoT hub registry reports "disabled".
+     * @param {string} [criteria.text] Text found in the identifier, name,
+     * &nbsp;description or a tag value of the devices, case insensitively.
+     *
+     * @returns {Device[]} The matching devices.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#findDevices
+     */
+    findDevices(criteria = {}) {
+        const index = this._getDeviceIndex();
+
+        // Narrow the devices down by the most selective of the indexed criteria.
+        const candidateSets = [];
+        const deviceModel = this._deviceModels[criteria.model];
+        if (criteria.model !== undefined) {
+            candidateSets.push(deviceModel ? deviceModel.deviceIds : []);
+        }
+
+        const status =
+            criteria.status !== undefined ? String(criteria.status).toLowerCase() : undefined;
+        if (status !== undefined) {
+            candidateSets.push(index.statuses[status] || []);
+        }
+
+        Object.entries(criteria.tags || {}).forEach(([key, value]) => {
+            candidateSets.push(index.tags[`${key}=${value}`] || []);
+        });
+
+        let deviceIds = Object.keys(index.models);
+        if (candidateSets.length) {
+            candidateSets.sort((a, b) => a.length - b.length);
+            deviceIds = candidateSets[0];
+        }
+
+        const text = criteria.text ? String(criteria.text).toLowerCase() : undefined;
+        return deviceIds
+            .map((deviceId) => this.getDevice(deviceId))
+            .filter((device) => {
+                if (!device) {
+                    return false;
+                } else if (criteria.model !== undefined && !deviceModel.contains(device.id)) {
+                    return false;
+                } else if (status !== undefined && String(device.status).toLowerCase() !== status) {
+                    return false;
+                } else if (criteria.tags && !matchTags(device.tags, criteria.tags)) {
+                    return false;
+                }
+
+                return !text || this._getDeviceText(device).includes(text);
+            });
+    }
+
+    /**
+     * Rebuilds the index of devices used by 'findDevices', after devices were
+     * &nbsp;added to a loaded device model or their tags or status changed.
+     *
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#reindexDevices
+     */
+    reindexDevices() {
+        this._deviceIndex = undefined;
     }
 
     /**
@@ -374,12 +899,18 @@ class DataStore extends EventSource {
     /**
      * Fetches device property data based on the query specified. A
      * &nbsp;corresponding data adapter downloads relevant device property
-     * &nbsp;data through the service provider REST APIs.
+     * &nbsp;data through the service provider REST APIs. When the data provider
+     * &nbsp;does not evaluate derived properties, see
+     * &nbsp;'DataAdapter.evaluatesDerivedProperties', the properties they depend
+     * &nbsp;on are fetched along with them so that they can be evaluated
+     * &nbsp;client-side. Data of a query aborted through its 'signal' is
+     * &nbsp;not stored, even if the data adapter did not abort its requests.
      *
      * @param {QueryParam} query Parameters of this query.
      *
      * @returns {Promise<DeviceData>} The aggregated property data for
      * &nbsp;the queried device.
+     * @throws {QueryAbortedError} The query was aborted.
      * @memberof Autodesk.DataVisualization.Data
      * @alias Autodesk.DataVisualization.Data.DataStore#fetchDeviceData
      */
@@ -390,7 +921,80 @@ class DataStore extends EventSource {
         if (!adapter) {
             return Promise.resolve(null);
         } else {
-            return adapter.fetchDeviceData(query).then((deviceData) => {
+            const deviceModel = this.getDeviceModelFromDeviceId(deviceId);
+            const derived = deviceModel ? deviceModel.derivedProperties : undefined;
+            const derivedIds =
+                derived && !adapter.evaluatesDerivedProperties
+                    ? query.propertyIds.filter((id) => derived.has(id))
+                    : [];
+
+            let adapterQuery = query;
+            if (derivedIds.length) {
+                const propertyIds = query.propertyIds.slice(0);
+                derivedIds.forEach((propertyId) => {
+                    derived.getInputs(propertyId).forEach((input) => {
+                        if (!propertyIds.includes(input)) propertyIds.push(input);
+                    });
+                });
+
+                adapterQuery = new QueryParam(query.dateTimeSpan);
+                adapterQuery.deviceId = query.deviceId;
+                adapterQuery.propertyIds = propertyIds;
+                adapterQuery.limit = query.limit;
+                adapterQuery.percentiles = query.percentiles;
+                adapterQuery.signal = query.signal;
+            }
+
+            return adapter.fetchDeviceData(adapterQuery).then((deviceData) => {
+                if (query.signal && query.signal.aborted) {
+                    return Promise.reject(new QueryAbortedError());
+                }
+
+                derivedIds.forEach((propertyId) => {
+                    this._deriveAggregatedValues(
+                        deviceData,
+                        deviceModel.getProperty(propertyId),
+                        derived,
+                        query.dateTimeSpan
+                    );
+                });
+
+                const deviceId = deviceData.id;
+                if (this._deviceData[deviceId]) {
+                    // Local device data exists, merge incoming data.
+                    this._deviceData[deviceId].mergeFrom(deviceData);
+                } else {
+                    // Local device data does not exist, take the incoming data.
+                    this._deviceData[deviceId] = deviceData;
+                }
+
+                this._useTimeWindow(query.dateTimeSpan);
+
+                return Promise.resolve(deviceData);
+            });
+        }
+    }
+
+    /**
+     * Fetches raw (non-aggregated) device property values based on the query
+     * &nbsp;specified. A corresponding data adapter downloads the individual
+     * &nbsp;readings through the service provider REST APIs.
+     *
+     * @param {QueryParam} query Parameters of this query.
+     *
+     * @returns {Promise<DeviceData>} The property data holding raw values
+     * &nbsp;for the queried device.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#fetchRawData
+     */
+    async fetchRawData(query) {
+        const deviceId = query.deviceId;
+        const adapter = this._getAdapterFromDeviceId(deviceId);
+
+        if (!adapter) {
+            return Promise.resolve(null);
+        } else {
+            return adapter.fetchRawData(query).then((deviceData) => {
                 const deviceId = deviceData.id;
                 if (this._deviceData[deviceId]) {
                     // Local device data exists, merge incoming data.
@@ -405,6 +1009,30 @@ class DataStore extends EventSource {
         }
     }
 
+    /**
+     * Gets the cached raw (non-aggregated) values for a property of a given
+     * &nbsp;device within a time window. Unlike 'getAggregatedValues', this call
+     * &nbsp;does not request missing values; they have to be fetched explicitly
+     * &nbsp;through a call to 'fetchRawData'.
+     *
+     * @param {string} deviceId The identifier of the device whose raw
+     * &nbsp;property values are to be retrieved.
+     * @param {string} propertyId The property of the device whose raw
+     * &nbsp;values are to be retrieved.
+     * @param {DateTimeSpan} dateTimeSpan The time range at which raw values
+     * &nbsp;are to be retrieved.
+     *
+     * @returns {PropertyValue[]|undefined} The raw values of a device property
+     * &nbsp;if they have been fetched before, or 'undefined' otherwise.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#getRawValues
+     */
+    getRawValues(deviceId, propertyId, dateTimeSpan) {
+        const dd = this._deviceData[deviceId];
+        const pd = dd ? dd.getPropertyData(propertyId) : undefined;
+        return pd ? pd.getRawValues(dateTimeSpan) : undefined;
+    }
+
     /**
      * Gets the cached aggregated values for a property of a given device within
      * &nbsp;a time window. If the aggregated values have not been downloaded with a
@@ -428,7 +1056,9 @@ class DataStore extends EventSource {
         const pd = dd ? dd.getPropertyData(propertyId) : undefined;
         const av = pd ? pd.getAggregatedValues(dateTimeSpan) : undefined;
 
-        if (!av) {
+        if (av) {
+            this._useTimeWindow(dateTimeSpan);
+        } else {
             // If an aggregated value does not already exist in the cache,
             // place it under pending requests pool so that its value becomes
             // available at a later time.
@@ -440,16 +1070,296 @@ class DataStore extends EventSource {
     }
 
     /**
-     * Updates the current property value for a specific device id
+     * Gets the cached aggregated values for a property of a given device within
+     * &nbsp;a time window, without side effects. Unlike 'getAggregatedValues',
+     * &nbsp;this call neither requests missing values nor marks the time window
+     * &nbsp;as recently used, so that observers of the DataStore can look at what
+     * &nbsp;was fetched without causing more fetches or keeping windows cached.
+     *
+     * @param {string} deviceId The identifier of the device whose aggregated
+     * &nbsp;property values are to be retrieved.
+     * @param {string} propertyId The property of the device whose aggregated
+     * &nbsp;values are to be retrieved.
+     * @param {DateTimeSpan} dateTimeSpan The time range with resolution at which
+     * &nbsp;aggregated values are to be retrieved.
+     *
+     * @returns {AggregatedValues|undefined} The aggregated values of a device
+     * &nbsp;property if they have been fetched before, or 'undefined' otherwise.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#peekAggregatedValues
+     */
+    peekAggregatedValues(deviceId, propertyId, dateTimeSpan) {
+        const dd = this._deviceData[deviceId];
+        const pd = dd ? dd.getPropertyData(propertyId) : undefined;
+        return pd ? pd.getAggregatedValues(dateTimeSpan) : undefined;
+    }
+
+    /**
+     * Fetches device property data aggregated over a group of devices. Groups
+     * &nbsp;listing their devices are fetched through the data adapter of their
+     * &nbsp;first device, groups given by tags through the first registered one.
+     *
+     * @param {GroupQueryParam} query Parameters of this query.
+     *
+     * @returns {Promise<DeviceData>} The aggregated property data of the group,
+     * &nbsp;whose identifier is the group key of the query.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#fetchGroupData
+     */
+    async fetchGroupData(query) {
+        const adapter = query.deviceIds
+            ? this._getAdapterFromDeviceId(query.deviceIds[0])
+            : this._dataAdapters[0];
+
+        if (!adapter) {
+            return Promise.resolve(null);
+        }
+
+        return adapter.fetchGroupData(query).then((groupData) => {
+            const groupKey = groupData.id;
+            if (this._groupData[groupKey]) {
+                this._groupData[groupKey].mergeFrom(groupData);
+            } else {
+                this._groupData[groupKey] = groupData;
+            }
+
+            this._useTimeWindow(query.dateTimeSpan);
+            return groupData;
+        });
+    }
+
+    /**
+     * Gets the cached aggregated values for a property over a group of devices
+     * &nbsp;within a time window. If they have not been fetched yet, they are
+     * &nbsp;requested and this function returns 'undefined'; a QueryCompleted
+     * &nbsp;event carrying a GroupQueryParam is emitted once they are available.
+     * &nbsp;In either case the function returns immediately. A QueryFailed event
+     * &nbsp;is emitted instead if they cannot be fetched.
+     *
+     * @param {Object} group The devices to aggregate over.
+     * @param {string[]} [group.deviceIds] The identifiers of the devices.
+     * @param {Object.<string, string>} [group.tags] The tags devices must all
+     * &nbsp;carry to be in the group, when 'deviceIds' is not given.
+     * @param {string} [group.reducer] How the values of the devices are
+     * &nbsp;combined, one of GroupReducer. Defaults to "avg".
+     * @param {string} propertyId The property whose aggregated values are to be
+     * &nbsp;retrieved.
+     * @param {DateTimeSpan} dateTimeSpan The time range with resolution at which
+     * &nbsp;aggregated values are to be retrieved.
+     *
+     * @returns {AggregatedValues|undefined} The aggregated values of the group
+     * &nbsp;if they have been loaded before, or 'undefined' otherwise.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#getGroupAggregatedValues
+     */
+    getGroupAggregatedValues(group, propertyId, dateTimeSpan) {
+        const query = new GroupQueryParam(dateTimeSpan);
+        query.deviceIds = group.deviceIds;
+        query.tags = group.tags;
+        query.reducer = group.reducer;
+        query.propertyIds = [propertyId];
+
+        const groupKey = query.groupKey;
+        const groupData = this._groupData[groupKey];
+        const av = groupData
+            ? groupData.getPropertyData(propertyId).getAggregatedValues(dateTimeSpan)
+            : undefined;
+
+        const pendingKey = `${groupKey}|${propertyId}|${dateTimeSpan.hashCode}`;
+        if (av) {
+            this._useTimeWindow(dateTimeSpan);
+        } else if (!this._pendingGroupQueries[pendingKey]) {
+            this._pendingGroupQueries[pendingKey] = this.fetchGroupData(query)
+                .then(() => {
+                    const eventArgs = new QueryCompletedEventArgs(query);
+                    this.emit(EventType.QueryCompleted, eventArgs);
+                })
+                .catch((err) => {
+                    const eventArgs = new QueryFailedEventArgs(query, err);
+                    this.emit(EventType.QueryFailed, eventArgs);
+                })
+                .finally(() => delete this._pendingGroupQueries[pendingKey]);
+        }
+
+        return av; // Could be undefined as designed.
+    }
+
+    /**
+     * Evaluates a derived property over the aggregated values of the properties
+     * it depends on, unless the data provider already evaluated it. Evaluating
+     * an expression over aggregates is only exact for linear expressions, e.g.
+     * the sum of several properties; data gateways that evaluate it for every
+     * reading should be preferred for others, e.g. a dew point.
+     *
+     * @param {DeviceData} deviceData The data fetched for the device.
+     * @param {DeviceProperty} property The derived property.
+     * @param {DerivedProperties} derived The derived properties of the device.
+     * @param {DateTimeSpan} dateTimeSpan The time range with resolution at which
+     * &nbsp;the aggregated values were fetched.
+     * @private
+     */
+    _deriveAggregatedValues(deviceData, property, derived, dateTimeSpan) {
+        const propertyData = deviceData.getPropertyData(property.id);
+        const existing = propertyData.getAggregatedValues(dateTimeSpan);
+        if (existing && existing.countValues && existing.countValues.some((count) => count > 0)) {
+            return; // The data provider evaluated the derived property.
+        }
+
+        const inputs = {};
+        derived.getInputs(property.id).forEach((input) => {
+            inputs[input] = deviceData.getPropertyData(input).getAggregatedValues(dateTimeSpan);
+        });
+
+        const inputValues = Object.values(inputs);
+        if (!inputValues.length || inputValues.some((av) => !av)) {
+            return;
+        }
+
+        const evaluate = (seriesName) =>
+            inputValues[0].tsValues.map((_, i) =>
+                derived.evaluate(property.id, (id) => {
+                    const series = inputs[id][seriesName];
+                    return series ? series[i] : null;
+                })
+            );
+
+        const aggrValues = new AggregatedValues(dateTimeSpan);
+        aggrValues.bucketing = inputValues[0].bucketing;
+        aggrValues.tsValues = inputValues[0].tsValues;
+        aggrValues.aggregation = property.aggregation;
+        aggrValues.kind = property.kind;
+        aggrValues.values = evaluate("values");
+        aggrValues.avgValues = evaluate("avgValues");
+        aggrValues.countValues = aggrValues.tsValues.map((_, i) =>
+            Math.min(...inputValues.map((av) => (av.countValues ? av.countValues[i] : 0)))
+        );
+        aggrValues.gapMask = aggrValues.avgValues.map((value) => value === null);
+
+        // Extremes and spreads do not follow from those of the inputs.
+        const nulls = aggrValues.tsValues.map(() => null);
+        aggrValues.minValues = nulls;
+        aggrValues.maxValues = nulls;
+        aggrValues.sumValues = nulls;
+        aggrValues.stdDevValues = nulls;
+
+        aggrValues.setDataRange("avgValues", getPaddedRange(aggrValues.avgValues));
+        aggrValues.setDataRange("values", getPaddedRange(aggrValues.values));
+        propertyData.setAggregatedValues(aggrValues);
+    }
+
+    /**
+     * Updates the current property value for a specific device id, unless it
+     * &nbsp;is older than the current one, and emits a CurrentValueChanged event.
+     * &nbsp;Values are usually pushed by a {@link LiveDataAdapter} as devices
+     * &nbsp;report them.
      *
      * @param {string} deviceId ID of the device that is to be updated
      * @param {string} propertyId ID of the property to be updated
-     * @param {any} value New value of the property
+     * @param {PropertyValue} value New value of the property
+     *
+     * @returns {boolean} True if the current value was updated.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#updateCurrentPropertyValue
      */
     updateCurrentPropertyValue(deviceId, propertyId, value) {
-        if (this._deviceData[deviceId]) {
-            this._deviceData[deviceId].updateCurrentPropertyValue(propertyId, value);
+        if (!this._deviceData[deviceId]) {
+            this._deviceData[deviceId] = new DeviceData(deviceId);
+        }
+
+        const deviceData = this._deviceData[deviceId];
+        const previousValue = deviceData.getPropertyData(propertyId).getCurrentValue();
+        if (!deviceData.updateCurrentPropertyValue(propertyId, value)) {
+            return false;
         }
+
+        const eventArgs = new CurrentValueChangedEventArgs(
+            deviceId,
+            propertyId,
+            value,
+            previousValue
+        );
+        this.emit(EventType.CurrentValueChanged, eventArgs);
+        return true;
+    }
+
+    /**
+     * Evicts the cached aggregated values of a time window, of all devices and
+     * &nbsp;groups of devices, and emits a CacheEvicted event. They are fetched
+     * &nbsp;again the next time they are requested.
+     *
+     * @param {DateTimeSpan} dateTimeSpan The time range with resolution whose
+     * &nbsp;aggregated values are to be evicted.
+     * @returns {string[]} The identifiers of the devices whose aggregated
+     * &nbsp;values were evicted.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#evictTimeWindow
+     */
+    evictTimeWindow(dateTimeSpan) {
+        const hashCode = dateTimeSpan.hashCode;
+        this._timeWindows = this._timeWindows.filter((dts) => dts.hashCode !== hashCode);
+
+        const deviceIds = this.deviceData
+            .filter((deviceData) => {
+                const removed = deviceData.propertyDataList.map((propertyData) =>
+                    propertyData.removeAggregatedValues(dateTimeSpan)
+                );
+                return removed.includes(true);
+            })
+            .map((deviceData) => deviceData.id);
+
+        Object.values(this._groupData).forEach((groupData) => {
+            groupData.propertyDataList.forEach((propertyData) => {
+                propertyData.removeAggregatedValues(dateTimeSpan);
+            });
+        });
+
+        this.emit(EventType.CacheEvicted, new CacheEvictedEventArgs(dateTimeSpan, deviceIds));
+        return deviceIds;
+    }
+
+    /**
+     * Marks a time window as the most recently used one, evicting the least
+     * recently used ones beyond 'maxCachedTimeWindows'.
+     * @param {DateTimeSpan} dateTimeSpan The time window.
+     * @private
+     */
+    _useTimeWindow(dateTimeSpan) {
+        const hashCode = dateTimeSpan.hashCode;
+        const last = this._timeWindows[this._timeWindows.length - 1];
+        if (last && last.hashCode === hashCode) {
+            return; // Already the most recently used one.
+        }
+
+        this._timeWindows = this._timeWindows.filter((dts) => dts.hashCode !== hashCode);
+        this._timeWindows.push(dateTimeSpan);
+        this._evictTimeWindows();
+    }
+
+    /**
+     * Evicts the least recently used time windows beyond 'maxCachedTimeWindows'.
+     * @private
+     */
+    _evictTimeWindows() {
+        const max = this._maxCachedTimeWindows;
+        while (max !== undefined && max !== null && this._timeWindows.length > max) {
+            this.evictTimeWindow(this._timeWindows[0]);
+        }
+    }
+
+    /**
+     * Gets the current value of a property of a given device.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {string} propertyId The identifier of the property.
+     *
+     * @returns {PropertyValue|undefined} The latest value of the property, or
+     * &nbsp;'undefined' if none is known.
+     * @memberof Autodesk.DataVisualization.Data
+     * @alias Autodesk.DataVisualization.Data.DataStore#getCurrentPropertyValue
+     */
+    getCurrentPropertyValue(deviceId, propertyId) {
+        const dd = this._deviceData[deviceId];
+        return dd ? dd.getPropertyData(propertyId).getCurrentValue() : undefined;
     }
 
     /**
@@ -463,11 +1373,76 @@ class DataStore extends EventSource {
      * @private
      */
     _getDeviceModelIdFromDeviceId(deviceId) {
+        const deviceModelId = this._getDeviceIndex().models[deviceId];
+        if (deviceModelId && this._deviceModels[deviceModelId].contains(deviceId)) {
+            return deviceModelId;
+        }
+
+        // The device may have been added after the index was built.
         const deviceModels = Object.values(this._deviceModels);
         const deviceModel = deviceModels.find((dm) => dm.contains(deviceId));
         return deviceModel ? deviceModel.id : undefined;
     }
 
+    /**
+     * Gets the index of all devices in the loaded device models, building it
+     * if needed. Tags whose values are not strings, numbers or booleans, such
+     * as positions, are not indexed.
+     *
+     * @returns {{models: Object.<string, string>, tags: Object.<string, string[]>,
+     * statuses: Object.<string, string[]>}} The identifier of the device model
+     * of each device, and the identifiers of the devices for each "key=value"
+     * tag and each status.
+     * @private
+     */
+    _getDeviceIndex() {
+        if (this._deviceIndex) {
+            return this._deviceIndex;
+        }
+
+        const index = { models: {}, tags: {}, statuses: {} };
+        const add = (entries, key, deviceId) => {
+            entries[key] = entries[key] || [];
+            entries[key].push(deviceId);
+        };
+
+        Object.values(this._deviceModels).forEach((deviceModel) => {
+            deviceModel.devices.forEach((device) => {
+                index.models[device.id] = deviceModel.id;
+                if (device.status !== undefined) {
+                    add(index.statuses, String(device.status).toLowerCase(), device.id);
+                }
+
+                Object.entries(device.tags).forEach(([key, value]) => {
+                    if (["string", "number", "boolean"].includes(typeof value)) {
+                        add(index.tags, `${key}=${value}`, device.id);
+                    }
+                });
+            });
+        });
+
+        this._deviceIndex = index;
+        return index;
+    }
+
+    /**
+     * Gets the text of a device searched by 'findDevices'.
+     *
+     * @param {Device} device The device.
+     * @returns {string} The identifier, name, description and tag values of the
+     * device, in lower case.
+     * @private
+     */
+    _getDeviceText(device) {
+        const tagValues = Object.values(device.tags).filter((value) =>
+            ["string", "number", "boolean"].includes(typeof value)
+        );
+
+        return [device.id, device.name, device.description || "", ...tagValues]
+            .join("\n")
+            .toLowerCase();
+    }
+
     /**
      * Find the corresponding DataAdapter ID given a device ID.
      *
@@ -17,6 +17,9 @@
 
 import {
     QueryParam,
+    GroupQueryParam,
+    DataRequestError,
+    QueryAbortedError,
     DataAdapter,
     AzureDataAdapter,
     RestApiDataAdapter,
@@ -31,14 +34,62 @@ import {
 
 import { Device, DeviceProperty, DeviceModel } from "./Hyperion.Data.DeviceModel.js";
 
-import { EventType, EventSource, QueryCompletedEventArgs } from "./Hyperion.Data.Event.js";
+import { Hierarchy, HierarchyNode } from "./Hyperion.Data.Hierarchy.js";
+
+import {
+    EventType,
+    EventSource,
+    QueryCompletedEventArgs,
+    QueryFailedEventArgs,
+    DeviceModelsLoadedEventArgs,
+    DeviceModelChangedEventArgs,
+    DeviceAddedEventArgs,
+    DeviceRemovedEventArgs,
+    CurrentValueChangedEventArgs,
+    CacheEvictedEventArgs,
+    DeviceHealthChangedEventArgs,
+    LiveDataReceivedEventArgs,
+} from "./Hyperion.Data.Event.js";
+
+import { DeviceHealth, DeviceHealthMonitor } from "./Hyperion.Data.Health.js";
+
+import { LiveDataAdapter } from "./Hyperion.Data.Live.js";
 
 import { Session } from "./Hyperion.Data.Session.js";
 
 import { DateTimeSpan, DataView, DataStore } from "./Hyperion.Data.Storage.js";
 
+import {
+    InvalidResolutionError,
+    parseResolution,
+    resolutionToSeconds,
+    toIsoDuration,
+} from "../../shared/Resolution.js";
+
+import { InvalidTimeZoneError } from "../../shared/TimeZone.js";
+
+import { AggregationMode, PropertyKind } from "../../shared/Aggregation.js";
+
+import {
+    Quantity,
+    DataUnit,
+    UnitConversionError,
+    registerUnit,
+    getUnit,
+    convertValue,
+} from "../../shared/Units.js";
+
+import { Expression, InvalidExpressionError } from "../../shared/Expression.js";
+
+import { GroupReducer, InvalidGroupError } from "../../shared/GroupAggregation.js";
+
+import { HierarchyLevel, InvalidHierarchyError } from "../../shared/Hierarchy.js";
+
 export {
     QueryParam,
+    GroupQueryParam,
+    DataRequestError,
+    QueryAbortedError,
     DataAdapter,
     AzureDataAdapter,
     RestApiDataAdapter,
@@ -49,11 +100,44 @@ export {
     Device,
     DeviceProperty,
     DeviceModel,
+    Hierarchy,
+    HierarchyNode,
     EventType,
     EventSource,
     QueryCompletedEventArgs,
+    QueryFailedEventArgs,
+    DeviceModelsLoadedEventArgs,
+    DeviceModelChangedEventArgs,
+    DeviceAddedEventArgs,
+    DeviceRemovedEventArgs,
+    CurrentValueChangedEventArgs,
+    CacheEvictedEventArgs,
+    DeviceHealthChangedEventArgs,
+    LiveDataReceivedEventArgs,
+    DeviceHealth,
+    DeviceHealthMonitor,
+    LiveDataAdapter,
     Session,
     DateTimeSpan,
     DataView,
     DataStore,
+    InvalidResolutionError,
+    parseResolution,
+    resolutionToSeconds,
+    toIsoDuration,
+    InvalidTimeZoneError,
+    AggregationMode,
+    PropertyKind,
+    Quantity,
+    DataUnit,
+    UnitConversionError,
+    registerUnit,
+    getUnit,
+    convertValue,
+    Expression,
+    InvalidExpressionError,
+    GroupReducer,
+    InvalidGroupError,
+    HierarchyLevel,
+    InvalidHierarchyError,
 };
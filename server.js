@@ -2,10 +2,33 @@ const AzureGateway = require("./server/gateways/Hyperion.Server.AzureGateway");
 const CsvDataGateway = require("./server/gateways/Hyperion.Server.CsvGateway");
 const DataGateway = require("./server/gateways/Hyperion.Server.DataGateway");
 const SyntheticGateway = require("./server/gateways/Hyperion.Server.SyntheticGateway");
+const { createDataRouter } = require("./server/router/Hyperion.Server.DataRouter");
+const LiveBroadcaster = require("./server/router/Hyperion.Server.LiveBroadcaster");
+const { Bucketing, BucketingError } = require("./shared/Bucketing");
+const {
+    AggregationMode,
+    InvalidAggregationModeError,
+    PropertyKind,
+    InvalidPropertyKindError,
+} = require("./shared/Aggregation");
+const { GroupReducer, InvalidGroupError } = require("./shared/GroupAggregation");
+const { HierarchyLevel, InvalidHierarchyError } = require("./shared/Hierarchy");
 
 module.exports = {
     AzureGateway,
     CsvDataGateway,
     DataGateway,
     SyntheticGateway,
+    createDataRouter,
+    LiveBroadcaster,
+    Bucketing,
+    BucketingError,
+    AggregationMode,
+    InvalidAggregationModeError,
+    PropertyKind,
+    InvalidPropertyKindError,
+    GroupReducer,
+    InvalidGroupError,
+    HierarchyLevel,
+    InvalidHierarchyError,
 };
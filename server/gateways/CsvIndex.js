@@ -0,0 +1,327 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const FS = require("fs");
+const ES = require("event-stream");
+const { readBytes, readHeader } = require("./FileUtility.js");
+
+/**
+ * A sidecar index of a CSV file ("<file>.idx") maps the time of every n-th row
+ * to its byte offset, so that reading can start right before a given time
+ * instead of at the beginning of the file. The index remembers how far the CSV
+ * file has been indexed, along with its size and modification time. When the
+ * CSV file changes, rows appended to it are indexed incrementally; the index is
+ * only rebuilt when the file shrank or its header or last indexed row changed.
+ *
+ *  index = {
+ *      version: 2,
+ *      size: 52428800,
+ *      mtimeMs: 1609459200000,
+ *      delimiter: "\t",
+ *      lineBreak: "\n",
+ *      timeStampColumn: "time",
+ *      interval: 1000,
+ *      sorted: true,
+ *      header: "time\tTemperature\tHumidity",
+ *      dataOffset: 26,
+ *      rows: 1728000,
+ *      lastTime: 1626739170,
+ *      offset: 52428800,
+ *      lastLine: { offset: 52428768, text: "2021-07-20T00:00:00Z\t23.5\t46.0" },
+ *      entries: [
+ *          [1609459200, 26],
+ *          [1609459800, 31026],
+ *          ...
+ *      ]
+ *  }
+ */
+const INDEX_VERSION = 2;
+const DEFAULT_INTERVAL = 1000;
+
+var CsvIndex = {};
+
+// Indices loaded by this process, and indices currently being built.
+const loadedIndices = {};
+const pendingBuilds = {};
+
+function getFormat(options) {
+    return {
+        delimiter: options.delimiter || "\t",
+        lineBreak: options.lineBreak || "\n",
+        timeStampColumn: options.timeStampColumn || "time",
+        interval: options.interval || DEFAULT_INTERVAL,
+    };
+}
+
+function isSameFormat(index, format) {
+    return (
+        index &&
+        index.version === INDEX_VERSION &&
+        index.delimiter === format.delimiter &&
+        index.lineBreak === format.lineBreak &&
+        index.timeStampColumn === format.timeStampColumn &&
+        index.interval === format.interval
+    );
+}
+
+/**
+ * Checks if a CSV file only had rows appended since it was last indexed, by
+ * comparing its header and the last indexed line.
+ */
+async function isAppendedTo(filePath, index, size) {
+    if (index.header === undefined || size < index.offset) {
+        return false;
+    } else if ((await readHeader(filePath, index.lineBreak)) !== index.header) {
+        return false;
+    }
+
+    const lastLine = index.lastLine;
+    if (!lastLine) {
+        return true;
+    }
+
+    const length = Buffer.byteLength(lastLine.text);
+    return (await readBytes(filePath, lastLine.offset, length)) === lastLine.text;
+}
+
+/**
+ * Indexes the rows of a CSV file from where the index stopped to the end of
+ * the file. The last line is left out unless terminated by a line break, as
+ * more may still be written to it.
+ */
+function consume(filePath, index) {
+    const lineBreakBytes = Buffer.byteLength(index.lineBreak);
+    let timeIndex;
+    if (index.header !== undefined) {
+        timeIndex = index.header
+            .split(index.delimiter)
+            .findIndex((item) => item.trim() == index.timeStampColumn);
+    }
+
+    function processLine(line) {
+        const lineOffset = index.offset;
+        index.offset += Buffer.byteLength(line) + lineBreakBytes;
+
+        if (index.header === undefined) {
+            index.header = line;
+            index.dataOffset = index.offset;
+            timeIndex = line
+                .split(index.delimiter)
+                .findIndex((item) => item.trim() == index.timeStampColumn);
+        } else if (line.trim() !== "") {
+            const time = CsvIndex.parseTime(line.split(index.delimiter)[timeIndex]);
+            if (isNaN(time)) {
+                return; // Malformed rows are skipped when read.
+            }
+
+            index.sorted = index.sorted && (index.lastTime === null || time >= index.lastTime);
+            index.lastTime = time;
+            index.lastLine = { offset: lineOffset, text: line };
+
+            if (index.rows++ % index.interval == 0) {
+                index.entries.push([time, lineOffset]);
+            }
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        let heldLine;
+
+        FS.createReadStream(filePath, { start: index.offset })
+            .pipe(ES.split(index.lineBreak))
+            .pipe(
+                ES.mapSync((line) => {
+                    // A line is only known to be complete once the next one starts.
+                    if (heldLine !== undefined) {
+                        processLine(heldLine);
+                    }
+                    heldLine = line;
+                })
+            )
+            .on("error", reject)
+            .on("end", resolve);
+    });
+}
+
+async function writeIndex(filePath, index) {
+    try {
+        await FS.promises.writeFile(CsvIndex.getIndexPath(filePath), JSON.stringify(index));
+    } catch (err) {
+        // The index still serves this process even if it cannot be persisted.
+        console.error("Unable to write CSV index file. " + err);
+    }
+}
+
+/**
+ * Converts the time stamp column of a CSV row into Epoch seconds.
+ * @param {string|undefined} value The time stamp as found in the CSV file,
+ * undefined if the row is too short to have one.
+ * @returns {number} Time expressed in Unix Epoch seconds, NaN if the row has
+ * no valid time stamp.
+ */
+CsvIndex.parseTime = function (value) {
+    if (typeof value !== "string") {
+        return NaN;
+    }
+
+    return Math.round(new Date(value.trim()).getTime() / 1000);
+};
+
+/**
+ * Gets the path of the sidecar index file of a CSV file.
+ * @param {string} filePath Path to the CSV file.
+ * @returns {string} Path to the index file.
+ */
+CsvIndex.getIndexPath = function (filePath) {
+    return filePath + ".idx";
+};
+
+/**
+ * Builds the index of a CSV file and writes it next to the CSV file.
+ *
+ * @param {string} filePath Path to the CSV file.
+ * @param {Object} [options] Format of the CSV file.
+ * @param {string} [options.delimiter] Column delimiter, defaults to tab.
+ * @param {string} [options.lineBreak] Line break, defaults to "\n".
+ * @param {string} [options.timeStampColumn] Name of the time column, defaults to "time".
+ * @param {number} [options.interval] Number of rows between two index entries.
+ *
+ * @returns {Promise<Object>} The index of the CSV file.
+ */
+CsvIndex.buildIndex = async function (filePath, options = {}) {
+    const stat = await FS.promises.stat(filePath);
+    const index = Object.assign({ version: INDEX_VERSION }, getFormat(options), {
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+        sorted: true,
+        header: undefined,
+        dataOffset: 0,
+        rows: 0,
+        lastTime: null,
+        offset: 0,
+        lastLine: null,
+        entries: [],
+    });
+
+    await consume(filePath, index);
+    await writeIndex(filePath, index);
+    return index;
+};
+
+/**
+ * Brings the index of a CSV file up-to-date with rows appended to it, and
+ * writes it next to the CSV file. The given index is left untouched.
+ *
+ * @param {string} filePath Path to the CSV file.
+ * @param {Object} index The index of the CSV file before rows were appended.
+ *
+ * @returns {Promise<Object>} The extended index of the CSV file.
+ */
+CsvIndex.extendIndex = async function (filePath, index) {
+    const stat = await FS.promises.stat(filePath);
+    const extended = Object.assign({}, index, {
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+        entries: index.entries.slice(0),
+    });
+
+    await consume(filePath, extended);
+    await writeIndex(filePath, extended);
+    return extended;
+};
+
+/**
+ * Gets the index of a CSV file, loading it from its sidecar file, extending it
+ * if rows were appended to the CSV file since, or building it if the sidecar
+ * file is missing or the CSV file was otherwise modified.
+ *
+ * @param {string} filePath Path to the CSV file.
+ * @param {Object} [options] Format of the CSV file, see {@link CsvIndex.buildIndex}.
+ *
+ * @returns {Promise<Object>} The up-to-date index of the CSV file.
+ */
+CsvIndex.getIndex = async function (filePath, options = {}) {
+    const stat = await FS.promises.stat(filePath);
+    const format = getFormat(options);
+    const isValid = (index) =>
+        isSameFormat(index, format) && index.size === stat.size && index.mtimeMs === stat.mtimeMs;
+
+    if (isValid(loadedIndices[filePath])) {
+        return loadedIndices[filePath];
+    }
+
+    let index = loadedIndices[filePath];
+    if (!isSameFormat(index, format)) {
+        try {
+            const data = await FS.promises.readFile(CsvIndex.getIndexPath(filePath), "utf8");
+            index = JSON.parse(data);
+        } catch (err) {
+            index = undefined; // Missing or corrupted index file, build a new one.
+        }
+    }
+
+    if (!isValid(index)) {
+        if (!pendingBuilds[filePath]) {
+            const previous = isSameFormat(index, format) ? index : undefined;
+            pendingBuilds[filePath] = (async () => {
+                if (previous && (await isAppendedTo(filePath, previous, stat.size))) {
+                    return CsvIndex.extendIndex(filePath, previous);
+                }
+
+                // Rows were rewritten rather than appended, index from scratch.
+                return CsvIndex.buildIndex(filePath, options);
+            })().finally(() => {
+                delete pendingBuilds[filePath];
+            });
+        }
+
+        index = await pendingBuilds[filePath];
+    }
+
+    loadedIndices[filePath] = index;
+    return index;
+};
+
+/**
+ * Finds the byte offset from which a CSV file is to be read so that no row at
+ * or after a given time is missed.
+ *
+ * @param {Object} index The index of the CSV file.
+ * @param {number} second The time expressed in Unix Epoch seconds.
+ *
+ * @returns {number} The byte offset of a row that comes before any row at or
+ * after the given time.
+ */
+CsvIndex.findOffset = function (index, second) {
+    let lower = 0;
+    let upper = index.entries.length - 1;
+    let offset = index.dataOffset;
+
+    // Find the last entry strictly before the given time, rows sharing the
+    // same time as an entry may precede it.
+    while (lower <= upper) {
+        const middle = (lower + upper) >> 1;
+        if (index.entries[middle][0] < second) {
+            offset = index.entries[middle][1];
+            lower = middle + 1;
+        } else {
+            upper = middle - 1;
+        }
+    }
+
+    return offset;
+};
+
+module.exports = CsvIndex;
@@ -0,0 +1,417 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const FS = require("fs");
+const Path = require("path");
+const ES = require("event-stream");
+const CsvIndex = require("./CsvIndex.js");
+const { readBytes, readHeader } = require("./FileUtility.js");
+
+/**
+ * Rollups of a CSV file are the statistics of all its numeric columns over
+ * fixed, epoch-aligned buckets of 1 minute, 5 minutes, 1 hour and 1 day. Each
+ * rollup is materialized in its own file ("<file>.<seconds>.rollup") with one
+ * JSON array per line for each completed bucket, where each column is held as
+ * [count, sum, sumOfSquares, min, max]:
+ *
+ *  [1609459200, [[6, 135, 3055.5, 20, 25], [6, 267, 11897, 40, 49]]]
+ *
+ * The rollup state ("<file>.rollup.json") records how far the CSV file has been
+ * consumed, so that rows appended later are rolled up incrementally, along with
+ * the bucket each rollup is still accumulating:
+ *
+ *  state = {
+ *      version: 1,
+ *      delimiter: "\t",
+ *      lineBreak: "\n",
+ *      timeStampColumn: "time",
+ *      header: "time\tTemperature\tHumidity",
+ *      columns: ["Temperature", "Humidity"],
+ *      sorted: true,
+ *      lastTime: 1609545000,
+ *      source: {
+ *          size: 52428800,
+ *          mtimeMs: 1609459200000,
+ *          offset: 52428800,
+ *          lastLine: { offset: 52428768, text: "2021-01-01T23:50:00Z\t23.5\t46.0" }
+ *      },
+ *      rollups: {
+ *          "60": { lines: 1439, size: 95432, entries: [[1609459200, 0], ...], pending: [...] },
+ *          ...
+ *      }
+ *  }
+ *
+ * Rollups require rows to be appended in chronological order. A CSV file that
+ * is not is marked as unsorted and its rollups are not used.
+ */
+const ROLLUP_VERSION = 1;
+const ROLLUP_SECONDS = [60, 300, 3600, 86400];
+const ENTRY_INTERVAL = 1000; // Rollup lines between two offset entries.
+const FLUSH_LINES = 10000; // Rollup lines buffered before writing to file.
+
+var CsvRollup = {};
+
+/**
+ * The length in seconds of the buckets of each rollup, from finest to coarsest.
+ */
+CsvRollup.resolutions = ROLLUP_SECONDS;
+
+// States loaded by this process, and the refreshes and reads of each CSV file
+// waiting to be carried out.
+const loadedStates = {};
+const queues = {};
+
+function getStatePath(filePath, folder) {
+    return Path.join(folder, Path.basename(filePath) + ".rollup.json");
+}
+
+function getDataPath(filePath, folder, seconds) {
+    return Path.join(folder, `${Path.basename(filePath)}.${seconds}.rollup`);
+}
+
+function isSameFormat(state, options) {
+    return (
+        state &&
+        state.version === ROLLUP_VERSION &&
+        state.delimiter === options.delimiter &&
+        state.lineBreak === options.lineBreak &&
+        state.timeStampColumn === options.timeStampColumn
+    );
+}
+
+/**
+ * Carries out a task once all refreshes and reads of a CSV file queued before
+ * it are done, so that rollups are never read while being modified.
+ */
+function enqueue(filePath, task) {
+    const queued = (queues[filePath] || Promise.resolve()).then(task);
+    const settled = queued.catch(() => undefined);
+    queues[filePath] = settled;
+    settled.then(() => {
+        if (queues[filePath] === settled) {
+            delete queues[filePath];
+        }
+    });
+
+    return queued;
+}
+
+async function readState(statePath) {
+    try {
+        return JSON.parse(await FS.promises.readFile(statePath, "utf8"));
+    } catch (err) {
+        return undefined; // Missing or corrupted state, rollups are rebuilt.
+    }
+}
+
+/**
+ * Checks if a CSV file only had rows appended since it was last consumed, by
+ * comparing its header and the last consumed line.
+ */
+async function isAppendedTo(filePath, state, header, size) {
+    if (state.header !== header || size < state.source.offset) {
+        return false;
+    }
+
+    const lastLine = state.source.lastLine;
+    if (!lastLine) {
+        return true;
+    }
+
+    const length = Buffer.byteLength(lastLine.text);
+    return (await readBytes(filePath, lastLine.offset, length)) === lastLine.text;
+}
+
+async function createState(filePath, folder, options, header) {
+    const columns = header
+        .split(options.delimiter)
+        .map((item) => item.trim())
+        .filter((item) => item !== options.timeStampColumn);
+
+    const state = {
+        version: ROLLUP_VERSION,
+        delimiter: options.delimiter,
+        lineBreak: options.lineBreak,
+        timeStampColumn: options.timeStampColumn,
+        header,
+        columns,
+        sorted: true,
+        lastTime: -Infinity,
+        source: {
+            size: 0,
+            mtimeMs: 0,
+            offset: Buffer.byteLength(header) + Buffer.byteLength(options.lineBreak),
+            lastLine: undefined,
+        },
+        rollups: {},
+    };
+
+    await FS.promises.mkdir(folder, { recursive: true });
+    for (const seconds of ROLLUP_SECONDS) {
+        state.rollups[seconds] = { lines: 0, size: 0, entries: [], pending: null };
+        await FS.promises.writeFile(getDataPath(filePath, folder, seconds), "");
+    }
+
+    return state;
+}
+
+/**
+ * Rolls up the rows of a CSV file that have not been consumed yet. A trailing
+ * line that is not terminated by a line break is left for the next refresh, as
+ * it may still be being written.
+ */
+function consume(filePath, folder, state) {
+    const lineBreakBytes = Buffer.byteLength(state.lineBreak);
+    const header = state.header.split(state.delimiter).map((item) => item.trim());
+    const timeIndex = header.indexOf(state.timeStampColumn);
+    const columnIndices = state.columns.map((column) => header.indexOf(column));
+
+    const buffers = {};
+    ROLLUP_SECONDS.forEach((seconds) => (buffers[seconds] = []));
+
+    function flush(seconds) {
+        if (buffers[seconds].length > 0) {
+            const dataPath = getDataPath(filePath, folder, seconds);
+            FS.appendFileSync(dataPath, buffers[seconds].join(""));
+            buffers[seconds] = [];
+        }
+    }
+
+    function completeBucket(seconds, bucket) {
+        const rollup = state.rollups[seconds];
+        const text = JSON.stringify(bucket) + "\n";
+
+        if (rollup.lines++ % ENTRY_INTERVAL == 0) {
+            rollup.entries.push([bucket[0], rollup.size]);
+        }
+
+        rollup.size += Buffer.byteLength(text);
+        buffers[seconds].push(text);
+        if (buffers[seconds].length >= FLUSH_LINES) {
+            flush(seconds);
+        }
+    }
+
+    function processLine(line) {
+        const lineOffset = state.source.offset;
+        state.source.offset += Buffer.byteLength(line) + lineBreakBytes;
+
+        if (!state.sorted || line.trim() === "") {
+            return;
+        }
+
+        const parts = line.split(state.delimiter);
+        const time = CsvIndex.parseTime(parts[timeIndex] || "");
+        if (isNaN(time)) {
+            return;
+        } else if (time < state.lastTime) {
+            state.sorted = false;
+            return;
+        }
+
+        state.lastTime = time;
+        state.source.lastLine = { offset: lineOffset, text: line };
+
+        const values = columnIndices.map((index) => parseFloat(parts[index]));
+        for (const seconds of ROLLUP_SECONDS) {
+            const rollup = state.rollups[seconds];
+            const bucketStart = Math.floor(time / seconds) * seconds;
+
+            if (rollup.pending && rollup.pending[0] !== bucketStart) {
+                completeBucket(seconds, rollup.pending);
+                rollup.pending = null;
+            }
+
+            if (!rollup.pending) {
+                rollup.pending = [bucketStart, values.map(() => [0, 0, 0, null, null])];
+            }
+
+            values.forEach((value, i) => {
+                if (!isNaN(value)) {
+                    const stats = rollup.pending[1][i];
+                    stats[0] += 1;
+                    stats[1] += value;
+                    stats[2] += value * value;
+                    stats[3] = stats[3] === null ? value : Math.min(stats[3], value);
+                    stats[4] = stats[4] === null ? value : Math.max(stats[4], value);
+                }
+            });
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        let heldLine;
+
+        FS.createReadStream(filePath, { start: state.source.offset })
+            .pipe(ES.split(state.lineBreak))
+            .pipe(
+                ES.mapSync((line) => {
+                    // A line is only known to be complete once the next one starts.
+                    if (heldLine !== undefined) {
+                        processLine(heldLine);
+                    }
+                    heldLine = line;
+                })
+            )
+            .on("error", reject)
+            .on("end", () => {
+                try {
+                    ROLLUP_SECONDS.forEach(flush);
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            });
+    });
+}
+
+async function refresh(filePath, options) {
+    const folder = options.folder;
+    const statePath = getStatePath(filePath, folder);
+    const stat = await FS.promises.stat(filePath);
+
+    let state = loadedStates[statePath] || (await readState(statePath));
+    if (!isSameFormat(state, options)) {
+        state = undefined;
+    } else if (state.source.size === stat.size && state.source.mtimeMs === stat.mtimeMs) {
+        return (loadedStates[statePath] = state);
+    }
+
+    const header = await readHeader(filePath, options.lineBreak);
+    if (!state || !state.sorted || !(await isAppendedTo(filePath, state, header, stat.size))) {
+        // Rows were rewritten rather than appended, roll up from scratch.
+        state = await createState(filePath, folder, options, header);
+    }
+
+    await consume(filePath, folder, state);
+    state.source.size = stat.size;
+    state.source.mtimeMs = stat.mtimeMs;
+
+    // Replace the state file atomically, data files are never ahead of it.
+    await FS.promises.writeFile(statePath + ".tmp", JSON.stringify(state));
+    await FS.promises.rename(statePath + ".tmp", statePath);
+
+    return (loadedStates[statePath] = state);
+}
+
+/**
+ * Brings the rollups of a CSV file up-to-date. Rollups are built from scratch
+ * the first time, or when the CSV file was modified other than by appending
+ * rows to it. Otherwise only appended rows are rolled up.
+ *
+ * @param {string} filePath Path to the CSV file.
+ * @param {Object} options Format of the CSV file and location of the rollups.
+ * @param {string} options.folder Folder in which rollup files are kept.
+ * @param {string} options.delimiter Column delimiter.
+ * @param {string} options.lineBreak Line break.
+ * @param {string} options.timeStampColumn Name of the time column.
+ *
+ * @returns {Promise<Object>} The rollup state of the CSV file.
+ */
+CsvRollup.refresh = async function (filePath, options) {
+    return enqueue(filePath, () => refresh(filePath, options));
+};
+
+/**
+ * Brings the rollups of a CSV file up-to-date, see {@link CsvRollup.refresh},
+ * and reads them. Rollups are neither refreshed nor read by others until the
+ * reading task is done.
+ *
+ * @param {string} filePath Path to the CSV file.
+ * @param {Object} options Format of the CSV file and location of the rollups,
+ * &nbsp;see {@link CsvRollup.refresh}.
+ * @param {function(Object): Promise<any>} task Reads the rollups, typically
+ * &nbsp;through {@link CsvRollup.readBuckets}, given the rollup state.
+ *
+ * @returns {Promise<any>} The result of the reading task.
+ */
+CsvRollup.read = async function (filePath, options, task) {
+    return enqueue(filePath, async () => task(await refresh(filePath, options)));
+};
+
+/**
+ * Reads the buckets of a rollup that start within a time window, in
+ * chronological order. Rollups are only to be read within the task given to
+ * {@link CsvRollup.read}, as refreshing them modifies their state.
+ *
+ * @param {string} filePath Path to the CSV file.
+ * @param {string} folder Folder in which rollup files are kept.
+ * @param {Object} state The rollup state given to the reading task.
+ * @param {number} seconds The length of the rollup buckets in seconds.
+ * @param {number} firstStart Start of the first bucket to read in Epoch second.
+ * @param {number} lastStart Start of the last bucket to read in Epoch second.
+ * @param {Function} onBucket Called with the start of each bucket and the
+ * &nbsp;[count, sum, sumOfSquares, min, max] statistics of each column.
+ *
+ * @returns {Promise} A promise that resolves when all buckets have been read.
+ */
+CsvRollup.readBuckets = function (
+    filePath,
+    folder,
+    state,
+    seconds,
+    firstStart,
+    lastStart,
+    onBucket
+) {
+    const rollup = state.rollups[seconds];
+    const pending = rollup.pending;
+
+    function finish() {
+        if (pending && pending[0] >= firstStart && pending[0] <= lastStart) {
+            onBucket(pending[0], pending[1]);
+        }
+    }
+
+    if (rollup.size === 0) {
+        finish();
+        return Promise.resolve();
+    }
+
+    const offset = CsvIndex.findOffset({ entries: rollup.entries, dataOffset: 0 }, firstStart);
+    const dataPath = getDataPath(filePath, folder, seconds);
+
+    return new Promise((resolve, reject) => {
+        let done = false;
+
+        // Only read as far as the state knows, lines may be appended meanwhile.
+        const source = FS.createReadStream(dataPath, { start: offset, end: rollup.size - 1 });
+        source
+            .pipe(ES.split("\n"))
+            .pipe(
+                ES.mapSync((line) => {
+                    if (done || line === "") {
+                        return;
+                    }
+
+                    const [bucketStart, stats] = JSON.parse(line);
+                    if (bucketStart > lastStart) {
+                        done = true;
+                        source.destroy();
+                        resolve();
+                    } else if (bucketStart >= firstStart) {
+                        onBucket(bucketStart, stats);
+                    }
+                })
+            )
+            .on("error", reject)
+            .on("end", () => {
+                finish();
+                resolve();
+            });
+    });
+};
+
+module.exports = CsvRollup;
@@ -24,4 +24,27 @@ FileUtility.loadJSONFile = async function (file) {
     }
 };
 
+FileUtility.readBytes = async function (filePath, offset, length) {
+    const handle = await FS.promises.open(filePath, "r");
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, offset);
+        return buffer.slice(0, bytesRead).toString("utf8");
+    } finally {
+        await handle.close();
+    }
+};
+
+FileUtility.readHeader = async function (filePath, lineBreak) {
+    let header = "";
+    for (let offset = 0; ; offset += 4096) {
+        const chunk = await FileUtility.readBytes(filePath, offset, 4096);
+        const end = (header + chunk).indexOf(lineBreak);
+        if (end >= 0 || chunk.length === 0) {
+            return end >= 0 ? (header + chunk).slice(0, end) : header;
+        }
+        header += chunk;
+    }
+};
+
 module.exports = FileUtility;
@@ -18,12 +18,15 @@
 const DataGateway = require("./Hyperion.Server.DataGateway");
 const { AuthResponse } = require("@azure/ms-rest-nodeauth");
 const TaskQueue = require("../../shared/TaskQueue.js");
+const { Bucketing, BucketingError } = require("../../shared/Bucketing.js");
+const { resolutionToSeconds } = require("../../shared/Resolution.js");
 
 const tsiQueue = new TaskQueue(20, "tsiQueue", false);
 
 const msRestNodeAuth = require("@azure/ms-rest-nodeauth");
 const { IotHubClient } = require("@azure/arm-iothub");
 const { Registry, Twin } = require("azure-iothub");
+const { EventHubConsumerClient, latestEventPosition } = require("@azure/event-hubs");
 const Q = require("q");
 const { loadJSONFile } = require("./FileUtility.js");
 
@@ -165,7 +168,94 @@ class AzureGateway extends DataGateway {
         return defer.promise;
     }
 
-    async getAggregates(deviceId, propertyId, startSecond, endSecond, resolution) {
+    /**
+     * Receives the telemetry of the device from the Event Hub-compatible
+     * endpoint of the IoT Hub, whose connection string is read from the
+     * AZURE_IOT_HUB_EVENT_HUB_CONNECTION_STRING environment variable. Events are
+     * read through the consumer group in AZURE_IOT_HUB_CONSUMER_GROUP, "$Default"
+     * if not set, and only those enqueued after subscribing are received. The
+     * body of each event holds the values of properties keyed by property
+     * identifier, and the reading is timed when the event was enqueued. A single
+     * receiver serves all subscriptions and is closed along with the last one.
+     */
+    async subscribe(deviceId, propertyIds, onReading) {
+        const listener = { deviceId, propertyIds, onReading };
+        this.liveListeners = (this.liveListeners || []).concat([listener]);
+
+        if (!this.eventHubClient) {
+            this.eventHubClient = new EventHubConsumerClient(
+                process.env.AZURE_IOT_HUB_CONSUMER_GROUP || "$Default",
+                process.env.AZURE_IOT_HUB_EVENT_HUB_CONNECTION_STRING
+            );
+            this.eventHubSubscription = this.eventHubClient.subscribe(
+                {
+                    processEvents: async (events) => {
+                        events.forEach((event) => this._dispatchEvent(event));
+                    },
+                    processError: async (err) => {
+                        console.error("Unable to receive events from the IoT Hub.", err);
+                    },
+                },
+                { startPosition: latestEventPosition }
+            );
+        }
+
+        return () => {
+            this.liveListeners = this.liveListeners.filter((l) => l !== listener);
+            if (this.liveListeners.length || !this.eventHubClient) {
+                return;
+            }
+
+            const client = this.eventHubClient;
+            const subscription = this.eventHubSubscription;
+            this.eventHubClient = undefined;
+            this.eventHubSubscription = undefined;
+            subscription
+                .close()
+                .then(() => client.close())
+                .catch((err) => console.error("Unable to close the IoT Hub receiver.", err));
+        };
+    }
+
+    /**
+     * Hands the telemetry of an event received from the IoT Hub to the
+     * subscriptions to its device.
+     *
+     * @param {Object} event The event received from the Event Hub-compatible endpoint.
+     * @private
+     */
+    _dispatchEvent(event) {
+        const deviceId = (event.systemProperties || {})["iothub-connection-device-id"];
+        const body = event.body || {};
+        const timestamp = Math.round(new Date(event.enqueuedTimeUtc).getTime() / 1000);
+
+        this.liveListeners
+            .filter((listener) => listener.deviceId === deviceId)
+            .forEach((listener) => {
+                const values = {};
+                listener.propertyIds.forEach((propertyId) => {
+                    values[propertyId] = body[propertyId] === undefined ? null : body[propertyId];
+                });
+
+                listener.onReading({ timestamp, values });
+            });
+    }
+
+    async getAggregates(deviceId, propertyId, startSecond, endSecond, resolution, options = {}) {
+        // TSI only aggregates over fixed-length, left-closed intervals in UTC.
+        // It has no percentile aggregation either, so 'options.percentiles' is ignored.
+        // Derived properties are not evaluated, the DataStore derives them client-side.
+        const bucketing = new Bucketing(startSecond, endSecond, resolution, options);
+        resolutionToSeconds(resolution);
+
+        if (bucketing.closed !== "left") {
+            throw new BucketingError(
+                "Azure Time Series Insights only supports left-closed buckets"
+            );
+        } else if (bucketing.timeZone) {
+            throw new BucketingError("Azure Time Series Insights only supports UTC buckets");
+        }
+
         await this.connectTsi();
         let token = await this.tsiAuthRes.credentials.getToken();
         // API Documentation
@@ -177,11 +267,11 @@ class AzureGateway extends DataGateway {
             aggregateSeries: {
                 timeSeriesId: [deviceId],
                 searchSpan: {
-                    from: new Date(startSecond * 1000).toISOString(),
-                    to: new Date(endSecond * 1000).toISOString(),
+                    from: new Date(bucketing.start * 1000).toISOString(),
+                    to: new Date(bucketing.end * 1000).toISOString(),
                 },
                 filter: null,
-                interval: resolution,
+                interval: bucketing.resolution,
                 inlineVariables: {},
                 projectedVariables: [],
             },
@@ -221,7 +311,7 @@ class AzureGateway extends DataGateway {
                         if (!response.ok) {
                             defer.reject(body);
                         } else {
-                            defer.resolve(body);
+                            defer.resolve(Object.assign(body, { bucketing }));
                         }
                     });
                 })
@@ -235,6 +325,34 @@ class AzureGateway extends DataGateway {
 
         return defer.promise;
     }
+
+    _getBucketValues(aggregates, propertyIds) {
+        // 'getAggregates' returns the TSI response, listing the average of each property
+        // as '<propertyId>Avg' for intervals whose start is given as an ISO 8601 string.
+        // Groups therefore combine the averages of devices whatever their aggregation mode.
+        const bucketing = aggregates.bucketing;
+        const indices = (aggregates.timestamps || []).map((timestamp) =>
+            bucketing.indexOf(Date.parse(timestamp) / 1000)
+        );
+
+        const values = {};
+        propertyIds.forEach((propertyId) => {
+            const variable = (aggregates.properties || []).find(
+                (property) => property.name === propertyId + "Avg"
+            );
+
+            if (variable) {
+                values[propertyId] = bucketing.timestamps.map(() => null);
+                variable.values.forEach((value, i) => {
+                    if (indices[i] >= 0) {
+                        values[propertyId][indices[i]] = value;
+                    }
+                });
+            }
+        });
+
+        return values;
+    }
 }
 
 module.exports = AzureGateway;
@@ -19,8 +19,118 @@ const FS = require("fs");
 const Q = require("q");
 const Path = require("path");
 const ES = require("event-stream");
-const timestring = require("timestring");
-const { loadJSONFile } = require("./FileUtility.js");
+const { loadJSONFile, readBytes, readHeader } = require("./FileUtility.js");
+const CsvIndex = require("./CsvIndex.js");
+const CsvRollup = require("./CsvRollup.js");
+const PercentileSketch = require("./PercentileSketch.js");
+const { Bucketing } = require("../../shared/Bucketing.js");
+const {
+    AggregationMode,
+    PropertyKind,
+    getAggregationMode,
+    getPropertyKind,
+    getCounterIncrease,
+} = require("../../shared/Aggregation.js");
+const { isStateDataType, getStates, parseState } = require("../../shared/PropertyState.js");
+
+const DEFAULT_RAW_VALUE_LIMIT = 10000;
+
+/**
+ * Adds statistics to the statistics of a bucket, creating the bucket if needed.
+ */
+function accumulate(buckets, index, count, sum, sumOfSquares, min, max) {
+    let bucket = buckets[index];
+    if (bucket) {
+        bucket.count += count;
+        bucket.sum += sum;
+        bucket.sumOfSquares += sumOfSquares;
+        bucket.min = Math.min(bucket.min, min);
+        bucket.max = Math.max(bucket.max, max);
+    } else {
+        buckets[index] = { count, sum, sumOfSquares, min, max };
+    }
+}
+
+/**
+ * Adds the area under the line between two consecutive readings to the time
+ * weighted statistics of the buckets they belong to. The line is split at the
+ * edges of these buckets, the part spanning buckets without readings is left
+ * out as they have no statistics. Readings out of time order are ignored.
+ */
+function integrate(buckets, bucketing, previous, time, value) {
+    if (!previous || time <= previous.time) {
+        return;
+    }
+
+    let slope = (value - previous.value) / (time - previous.time);
+    let valueAt = (t) => previous.value + slope * (t - previous.time);
+
+    function addArea(bucket, from, to) {
+        bucket.area = (bucket.area || 0) + ((valueAt(from) + valueAt(to)) / 2) * (to - from);
+        bucket.duration = (bucket.duration || 0) + (to - from);
+    }
+
+    let first = bucketing.indexOf(previous.time);
+    let last = bucketing.indexOf(time);
+    if (first == last) {
+        addArea(buckets[last], previous.time, time);
+    } else {
+        addArea(buckets[first], previous.time, bucketing.edges[first + 1]);
+        addArea(buckets[last], bucketing.edges[last], time);
+    }
+}
+
+/**
+ * Gets the statistics of a bucket of a state property, creating the bucket if
+ * needed.
+ */
+function getStateBucket(buckets, index) {
+    if (!buckets[index]) {
+        buckets[index] = { count: 0, durations: {}, transitions: 0 };
+    }
+
+    return buckets[index];
+}
+
+/**
+ * Adds the time a state held, from its reading until a later time, to the
+ * durations of the buckets it spans. State properties often only report
+ * changes, so buckets without readings in between are still in that state.
+ */
+function holdState(buckets, bucketing, previous, until) {
+    let edges = bucketing.edges;
+    for (let i = bucketing.indexOf(previous.time); i >= 0 && i < edges.length - 1; i++) {
+        let from = Math.max(previous.time, edges[i]);
+        let to = Math.min(until, edges[i + 1]);
+        if (to <= from) {
+            break;
+        }
+
+        let durations = getStateBucket(buckets, i).durations;
+        durations[previous.state] = (durations[previous.state] || 0) + (to - from);
+    }
+}
+
+/**
+ * Adds a reading of a state property to the statistics of its bucket. The
+ * previous state holds until this reading, and a reading in another state
+ * counts as a transition. Readings out of time order are only counted.
+ */
+function addState(buckets, bucketing, index, previous, time, state) {
+    let bucket = getStateBucket(buckets, index);
+    bucket.count++;
+    if (bucket.lastTime === undefined || time >= bucket.lastTime) {
+        bucket.lastTime = time;
+        bucket.last = state;
+    }
+
+    if (previous && time >= previous.time) {
+        holdState(buckets, bucketing, previous, time);
+        if (state !== previous.state) {
+            bucket.transitions++;
+        }
+    }
+}
 
 /**
  * @classdesc A data gateway that supplies CSV data from local
@@ -34,15 +144,30 @@ class CsvDataGateway extends DataGateway {
      *
      * @param {string} deviceModelFile JSON file, please refer to https://github.com/Autodesk-Forge/forge-dataviz-iot-reference-app/blob/main/server/gateways/synthetic-data/device-models.json
      * @param {string} deviceFile JSON file, please refer to https://github.com/Autodesk-Forge/forge-dataviz-iot-reference-app/blob/main/server/gateways/synthetic-data/devices.json
-     * @param {string} dataFile
+     * @param {string} dataFolder Folder containing one CSV file per device, named after the device ID.
+     * @param {Object} [options] Format of the CSV files and how they are read.
+     * @param {string} [options.delimiter] Column delimiter, defaults to tab.
+     * @param {string} [options.lineBreak] Line break, defaults to "\n".
+     * @param {string} [options.timeStampColumn] Name of the time column, defaults to "time".
+     * @param {boolean} [options.indexed] Whether a sidecar index is maintained for each
+     * &nbsp;CSV file, so that aggregation reads only the rows of the requested time window.
+     * &nbsp;This requires rows to be sorted by time, files that are not fall back to a full
+     * &nbsp;scan. Defaults to false.
+     * @param {number} [options.indexInterval] Number of rows between two index entries.
+     * @param {boolean} [options.rollups] Whether per minute, 5 minutes, hourly and daily
+     * &nbsp;rollups are materialized for each CSV file and used to serve aggregates at
+     * &nbsp;resolutions they divide evenly. Rollups are refreshed incrementally when rows are
+     * &nbsp;appended to a CSV file. Defaults to false.
+     * @param {string} [options.rollupFolder] Folder in which rollup files are kept,
+     * &nbsp;defaults to ".rollups" in the data folder.
+     * @param {string} [options.hierarchyFile] JSON file holding the spatial hierarchy
+     * &nbsp;devices are placed in, see 'getHierarchy'. Defaults to building it from the
+     * &nbsp;tags of the devices.
+     * @param {number} [options.liveInterval] Milliseconds between two checks for rows
+     * &nbsp;appended to the CSV file of a subscribed device, see 'subscribe'. Defaults to 1000.
+     * @param {string} [dataFileExtension] Extension of the CSV files, defaults to ".csv".
      */
-    constructor(
-        deviceModelFile,
-        deviceFile,
-        dataFolder,
-        options = { delimiter: "\t", lineBreak: "\n", timeStampColumn: "time" },
-        dataFileExtension = ".csv"
-    ) {
+    constructor(deviceModelFile, deviceFile, dataFolder, options = {}, dataFileExtension = ".csv") {
         super("LocalGateway");
 
         this.deviceModelFile = deviceModelFile;
@@ -50,9 +175,28 @@ class CsvDataGateway extends DataGateway {
         this.dataFolder = dataFolder;
         this.dataFileExtension = dataFileExtension;
 
+        options = Object.assign(
+            {
+                delimiter: "\t",
+                lineBreak: "\n",
+                timeStampColumn: "time",
+                indexed: false,
+                rollups: false,
+                rollupFolder: Path.join(dataFolder, ".rollups"),
+                liveInterval: 1000,
+            },
+            options
+        );
+
         this.delimiter = options.delimiter;
         this.lineBreak = options.lineBreak;
         this.timeStampColumn = options.timeStampColumn;
+        this.indexed = options.indexed;
+        this.indexInterval = options.indexInterval;
+        this.rollups = options.rollups;
+        this.rollupFolder = options.rollupFolder;
+        this.hierarchyFile = options.hierarchyFile;
+        this.liveInterval = options.liveInterval;
     }
 
     async getDeviceModels() {
@@ -64,64 +208,314 @@ class CsvDataGateway extends DataGateway {
         return devices.find((device) => device.deviceModelId === deviceModelId);
     }
 
-    async getAggregates(deviceId, propertyId, startSecond, endSecond, resolutionStr) {
-        let defer = Q.defer();
+    async getAggregates(deviceId, propertyId, startSecond, endSecond, resolution, options = {}) {
         let filePath = Path.join(this.dataFolder, deviceId + this.dataFileExtension);
+        let propertyIds = propertyId.split(",");
+        let bucketing = new Bucketing(startSecond, endSecond, resolution, options);
+        let percentiles = options.percentiles || [];
+
+        // How each property is aggregated, as defined in its device model.
+        let definitions = await this.getDeviceProperties(deviceId, propertyIds);
+        let aggregations = {};
+        propertyIds.forEach((propertyId) => {
+            let definition = definitions[propertyId];
+            let isState = !!definition && isStateDataType(definition.propertyType);
+            aggregations[propertyId] = {
+                mode: getAggregationMode(definition),
+                kind: getPropertyKind(definition),
+                counterMax: definition ? definition.counterMax : undefined,
+                definition,
+                states: isState ? getStates(definition) || [] : undefined,
+            };
+        });
+
+        // Derived properties are computed from the other columns of each row.
+        let derived = await this.getDerivedProperties(deviceId, definitions);
+
+        // All requested properties are aggregated in the same pass over the file.
+        let stats = {};
+        propertyIds.forEach((propertyId) => (stats[propertyId] = []));
 
         if (!FS.existsSync(filePath)) {
             console.error("Error File does not exists: Fallback to example", filePath);
-            defer.resolve({
-                timestamps: [],
-                min: [],
-                max: [],
-                avg: [],
+            return this._formatAggregates(propertyIds, bucketing, stats, aggregations, percentiles);
+        }
+
+        // Rollups only keep moments of their buckets, percentiles as well as
+        // time weighted, last, counter, state and derived values need every reading.
+        let needsReadings =
+            percentiles.length ||
+            propertyIds.some((propertyId) => {
+                let { mode, kind, states } = aggregations[propertyId];
+                return (
+                    mode === AggregationMode.TimeWeighted ||
+                    mode === AggregationMode.Last ||
+                    kind === PropertyKind.Counter ||
+                    !!states ||
+                    derived.has(propertyId)
+                );
             });
-            return defer.promise;
+
+        // Bucket boundaries fall on rollup boundaries, so every rollup bucket
+        // is entirely within a single bucket.
+        let rolledUp =
+            !needsReadings &&
+            (await this._readRollup(
+                deviceId,
+                propertyIds,
+                bucketing,
+                (bucketStart, propertyStats) => {
+                    let index = bucketing.indexOf(bucketStart);
+                    propertyIds.forEach((propertyId, i) => {
+                        // Statistics are [count, sum, sumOfSquares, min, max].
+                        if (propertyStats[i][0] > 0) {
+                            accumulate(stats[propertyId], index, ...propertyStats[i]);
+                        }
+                    });
+                }
+            ));
+        if (rolledUp) {
+            return this._formatAggregates(propertyIds, bucketing, stats, aggregations);
+        }
+
+        // The previous reading of each property, to weigh readings by time,
+        // to count the increase of counters and the time spent in states.
+        let previous = {};
+        let propIndices;
+        let columnIndices = {};
+        await this._scanRows(
+            filePath,
+            bucketing.start,
+            bucketing.end,
+            (columns) => {
+                propIndices = propertyIds.map((propertyId) => columns.indexOf(propertyId));
+                columns.forEach((column, i) => (columnIndices[column] = i));
+            },
+            (time, parts) => {
+                let index = bucketing.indexOf(time);
+                if (index < 0) {
+                    return;
+                }
+
+                propertyIds.forEach((propertyId, i) => {
+                    if (aggregations[propertyId].states) {
+                        let last = previous[propertyId];
+                        let state = parseState(
+                            parts[propIndices[i]],
+                            aggregations[propertyId].definition
+                        );
+                        if (state !== undefined) {
+                            addState(stats[propertyId], bucketing, index, last, time, state);
+                            if (!last || time >= last.time) {
+                                previous[propertyId] = { time, state };
+                            }
+                        }
+
+                        return;
+                    }
+
+                    let value = derived.has(propertyId)
+                        ? derived.evaluate(propertyId, (id) => parseFloat(parts[columnIndices[id]]))
+                        : parseFloat(parts[propIndices[i]]);
+                    if (value === null || isNaN(value)) {
+                        return;
+                    }
+
+                    accumulate(stats[propertyId], index, 1, value, value * value, value, value);
+                    let bucket = stats[propertyId][index];
+                    if (percentiles.length) {
+                        bucket.sketch = bucket.sketch || new PercentileSketch(percentiles);
+                        bucket.sketch.add(value);
+                    }
+
+                    let { mode, kind, counterMax } = aggregations[propertyId];
+                    let last = previous[propertyId];
+                    previous[propertyId] = { time, value };
+
+                    if (mode === AggregationMode.TimeWeighted) {
+                        integrate(stats[propertyId], bucketing, last, time, value);
+                    } else if (mode === AggregationMode.Last) {
+                        if (bucket.lastTime === undefined || time >= bucket.lastTime) {
+                            bucket.lastTime = time;
+                            bucket.last = value;
+                        }
+                    }
+
+                    // The increase since the previous reading is counted in the
+                    // bucket of this reading. Readings out of time order are ignored.
+                    if (kind === PropertyKind.Counter && last && time > last.time) {
+                        let increase = getCounterIncrease(last.value, value, counterMax);
+                        bucket.delta = (bucket.delta || 0) + increase;
+                        bucket.elapsed = (bucket.elapsed || 0) + (time - last.time);
+                    }
+                });
+            }
+        );
+
+        // The last state of each property holds until the end of the buckets,
+        // but no later than now.
+        let now = Date.now() / 1000;
+        propertyIds.forEach((propertyId) => {
+            if (aggregations[propertyId].states && previous[propertyId]) {
+                let until = Math.min(bucketing.end, now);
+                holdState(stats[propertyId], bucketing, previous[propertyId], until);
+            }
+        });
+
+        return this._formatAggregates(propertyIds, bucketing, stats, aggregations, percentiles);
+    }
+
+    /**
+     * Reads the buckets of the coarsest rollup whose buckets each fall within
+     * a single bucket, refreshing the rollups of the CSV file first. Rollups
+     * hold left-closed buckets, and cannot serve right-closed ones.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {string[]} propertyIds The identifiers of the properties to aggregate.
+     * @param {Bucketing} bucketing The buckets to aggregate into.
+     * @param {Function} onBucket Called with the start of each rollup bucket and
+     * &nbsp;the [count, sum, sumOfSquares, min, max] statistics of each property.
+     * @returns {Promise<boolean>} True if the rollup was read, false if no
+     * &nbsp;rollup can be used.
+     * @private
+     */
+    async _readRollup(deviceId, propertyIds, bucketing, onBucket) {
+        if (!this.rollups || bucketing.closed !== "left") {
+            return false;
         }
 
-        let resolution = timestring(resolutionStr.replace(/PT/gi, ""));
+        let seconds = CsvRollup.resolutions
+            .filter((s) => bucketing.edges.every((edge) => edge % s == 0))
+            .pop();
+        if (!seconds) {
+            return false;
+        }
 
-        // the CSV file might be very large, and we need to handle the cocurrent situations
-        let lineNumber = 0;
-        let results = [];
-        let min = [];
-        let max = [];
-        let counts = [];
+        let filePath = Path.join(this.dataFolder, deviceId + this.dataFileExtension);
+        return CsvRollup.read(filePath, this._getRollupOptions(), async (state) => {
+            if (!state.sorted || !propertyIds.every((p) => state.columns.includes(p))) {
+                return false;
+            }
 
-        let start = startSecond - resolution / 2;
-        let end = endSecond + resolution / 2;
+            let columns = propertyIds.map((propertyId) => state.columns.indexOf(propertyId));
+            await CsvRollup.readBuckets(
+                filePath,
+                this.rollupFolder,
+                state,
+                seconds,
+                bucketing.start,
+                bucketing.end - seconds,
+                (bucketStart, columnStats) => {
+                    onBucket(
+                        bucketStart,
+                        columns.map((column) => columnStats[column])
+                    );
+                }
+            );
 
-        let timeIndex, propIndex;
+            return true;
+        });
+    }
+
+    /**
+     * Brings the rollups of a device's CSV file up-to-date. Rollups are
+     * refreshed on demand when aggregates are requested, this allows them to
+     * be built ahead of time instead, e.g. when the server starts or after new
+     * rows are appended.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @returns {Promise<Object>} The rollup state of the device's CSV file.
+     */
+    async refreshRollups(deviceId) {
+        let filePath = Path.join(this.dataFolder, deviceId + this.dataFileExtension);
+
+        return CsvRollup.refresh(filePath, this._getRollupOptions());
+    }
+
+    /**
+     * Gets the format of the CSV files and the location of their rollups, as
+     * expected by CsvRollup.
+     *
+     * @returns {Object} The rollup options.
+     * @private
+     */
+    _getRollupOptions() {
+        return {
+            folder: this.rollupFolder,
+            delimiter: this.delimiter,
+            lineBreak: this.lineBreak,
+            timeStampColumn: this.timeStampColumn,
+        };
+    }
+
+    /**
+     * Reads the rows of a CSV file that fall within a time window. If the
+     * gateway is indexed and the file is sorted by time, reading starts right
+     * before the time window and stops right after it, otherwise the whole file
+     * is scanned.
+     *
+     * @param {string} filePath Path to the CSV file.
+     * @param {number} start Start of the time window in Epoch second, inclusive.
+     * @param {number} end End of the time window in Epoch second, inclusive.
+     * @param {Function} onHeader Called with the trimmed column names before any row.
+     * @param {Function} onRow Called with the time and the columns of each row
+     * &nbsp;within the time window.
+     * @returns {Promise} A promise that resolves when all rows have been read.
+     * @private
+     */
+    async _scanRows(filePath, start, end, onHeader, onRow) {
+        let index;
+        if (this.indexed) {
+            index = await CsvIndex.getIndex(filePath, {
+                delimiter: this.delimiter,
+                lineBreak: this.lineBreak,
+                timeStampColumn: this.timeStampColumn,
+                interval: this.indexInterval,
+            });
+        }
+
+        let defer = Q.defer();
+        let seekable = index && index.sorted;
         let self = this;
 
-        const stream = FS.createReadStream(filePath)
-            .pipe(ES.split())
+        let done = false;
+        let timeIndex;
+
+        function readHeader(line) {
+            let columns = line.split(self.delimiter).map((item) => item.trim());
+            timeIndex = columns.indexOf(self.timeStampColumn);
+            onHeader(columns);
+        }
+
+        // The header is taken from the index when reading starts mid-file.
+        if (seekable) {
+            readHeader(index.header);
+        }
+
+        const source = FS.createReadStream(
+            filePath,
+            seekable ? { start: CsvIndex.findOffset(index, start) } : {}
+        );
+
+        source
+            .pipe(ES.split(seekable ? this.lineBreak : undefined))
             .pipe(
                 ES.mapSync((line) => {
-                    let parts = line.split(self.delimiter);
-                    if (lineNumber++ == 0) {
-                        timeIndex = parts.findIndex((item) => item.trim() == self.timeStampColumn);
-                        propIndex = parts.findIndex((item) => item.trim() == propertyId);
-                    } else {
-                        let time = Math.round(new Date(parts[timeIndex].trim()).getTime() / 1000);
+                    if (done) {
+                        return;
+                    } else if (timeIndex === undefined) {
+                        readHeader(line);
+                    } else if (line.trim() !== "") {
+                        let parts = line.split(self.delimiter);
+                        let time = CsvIndex.parseTime(parts[timeIndex]);
+
                         if (time >= start && time <= end) {
-                            let value = parseFloat(parts[propIndex]);
-                            let index = Math.round((time - start) / resolution);
-
-                            if (results[index]) {
-                                let [sum, count] = results[index];
-                                results[index] = [sum + value, count + 1];
-
-                                min[index] = Math.min(min[index], value);
-                                max[index] = Math.max(max[index], value);
-                                counts[index] = count;
-                            } else {
-                                results[index] = [value, 1];
-
-                                min[index] = value;
-                                max[index] = value;
-                                counts[index] = index;
-                            }
+                            onRow(time, parts);
+                        } else if (seekable && time > end) {
+                            // Rows are sorted, none of the remaining rows is needed.
+                            done = true;
+                            source.destroy();
+                            defer.resolve();
                         }
                     }
                 })
@@ -130,33 +524,386 @@ class CsvDataGateway extends DataGateway {
                 defer.reject("something wrong." + err);
             })
             .on("end", () => {
-                let aggregate = [];
-                let timestamps = [];
-                let sums = [];
-
-                for (let i = 0; i < results.length; i++) {
-                    timestamps[i] = startSecond + resolution * i;
-                    if (results[i]) {
-                        let [sum, count] = results[i];
-                        aggregate[i] = sum / count;
-                        sums[i] = sum;
-                    } else {
-                        aggregate[i] = null;
-                    }
-                }
+                defer.resolve();
+            });
+
+        return defer.promise;
+    }
+
+    /**
+     * Turns the per-bucket statistics of properties into the aggregates
+     * returned to the client. A single property results in its aggregates
+     * along with the timestamps, while multiple properties result in their
+     * aggregates keyed by property identifier under 'properties'. Either way
+     * the timestamps are the start of every bucket, described by 'bucketing'.
+     * Buckets without readings have a count of 0, null statistics, and are
+     * flagged in 'gaps'. Requested percentiles are keyed by percentile under
+     * 'percentiles', e.g. 'percentiles["50"]' holds the median of every bucket.
+     * The aggregation mode of each property is reported under 'aggregation',
+     * and the value of every bucket in that mode under 'value'. The kind of
+     * each property is reported under 'kind', counters have the increase of
+     * every bucket under 'delta' and its rate per second under 'rate'. State
+     * properties are aggregated differently, see '_formatStates'.
+     *
+     * @param {string[]} propertyIds The identifiers of the properties.
+     * @param {Bucketing} bucketing The buckets aggregated into.
+     * @param {Object.<string, Object[]>} stats The per-bucket statistics of
+     * each property, empty buckets are left undefined.
+     * @param {Object.<string, {mode: string, kind: string, states: string[]}>} aggregations
+     * The aggregation mode, the kind and the states of each property.
+     * @param {number[]} [percentiles] The percentiles to include, computed from
+     * &nbsp;the sketch of each bucket.
+     * @returns {Object} The aggregates of the properties.
+     * @private
+     */
+    _formatAggregates(propertyIds, bucketing, stats, aggregations, percentiles = []) {
+        let timestamps = bucketing.timestamps;
+        let properties = {};
+        propertyIds.forEach((propertyId) => {
+            let { mode, kind, states } = aggregations[propertyId];
+            let buckets = timestamps.map((_, i) => stats[propertyId][i]);
+            if (states) {
+                properties[propertyId] = this._formatStates(buckets, mode, kind, states);
+                return;
+            }
+
+            let avg = buckets.map((b) => {
+                if (!b) return null;
+                // A single reading spans no time, and weighs the same either way.
+                return mode === AggregationMode.TimeWeighted && b.duration > 0
+                    ? b.area / b.duration
+                    : b.sum / b.count;
+            });
 
-                defer.resolve({
-                    timestamps,
-                    min,
-                    max,
-                    count: counts,
-                    sum: sums,
-                    avg: aggregate,
+            properties[propertyId] = {
+                aggregation: mode,
+                kind,
+                count: buckets.map((b) => (b ? b.count : 0)),
+                gaps: buckets.map((b) => !b),
+                value: buckets.map((b, i) => {
+                    if (!b) return null;
+                    if (mode === AggregationMode.Last) return b.last;
+                    if (mode === AggregationMode.Sum) return b.sum;
+                    return avg[i];
+                }),
+                min: buckets.map((b) => (b ? b.min : null)),
+                max: buckets.map((b) => (b ? b.max : null)),
+                sum: buckets.map((b) => (b ? b.sum : null)),
+                avg,
+                stdDev: buckets.map((b) => {
+                    if (!b) return null;
+                    let avg = b.sum / b.count;
+                    return Math.sqrt(Math.max(0, b.sumOfSquares / b.count - avg * avg));
+                }),
+            };
+
+            if (kind === PropertyKind.Counter) {
+                // The first reading has no previous one to count the increase from.
+                properties[propertyId].delta = buckets.map((b) => (b ? b.delta || 0 : null));
+                properties[propertyId].rate = buckets.map((b) =>
+                    b && b.elapsed ? b.delta / b.elapsed : null
+                );
+            }
+
+            if (percentiles.length) {
+                let values = buckets.map((b) => (b ? b.sketch.getPercentiles() : null));
+                properties[propertyId].percentiles = {};
+                percentiles.forEach((percentile, i) => {
+                    properties[propertyId].percentiles[percentile] = values.map((v) =>
+                        v ? v[i] : null
+                    );
                 });
+            }
+        });
+
+        if (propertyIds.length == 1) {
+            return Object.assign({ timestamps, bucketing }, properties[propertyIds[0]]);
+        }
+
+        return { timestamps, bucketing, properties };
+    }
+
+    /**
+     * Turns the per-bucket statistics of a state property into its aggregates.
+     * 'states' lists the states of the property, and 'durations' holds the
+     * seconds spent in each state over every bucket keyed by state. The state
+     * a property was last reported in holds until its next reading, so that a
+     * bucket without readings is only a gap if no state holds over it either.
+     * 'transitions' holds the number of times the state changed in each
+     * bucket, and 'value' the state the property spent most time in, or its
+     * latest state if it is aggregated by "last". Numeric statistics are null.
+     *
+     * @param {Object[]} buckets The statistics of every bucket, undefined for
+     * &nbsp;buckets without readings or states.
+     * @param {string} mode The aggregation mode of the property.
+     * @param {string} kind The kind of the property.
+     * @param {string[]} states The states of the property, or an empty list if
+     * &nbsp;any state is allowed, in which case the states are the ones reported.
+     * @returns {Object} The aggregates of the property.
+     * @private
+     */
+    _formatStates(buckets, mode, kind, states) {
+        if (!states.length) {
+            let reported = new Set();
+            buckets.forEach((b) => {
+                if (b) Object.keys(b.durations).forEach((state) => reported.add(state));
+                if (b && b.last !== undefined) reported.add(b.last);
+            });
+            states = Array.from(reported).sort();
+        }
+
+        let durations = {};
+        states.forEach((state) => {
+            durations[state] = buckets.map((b) => (b ? b.durations[state] || 0 : null));
+        });
+
+        let nulls = buckets.map(() => null);
+        return {
+            aggregation: mode,
+            kind,
+            count: buckets.map((b) => (b ? b.count : 0)),
+            gaps: buckets.map((b) => !b),
+            value: buckets.map((b) => {
+                if (!b) return null;
+                if (mode === AggregationMode.Last && b.last !== undefined) return b.last;
+
+                // The longest held state, or the only reported one if none held yet.
+                let longest = states.reduce(
+                    (a, s) => ((b.durations[s] || 0) > (b.durations[a] || 0) ? s : a),
+                    states[0]
+                );
+                return b.durations[longest] ? longest : b.last;
+            }),
+            states,
+            durations,
+            transitions: buckets.map((b) => (b ? b.transitions : null)),
+            min: nulls,
+            max: nulls,
+            sum: nulls,
+            avg: nulls,
+            stdDev: nulls,
+        };
+    }
+
+    async getRawValues(deviceId, propertyIds, startSecond, endSecond, options = {}) {
+        let defer = Q.defer();
+        let filePath = Path.join(this.dataFolder, deviceId + this.dataFileExtension);
+
+        let timestamps = [];
+        let values = {};
+        propertyIds.forEach((propertyId) => (values[propertyId] = []));
+
+        if (!FS.existsSync(filePath)) {
+            console.error("Error File does not exists:", filePath);
+            defer.resolve({ timestamps, values, cursor: undefined });
+            return defer.promise;
+        }
+
+        let columnIndices = {};
+        let parsers = await this._getRowParsers(deviceId, propertyIds, columnIndices);
+
+        let index;
+        if (this.indexed) {
+            index = await CsvIndex.getIndex(filePath, {
+                delimiter: this.delimiter,
+                lineBreak: this.lineBreak,
+                timeStampColumn: this.timeStampColumn,
+                interval: this.indexInterval,
+            });
+        }
+
+        // The cursor is the byte offset of the next reading to be returned.
+        // Without one, reading starts right before the time window if the file
+        // is indexed and sorted, or at the beginning of the file otherwise.
+        let sorted = index !== undefined && index.sorted;
+        let offset = parseInt(options.cursor, 10);
+        if (!(offset > 0)) {
+            offset = sorted ? CsvIndex.findOffset(index, startSecond) : 0;
+        }
+
+        let limit = options.limit || DEFAULT_RAW_VALUE_LIMIT;
+        let lineBreakBytes = Buffer.byteLength(this.lineBreak);
+        let done = false;
+        let timeIndex;
+        let self = this;
+
+        function readColumns(line) {
+            let columns = line.split(self.delimiter).map((item) => item.trim());
+            timeIndex = columns.indexOf(self.timeStampColumn);
+            columns.forEach((item, i) => (columnIndices[item] = i));
+        }
+
+        function finish(cursor) {
+            done = true;
+            source.destroy();
+            defer.resolve({ timestamps, values, cursor });
+        }
+
+        // The header is read separately when reading starts mid-file.
+        if (offset > 0) {
+            readColumns(index ? index.header : await readHeader(filePath, this.lineBreak));
+        }
+
+        const source = FS.createReadStream(filePath, { start: offset });
+        source
+            .pipe(ES.split(this.lineBreak))
+            .pipe(
+                ES.mapSync((line) => {
+                    let lineOffset = offset;
+                    offset += Buffer.byteLength(line) + lineBreakBytes;
+
+                    if (done) {
+                        return;
+                    } else if (timeIndex === undefined) {
+                        readColumns(line);
+                        return;
+                    }
+
+                    // Empty and malformed rows have no valid time, and are skipped.
+                    let parts = line.split(self.delimiter);
+                    let time = CsvIndex.parseTime(parts[timeIndex]);
+                    if (isNaN(time) || time < startSecond) {
+                        return;
+                    } else if (time > endSecond) {
+                        if (sorted) {
+                            // Rows are sorted, none of the remaining rows is needed.
+                            finish(undefined);
+                        }
+                        return;
+                    }
+
+                    if (timestamps.length >= limit) {
+                        finish(`${lineOffset}`);
+                        return;
+                    }
+
+                    timestamps.push(time);
+                    propertyIds.forEach((propertyId, i) => {
+                        values[propertyId].push(parsers[i](parts));
+                    });
+                })
+            )
+            .on("error", (err) => {
+                defer.reject("something wrong." + err);
+            })
+            .on("end", () => {
+                defer.resolve({ timestamps, values, cursor: undefined });
             });
 
         return defer.promise;
     }
+
+    /**
+     * Creates the functions reading the value of each property out of the
+     * columns of a row. Readings of state properties are states rather than
+     * numbers, and derived properties are computed from the other columns of
+     * the row.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {string[]} propertyIds The identifiers of the properties.
+     * @param {Object.<string, number>} columnIndices The index of each column
+     * &nbsp;keyed by column name, filled in once the header has been read.
+     * @returns {Promise<Function[]>} The function reading each property, in the
+     * &nbsp;order of the properties. Each returns null if the row has no value.
+     * @private
+     */
+    async _getRowParsers(deviceId, propertyIds, columnIndices) {
+        let definitions = await this.getDeviceProperties(deviceId, propertyIds);
+        let derived = await this.getDerivedProperties(deviceId, definitions);
+
+        return propertyIds.map((propertyId) => {
+            let definition = definitions[propertyId];
+            let column = (parts) => parts[columnIndices[propertyId]];
+            if (derived.has(propertyId)) {
+                return (parts) =>
+                    derived.evaluate(propertyId, (id) => parseFloat(parts[columnIndices[id]]));
+            } else if (definition && isStateDataType(definition.propertyType)) {
+                return (parts) => {
+                    let state = parseState(column(parts), definition);
+                    return state === undefined ? null : state;
+                };
+            }
+
+            return (parts) => {
+                let value = parseFloat(column(parts));
+                return isNaN(value) ? null : value;
+            };
+        });
+    }
+
+    /**
+     * Tails the CSV file of a device, reporting each row appended to it as a
+     * reading. The file is checked for appended rows every 'liveInterval'
+     * milliseconds. Rows already in the file are not reported, and the file is
+     * read again from its header if it shrinks, e.g. when it is replaced.
+     */
+    async subscribe(deviceId, propertyIds, onReading) {
+        let filePath = Path.join(this.dataFolder, deviceId + this.dataFileExtension);
+        let columnIndices = {};
+        let parsers = await this._getRowParsers(deviceId, propertyIds, columnIndices);
+        let self = this;
+
+        let offset = FS.existsSync(filePath) ? FS.statSync(filePath).size : 0;
+        let timeIndex;
+
+        function readColumns(line) {
+            let columns = line.split(self.delimiter).map((item) => item.trim());
+            timeIndex = columns.indexOf(self.timeStampColumn);
+            columns.forEach((item, i) => (columnIndices[item] = i));
+        }
+
+        async function readAppended(size) {
+            if (size < offset) {
+                offset = 0;
+                timeIndex = undefined;
+            } else if (offset > 0 && timeIndex === undefined) {
+                readColumns(await readHeader(filePath, self.lineBreak));
+            }
+
+            if (size == offset) {
+                return;
+            }
+
+            // Only complete lines are consumed, a partly written row is read again later.
+            let text = await readBytes(filePath, offset, size - offset);
+            let end = text.lastIndexOf(self.lineBreak);
+            if (end < 0) {
+                return;
+            }
+
+            text = text.slice(0, end + self.lineBreak.length);
+            offset += Buffer.byteLength(text);
+            text.split(self.lineBreak).forEach((line) => {
+                if (line.trim() === "") {
+                    return;
+                } else if (timeIndex === undefined) {
+                    readColumns(line);
+                    return;
+                }
+
+                let parts = line.split(self.delimiter);
+                let timestamp = CsvIndex.parseTime(parts[timeIndex]);
+                if (isNaN(timestamp)) {
+                    return; // Malformed row.
+                }
+
+                let values = {};
+                propertyIds.forEach((propertyId, i) => (values[propertyId] = parsers[i](parts)));
+                onReading({ timestamp, values });
+            });
+        }
+
+        // Changes are handled one at a time, in the order they are seen.
+        let reading = Promise.resolve();
+        let listener = (current) => {
+            reading = reading
+                .then(() => (current.size != offset ? readAppended(current.size) : undefined))
+                .catch((err) => console.error(`Unable to read ${filePath}.`, err));
+        };
+
+        FS.watchFile(filePath, { interval: this.liveInterval }, listener);
+        return () => FS.unwatchFile(filePath, listener);
+    }
 }
 
 module.exports = CsvDataGateway;
@@ -13,6 +13,26 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 //
+const { loadJSONFile } = require("./FileUtility.js");
+const { DerivedProperties } = require("../../shared/Expression.js");
+const {
+    InvalidGroupError,
+    getGroupReducer,
+    matchTags,
+    reduceGroup,
+} = require("../../shared/GroupAggregation.js");
+const {
+    validateHierarchy,
+    flattenHierarchy,
+    hierarchyFromTags,
+} = require("../../shared/Hierarchy.js");
+
+// How many devices of a group are aggregated at the same time.
+const GROUP_CONCURRENCY = 8;
+
+// Milliseconds for which the device models and their devices are cached, see
+// 'getDeviceProperties'.
+const DEVICE_MODEL_CACHE_TTL = 60 * 1000;
 
 /**
  * @classdesc Base class of all other data gateways. Data gateways are a means
@@ -68,22 +88,452 @@ class DataGateway {
     }
 
     /**
-     * Gets the aggregated data for a property of a device.
+     * Gets the aggregated data for a property of a device. The time window is
+     * divided into buckets aligned to the resolution, see {@link Bucketing},
+     * and the aggregated data is accompanied by the descriptor of the buckets.
      *
      * @param {string} deviceId The identifier of the device.
-     * @param {string} propertyId The identifier of the device's property.
+     * @param {string} propertyId The identifier of the device's property, or a
+     * &nbsp;comma-separated list of identifiers to aggregate multiple properties
+     * &nbsp;in a single call.
      * @param {number} startSecond Start of the time window in Epoch second.
      * @param {number} endSecond End of the time window in Epoch second.
-     * @param {"1m"|"1h"|"1d"} resolution The resolution with which all data
-     * points in the specified time window are to be aggregated.
+     * @param {string} resolution The resolution with which all data points in
+     * &nbsp;the specified time window are to be aggregated, as an ISO 8601 duration
+     * &nbsp;(e.g. "PT5M", "PT1H", "P1D") or in short form (e.g. "5m", "1h", "1d").
+     * @param {Object} [options] How the time window is divided into buckets, and
+     * &nbsp;what is computed for each of them.
+     * @param {"left"|"right"} [options.closed] Which end of each bucket is included
+     * &nbsp;in it, defaults to "left".
+     * @param {string} [options.timeZone] IANA time zone to which buckets are
+     * &nbsp;aligned, days and weeks then follow its local calendar.
+     * @param {number} [options.timeZoneOffset] Fixed offset of the time zone to
+     * &nbsp;which buckets are aligned, in minutes east of UTC. Defaults to 0.
+     * @param {number[]} [options.percentiles] Percentiles between 0 and 100 to
+     * &nbsp;compute for each bucket, such as [50, 95] for the median and the 95th
+     * &nbsp;percentile. Not all data providers support percentiles.
      *
      * @returns {any|undefined} The aggregated data in a format that is specific
-     * &nbsp;to a given data provider if any is found, or undefined otherwise.
+     * &nbsp;to a given data provider if any is found, or undefined otherwise. Gateways
+     * &nbsp;that normalize their data return one entry per bucket in every array:
+     * &nbsp;'timestamps' holds the start of each bucket, 'count' the number of readings
+     * &nbsp;in it, 'gaps' whether it has no readings at all, and 'min', 'max', 'sum',
+     * &nbsp;'avg' and 'stdDev' are null for such buckets. Requested percentiles are
+     * &nbsp;keyed by percentile under 'percentiles', e.g. 'percentiles["95"]'.
+     * &nbsp;'aggregation' holds the aggregation mode of the property as defined in
+     * &nbsp;its device model, and 'value' the value of each bucket in that mode, see
+     * &nbsp;{@link AggregationMode}. 'avg' is the time-weighted mean for properties
+     * &nbsp;aggregated by "timeWeighted", and the mean of the readings otherwise.
+     * &nbsp;'kind' holds the kind of the property, see {@link PropertyKind}, and
+     * &nbsp;counters have the increase of each bucket in 'delta', and its rate per
+     * &nbsp;second in 'rate'. Properties of the "Boolean", "String" or "Enum" data
+     * &nbsp;types hold states, see {@link isStateDataType}: their numeric statistics
+     * &nbsp;are null, 'states' lists their states, 'durations' holds the seconds spent
+     * &nbsp;in each state keyed by state, 'transitions' the number of state changes,
+     * &nbsp;and 'value' the state held the longest, or the latest one for "last".
+     * &nbsp;Derived properties, see {@link DerivedProperties}, are evaluated for each
+     * &nbsp;reading and aggregated like any other property by gateways supporting them.
+     * @throws {InvalidResolutionError} The resolution is not valid or not supported
+     * &nbsp;by the data provider.
+     * @throws {InvalidTimeZoneError} The time zone is not valid.
+     * @throws {BucketingError} The buckets cannot be laid out as requested.
      */
-    async getAggregates(deviceId, propertyId, startSecond, endSecond, resolution) {
-        deviceId, propertyId, startSecond, endSecond, resolution;
+    async getAggregates(deviceId, propertyId, startSecond, endSecond, resolution, options) {
+        deviceId, propertyId, startSecond, endSecond, resolution, options;
         throw new Error("'getAggregates' not defined in derived class");
     }
+
+    /**
+     * Gets the raw (non-aggregated) values for one or more properties of a
+     * device, in the order they were recorded.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {string[]} propertyIds The identifiers of the device's properties.
+     * @param {number} startSecond Start of the time window in Epoch second.
+     * @param {number} endSecond End of the time window in Epoch second.
+     * @param {Object} [options] Paging options.
+     * @param {number} [options.limit] The maximum number of readings to return.
+     * @param {string} [options.cursor] The cursor returned by a previous call,
+     * &nbsp;from which the next page of readings is to be returned.
+     *
+     * @returns {Promise<{timestamps: number[], values: Object.<string, number[]>, cursor: string|undefined}>}
+     * &nbsp;The readings in the time window. Each entry in 'values' is keyed by a
+     * &nbsp;property identifier and runs parallel to 'timestamps', with null where
+     * &nbsp;a reading does not carry the property. Readings of state properties are
+     * &nbsp;strings such as "true" or "heat". 'cursor' is undefined when there
+     * &nbsp;are no more readings to return.
+     */
+    async getRawValues(deviceId, propertyIds, startSecond, endSecond, options) {
+        deviceId, propertyIds, startSecond, endSecond, options;
+        throw new Error("'getRawValues' not defined in derived class");
+    }
+
+    /**
+     * Subscribes to the readings of properties of a device as they are
+     * reported, so that clients can be kept up to date with the current values
+     * of properties without polling, see {@link LiveBroadcaster}.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {string[]} propertyIds The identifiers of the device's properties.
+     * @param {function({timestamp: number, values: Object.<string, any>}): void} onReading
+     * &nbsp;Called with each new reading: 'timestamp' is its time in Epoch second,
+     * &nbsp;and 'values' holds the value of each property keyed by property
+     * &nbsp;identifier as in 'getRawValues', null where the reading does not carry it.
+     *
+     * @returns {Promise<function(): void>} A function ending the subscription.
+     */
+    async subscribe(deviceId, propertyIds, onReading) {
+        deviceId, propertyIds, onReading;
+        throw new Error("'subscribe' not defined in derived class");
+    }
+
+    /**
+     * Gets the aggregated data for a property over a group of devices, such as
+     * the average temperature of all devices on a floor. Each device is
+     * aggregated into the same buckets, see 'getAggregates', and the value of
+     * each bucket is then combined across devices by a reducer, see
+     * {@link GroupReducer}. This implementation aggregates a few devices at a
+     * time, reading the values of each device with '_getBucketValues'; data
+     * gateways able to aggregate many devices at once should override it.
+     *
+     * @param {Object} group The devices to aggregate over.
+     * @param {string[]} [group.deviceIds] The identifiers of the devices.
+     * @param {Object.<string, string>} [group.tags] The tags devices must all
+     * &nbsp;carry to be in the group, when 'deviceIds' is not given, e.g.
+     * &nbsp;{ floor: "3" }. See 'findDeviceIdsByTags'.
+     * @param {string} propertyId The identifier of the property, or a
+     * &nbsp;comma-separated list of identifiers.
+     * @param {number} startSecond Start of the time window in Epoch second.
+     * @param {number} endSecond End of the time window in Epoch second.
+     * @param {string} resolution The resolution of the buckets, see 'getAggregates'.
+     * @param {Object} [options] How the time window is divided into buckets, see
+     * &nbsp;'getAggregates'. Percentiles are not computed over groups.
+     * @param {string} [options.reducer] How the values of the devices are
+     * &nbsp;combined, one of GroupReducer. Defaults to "avg".
+     *
+     * @returns {Promise<Object>} The aggregated data: 'timestamps' and 'bucketing'
+     * &nbsp;as in 'getAggregates', 'reducer', 'deviceIds' listing the devices in
+     * &nbsp;the group, and 'properties' holding for each property 'value', the
+     * &nbsp;result of the reducer, 'count', the number of devices with a value,
+     * &nbsp;'gaps', and 'min', 'max', 'avg' and 'sum' across devices.
+     * @throws {InvalidGroupError} The group is empty or its reducer is unknown.
+     */
+    async getGroupAggregates(group, propertyId, startSecond, endSecond, resolution, options = {}) {
+        const reducer = getGroupReducer(options.reducer);
+        const deviceIds = group.deviceIds || (await this.findDeviceIdsByTags(group.tags || {}));
+        if (deviceIds.length == 0) {
+            throw new InvalidGroupError("The group has no devices");
+        }
+
+        const propertyIds = propertyId.split(",");
+        const bucketOptions = Object.assign({}, options, { percentiles: undefined });
+
+        const deviceAggregates = new Array(deviceIds.length);
+        let next = 0;
+        const aggregateNext = async () => {
+            while (next < deviceIds.length) {
+                const index = next++;
+                try {
+                    deviceAggregates[index] = await this.getAggregates(
+                        deviceIds[index],
+                        propertyId,
+                        startSecond,
+                        endSecond,
+                        resolution,
+                        bucketOptions
+                    );
+                } catch (err) {
+                    next = deviceIds.length; // Stop the other workers too.
+                    throw err;
+                }
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(GROUP_CONCURRENCY, deviceIds.length); i++) {
+            workers.push(aggregateNext());
+        }
+        await Promise.all(workers);
+
+        const deviceValues = {};
+        propertyIds.forEach((propertyId) => (deviceValues[propertyId] = []));
+        for (const aggregates of deviceAggregates) {
+            const values = this._getBucketValues(aggregates, propertyIds);
+            propertyIds.forEach((propertyId) => deviceValues[propertyId].push(values[propertyId]));
+        }
+
+        const bucketing = deviceAggregates[0].bucketing;
+        const properties = {};
+        propertyIds.forEach((propertyId) => {
+            const count = bucketing.timestamps.length;
+            properties[propertyId] = reduceGroup(count, deviceValues[propertyId], reducer);
+        });
+
+        return {
+            timestamps: bucketing.timestamps,
+            bucketing,
+            reducer,
+            deviceIds,
+            properties,
+        };
+    }
+
+    /**
+     * Gets the value of each bucket for properties of a device, out of the
+     * aggregated data returned by 'getAggregates', so that they can be combined
+     * across the devices of a group. Data gateways whose 'getAggregates' does
+     * not return the normalized format override this.
+     *
+     * @param {Object} aggregates The aggregated data of the device, along with
+     * &nbsp;the {@link Bucketing} it was aggregated into under 'bucketing'.
+     * @param {string[]} propertyIds The identifiers of the properties.
+     *
+     * @returns {Object.<string, Array<number|null>|undefined>} The value of each
+     * &nbsp;bucket in the aggregation mode of the property, null for empty buckets,
+     * &nbsp;keyed by property identifier.
+     * @throws {Error} The aggregated data is not in the normalized format.
+     * @private
+     */
+    _getBucketValues(aggregates, propertyIds) {
+        if (!aggregates || !aggregates.bucketing || !Array.isArray(aggregates.timestamps)) {
+            throw new Error(`'${this.constructor.name}' does not normalize its aggregates`);
+        }
+
+        const values = {};
+        propertyIds.forEach((propertyId) => {
+            const property = aggregates.properties ? aggregates.properties[propertyId] : aggregates;
+            values[propertyId] = property ? property.value : undefined;
+        });
+
+        return values;
+    }
+
+    /**
+     * Finds the devices carrying all given tags, across all device models. The
+     * tags of a device are found under 'tags' of its entry in the devices of
+     * its model, see 'getDevicesInModel'.
+     *
+     * @param {Object.<string, string>} tags The tags to look for, e.g. { floor: "3" }.
+     * @returns {Promise<string[]>} The identifiers of the devices.
+     */
+    async findDeviceIdsByTags(tags) {
+        const devices = await this._getDeviceEntries();
+        return devices.filter((device) => matchTags(device.tags, tags)).map((device) => device.id);
+    }
+
+    /**
+     * Gets the spatial hierarchy devices are placed in, such as the buildings,
+     * floors and rooms of a site, see {@link HierarchyLevel}. The hierarchy is
+     * read from 'hierarchyFile' if the gateway has one, a JSON file holding the
+     * nested nodes described in 'flattenHierarchy'. Otherwise it is built from
+     * the "site", "building", "floor" and "room" tags of the devices, see
+     * 'hierarchyFromTags'.
+     *
+     * @returns {Promise<{nodes: Object[]}>} The nodes of the hierarchy as a flat
+     * &nbsp;list, parents before their children. The list is empty if devices
+     * &nbsp;are not placed in any hierarchy.
+     * @throws {InvalidHierarchyError} The hierarchy is not a tree.
+     */
+    async getHierarchy() {
+        const nodes = this.hierarchyFile
+            ? flattenHierarchy(await loadJSONFile(this.hierarchyFile))
+            : hierarchyFromTags(await this._getDeviceEntries());
+
+        return { nodes: validateHierarchy(nodes) };
+    }
+
+    /**
+     * Gets the status of all devices as known to the data provider, so that
+     * clients can tell which devices are offline. The status of a device is
+     * found under 'status' of its entry in the devices of its model, and the
+     * last time it reported under 'lastActivityTime', see 'getDevicesInModel'.
+     *
+     * @returns {Promise<{deviceId: string, status: string|undefined,
+     * lastActivityTime: string|undefined}[]>} The status of each device, e.g.
+     * "Enabled" or "Disabled", and its last activity time as an ISO 8601
+     * string, either undefined if the data provider does not supply it.
+     */
+    async getDeviceStatus() {
+        const devices = await this._getDeviceEntries();
+        return devices.map((device) => ({
+            deviceId: device.id,
+            status: device.status,
+            lastActivityTime: device.lastActivityTime,
+        }));
+    }
+
+    /**
+     * Gets the identifiers, tags, status and last activity time of all devices,
+     * across all device models, as found in the entries of the devices of each
+     * model, see 'getDevicesInModel'.
+     *
+     * @returns {Promise<{id: string, tags: Object|undefined, status: string|undefined,
+     * lastActivityTime: string|undefined}[]>} The devices.
+     * @private
+     */
+    async _getDeviceEntries() {
+        let deviceModels = await this.getDeviceModels();
+        deviceModels = Array.isArray(deviceModels) ? deviceModels : [];
+
+        const devices = [];
+        for (const model of deviceModels) {
+            // File based gateways list devices under 'deviceInfo', others as an array.
+            const modelDevices = await this.getDevicesInModel(model.deviceModelId);
+            const entries = Array.isArray(modelDevices)
+                ? modelDevices
+                : (modelDevices && modelDevices.deviceInfo) || [];
+            entries.forEach((entry) => {
+                const id = entry.id || entry.deviceId;
+                if (!devices.find((device) => device.id === id)) {
+                    devices.push({
+                        id,
+                        tags: entry.tags,
+                        status: entry.status,
+                        lastActivityTime: entry.lastActivityTime,
+                    });
+                }
+            });
+        }
+
+        return devices;
+    }
+
+    /**
+     * Gets the definitions of properties of a device, as found under
+     * 'deviceProperties' in the device model of the device. They tell how the
+     * properties are aggregated, see {@link AggregationMode} and {@link PropertyKind}.
+     * If the device does not belong to any device model, the properties are
+     * looked up in the first device model that defines them. The device models
+     * are cached for a while, see '_getDeviceModelMap'.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {string[]} propertyIds The identifiers of the device's properties.
+     *
+     * @returns {Promise<Object.<string, Object|undefined>>} The definition of
+     * &nbsp;each property keyed by property identifier, undefined for properties
+     * &nbsp;that are not defined in any device model.
+     */
+    async getDeviceProperties(deviceId, propertyIds) {
+        const { deviceModels, modelsByDevice } = await this._getDeviceModelMap();
+        const deviceModel = modelsByDevice.get(deviceId);
+
+        const properties = {};
+        propertyIds.forEach((propertyId) => {
+            const models = deviceModel ? [deviceModel] : deviceModels;
+            const property = models
+                .map((model) =>
+                    (model.deviceProperties || []).find((p) => p.propertyId === propertyId)
+                )
+                .find((p) => p);
+
+            properties[propertyId] = property;
+        });
+
+        return properties;
+    }
+
+    /**
+     * Gets the device models, and the device model each device belongs to. They
+     * are loaded at most once every DEVICE_MODEL_CACHE_TTL milliseconds, rather
+     * than on every call aggregating data, as their definitions rarely change.
+     *
+     * @returns {Promise<{deviceModels: Object[], modelsByDevice: Map<string, Object>}>}
+     * &nbsp;The device models, and the device model of each device keyed by
+     * &nbsp;device identifier.
+     * @private
+     */
+    _getDeviceModelMap() {
+        const now = Date.now();
+        const cache = this._deviceModelCache;
+        if (cache && now - cache.time < DEVICE_MODEL_CACHE_TTL) {
+            return cache.promise;
+        }
+
+        const promise = this._loadDeviceModelMap();
+        this._deviceModelCache = { time: now, promise };
+
+        // Failures are not cached, the next call tries loading them again.
+        promise.catch(() => {
+            if (this._deviceModelCache && this._deviceModelCache.promise === promise) {
+                this._deviceModelCache = undefined;
+            }
+        });
+
+        return promise;
+    }
+
+    /**
+     * Loads the device models and the devices of each model, see '_getDeviceModelMap'.
+     *
+     * @returns {Promise<{deviceModels: Object[], modelsByDevice: Map<string, Object>}>}
+     * &nbsp;The device models, and the device model of each device.
+     * @private
+     */
+    async _loadDeviceModelMap() {
+        let deviceModels = await this.getDeviceModels();
+        deviceModels = Array.isArray(deviceModels) ? deviceModels : [];
+
+        const modelsByDevice = new Map();
+        for (const model of deviceModels) {
+            // File based gateways list devices under 'deviceInfo', others as an array.
+            const modelDevices = await this.getDevicesInModel(model.deviceModelId);
+            const entries = Array.isArray(modelDevices)
+                ? modelDevices
+                : (modelDevices && modelDevices.deviceInfo) || [];
+            entries.forEach((entry) => {
+                const id = entry.id || entry.deviceId;
+                if (!modelsByDevice.has(id)) {
+                    modelsByDevice.set(id, model);
+                }
+            });
+        }
+
+        return { deviceModels, modelsByDevice };
+    }
+
+    /**
+     * Gets the derived properties among properties of a device, that is the
+     * properties whose definition has an 'expression' computing them from other
+     * properties of the device. The properties they depend on are looked up in
+     * turn, so that derived properties may depend on each other.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {Object.<string, Object|undefined>} definitions The definition of
+     * &nbsp;each property keyed by property identifier, see 'getDeviceProperties'.
+     *
+     * @returns {Promise<DerivedProperties>} The derived properties.
+     * @throws {InvalidExpressionError} An expression cannot be parsed, or
+     * &nbsp;derived properties depend on each other in a cycle.
+     */
+    async getDerivedProperties(deviceId, definitions) {
+        const derived = new DerivedProperties();
+        const known = Object.keys(definitions);
+
+        let pending = definitions;
+        while (Object.keys(pending).length) {
+            const dependencies = [];
+            Object.entries(pending).forEach(([propertyId, definition]) => {
+                if (definition && definition.expression) {
+                    derived.add(propertyId, definition.expression);
+                    derived
+                        .getExpression(propertyId)
+                        .dependencies.filter((id) => !known.includes(id))
+                        .forEach((id) => {
+                            known.push(id);
+                            dependencies.push(id);
+                        });
+                }
+            });
+
+            pending = dependencies.length
+                ? await this.getDeviceProperties(deviceId, dependencies)
+                : {};
+        }
+
+        // Surface cycles now rather than when evaluating.
+        Object.keys(definitions).forEach((propertyId) => derived.getInputs(propertyId));
+        return derived;
+    }
 }
 
 module.exports = DataGateway;
@@ -16,8 +16,24 @@
 const DataGateway = require("./Hyperion.Server.DataGateway");
 const tweenFunctions = require("tween-functions");
 const { loadJSONFile } = require("./FileUtility.js");
+const { exactPercentile } = require("./PercentileSketch.js");
+const { Bucketing } = require("../../shared/Bucketing.js");
+const {
+    AggregationMode,
+    PropertyKind,
+    getAggregationMode,
+    getPropertyKind,
+} = require("../../shared/Aggregation.js");
+const { isStateDataType, getStates } = require("../../shared/PropertyState.js");
 
 const STARTDATE = new Date("2020-01-01");
+const RAW_VALUE_INTERVAL = 60; // Seconds between two generated raw readings.
+const LIVE_INTERVAL = 5000; // Milliseconds between two generated live readings.
+const DEFAULT_RAW_VALUE_LIMIT = 10000;
+const DEFAULT_STATES = ["off", "on"]; // States of properties allowing any state.
+const MAX_SAMPLES_PER_BUCKET = 32;
+const MIN_SAMPLES_PER_BUCKET = 2;
+const MAX_SAMPLES = 3200; // Values generated per property and request, across buckets.
 
 function randomSign() {
     return Math.random() > 0.5 ? 1 : -1;
@@ -27,6 +43,10 @@ function random(v) {
     return randomSign() * Math.random() * v;
 }
 
+function round(v, digits) {
+    return v === null ? null : parseFloat(v.toFixed(digits));
+}
+
 function weekNum(time) {
     var weekNo = Math.abs(Math.ceil(((time - STARTDATE) / 86400000 + 1) / 7));
     return weekNo % 2;
@@ -69,8 +89,16 @@ class Synthetic {
         return sensorConfig[day][week];
     }
 
-    async value(sensorType, currentTime, interval) {
+    /**
+     * Loads the config file, which must be done before generating values.
+     * @returns {Promise<Synthetic>} This generator.
+     */
+    async load() {
         if (!this.config) this.config = await loadJSONFile(this.configFile);
+        return this;
+    }
+
+    value(sensorType, currentTime, interval) {
         let hour = this._timeToDecimal(currentTime);
         let self = this;
         let stops = this._getStops(sensorType, currentTime);
@@ -102,6 +130,24 @@ class Synthetic {
         }
     }
 
+    /**
+     * Generates a state by dividing the range of generated values evenly
+     * among the states, from the first state for the lowest values to the last
+     * state for the highest values.
+     *
+     * @param {string} sensorType The sensor type whose values are generated.
+     * @param {Date} currentTime The time of the state.
+     * @param {number} interval The interval between generated states in hours.
+     * @param {string[]} states The states to choose from.
+     * @returns {string} The generated state.
+     */
+    state(sensorType, currentTime, interval, states) {
+        let v = this.value(sensorType, currentTime, interval);
+        let { min, max } = this.config["Range"][sensorType] || this.config["Range"]["Temperature"];
+        let index = Math.floor(((v - min) / (max - min)) * states.length);
+        return states[Math.min(Math.max(index, 0), states.length - 1)];
+    }
+
     _timeToDecimal(time) {
         return time.getHours() + time.getMinutes() / 60 + time.getSeconds() / 60 / 60;
     }
@@ -120,13 +166,18 @@ class SyntheticGateway extends DataGateway {
      * @param {string} deviceModelFile File path to JSON file containing device model information. For an example, refer to https://github.com/Autodesk-Forge/forge-dataviz-iot-reference-app/blob/main/server/gateways/synthetic-data/device-models.json
      * @param {string} deviceFile File path to JSON file containing device information. For an example, refer to https://github.com/Autodesk-Forge/forge-dataviz-iot-reference-app/blob/main/server/gateways/synthetic-data/devices.json
      * @param {string} configFile File path to config file defining the data stops and range values used to generate synthetic data. For an example, refer to https://github.com/Autodesk-Forge/forge-dataviz-iot-reference-app/blob/main/server/gateways/synthetic-data/config.json
+     * @param {string} [hierarchyFile] File path to JSON file holding the spatial hierarchy devices are placed in, see 'getHierarchy'. Defaults to building it from the tags of the devices.
      */
-    constructor(deviceModelFile, deviceFile, configFile) {
+    constructor(deviceModelFile, deviceFile, configFile, hierarchyFile) {
         super("SyntheticGateway");
 
         this.deviceModelFile = deviceModelFile;
         this.deviceFile = deviceFile;
         this.configFile = configFile;
+        this.hierarchyFile = hierarchyFile;
+
+        // Milliseconds between two readings generated for subscribers, see 'subscribe'.
+        this.liveInterval = LIVE_INTERVAL;
     }
 
     async getDeviceModels() {
@@ -138,57 +189,110 @@ class SyntheticGateway extends DataGateway {
         return devices.find((device) => device.deviceModelId === deviceModelId);
     }
 
-    async getAggregates(deviceId, propertyId, startSecond, endSecond, resolution) {
-        deviceId; // Not used for synthetic data generation.
-        propertyId; // Not used for synthetic data generation.
-
-        let synthetic = new Synthetic(this.configFile);
+    async getAggregates(deviceId, propertyId, startSecond, endSecond, resolution, options = {}) {
+        let synthetic = await new Synthetic(this.configFile).load();
 
         // Just sample data, no need to validate existence of device/property IDs.
-        const totalSeconds = Math.abs(endSecond - startSecond);
-
-        let dataPoints = 0;
-        if (resolution === "1d" || resolution == "PT1D") {
-            dataPoints = 1 + Math.floor(totalSeconds / (60 * 60 * 24));
-        } else if (resolution === "1h" || resolution == "PT1H") {
-            dataPoints = 1 + Math.floor(totalSeconds / (60 * 60));
-        } else if (resolution === "1m") {
-            dataPoints = 1 + Math.floor(totalSeconds / 60);
-        } else {
-            dataPoints = 1 + Math.floor(totalSeconds / 60 / 5);
+        const bucketing = new Bucketing(startSecond, endSecond, resolution, options);
+        const timestamps = bucketing.timestamps;
+
+        // The device only matters to find how its properties are aggregated.
+        const propertyIds = propertyId.split(",");
+        const definitions = await this.getDeviceProperties(deviceId, propertyIds);
+        const derived = await this.getDerivedProperties(deviceId, definitions);
+        const properties = {};
+        for (const pId of propertyIds) {
+            const definition = definitions[pId];
+            if (definition && isStateDataType(definition.propertyType)) {
+                properties[pId] = this._aggregateStates(synthetic, pId, bucketing, definition);
+                continue;
+            }
+
+            properties[pId] = this._aggregate(
+                synthetic,
+                pId,
+                bucketing,
+                definitions[pId],
+                options.percentiles || [],
+                derived
+            );
+        }
+
+        if (propertyIds.length == 1) {
+            return Object.assign({ timestamps, bucketing }, properties[propertyId]);
         }
 
-        // Keep to a reasonable data points to return to client.
-        dataPoints = dataPoints > 1 ? dataPoints : 2;
-        const maxDataPoints = dataPoints < 100 ? dataPoints : 100;
+        return { timestamps, bucketing, properties };
+    }
 
-        const gapSeconds = Math.floor(totalSeconds / (maxDataPoints - 1));
+    /**
+     * Gets the number of values generated in each bucket, fewer when there are
+     * many buckets so that a wide time window does not tie up the server.
+     * @param {Bucketing} bucketing The buckets to generate values for.
+     * @returns {number} The number of values generated in each bucket.
+     * @private
+     */
+    _getSampleCount(bucketing) {
+        const count = Math.floor(MAX_SAMPLES / bucketing.timestamps.length);
+        return Math.max(MIN_SAMPLES_PER_BUCKET, Math.min(MAX_SAMPLES_PER_BUCKET, count));
+    }
 
-        const timestamps = [];
+    /**
+     * Generates the aggregated values of a property for the given buckets.
+     *
+     * @param {Synthetic} synthetic The synthetic data generator.
+     * @param {string} propertyId The identifier of the property.
+     * @param {Bucketing} bucketing The buckets to generate values for.
+     * @param {Object|undefined} definition The definition of the property in
+     * &nbsp;its device model. Generated values of counters are taken as the rate
+     * &nbsp;at which they increase per hour.
+     * @param {number[]} percentiles The percentiles to compute over the
+     * &nbsp;generated values of each bucket.
+     * @param {DerivedProperties} derived The derived properties of the device.
+     * @returns {Object.<string, number[]>} The aggregated values.
+     * @private
+     */
+    _aggregate(synthetic, propertyId, bucketing, definition, percentiles, derived) {
+        const mode = getAggregationMode(definition);
+        const kind = getPropertyKind(definition);
         const countValues = [];
         const minValues = [];
         const maxValues = [];
         const avgValues = [];
         const sumValues = [];
+        const valueValues = [];
+        const deltaValues = [];
+        const rateValues = [];
         const stdDevValues = [];
+        const percentileValues = percentiles.map(() => []);
+        const samples = this._getSampleCount(bucketing);
 
-        let currSecond = startSecond;
-        for (let i = 0; i < maxDataPoints; ++i, currSecond += gapSeconds) {
-            timestamps.push(currSecond);
+        for (let b = 0; b < bucketing.timestamps.length; b++) {
+            const currSecond = bucketing.edges[b];
+            const gapSeconds = bucketing.edges[b + 1] - currSecond;
 
             // Generate a series of random data points.
             let values = [];
-            let step = gapSeconds / 32;
+            let step = gapSeconds / samples;
             let intervalToHour = gapSeconds / 60 / 60;
-            for (let i = 0; i < 32; i++) {
+            for (let i = 0; i < samples; i++) {
                 let time = new Date(Math.round((currSecond + step * i) * 1000));
-                let v = await synthetic.value(propertyId, time, intervalToHour);
-                values.push(v);
+                let v = this._sample(synthetic, derived, propertyId, time, intervalToHour);
+                if (v !== null) {
+                    values.push(v);
+                }
             }
 
-            // const values = [...new Array(32)].map((_) => Math.random() * gap + min);
-
             countValues.push(values.length);
+            if (!values.length) {
+                // A derived property has no value anywhere in the bucket.
+                [minValues, maxValues, avgValues, sumValues, valueValues, stdDevValues]
+                    .concat(percentileValues)
+                    .forEach((series) => series.push(null));
+                deltaValues.push(null);
+                rateValues.push(null);
+                continue;
+            }
 
             minValues.push(Math.min(...values));
             maxValues.push(Math.max(...values));
@@ -196,22 +300,255 @@ class SyntheticGateway extends DataGateway {
             const sum = values.reduce((p, c) => p + c);
             const avg = sum / values.length;
             sumValues.push(sum);
-            avgValues.push(avg);
 
-            const sd = values.reduce((p, c) => p + Math.pow(c - avg, 2));
+            if (mode === AggregationMode.TimeWeighted) {
+                // Values are evenly spaced, interpolate linearly between them.
+                let area = 0;
+                for (let i = 1; i < values.length; i++) {
+                    area += (values[i - 1] + values[i]) / 2;
+                }
+                avgValues.push(area / (values.length - 1));
+            } else {
+                avgValues.push(avg);
+            }
+
+            if (mode === AggregationMode.Last) {
+                valueValues.push(values[values.length - 1]);
+            } else if (mode === AggregationMode.Sum) {
+                valueValues.push(sum);
+            } else {
+                valueValues.push(avgValues[avgValues.length - 1]);
+            }
+
+            if (kind === PropertyKind.Counter) {
+                rateValues.push(avg / 3600);
+                deltaValues.push((avg / 3600) * gapSeconds);
+            }
+
+            const sd = values.reduce((p, c) => p + Math.pow(c - avg, 2), 0);
             stdDevValues.push(Math.sqrt(sd / values.length));
+
+            const sorted = values.sort((a, b) => a - b);
+            percentiles.forEach((p, i) => percentileValues[i].push(exactPercentile(sorted, p)));
+        }
+
+        // Values are generated for every bucket, only derived properties may have gaps.
+        const result = {
+            aggregation: mode,
+            kind,
+            count: countValues,
+            gaps: countValues.map((count) => !count),
+            value: valueValues.map((v) => round(v, 2)),
+            min: minValues.map((v) => round(v, 2)),
+            max: maxValues.map((v) => round(v, 2)),
+            avg: avgValues.map((v) => round(v, 2)),
+            sum: sumValues.map((v) => round(v, 2)),
+            stdDev: stdDevValues.map((v) => round(v, 2)),
+        };
+
+        if (kind === PropertyKind.Counter) {
+            result.delta = deltaValues.map((v) => round(v, 2));
+            result.rate = rateValues.map((v) => round(v, 6));
+        }
+
+        if (percentiles.length) {
+            result.percentiles = {};
+            percentiles.forEach((p, i) => {
+                result.percentiles[p] = percentileValues[i].map((v) => round(v, 2));
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Generates the value of a property at a given time. Derived properties are
+     * computed from the values generated for the properties they depend on.
+     *
+     * @param {Synthetic} synthetic The synthetic data generator.
+     * @param {DerivedProperties} derived The derived properties of the device.
+     * @param {string} propertyId The identifier of the property.
+     * @param {Date} time The time of the value.
+     * @param {number} intervalToHour The interval between values in hours.
+     * @returns {number|null} The value, null if a derived property has none.
+     * @private
+     */
+    _sample(synthetic, derived, propertyId, time, intervalToHour) {
+        if (!derived.has(propertyId)) {
+            return synthetic.value(propertyId, time, intervalToHour);
+        }
+
+        const inputs = {};
+        for (const input of derived.getInputs(propertyId)) {
+            inputs[input] = synthetic.value(input, time, intervalToHour);
+        }
+
+        return derived.evaluate(propertyId, (id) => inputs[id]);
+    }
+
+    /**
+     * Generates the aggregated states of a state property for the given
+     * buckets, in the format of the CSV data gateway.
+     *
+     * @param {Synthetic} synthetic The synthetic data generator.
+     * @param {string} propertyId The identifier of the property.
+     * @param {Bucketing} bucketing The buckets to generate states for.
+     * @param {Object} definition The definition of the property in its device model.
+     * @returns {Object} The aggregated states.
+     * @private
+     */
+    _aggregateStates(synthetic, propertyId, bucketing, definition) {
+        const mode = getAggregationMode(definition);
+        const states = getStates(definition) || DEFAULT_STATES;
+        const durations = {};
+        states.forEach((state) => (durations[state] = []));
+        const countValues = [];
+        const valueValues = [];
+        const transitionValues = [];
+        const samples = this._getSampleCount(bucketing);
+
+        for (let b = 0; b < bucketing.timestamps.length; b++) {
+            const currSecond = bucketing.edges[b];
+            const gapSeconds = bucketing.edges[b + 1] - currSecond;
+
+            // Generate a series of states, each holding until the next one.
+            let step = gapSeconds / samples;
+            let intervalToHour = gapSeconds / 60 / 60;
+            let held = {};
+            let transitions = 0;
+            let state;
+            for (let i = 0; i < samples; i++) {
+                let time = new Date(Math.round((currSecond + step * i) * 1000));
+                let next = synthetic.state(propertyId, time, intervalToHour, states);
+                transitions += state !== undefined && next !== state ? 1 : 0;
+                held[next] = (held[next] || 0) + step;
+                state = next;
+            }
+
+            states.forEach((s) => durations[s].push(held[s] || 0));
+            countValues.push(samples);
+            transitionValues.push(transitions);
+            valueValues.push(
+                mode === AggregationMode.Last
+                    ? state
+                    : states.reduce((a, s) => ((held[s] || 0) > (held[a] || 0) ? s : a))
+            );
         }
 
+        // States are generated for every bucket, there are no gaps.
+        const nulls = countValues.map(() => null);
         return {
-            timestamps: timestamps,
+            aggregation: mode,
+            kind: getPropertyKind(definition),
             count: countValues,
-            min: minValues.map((v) => parseFloat(v.toFixed(2))),
-            max: maxValues.map((v) => parseFloat(v.toFixed(2))),
-            avg: avgValues.map((v) => parseFloat(v.toFixed(2))),
-            sum: sumValues.map((v) => parseFloat(v.toFixed(2))),
-            stdDev: stdDevValues.map((v) => parseFloat(v.toFixed(2))),
+            gaps: countValues.map(() => false),
+            value: valueValues,
+            states,
+            durations,
+            transitions: transitionValues,
+            min: nulls,
+            max: nulls,
+            avg: nulls,
+            sum: nulls,
+            stdDev: nulls,
         };
     }
+
+    async getRawValues(deviceId, propertyIds, startSecond, endSecond, options = {}) {
+        // The device only matters to find which of its properties hold states
+        // or are derived from other properties.
+        const definitions = await this.getDeviceProperties(deviceId, propertyIds);
+        const derived = await this.getDerivedProperties(deviceId, definitions);
+
+        let synthetic = await new Synthetic(this.configFile).load();
+
+        // Readings are generated at fixed intervals, the cursor is the time of
+        // the next reading to be returned.
+        const limit = options.limit || DEFAULT_RAW_VALUE_LIMIT;
+        const firstSecond = Math.ceil(startSecond / RAW_VALUE_INTERVAL) * RAW_VALUE_INTERVAL;
+        const cursorSecond = parseInt(options.cursor, 10);
+
+        const timestamps = [];
+        const values = {};
+        propertyIds.forEach((propertyId) => (values[propertyId] = []));
+
+        let currSecond = isNaN(cursorSecond) ? firstSecond : Math.max(cursorSecond, firstSecond);
+        for (; currSecond <= endSecond; currSecond += RAW_VALUE_INTERVAL) {
+            if (timestamps.length >= limit) {
+                return { timestamps, values, cursor: `${currSecond}` };
+            }
+
+            timestamps.push(currSecond);
+
+            let time = new Date(currSecond * 1000);
+            for (const propertyId of propertyIds) {
+                values[propertyId].push(
+                    this._read(synthetic, definitions, derived, propertyId, time)
+                );
+            }
+        }
+
+        return { timestamps, values, cursor: undefined };
+    }
+
+    /**
+     * Generates a reading of all properties every 'liveInterval' milliseconds,
+     * at the current time.
+     */
+    async subscribe(deviceId, propertyIds, onReading) {
+        const definitions = await this.getDeviceProperties(deviceId, propertyIds);
+        const derived = await this.getDerivedProperties(deviceId, definitions);
+
+        let synthetic = await new Synthetic(this.configFile).load();
+        const timer = setInterval(() => {
+            const timestamp = Math.round(Date.now() / 1000);
+            const time = new Date(timestamp * 1000);
+            const values = {};
+            try {
+                for (const propertyId of propertyIds) {
+                    values[propertyId] = this._read(
+                        synthetic,
+                        definitions,
+                        derived,
+                        propertyId,
+                        time
+                    );
+                }
+            } catch (err) {
+                console.error(`Unable to generate a reading of ${deviceId}.`, err);
+                return;
+            }
+
+            onReading({ timestamp, values });
+        }, this.liveInterval);
+
+        return () => clearInterval(timer);
+    }
+
+    /**
+     * Generates a raw reading of a property, as returned by 'getRawValues'.
+     *
+     * @param {Synthetic} synthetic The synthetic data generator.
+     * @param {Object.<string, Object|undefined>} definitions The definition of
+     * &nbsp;each property in its device model.
+     * @param {DerivedProperties} derived The derived properties of the device.
+     * @param {string} propertyId The identifier of the property.
+     * @param {Date} time The time of the reading.
+     * @returns {number|string|null} The value, or the state of state
+     * &nbsp;properties.
+     * @private
+     */
+    _read(synthetic, definitions, derived, propertyId, time) {
+        const intervalToHour = RAW_VALUE_INTERVAL / 60 / 60;
+        const definition = definitions[propertyId];
+        if (definition && isStateDataType(definition.propertyType)) {
+            const states = getStates(definition) || DEFAULT_STATES;
+            return synthetic.state(propertyId, time, intervalToHour, states);
+        }
+
+        let v = this._sample(synthetic, derived, propertyId, time, intervalToHour);
+        return round(v, 2);
+    }
 }
 
 module.exports = SyntheticGateway;
@@ -0,0 +1,162 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+const DEFAULT_EXACT_LIMIT = 1000;
+
+/**
+ * Computes a percentile of sorted values, interpolating linearly between the
+ * two closest ranks.
+ *
+ * @param {number[]} sorted The values in ascending order.
+ * @param {number} percentile The percentile between 0 and 100.
+ * @returns {number|null} The percentile, or null if there are no values.
+ */
+function exactPercentile(sorted, percentile) {
+    if (sorted.length == 0) {
+        return null;
+    }
+
+    const rank = (percentile / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Estimates a single quantile of a stream of values in constant memory, using
+ * the P² algorithm of Jain and Chlamtac. Five markers track the minimum, the
+ * maximum, the quantile and the midpoints in between, and are adjusted with a
+ * piecewise-parabolic interpolation as values come in.
+ * @private
+ */
+class P2Estimator {
+    /**
+     * @param {number} quantile The quantile between 0 and 1.
+     */
+    constructor(quantile) {
+        this.heights = [];
+        this.positions = [1, 2, 3, 4, 5];
+        this.desired = [1, 1 + 2 * quantile, 1 + 4 * quantile, 3 + 2 * quantile, 5];
+        this.increments = [0, quantile / 2, quantile, (1 + quantile) / 2, 1];
+    }
+
+    add(value) {
+        const q = this.heights;
+        const n = this.positions;
+
+        if (q.length < 5) {
+            q.push(value);
+            q.sort((a, b) => a - b);
+            return;
+        }
+
+        // Find the cell the value falls in, extending the extremes if needed.
+        let k;
+        if (value < q[0]) {
+            q[0] = value;
+            k = 0;
+        } else if (value >= q[4]) {
+            q[4] = Math.max(q[4], value);
+            k = 3;
+        } else {
+            k = 0;
+            while (value >= q[k + 1]) k++;
+        }
+
+        for (let i = k + 1; i < 5; i++) n[i]++;
+        for (let i = 0; i < 5; i++) this.desired[i] += this.increments[i];
+
+        // Move the middle markers towards their desired positions.
+        for (let i = 1; i < 4; i++) {
+            const d = this.desired[i] - n[i];
+            if ((d >= 1 && n[i + 1] - n[i] > 1) || (d <= -1 && n[i - 1] - n[i] < -1)) {
+                const s = Math.sign(d);
+                const parabolic =
+                    q[i] +
+                    (s / (n[i + 1] - n[i - 1])) *
+                        ((n[i] - n[i - 1] + s) * ((q[i + 1] - q[i]) / (n[i + 1] - n[i])) +
+                            (n[i + 1] - n[i] - s) * ((q[i] - q[i - 1]) / (n[i] - n[i - 1])));
+
+                if (q[i - 1] < parabolic && parabolic < q[i + 1]) {
+                    q[i] = parabolic;
+                } else {
+                    q[i] = q[i] + (s * (q[i + s] - q[i])) / (n[i + s] - n[i]);
+                }
+                n[i] += s;
+            }
+        }
+    }
+
+    get value() {
+        return this.heights[2];
+    }
+}
+
+/**
+ * Collects the values of a bucket to compute its percentiles. Percentiles
+ * are exact as long as the bucket holds no more than a given number of
+ * values, beyond which they are estimated in constant memory.
+ */
+class PercentileSketch {
+    /**
+     * @param {number[]} percentiles The percentiles to compute, between 0 and 100.
+     * @param {number} [exactLimit] The number of values up to which percentiles
+     * &nbsp;are exact, defaults to 1000.
+     */
+    constructor(percentiles, exactLimit = DEFAULT_EXACT_LIMIT) {
+        this.percentiles = percentiles;
+        this.exactLimit = exactLimit;
+        this.values = [];
+        this.estimators = undefined;
+    }
+
+    /**
+     * Adds a value to the sketch.
+     * @param {number} value The value to add.
+     */
+    add(value) {
+        if (this.estimators) {
+            this.estimators.forEach((estimator) => estimator.add(value));
+        } else if (this.values.length < this.exactLimit) {
+            this.values.push(value);
+        } else {
+            // Too many values to keep, switch to estimating percentiles.
+            this.estimators = this.percentiles.map((p) => new P2Estimator(p / 100));
+            this.values.concat(value).forEach((v) => {
+                this.estimators.forEach((estimator) => estimator.add(v));
+            });
+            this.values = [];
+        }
+    }
+
+    /**
+     * Gets the computed percentiles.
+     * @returns {number[]} The value of each percentile, in the order they were
+     * &nbsp;requested, or null if the sketch holds no values.
+     */
+    getPercentiles() {
+        if (this.estimators) {
+            return this.estimators.map((estimator) => estimator.value);
+        }
+
+        const sorted = this.values.slice(0).sort((a, b) => a - b);
+        return this.percentiles.map((p) => exactPercentile(sorted, p));
+    }
+}
+
+PercentileSketch.exactPercentile = exactPercentile;
+
+module.exports = PercentileSketch;
@@ -0,0 +1,467 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const express = require("express");
+const DataGateway = require("../gateways/Hyperion.Server.DataGateway");
+const LiveBroadcaster = require("./Hyperion.Server.LiveBroadcaster");
+const { InvalidResolutionError } = require("../../shared/Resolution.js");
+const { BucketingError } = require("../../shared/Bucketing.js");
+const { InvalidTimeZoneError } = require("../../shared/TimeZone.js");
+const { InvalidGroupError, parseTags } = require("../../shared/GroupAggregation.js");
+
+const HEARTBEAT_INTERVAL = 15000; // Milliseconds between two comments keeping live streams open.
+
+/**
+ * Error raised while validating an incoming request. The status code is sent
+ * back to the client along with the error message.
+ * @private
+ */
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = "RequestError";
+        this.status = status;
+    }
+}
+
+/**
+ * Gets the value of a required query parameter.
+ *
+ * @param {express.Request} req The incoming request.
+ * @param {string} name Name of the query parameter.
+ * @returns {string} The value of the query parameter.
+ * @throws {RequestError} The parameter is missing or empty.
+ * @private
+ */
+function requireParam(req, name) {
+    const value = req.query[name];
+    if (typeof value !== "string" || value.trim() === "") {
+        throw new RequestError(400, `Missing required parameter '${name}'`);
+    }
+
+    return value.trim();
+}
+
+/**
+ * Gets the value of a required query parameter expressed in Unix epoch seconds.
+ *
+ * @param {express.Request} req The incoming request.
+ * @param {string} name Name of the query parameter.
+ * @returns {number} The parameter value in Unix epoch seconds.
+ * @throws {RequestError} The parameter is missing or not an integer.
+ * @private
+ */
+function requireSecond(req, name) {
+    const value = requireParam(req, name);
+    const second = Number(value);
+    if (!Number.isInteger(second)) {
+        throw new RequestError(400, `Parameter '${name}' must be in Unix epoch seconds`);
+    }
+
+    return second;
+}
+
+/**
+ * Gets the optional list of percentiles to compute along with aggregates.
+ *
+ * @param {express.Request} req The incoming request.
+ * @returns {number[]|undefined} The percentiles between 0 and 100, or undefined
+ * &nbsp;if none are requested.
+ * @throws {RequestError} One of the percentiles is not a number between 0 and 100.
+ * @private
+ */
+function getPercentiles(req) {
+    const value = req.query.percentiles;
+    if (value === undefined || value === "") {
+        return undefined;
+    }
+
+    return String(value)
+        .split(",")
+        .map((item) => {
+            const percentile = item.trim() === "" ? NaN : Number(item);
+            if (!(percentile >= 0 && percentile <= 100)) {
+                throw new RequestError(
+                    400,
+                    `Parameter 'percentiles' must be numbers between 0 and 100, got '${item}'`
+                );
+            }
+
+            return percentile;
+        });
+}
+
+/**
+ * Gets the optional fixed offset of the time zone buckets are aligned to.
+ *
+ * @param {express.Request} req The incoming request.
+ * @returns {number|undefined} The offset in minutes east of UTC, or undefined
+ * &nbsp;if not given.
+ * @throws {RequestError} The offset is not a number.
+ * @private
+ */
+function getTimeZoneOffset(req) {
+    const value = req.query.timeZoneOffset;
+    if (value === undefined || value === "") {
+        return undefined;
+    }
+
+    const offset = String(value).trim() === "" ? NaN : Number(value);
+    if (!Number.isFinite(offset)) {
+        throw new RequestError(
+            400,
+            `Parameter 'timeZoneOffset' must be a number of minutes, got '${value}'`
+        );
+    }
+
+    return offset;
+}
+
+/**
+ * Gets the HTTP status code to respond with when a request fails.
+ * @param {any} err The rejection reason.
+ * @returns {number} The HTTP status code.
+ * @private
+ */
+function getErrorStatus(err) {
+    if (err instanceof RequestError) {
+        return err.status;
+    } else if (
+        err instanceof InvalidResolutionError ||
+        err instanceof InvalidTimeZoneError ||
+        err instanceof BucketingError ||
+        err instanceof InvalidGroupError
+    ) {
+        return 400;
+    }
+
+    return 500;
+}
+
+/**
+ * Gets a human readable message out of whatever a data gateway rejected with.
+ * @param {any} err The rejection reason.
+ * @returns {string} The error message.
+ * @private
+ */
+function getErrorMessage(err) {
+    if (err instanceof Error) {
+        return err.message;
+    }
+
+    return typeof err === "string" ? err : JSON.stringify(err);
+}
+
+/**
+ * Creates an Express router that exposes data gateways through the REST
+ * endpoints consumed by RestApiDataAdapter and AzureDataAdapter:
+ *
+ * - `GET api/device-models?provider=...&project=...`
+ * - `GET api/devices?provider=...&project=...&model=...`
+ * - `GET api/hierarchy?provider=...&project=...`
+ * - `GET api/device-status?provider=...&project=...`
+ * - `GET api/aggregates?provider=...&project=...&device=...&property=...&startTime=...&endTime=...&resolution=...[&closed=left|right][&timeZone=...|&timeZoneOffset=...][&percentiles=50,95,...]`
+ * - `GET api/raw-values?provider=...&project=...&device=...&property=...&startTime=...&endTime=...[&limit=...][&cursor=...]`
+ * - `GET api/group-aggregates?provider=...&project=...&devices=...|&tags=key:value,...&property=...&startTime=...&endTime=...&resolution=...[&reducer=avg|min|max|sum][&closed=left|right][&timeZone=...|&timeZoneOffset=...]`
+ * - `GET api/live?provider=...&devices=...&properties=...`
+ *
+ * Each request is dispatched to the data gateway registered under its `provider`
+ * query parameter. Results from data gateways are sent back to the client as-is,
+ * invalid requests are answered with status 400, requests for an unknown provider
+ * with status 404 and gateway failures with status 500, all carrying a JSON body
+ * of the form `{ error: string }`.
+ *
+ * `api/group-aggregates` combines the aggregates of each device in the group,
+ * see `DataGateway#getGroupAggregates`. With the "azure" provider, devices
+ * contribute the average of each bucket whatever the aggregation mode of the
+ * property, as that is all Azure Time Series Insights is queried for.
+ *
+ * `api/live` streams the readings of the comma-separated devices as Server-Sent
+ * Events, one message per reading with a JSON body of the form `{ deviceId,
+ * timestamp, values }`, see {@link LiveBroadcaster}. The stream stays open until
+ * the client closes it.
+ *
+ * @param {Object} options The router options.
+ * @param {Object.<string, DataGateway>} options.gateways Data gateways keyed by the
+ * &nbsp;provider name that clients specify, for example "synthetic", "csv" or "azure".
+ *
+ * @returns {express.Router} The router to be mounted on an Express application.
+ *
+ * @throws {Error} No data gateway is specified, or one of them is not a DataGateway.
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.createDataRouter
+ */
+function createDataRouter({ gateways } = {}) {
+    const providers = Object.keys(gateways || {});
+    if (providers.length === 0) {
+        throw new Error("At least one data gateway must be specified");
+    }
+
+    providers.forEach((provider) => {
+        if (!(gateways[provider] instanceof DataGateway)) {
+            throw new Error(`Gateway for provider '${provider}' is not a DataGateway`);
+        }
+    });
+
+    /**
+     * Finds the data gateway registered for the provider of a request.
+     * @param {express.Request} req The incoming request.
+     * @returns {DataGateway} The data gateway.
+     * @throws {RequestError} Provider is missing or unknown.
+     */
+    function getGateway(req) {
+        const provider = requireParam(req, "provider");
+        if (!Object.prototype.hasOwnProperty.call(gateways, provider)) {
+            throw new RequestError(404, `Unknown provider '${provider}'`);
+        }
+
+        return gateways[provider];
+    }
+
+    /**
+     * Sends back the error response of a failed request.
+     * @param {express.Request} req The incoming request.
+     * @param {express.Response} res The response.
+     * @param {any} err The reason the request failed.
+     */
+    function sendError(req, res, err) {
+        const status = getErrorStatus(err);
+        if (status === 500) {
+            console.error(`Request to ${req.path} failed.`, err);
+        }
+
+        res.status(status).json({ error: getErrorMessage(err) });
+    }
+
+    /**
+     * Wraps an asynchronous request handler so that its result is sent back as
+     * JSON and any error it throws is turned into an error response.
+     * @param {Function} handler Handler that resolves to the response body.
+     * @returns {Function} The Express request handler.
+     */
+    function handle(handler) {
+        return async (req, res) => {
+            try {
+                res.json(await handler(req));
+            } catch (err) {
+                sendError(req, res, err);
+            }
+        };
+    }
+
+    // Live readings of each data gateway are broadcast to all of its clients.
+    const broadcasters = new Map();
+    providers.forEach((provider) => {
+        const gateway = gateways[provider];
+        if (!broadcasters.has(gateway)) {
+            broadcasters.set(gateway, new LiveBroadcaster(gateway));
+        }
+    });
+
+    const router = express.Router();
+
+    router.get(
+        "/api/device-models",
+        handle(async (req) => {
+            const gateway = getGateway(req);
+            const deviceModels = await gateway.getDeviceModels();
+            return deviceModels || [];
+        })
+    );
+
+    router.get(
+        "/api/devices",
+        handle(async (req) => {
+            const gateway = getGateway(req);
+            const model = requireParam(req, "model");
+            const devices = await gateway.getDevicesInModel(model);
+
+            // File based gateways resolve to undefined for an unknown model.
+            return devices || { deviceModelId: model, deviceInfo: [] };
+        })
+    );
+
+    router.get(
+        "/api/hierarchy",
+        handle(async (req) => {
+            const gateway = getGateway(req);
+            return gateway.getHierarchy();
+        })
+    );
+
+    router.get(
+        "/api/device-status",
+        handle(async (req) => {
+            const gateway = getGateway(req);
+            return gateway.getDeviceStatus();
+        })
+    );
+
+    router.get(
+        "/api/aggregates",
+        handle(async (req) => {
+            const gateway = getGateway(req);
+            const device = requireParam(req, "device");
+            const property = requireParam(req, "property");
+            const startTime = requireSecond(req, "startTime");
+            const endTime = requireSecond(req, "endTime");
+            const resolution = requireParam(req, "resolution");
+            const options = {
+                closed: req.query.closed,
+                timeZone: req.query.timeZone,
+                timeZoneOffset: getTimeZoneOffset(req),
+                percentiles: getPercentiles(req),
+            };
+
+            if (startTime > endTime) {
+                throw new RequestError(400, "'startTime' must not be later than 'endTime'");
+            }
+
+            return gateway.getAggregates(device, property, startTime, endTime, resolution, options);
+        })
+    );
+
+    router.get(
+        "/api/group-aggregates",
+        handle(async (req) => {
+            const gateway = getGateway(req);
+            const property = requireParam(req, "property");
+            const startTime = requireSecond(req, "startTime");
+            const endTime = requireSecond(req, "endTime");
+            const resolution = requireParam(req, "resolution");
+            const options = {
+                closed: req.query.closed,
+                timeZone: req.query.timeZone,
+                timeZoneOffset: getTimeZoneOffset(req),
+                reducer: req.query.reducer,
+            };
+
+            // A group is either a list of devices or the devices carrying some tags.
+            if ((req.query.devices === undefined) === (req.query.tags === undefined)) {
+                throw new RequestError(400, "Exactly one of 'devices' and 'tags' is required");
+            }
+
+            const group =
+                req.query.devices !== undefined
+                    ? { deviceIds: requireParam(req, "devices").split(",") }
+                    : { tags: parseTags(requireParam(req, "tags")) };
+
+            if (startTime > endTime) {
+                throw new RequestError(400, "'startTime' must not be later than 'endTime'");
+            }
+
+            return gateway.getGroupAggregates(
+                group,
+                property,
+                startTime,
+                endTime,
+                resolution,
+                options
+            );
+        })
+    );
+
+    router.get(
+        "/api/raw-values",
+        handle(async (req) => {
+            const gateway = getGateway(req);
+            const device = requireParam(req, "device");
+            const properties = requireParam(req, "property").split(",");
+            const startTime = requireSecond(req, "startTime");
+            const endTime = requireSecond(req, "endTime");
+
+            if (startTime > endTime) {
+                throw new RequestError(400, "'startTime' must not be later than 'endTime'");
+            }
+
+            const options = {};
+            if (req.query.limit !== undefined) {
+                options.limit = Number(req.query.limit);
+                if (!Number.isInteger(options.limit) || options.limit <= 0) {
+                    throw new RequestError(400, "Parameter 'limit' must be a positive integer");
+                }
+            }
+
+            if (req.query.cursor !== undefined) {
+                options.cursor = requireParam(req, "cursor");
+            }
+
+            return gateway.getRawValues(device, properties, startTime, endTime, options);
+        })
+    );
+
+    router.get("/api/live", async (req, res) => {
+        let closed = false;
+        let removeClient;
+        let heartbeat;
+        const stop = () => {
+            if (closed) {
+                return;
+            }
+
+            closed = true;
+            clearInterval(heartbeat);
+            if (removeClient) {
+                removeClient();
+            }
+        };
+
+        req.on("close", stop);
+        res.on("close", stop);
+        res.on("error", stop);
+
+        // Readings may come in before all devices are subscribed to.
+        let pending = [];
+        const send = (reading) => res.write(`data: ${JSON.stringify(reading)}\n\n`);
+
+        try {
+            const gateway = getGateway(req);
+            const deviceIds = requireParam(req, "devices").split(",");
+            const propertyIds = requireParam(req, "properties").split(",");
+            const broadcaster = broadcasters.get(gateway);
+            removeClient = await broadcaster.addClient(deviceIds, propertyIds, (reading) =>
+                pending ? pending.push(reading) : send(reading)
+            );
+        } catch (err) {
+            sendError(req, res, err);
+            return;
+        }
+
+        if (closed) {
+            removeClient();
+            return;
+        }
+
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+        });
+
+        pending.forEach(send);
+        pending = undefined;
+        heartbeat = setInterval(() => {
+            if (res.writableEnded || res.destroyed) {
+                stop();
+            } else {
+                res.write(": heartbeat\n\n");
+            }
+        }, HEARTBEAT_INTERVAL);
+    });
+
+    return router;
+}
+
+module.exports = { createDataRouter };
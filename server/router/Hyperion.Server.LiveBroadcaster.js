@@ -0,0 +1,188 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+/**
+ * @classdesc Broadcasts the readings of devices, as reported by a data gateway,
+ * to any number of clients. Each device is subscribed to once through the
+ * 'subscribe' method of {@link DataGateway}, for all the properties its clients are
+ * interested in, and each reading is then handed to every client of the device
+ * with only the properties it asked for. The subscription to a device ends
+ * when its last client goes away.
+ *
+ * @class
+ * @memberof Autodesk.DataVisualization.Data
+ * @alias Autodesk.DataVisualization.Data.LiveBroadcaster
+ */
+class LiveBroadcaster {
+    /**
+     * Constructs an instance of LiveBroadcaster object.
+     *
+     * @param {DataGateway} gateway The data gateway readings are broadcast from.
+     */
+    constructor(gateway) {
+        this.gateway = gateway;
+
+        /**
+         * The subscription to each device, keyed by device identifier.
+         * @type {Object.<string, {clients: Object[], propertyIds: string[],
+         * unsubscribe: Function|undefined, updating: Promise}>}
+         * @private
+         */
+        this._feeds = {};
+    }
+
+    /**
+     * Adds a client interested in properties of some devices.
+     *
+     * @param {string[]} deviceIds The identifiers of the devices.
+     * @param {string[]} propertyIds The identifiers of the properties.
+     * @param {function({deviceId: string, timestamp: number, values: Object.<string, any>}): void} onReading
+     * &nbsp;Called with each reading of one of the devices, holding the values
+     * &nbsp;of the properties keyed by property identifier, see 'DataGateway.subscribe'.
+     *
+     * @returns {Promise<function(): void>} A function removing the client.
+     * @throws {Error} The data gateway is unable to subscribe to one of the devices.
+     * &nbsp;The client is then removed.
+     */
+    async addClient(deviceIds, propertyIds, onReading) {
+        const client = { propertyIds, onReading };
+        const removeClient = () => {
+            deviceIds.forEach((deviceId) => {
+                const feed = this._feeds[deviceId];
+                if (feed && feed.clients.includes(client)) {
+                    feed.clients = feed.clients.filter((c) => c !== client);
+                    this._updateFeed(deviceId, feed).catch((err) => {
+                        console.error(`Unable to unsubscribe from ${deviceId}.`, err);
+                    });
+                }
+            });
+        };
+
+        try {
+            for (const deviceId of deviceIds) {
+                if (!this._feeds[deviceId]) {
+                    this._feeds[deviceId] = {
+                        clients: [],
+                        propertyIds: [],
+                        updating: Promise.resolve(),
+                    };
+                }
+
+                const feed = this._feeds[deviceId];
+                feed.clients.push(client);
+                await this._updateFeed(deviceId, feed);
+            }
+        } catch (err) {
+            removeClient();
+            throw err;
+        }
+
+        return removeClient;
+    }
+
+    /**
+     * Gets the number of clients interested in a device.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @returns {number} The number of clients.
+     */
+    getClientCount(deviceId) {
+        const feed = this._feeds[deviceId];
+        return feed ? feed.clients.length : 0;
+    }
+
+    /**
+     * Brings the subscription to a device in line with its clients: it is
+     * renewed when clients ask for properties it does not cover, and ended
+     * when no client is left. Updates of a device are carried out one at a time.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {Object} feed The subscription to the device.
+     * @returns {Promise} A promise that resolves once the subscription is updated.
+     * @private
+     */
+    _updateFeed(deviceId, feed) {
+        feed.updating = feed.updating
+            .catch(() => undefined)
+            .then(async () => {
+                if (feed.clients.length == 0) {
+                    if (this._feeds[deviceId] === feed) {
+                        delete this._feeds[deviceId];
+                    }
+
+                    if (feed.unsubscribe) {
+                        feed.unsubscribe();
+                        feed.unsubscribe = undefined;
+                    }
+
+                    return;
+                }
+
+                const propertyIds = [];
+                feed.clients.forEach((client) => {
+                    client.propertyIds
+                        .filter((propertyId) => !propertyIds.includes(propertyId))
+                        .forEach((propertyId) => propertyIds.push(propertyId));
+                });
+
+                if (
+                    feed.unsubscribe &&
+                    propertyIds.every((propertyId) => feed.propertyIds.includes(propertyId))
+                ) {
+                    return;
+                }
+
+                // Subscribe anew before unsubscribing, so that no reading is missed.
+                const unsubscribe = await this.gateway.subscribe(deviceId, propertyIds, (reading) =>
+                    this._dispatch(deviceId, feed, reading)
+                );
+
+                if (feed.unsubscribe) {
+                    feed.unsubscribe();
+                }
+
+                feed.propertyIds = propertyIds;
+                feed.unsubscribe = unsubscribe;
+            });
+
+        return feed.updating;
+    }
+
+    /**
+     * Hands a reading of a device to its clients.
+     *
+     * @param {string} deviceId The identifier of the device.
+     * @param {Object} feed The subscription to the device.
+     * @param {{timestamp: number, values: Object.<string, any>}} reading The reading.
+     * @private
+     */
+    _dispatch(deviceId, feed, reading) {
+        feed.clients.forEach((client) => {
+            const values = {};
+            client.propertyIds
+                .filter((propertyId) => reading.values[propertyId] !== undefined)
+                .forEach((propertyId) => (values[propertyId] = reading.values[propertyId]));
+
+            try {
+                client.onReading({ deviceId, timestamp: reading.timestamp, values });
+            } catch (err) {
+                console.error(`Unable to send a reading of ${deviceId}.`, err);
+            }
+        });
+    }
+}
+
+module.exports = LiveBroadcaster;
@@ -0,0 +1,186 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+/**
+ * How the readings of a device property within a bucket are combined into the
+ * single value that represents the bucket. It is defined per property in the
+ * device model file, e.g. `"aggregation": "timeWeighted"`.
+ *
+ * - "sampleMean": the mean of the readings, each reading weighing the same.
+ * - "timeWeighted": the mean of the property over time, interpolating linearly
+ *   between consecutive readings, so that a burst of readings weighs no more
+ *   than the time it spans. Suited to irregularly sampled sensors.
+ * - "last": the latest reading, suited to states and set points.
+ * - "sum": the sum of the readings, suited to quantities such as energy used
+ *   since the previous reading.
+ */
+const AggregationMode = {
+    SampleMean: "sampleMean",
+    TimeWeighted: "timeWeighted",
+    Last: "last",
+    Sum: "sum",
+};
+
+const DEFAULT_AGGREGATION_MODE = AggregationMode.SampleMean;
+
+/**
+ * What the readings of a device property measure. It is defined per property
+ * in the device model file, e.g. `"kind": "counter"`.
+ *
+ * - "gauge": the current level of a quantity, such as a temperature.
+ * - "counter": a monotonically increasing total, such as the energy used by a
+ *   meter or the people who went through a door. Besides the regular
+ *   aggregates, counters are aggregated into the increase of the total over
+ *   each bucket and its rate per second. A counter whose total goes down is
+ *   taken to have been reset to zero, unless it defines 'counterMax', the
+ *   largest total it reaches before rolling over to zero, and it was in the
+ *   upper half of that range.
+ */
+const PropertyKind = {
+    Gauge: "gauge",
+    Counter: "counter",
+};
+
+const DEFAULT_PROPERTY_KIND = PropertyKind.Gauge;
+
+/**
+ * Error thrown when a device property defines an unknown aggregation mode.
+ */
+class InvalidAggregationModeError extends Error {
+    /**
+     * @param {any} mode The offending aggregation mode.
+     * @param {string} [propertyId] The identifier of the property defining it.
+     */
+    constructor(mode, propertyId) {
+        const modes = Object.values(AggregationMode).join("', '");
+        super(
+            `Invalid aggregation mode '${mode}'` +
+                (propertyId ? ` for property '${propertyId}'` : "") +
+                `, expecting one of '${modes}'`
+        );
+        this.name = "InvalidAggregationModeError";
+        this.mode = mode;
+        this.propertyId = propertyId;
+    }
+}
+
+/**
+ * Error thrown when a device property defines an unknown kind, or an invalid
+ * counter.
+ */
+class InvalidPropertyKindError extends Error {
+    /**
+     * @param {any} kind The offending kind.
+     * @param {string} [propertyId] The identifier of the property defining it.
+     * @param {string} [reason] Why the kind is invalid.
+     */
+    constructor(kind, propertyId, reason) {
+        const kinds = Object.values(PropertyKind).join("', '");
+        super(
+            `Invalid kind '${kind}'` +
+                (propertyId ? ` for property '${propertyId}'` : "") +
+                `, ${reason || `expecting one of '${kinds}'`}`
+        );
+        this.name = "InvalidPropertyKindError";
+        this.kind = kind;
+        this.propertyId = propertyId;
+    }
+}
+
+/**
+ * Gets the aggregation mode of a device property as defined in a device model
+ * file.
+ *
+ * @param {Object} [deviceProperty] The device property, as found under
+ * &nbsp;'deviceProperties' of a device model.
+ * @returns {string} The aggregation mode of the property, "sampleMean" if it
+ * &nbsp;defines none or if there is no such property.
+ * @throws {InvalidAggregationModeError} The aggregation mode is not known.
+ */
+function getAggregationMode(deviceProperty) {
+    const mode = deviceProperty && deviceProperty.aggregation;
+    if (mode === undefined || mode === null || mode === "") {
+        return DEFAULT_AGGREGATION_MODE;
+    } else if (!Object.values(AggregationMode).includes(mode)) {
+        throw new InvalidAggregationModeError(mode, deviceProperty.propertyId);
+    }
+
+    return mode;
+}
+
+/**
+ * Gets the kind of a device property as defined in a device model file.
+ *
+ * @param {Object} [deviceProperty] The device property, as found under
+ * &nbsp;'deviceProperties' of a device model.
+ * @returns {string} The kind of the property, "gauge" if it defines none or if
+ * &nbsp;there is no such property.
+ * @throws {InvalidPropertyKindError} The kind is not known, or the property is
+ * &nbsp;a counter with an invalid 'counterMax'.
+ */
+function getPropertyKind(deviceProperty) {
+    const kind = deviceProperty && deviceProperty.kind;
+    if (kind === undefined || kind === null || kind === "") {
+        return DEFAULT_PROPERTY_KIND;
+    } else if (!Object.values(PropertyKind).includes(kind)) {
+        throw new InvalidPropertyKindError(kind, deviceProperty.propertyId);
+    }
+
+    const counterMax = deviceProperty.counterMax;
+    if (kind === PropertyKind.Counter && counterMax !== undefined && !(counterMax > 0)) {
+        throw new InvalidPropertyKindError(
+            kind,
+            deviceProperty.propertyId,
+            `'counterMax' must be a positive number`
+        );
+    }
+
+    return kind;
+}
+
+/**
+ * Gets how much a counter increased between two consecutive readings.
+ *
+ * @param {number} previous The previous total of the counter.
+ * @param {number} value The current total of the counter.
+ * @param {number} [counterMax] The largest total of the counter before it
+ * &nbsp;rolls over to zero, if any.
+ * @returns {number} The increase of the counter, accounting for the counter
+ * &nbsp;being reset or rolling over in between.
+ */
+function getCounterIncrease(previous, value, counterMax) {
+    if (value >= previous) {
+        return value - previous;
+    } else if (counterMax !== undefined && previous > counterMax / 2) {
+        // The counter rolled over, from 'previous' up to 'counterMax' then to 0.
+        return counterMax - previous + 1 + value;
+    }
+
+    // The counter was reset to zero and counted up to 'value' since.
+    return value;
+}
+
+module.exports = {
+    AggregationMode,
+    DEFAULT_AGGREGATION_MODE,
+    InvalidAggregationModeError,
+    getAggregationMode,
+    PropertyKind,
+    DEFAULT_PROPERTY_KIND,
+    InvalidPropertyKindError,
+    getPropertyKind,
+    getCounterIncrease,
+};
@@ -0,0 +1,246 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { parseResolution, resolutionToSeconds, toIsoDuration } = require("./Resolution.js");
+const { TimeZone } = require("./TimeZone.js");
+
+const DEFAULT_MAX_BUCKETS = 10000;
+const MAX_TIME_ZONE_OFFSET = 14 * 60;
+
+// 1970-01-01 was a Thursday, weeks start on Monday 1969-12-29.
+const FIRST_MONDAY = -3;
+
+/**
+ * Error thrown when the buckets of a time window cannot be laid out as
+ * requested.
+ */
+class BucketingError extends Error {
+    /**
+     * @param {string} message Why the buckets cannot be laid out.
+     */
+    constructor(message) {
+        super(message);
+        this.name = "BucketingError";
+    }
+}
+
+/**
+ * The policy by which every gateway divides a time window into buckets. The
+ * boundaries of buckets are aligned to multiples of the resolution in a given
+ * time zone, so that the same time window and resolution yield the same
+ * buckets regardless of the data provider. With a resolution of "PT1H" and a
+ * time window from 10:20 to 12:40, there are three buckets starting at 10:00,
+ * 11:00 and 12:00. Each bucket is identified by its start time. The last bucket
+ * starts before the end of the time window, so that a time window from 10:00
+ * to 12:00 has two buckets, unless the time window is empty.
+ *
+ * Resolutions in whole days, weeks, months or years follow the local calendar
+ * of the time zone: days start at local midnight, weeks on Monday and months
+ * on their first day, so that a day is 23 or 25 hours long when daylight
+ * saving time starts or ends, and a month between 28 and 31 days long. Months
+ * are counted from January, e.g. "P3M" yields calendar quarters.
+ *
+ * Buckets are left-closed by default, that is a reading at 11:00 belongs to the
+ * bucket starting at 11:00. Right-closed buckets include their end instead, so
+ * that the same reading belongs to the bucket starting at 10:00.
+ */
+class Bucketing {
+    /**
+     * @param {number} startSecond Start of the time window in Epoch second.
+     * @param {number} endSecond End of the time window in Epoch second.
+     * @param {string} resolution The length of the buckets in ISO 8601 duration
+     * &nbsp;or short form.
+     * @param {Object} [options] How the buckets are laid out.
+     * @param {"left"|"right"} [options.closed] Which end of each bucket is included
+     * &nbsp;in it, defaults to "left".
+     * @param {string} [options.timeZone] IANA time zone to which buckets are
+     * &nbsp;aligned, such as "America/Los_Angeles".
+     * @param {number} [options.timeZoneOffset] Fixed offset of the time zone to
+     * &nbsp;which buckets are aligned, in minutes east of UTC. Defaults to 0, and
+     * &nbsp;cannot be combined with 'timeZone'.
+     * @param {number} [options.maxBuckets] The maximum number of buckets, defaults
+     * &nbsp;to 10000.
+     * @throws {InvalidResolutionError} The resolution is not valid.
+     * @throws {InvalidTimeZoneError} The time zone is not valid.
+     * @throws {BucketingError} The options are not valid, or there are more
+     * &nbsp;buckets than allowed.
+     */
+    constructor(startSecond, endSecond, resolution, options = {}) {
+        const closed = options.closed || "left";
+        const timeZoneOffset = options.timeZoneOffset || 0;
+        const maxBuckets = options.maxBuckets || DEFAULT_MAX_BUCKETS;
+
+        if (closed !== "left" && closed !== "right") {
+            throw new BucketingError(`Buckets must be closed on the 'left' or 'right'`);
+        }
+
+        if (!Number.isInteger(timeZoneOffset) || Math.abs(timeZoneOffset) > MAX_TIME_ZONE_OFFSET) {
+            throw new BucketingError(`Invalid time zone offset '${timeZoneOffset}'`);
+        }
+
+        if (options.timeZone && timeZoneOffset) {
+            throw new BucketingError("Specify either a time zone or a time zone offset, not both");
+        }
+
+        const zone = new TimeZone(options.timeZone || timeZoneOffset);
+
+        this.resolution = toIsoDuration(resolution);
+        this.closed = closed;
+        this.timeZone = zone.name;
+        this.timeZoneOffset = zone.name ? undefined : timeZoneOffset;
+
+        const duration = parseResolution(resolution);
+        const last = Math.max(startSecond, endSecond);
+
+        // Adds edges until the last bucket reaches the end of the time window.
+        const isComplete = () => this.edges.length > 1 && this.edges[this.edges.length - 1] >= last;
+        const isTimeOfDay = duration.hours || duration.minutes || duration.seconds;
+
+        /**
+         * The boundaries of all buckets in Epoch seconds, one more than there
+         * are buckets. Bucket i starts at edges[i] and ends at edges[i + 1].
+         * @type {number[]}
+         */
+        this.edges = [];
+
+        if (duration.years || duration.months) {
+            // Calendar months counted from January, so that "P3M" yields quarters.
+            const months = duration.years * 12 + duration.months;
+            const date = new Date(zone.dayOf(startSecond) * 86400000);
+            let month = date.getUTCFullYear() * 12 + date.getUTCMonth();
+            month = Math.floor(month / months) * months;
+
+            do {
+                const day = Date.UTC(Math.floor(month / 12), month % 12, 1) / 86400000;
+                this.edges.push(zone.startOfDay(day));
+                this._checkCount(resolution, maxBuckets);
+                month += months;
+            } while (!isComplete());
+        } else if ((duration.days || duration.weeks) && !isTimeOfDay) {
+            // Calendar days, either counted from 1970-01-01 or from a Monday.
+            const days = duration.weeks * 7 + duration.days;
+            const origin = duration.days ? 0 : FIRST_MONDAY;
+            let day = Math.floor((zone.dayOf(startSecond) - origin) / days) * days + origin;
+
+            do {
+                this.edges.push(zone.startOfDay(day));
+                this._checkCount(resolution, maxBuckets);
+                day += days;
+            } while (!isComplete());
+        } else {
+            // Multiples of the resolution in local time, each at the offset in
+            // effect at it. A transition shortens or lengthens the bucket it
+            // falls in, and a bucket it skips entirely is left out.
+            const seconds = resolutionToSeconds(resolution);
+            let offset = zone.offsetAt(startSecond) * 60;
+            let local = Math.floor((startSecond + offset) / seconds) * seconds;
+
+            do {
+                let edge = local - offset;
+                if (zone.offsetAt(edge) * 60 !== offset) {
+                    // Only look for the start of a bucket again across a transition.
+                    edge = zone.startOfPeriod(local, seconds);
+                    offset = edge !== undefined ? zone.offsetAt(edge) * 60 : offset;
+                }
+                if (edge !== undefined) {
+                    this.edges.push(edge);
+                    this._checkCount(resolution, maxBuckets);
+                }
+                local += seconds;
+            } while (!isComplete());
+        }
+
+        /**
+         * The start of all buckets in Epoch seconds.
+         * @type {number[]}
+         */
+        this.timestamps = this.edges.slice(0, -1);
+    }
+
+    /**
+     * @private
+     */
+    _checkCount(resolution, maxBuckets) {
+        if (this.edges.length - 1 > maxBuckets) {
+            throw new BucketingError(
+                `Resolution '${resolution}' yields more than the maximum of ${maxBuckets} buckets`
+            );
+        }
+    }
+
+    /**
+     * @returns {number} Start of the first bucket in Epoch second.
+     */
+    get start() {
+        return this.edges[0];
+    }
+
+    /**
+     * @returns {number} End of the last bucket in Epoch second.
+     */
+    get end() {
+        return this.edges[this.edges.length - 1];
+    }
+
+    /**
+     * Gets the index of the bucket a reading belongs to.
+     * @param {number} second Time of the reading in Epoch second.
+     * @returns {number} The index of the bucket, or -1 if the reading falls
+     * &nbsp;outside all buckets.
+     */
+    indexOf(second) {
+        if (this.closed === "left" ? second < this.start : second <= this.start) {
+            return -1;
+        }
+
+        // Find the last edge before the reading, or at it for left-closed buckets.
+        let lower = 0;
+        let upper = this.edges.length - 1;
+        while (lower < upper) {
+            const middle = (lower + upper + 1) >> 1;
+            const edge = this.edges[middle];
+            if (edge < second || (edge == second && this.closed === "left")) {
+                lower = middle;
+            } else {
+                upper = middle - 1;
+            }
+        }
+
+        return lower < this.timestamps.length ? lower : -1;
+    }
+
+    /**
+     * Gets the descriptor of the buckets that is sent along with aggregates,
+     * so that clients can line up the aggregates of different devices.
+     * @returns {{resolution: string, closed: string, timeZone: string|undefined,
+     * timeZoneOffset: number|undefined, start: number, end: number}} The bucketing
+     * &nbsp;descriptor, with either an IANA time zone or a fixed offset.
+     */
+    toJSON() {
+        return {
+            resolution: this.resolution,
+            closed: this.closed,
+            timeZone: this.timeZone,
+            timeZoneOffset: this.timeZoneOffset,
+            start: this.start,
+            end: this.end,
+        };
+    }
+}
+
+module.exports = {
+    Bucketing,
+    BucketingError,
+};
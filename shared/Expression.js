@@ -0,0 +1,431 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+/**
+ * Derived properties are device properties that no sensor reports, computed
+ * from other properties of the same device by an expression set in the device
+ * model file, e.g.
+ * `"expression": "Temperature - (100 - Humidity) / 5"` for a dew point, or
+ * `"expression": "PowerL1 + PowerL2 + PowerL3"` for the total power.
+ *
+ * Expressions are parsed rather than evaluated as JavaScript, so they can only
+ * do arithmetic. They are made of:
+ *
+ * - numbers, e.g. `2`, `0.5` or `1e-3`;
+ * - property identifiers, e.g. `Humidity`, or in square brackets when they
+ *   are not plain words, e.g. `[Supply Air Temp]` or `[CO₂]`;
+ * - the operators `+`, `-`, `*`, `/`, `%` and `^` (exponentiation), and
+ *   parentheses;
+ * - the constants `PI` and `E`;
+ * - the functions in FUNCTIONS below, e.g. `ln(Humidity / 100)`.
+ *
+ * A derived property has no value wherever a property it depends on has none,
+ * or where its expression does not evaluate to a finite number.
+ */
+const FUNCTIONS = {
+    abs: { arity: 1, fn: Math.abs },
+    sqrt: { arity: 1, fn: Math.sqrt },
+    cbrt: { arity: 1, fn: Math.cbrt },
+    exp: { arity: 1, fn: Math.exp },
+    ln: { arity: 1, fn: Math.log },
+    log: { arity: 1, fn: Math.log },
+    log10: { arity: 1, fn: Math.log10 },
+    pow: { arity: 2, fn: Math.pow },
+    round: { arity: 1, fn: Math.round },
+    floor: { arity: 1, fn: Math.floor },
+    ceil: { arity: 1, fn: Math.ceil },
+    sign: { arity: 1, fn: Math.sign },
+    sin: { arity: 1, fn: Math.sin },
+    cos: { arity: 1, fn: Math.cos },
+    tan: { arity: 1, fn: Math.tan },
+    atan: { arity: 1, fn: Math.atan },
+    atan2: { arity: 2, fn: Math.atan2 },
+    min: { arity: -1, fn: Math.min },
+    max: { arity: -1, fn: Math.max },
+    hypot: { arity: -1, fn: Math.hypot },
+};
+
+const CONSTANTS = {
+    PI: Math.PI,
+    E: Math.E,
+};
+
+const NUMBER = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+const IDENTIFIER = /^[\p{L}_][\p{L}\p{N}_]*/u;
+const OPERATORS = "+-*/%^(),";
+
+/**
+ * Error thrown when an expression cannot be parsed, or when derived properties
+ * depend on each other in a cycle.
+ */
+class InvalidExpressionError extends Error {
+    /**
+     * @param {string} message The error message.
+     * @param {string} [source] The offending expression.
+     * @param {number} [position] The position in the expression of the error.
+     */
+    constructor(message, source, position) {
+        super(
+            source === undefined
+                ? message
+                : `${message} in expression '${source}'` +
+                      (position === undefined ? "" : ` at position ${position}`)
+        );
+        this.name = "InvalidExpressionError";
+        this.source = source;
+        this.position = position;
+    }
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const rest = source.slice(i);
+        const space = /^\s+/.exec(rest);
+        let match;
+        if (space) {
+            i += space[0].length;
+            continue;
+        } else if ((match = NUMBER.exec(rest))) {
+            tokens.push({ type: "number", value: parseFloat(match[0]), position: i });
+        } else if ((match = IDENTIFIER.exec(rest))) {
+            tokens.push({ type: "identifier", value: match[0], position: i });
+        } else if (rest[0] === "[") {
+            const end = rest.indexOf("]");
+            const propertyId = rest.slice(1, end).trim();
+            if (end < 0) {
+                throw new InvalidExpressionError("Unterminated property identifier", source, i);
+            } else if (propertyId === "") {
+                throw new InvalidExpressionError("Empty property identifier", source, i);
+            }
+            match = [rest.slice(0, end + 1)];
+            tokens.push({ type: "property", value: propertyId, position: i });
+        } else if (OPERATORS.includes(rest[0])) {
+            match = [rest[0]];
+            tokens.push({ type: "operator", value: rest[0], position: i });
+        } else {
+            throw new InvalidExpressionError(`Unexpected character '${rest[0]}'`, source, i);
+        }
+
+        i += match[0].length;
+    }
+
+    tokens.push({ type: "end", position: source.length });
+    return tokens;
+}
+
+/**
+ * Recursive descent parser turning tokens into nested closures, each taking
+ * the function that gets the value of a property.
+ * @private
+ */
+class Parser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.index = 0;
+        this.dependencies = [];
+    }
+
+    parse() {
+        const node = this.additive();
+        this.expect("end");
+        return node;
+    }
+
+    peek(value) {
+        const token = this.tokens[this.index];
+        return token.type === "operator" && token.value === value;
+    }
+
+    expect(type, value) {
+        const token = this.tokens[this.index];
+        if (token.type !== type || (value !== undefined && token.value !== value)) {
+            const found = token.type === "end" ? "end of expression" : `'${token.value}'`;
+            throw new InvalidExpressionError(`Unexpected ${found}`, this.source, token.position);
+        }
+
+        this.index++;
+        return token;
+    }
+
+    additive() {
+        let left = this.multiplicative();
+        while (this.peek("+") || this.peek("-")) {
+            const operator = this.tokens[this.index++].value;
+            const l = left;
+            const r = this.multiplicative();
+            left = operator === "+" ? (get) => l(get) + r(get) : (get) => l(get) - r(get);
+        }
+
+        return left;
+    }
+
+    multiplicative() {
+        let left = this.unary();
+        while (this.peek("*") || this.peek("/") || this.peek("%")) {
+            const operator = this.tokens[this.index++].value;
+            const l = left;
+            const r = this.unary();
+            if (operator === "*") {
+                left = (get) => l(get) * r(get);
+            } else if (operator === "/") {
+                left = (get) => l(get) / r(get);
+            } else {
+                left = (get) => l(get) % r(get);
+            }
+        }
+
+        return left;
+    }
+
+    unary() {
+        if (this.peek("-")) {
+            this.index++;
+            const operand = this.unary();
+            return (get) => -operand(get);
+        } else if (this.peek("+")) {
+            this.index++;
+            return this.unary();
+        }
+
+        // Exponentiation is right associative and binds tighter than negation.
+        const base = this.primary();
+        if (this.peek("^")) {
+            this.index++;
+            const exponent = this.unary();
+            return (get) => Math.pow(base(get), exponent(get));
+        }
+
+        return base;
+    }
+
+    primary() {
+        const token = this.tokens[this.index];
+        if (token.type === "number") {
+            this.index++;
+            return () => token.value;
+        } else if (token.type === "property") {
+            this.index++;
+            return this.property(token.value);
+        } else if (token.type === "identifier") {
+            this.index++;
+            if (this.peek("(")) {
+                return this.call(token);
+            } else if (CONSTANTS[token.value] !== undefined) {
+                const value = CONSTANTS[token.value];
+                return () => value;
+            }
+
+            return this.property(token.value);
+        }
+
+        this.expect("operator", "(");
+        const node = this.additive();
+        this.expect("operator", ")");
+        return node;
+    }
+
+    property(propertyId) {
+        if (!this.dependencies.includes(propertyId)) {
+            this.dependencies.push(propertyId);
+        }
+
+        return (get) => get(propertyId);
+    }
+
+    call(token) {
+        const func = FUNCTIONS[token.value];
+        if (!func) {
+            throw new InvalidExpressionError(
+                `Unknown function '${token.value}'`,
+                this.source,
+                token.position
+            );
+        }
+
+        this.expect("operator", "(");
+        const args = [];
+        if (!this.peek(")")) {
+            args.push(this.additive());
+            while (this.peek(",")) {
+                this.index++;
+                args.push(this.additive());
+            }
+        }
+        this.expect("operator", ")");
+
+        if (func.arity >= 0 ? args.length !== func.arity : args.length === 0) {
+            throw new InvalidExpressionError(
+                `Wrong number of arguments to '${token.value}'`,
+                this.source,
+                token.position
+            );
+        }
+
+        return (get) => func.fn(...args.map((arg) => arg(get)));
+    }
+}
+
+/**
+ * An arithmetic expression over properties of a device.
+ */
+class Expression {
+    /**
+     * @param {string} source The expression, e.g. "PowerL1 + PowerL2 + PowerL3".
+     * @throws {InvalidExpressionError} The expression cannot be parsed.
+     */
+    constructor(source) {
+        if (typeof source !== "string" || source.trim() === "") {
+            throw new InvalidExpressionError("Empty expression", String(source));
+        }
+
+        const parser = new Parser(source);
+        this._source = source;
+        this._evaluate = parser.parse();
+        this._dependencies = parser.dependencies;
+    }
+
+    /**
+     * @returns {string} The expression as written.
+     */
+    get source() {
+        return this._source;
+    }
+
+    /**
+     * @returns {string[]} The identifiers of the properties the expression
+     * depends on, in order of appearance.
+     */
+    get dependencies() {
+        return this._dependencies.slice(0);
+    }
+
+    /**
+     * Evaluates the expression.
+     *
+     * @param {function(string): (number|null|undefined)} getValue Gets the value
+     * &nbsp;of a property the expression depends on.
+     * @returns {number|null} The value of the expression, or null if a property
+     * &nbsp;has no value or the expression does not evaluate to a finite number.
+     */
+    evaluate(getValue) {
+        let missing = false;
+        const value = this._evaluate((propertyId) => {
+            const v = getValue(propertyId);
+            if (typeof v !== "number" || !isFinite(v)) {
+                missing = true;
+                return NaN;
+            }
+            return v;
+        });
+
+        return missing || !isFinite(value) ? null : value;
+    }
+}
+
+/**
+ * The derived properties of a device, evaluated from the readings of the
+ * properties they depend on. Derived properties may depend on other derived
+ * properties, but not in a cycle.
+ */
+class DerivedProperties {
+    constructor() {
+        /** @type {Object.<string, Expression>} */
+        this._expressions = {};
+    }
+
+    /**
+     * Adds a derived property.
+     *
+     * @param {string} propertyId The identifier of the derived property.
+     * @param {string} expression The expression the property is derived by.
+     * @throws {InvalidExpressionError} The expression cannot be parsed.
+     */
+    add(propertyId, expression) {
+        try {
+            this._expressions[propertyId] = new Expression(expression);
+        } catch (error) {
+            error.message = `Property '${propertyId}': ${error.message}`;
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} propertyId The identifier of a property.
+     * @returns {boolean} True if the property is a derived property.
+     */
+    has(propertyId) {
+        return !!this._expressions[propertyId];
+    }
+
+    /**
+     * @param {string} propertyId The identifier of a derived property.
+     * @returns {Expression|undefined} The expression the property is derived by.
+     */
+    getExpression(propertyId) {
+        return this._expressions[propertyId];
+    }
+
+    /**
+     * Gets the properties a property is ultimately computed from, that is the
+     * properties it depends on that are not derived properties themselves.
+     *
+     * @param {string} propertyId The identifier of a property.
+     * @returns {string[]} The identifiers of the properties, the property
+     * &nbsp;itself if it is not a derived property.
+     * @throws {InvalidExpressionError} Derived properties depend on each other
+     * &nbsp;in a cycle.
+     */
+    getInputs(propertyId) {
+        const inputs = [];
+        const visit = (id, path) => {
+            if (path.includes(id)) {
+                throw new InvalidExpressionError(
+                    `Derived properties depend on each other: ${path.concat(id).join(" -> ")}`
+                );
+            } else if (!this.has(id)) {
+                if (!inputs.includes(id)) inputs.push(id);
+                return;
+            }
+
+            this._expressions[id].dependencies.forEach((dep) => visit(dep, path.concat(id)));
+        };
+
+        visit(propertyId, []);
+        return inputs;
+    }
+
+    /**
+     * Evaluates a derived property.
+     *
+     * @param {string} propertyId The identifier of the derived property.
+     * @param {function(string): (number|null|undefined)} getValue Gets the value
+     * &nbsp;of a property that is not derived, see 'getInputs'.
+     * @returns {number|null} The value of the property, or null if it has none.
+     */
+    evaluate(propertyId, getValue) {
+        const get = (id) => (this.has(id) ? this.evaluate(id, getValue) : getValue(id));
+        return this._expressions[propertyId].evaluate(get);
+    }
+}
+
+module.exports = {
+    Expression,
+    InvalidExpressionError,
+    DerivedProperties,
+};
@@ -0,0 +1,160 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+/**
+ * How the values of a property across a group of devices are combined into a
+ * single value per bucket, such as the average temperature of all devices on a
+ * floor. Each device contributes the value of the bucket in the aggregation
+ * mode of the property, see {@link AggregationMode}; devices without a value
+ * for a bucket are left out of it.
+ *
+ * - "avg": the mean of the values of the devices.
+ * - "min": the smallest value of the devices.
+ * - "max": the largest value of the devices.
+ * - "sum": the sum of the values of the devices, e.g. the total power.
+ */
+const GroupReducer = {
+    Avg: "avg",
+    Min: "min",
+    Max: "max",
+    Sum: "sum",
+};
+
+const DEFAULT_GROUP_REDUCER = GroupReducer.Avg;
+
+/**
+ * Error thrown when a group of devices is not valid, or its reducer is unknown.
+ */
+class InvalidGroupError extends Error {
+    /**
+     * @param {string} message The error message.
+     */
+    constructor(message) {
+        super(message);
+        this.name = "InvalidGroupError";
+    }
+}
+
+/**
+ * Gets a group reducer, validating it.
+ *
+ * @param {string} [reducer] The reducer, one of GroupReducer.
+ * @returns {string} The reducer, "avg" if none is given.
+ * @throws {InvalidGroupError} The reducer is not known.
+ */
+function getGroupReducer(reducer) {
+    if (reducer === undefined || reducer === null || reducer === "") {
+        return DEFAULT_GROUP_REDUCER;
+    } else if (!Object.values(GroupReducer).includes(reducer)) {
+        const reducers = Object.values(GroupReducer).join("', '");
+        throw new InvalidGroupError(`Invalid reducer '${reducer}', expecting one of '${reducers}'`);
+    }
+
+    return reducer;
+}
+
+/**
+ * Parses a tag filter of the form "key:value,key:value", e.g. "floor:3,zone:A".
+ *
+ * @param {string} text The tag filter.
+ * @returns {Object.<string, string>} The tags keyed by name.
+ * @throws {InvalidGroupError} A tag is not of the form "key:value".
+ */
+function parseTags(text) {
+    const tags = {};
+    String(text)
+        .split(",")
+        .forEach((item) => {
+            const separator = item.indexOf(":");
+            const key = item.slice(0, separator).trim();
+            if (separator < 0 || key === "") {
+                throw new InvalidGroupError(`Invalid tag '${item}', expecting 'key:value'`);
+            }
+
+            tags[key] = item.slice(separator + 1).trim();
+        });
+
+    return tags;
+}
+
+/**
+ * Checks if a device carries all tags of a tag filter.
+ *
+ * @param {Object.<string, any>|undefined} deviceTags The tags of the device.
+ * @param {Object.<string, string>} tags The tag filter.
+ * @returns {boolean} True if every tag of the filter has the same value, as a
+ * &nbsp;string, on the device.
+ */
+function matchTags(deviceTags, tags) {
+    return Object.keys(tags).every(
+        (key) =>
+            !!deviceTags &&
+            deviceTags[key] !== undefined &&
+            deviceTags[key] !== null &&
+            String(deviceTags[key]) === String(tags[key])
+    );
+}
+
+/**
+ * Combines the aggregated values of a property across a group of devices.
+ *
+ * @param {number} bucketCount The number of buckets.
+ * @param {Array<number[]|undefined>} deviceValues The value of each bucket for
+ * &nbsp;each device, in the aggregation mode of the property. Non-numeric
+ * &nbsp;values, such as null for empty buckets, are left out.
+ * @param {string} reducer How the values are combined, one of GroupReducer.
+ * @returns {{reducer: string, value: number[], count: number[], gaps: boolean[],
+ * min: number[], max: number[], avg: number[], sum: number[]}} The combined
+ * &nbsp;values of each bucket: 'value' holds the result of the reducer, 'count'
+ * &nbsp;the number of devices with a value, 'gaps' whether none had one, and
+ * &nbsp;'min', 'max', 'avg' and 'sum' the results of every reducer. All but
+ * &nbsp;'count' and 'gaps' are null for gaps.
+ */
+function reduceGroup(bucketCount, deviceValues, reducer) {
+    const result = { reducer, value: [], count: [], gaps: [], min: [], max: [], avg: [], sum: [] };
+
+    for (let i = 0; i < bucketCount; i++) {
+        const values = deviceValues
+            .map((values) => (values ? values[i] : undefined))
+            .filter((value) => typeof value === "number" && isFinite(value));
+
+        result.count.push(values.length);
+        result.gaps.push(values.length == 0);
+        if (values.length == 0) {
+            ["value", "min", "max", "avg", "sum"].forEach((stat) => result[stat].push(null));
+            continue;
+        }
+
+        const sum = values.reduce((a, b) => a + b, 0);
+        result.min.push(Math.min(...values));
+        result.max.push(Math.max(...values));
+        result.avg.push(sum / values.length);
+        result.sum.push(sum);
+        result.value.push(result[reducer][i]);
+    }
+
+    return result;
+}
+
+module.exports = {
+    GroupReducer,
+    DEFAULT_GROUP_REDUCER,
+    InvalidGroupError,
+    getGroupReducer,
+    parseTags,
+    matchTags,
+    reduceGroup,
+};
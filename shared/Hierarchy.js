@@ -0,0 +1,200 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+/**
+ * The levels of the spatial hierarchy devices are placed in, from the
+ * outermost to the innermost. Devices are usually attached to rooms, but may
+ * be attached to any node, e.g. a meter measuring a whole floor.
+ *
+ * A hierarchy is exchanged as a flat list of nodes, each of the form
+ * `{ id, name, level, parentId, deviceIds, dbIds }`, where 'parentId' is
+ * undefined for the root nodes, 'deviceIds' lists the devices attached to the
+ * node itself, and 'dbIds' optionally lists the elements of the 3D model the
+ * node stands for, such as the walls and floor of a room.
+ */
+const HierarchyLevel = {
+    Site: "site",
+    Building: "building",
+    Floor: "floor",
+    Room: "room",
+};
+
+const HIERARCHY_LEVELS = [
+    HierarchyLevel.Site,
+    HierarchyLevel.Building,
+    HierarchyLevel.Floor,
+    HierarchyLevel.Room,
+];
+
+/**
+ * Error thrown when a hierarchy is not a tree, e.g. two nodes share the same
+ * identifier or a node is its own ancestor.
+ */
+class InvalidHierarchyError extends Error {
+    /**
+     * @param {string} message The error message.
+     * @param {string} [nodeId] The identifier of the offending node.
+     */
+    constructor(message, nodeId) {
+        super(message);
+        this.name = "InvalidHierarchyError";
+        this.nodeId = nodeId;
+    }
+}
+
+/**
+ * Checks that a flat list of nodes forms one or more trees: identifiers are
+ * unique, parents exist, there are no cycles and no device is attached to more
+ * than one node.
+ *
+ * @param {Object[]} nodes The nodes of the hierarchy.
+ * @returns {Object[]} The nodes.
+ * @throws {InvalidHierarchyError} The nodes do not form trees.
+ */
+function validateHierarchy(nodes) {
+    const byId = {};
+    const deviceNodes = {};
+
+    nodes.forEach((node) => {
+        if (node.id === undefined || node.id === null || node.id === "") {
+            throw new InvalidHierarchyError("A node has no identifier");
+        } else if (byId[node.id]) {
+            throw new InvalidHierarchyError(`Duplicate node '${node.id}'`, node.id);
+        }
+
+        byId[node.id] = node;
+        (node.deviceIds || []).forEach((deviceId) => {
+            if (deviceNodes[deviceId] !== undefined) {
+                throw new InvalidHierarchyError(
+                    `Device '${deviceId}' is attached to both '${deviceNodes[deviceId]}' and '${node.id}'`,
+                    node.id
+                );
+            }
+
+            deviceNodes[deviceId] = node.id;
+        });
+    });
+
+    nodes.forEach((node) => {
+        const visited = [node.id];
+        for (let parentId = node.parentId; parentId !== undefined && parentId !== null; ) {
+            const parent = byId[parentId];
+            if (!parent) {
+                throw new InvalidHierarchyError(
+                    `Node '${node.id}' has an unknown parent '${parentId}'`,
+                    node.id
+                );
+            } else if (visited.includes(parentId)) {
+                throw new InvalidHierarchyError(`Node '${node.id}' is its own ancestor`, node.id);
+            }
+
+            visited.push(parentId);
+            parentId = parent.parentId;
+        }
+    });
+
+    return nodes;
+}
+
+/**
+ * Flattens a nested hierarchy, as found in a hierarchy file, into a list of
+ * nodes. Each nested node is of the form `{ id, name, level, children,
+ * deviceIds, dbIds }`, e.g.
+ *
+ * ```json
+ * { "id": "hq", "level": "building", "children": [
+ *     { "id": "hq-3", "name": "Floor 3", "level": "floor", "children": [
+ *         { "id": "hq-301", "name": "Room 301", "level": "room", "deviceIds": ["dev1"] }
+ *     ] }
+ * ] }
+ * ```
+ *
+ * @param {Object|Object[]} tree The root node, or a list of root nodes.
+ * @returns {Object[]} The nodes, parents before their children.
+ */
+function flattenHierarchy(tree) {
+    const nodes = [];
+
+    function visit(node, parentId) {
+        nodes.push({
+            id: node.id,
+            name: node.name || node.id,
+            level: node.level,
+            parentId,
+            deviceIds: (node.deviceIds || []).slice(0),
+            dbIds: node.dbIds,
+        });
+
+        (node.children || []).forEach((child) => visit(child, node.id));
+    }
+
+    (Array.isArray(tree) ? tree : [tree]).forEach((root) => visit(root, undefined));
+    return nodes;
+}
+
+/**
+ * Builds a hierarchy from the tags of devices, for data providers without a
+ * hierarchy of their own. Each device is attached to the node named after its
+ * innermost tag among "site", "building", "floor" and "room", e.g. a device
+ * tagged `{ building: "HQ", floor: "3", room: "301" }` is attached to room
+ * "301" of floor "3" of building "HQ". Nodes are identified by their path,
+ * such as "HQ/3/301", as room and floor names are rarely unique.
+ *
+ * @param {{id: string, tags: Object.<string, any>}[]} devices The devices.
+ * @returns {Object[]} The nodes, parents before their children.
+ */
+function hierarchyFromTags(devices) {
+    const nodes = [];
+    const byId = {};
+
+    devices.forEach((device) => {
+        const tags = device.tags || {};
+        let parentId = undefined;
+        let node = undefined;
+
+        HIERARCHY_LEVELS.forEach((level) => {
+            if (tags[level] === undefined || tags[level] === null || tags[level] === "") {
+                return;
+            }
+
+            const name = String(tags[level]);
+            const id = parentId === undefined ? name : `${parentId}/${name}`;
+            node = byId[id];
+            if (!node) {
+                node = { id, name, level, parentId, deviceIds: [] };
+                byId[id] = node;
+                nodes.push(node);
+            }
+
+            parentId = id;
+        });
+
+        if (node) {
+            node.deviceIds.push(device.id);
+        }
+    });
+
+    return nodes;
+}
+
+module.exports = {
+    HierarchyLevel,
+    HIERARCHY_LEVELS,
+    InvalidHierarchyError,
+    validateHierarchy,
+    flattenHierarchy,
+    hierarchyFromTags,
+};
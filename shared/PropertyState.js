@@ -0,0 +1,97 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+/**
+ * Device properties whose 'propertyType' is "Boolean", "String" or "Enum"
+ * hold states rather than numbers, such as whether a door is open or the mode
+ * of an HVAC unit. The states of a "String" or "Enum" property may be limited
+ * with 'allowedValues' in the device model file, e.g.
+ * `"allowedValues": ["heat", "cool", "off"]`. Boolean states are "true" and
+ * "false", and readings of "1", "0", "yes", "no", "on" and "off" are accepted
+ * as well. States are compared as strings.
+ *
+ * Instead of averages, states are aggregated into the time spent in each
+ * state and the number of transitions between states over each bucket.
+ */
+const STATE_DATA_TYPES = ["boolean", "string", "enum"];
+
+const TRUE_READINGS = ["true", "1", "yes", "on"];
+const FALSE_READINGS = ["false", "0", "no", "off"];
+
+/**
+ * Checks if a data type is one of the data types holding states.
+ * @param {string} [dataType] The data type, case insensitive.
+ * @returns {boolean} True if the data type is "Boolean", "String" or "Enum".
+ */
+function isStateDataType(dataType) {
+    return typeof dataType === "string" && STATE_DATA_TYPES.includes(dataType.toLowerCase());
+}
+
+/**
+ * Gets the states a device property may be in, as defined in a device model
+ * file.
+ *
+ * @param {Object} deviceProperty The device property, as found under
+ * &nbsp;'deviceProperties' of a device model.
+ * @returns {string[]|undefined} The states of the property, or undefined if
+ * &nbsp;any string is a valid state.
+ */
+function getStates(deviceProperty) {
+    if (String(deviceProperty.propertyType).toLowerCase() === "boolean") {
+        return ["false", "true"];
+    }
+
+    const allowedValues = deviceProperty.allowedValues;
+    return Array.isArray(allowedValues) && allowedValues.length
+        ? allowedValues.map((value) => String(value))
+        : undefined;
+}
+
+/**
+ * Parses a reading of a device property holding states.
+ *
+ * @param {any} reading The reading, e.g. a column of a CSV file.
+ * @param {Object} deviceProperty The device property, as found under
+ * &nbsp;'deviceProperties' of a device model.
+ * @returns {string|undefined} The state, or undefined if the reading is empty
+ * &nbsp;or not one of the states of the property.
+ */
+function parseState(reading, deviceProperty) {
+    if (reading === undefined || reading === null) {
+        return undefined;
+    }
+
+    let state = String(reading).trim();
+    if (String(deviceProperty.propertyType).toLowerCase() === "boolean") {
+        state = state.toLowerCase();
+        if (TRUE_READINGS.includes(state)) return "true";
+        if (FALSE_READINGS.includes(state)) return "false";
+        return undefined;
+    }
+
+    const states = getStates(deviceProperty);
+    if (state === "" || (states && !states.includes(state))) {
+        return undefined;
+    }
+
+    return state;
+}
+
+module.exports = {
+    isStateDataType,
+    getStates,
+    parseState,
+};
@@ -0,0 +1,182 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+/**
+ * Resolutions are ISO 8601 durations such as "PT5M", "PT1H30M", "P1D" or
+ * "P1W", see https://www.w3.org/TR/xmlschema-2/#duration. Only the seconds may
+ * have a fractional part, e.g. "PT0.5S". The short forms "30s", "5m", "1h",
+ * "1d" and "1w" are accepted as well, in either case, where "m" and "M" always
+ * stand for minutes. Months and years are calendar months and years, e.g.
+ * "P1M" or "P1Y", and cannot be combined with shorter units as their length
+ * varies.
+ *
+ * Earlier versions also accepted weeks and days after the "T" designator, such
+ * as "PT1D", which are still accepted for compatibility and mean the same as
+ * "P1D".
+ */
+const ISO_DURATION =
+    /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/;
+const LEGACY_DURATION = /^PT(?:(\d+)W)?(?:(\d+)D)?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:[.,]\d+)?)S)?$/;
+const SHORT_DURATION = /^(\d+)(s|m|h|d|w)$/i;
+
+const SHORT_UNITS = {
+    s: "seconds",
+    m: "minutes",
+    h: "hours",
+    d: "days",
+    w: "weeks",
+};
+
+/**
+ * Error thrown when a resolution is not a valid duration, or cannot be used
+ * in the way it is requested.
+ */
+class InvalidResolutionError extends Error {
+    /**
+     * @param {any} resolution The offending resolution.
+     * @param {string} [reason] Why the resolution is rejected.
+     */
+    constructor(resolution, reason) {
+        super(`Invalid resolution '${resolution}'` + (reason ? `, ${reason}` : ""));
+        this.name = "InvalidResolutionError";
+        this.resolution = resolution;
+    }
+}
+
+/**
+ * Parses a resolution into the components of its duration.
+ *
+ * @param {string} resolution The resolution in ISO 8601 duration or short form.
+ * @returns {{years: number, months: number, weeks: number, days: number,
+ * hours: number, minutes: number, seconds: number}} The components of the duration.
+ * @throws {InvalidResolutionError} The resolution is not a valid positive duration,
+ * or combines months or years with shorter units.
+ */
+function parseResolution(resolution) {
+    const duration = { years: 0, months: 0, weeks: 0, days: 0, hours: 0, minutes: 0, seconds: 0 };
+
+    const short = typeof resolution === "string" && resolution.match(SHORT_DURATION);
+    const iso = typeof resolution === "string" && resolution.match(ISO_DURATION);
+    const legacy = typeof resolution === "string" && resolution.match(LEGACY_DURATION);
+
+    if (short) {
+        duration[SHORT_UNITS[short[2].toLowerCase()]] = parseInt(short[1], 10);
+    } else if (iso && !resolution.endsWith("T") && resolution !== "P") {
+        const values = iso.slice(1).map((value) => parseFloat((value || "0").replace(",", ".")));
+        [
+            duration.years,
+            duration.months,
+            duration.weeks,
+            duration.days,
+            duration.hours,
+            duration.minutes,
+            duration.seconds,
+        ] = values;
+    } else if (legacy && resolution !== "PT") {
+        const values = legacy.slice(1).map((value) => parseFloat((value || "0").replace(",", ".")));
+        [duration.weeks, duration.days, duration.hours, duration.minutes, duration.seconds] =
+            values;
+    } else {
+        throw new InvalidResolutionError(resolution, "expecting an ISO 8601 duration");
+    }
+
+    if (Object.values(duration).every((value) => value === 0)) {
+        throw new InvalidResolutionError(resolution, "duration must be greater than zero");
+    }
+
+    const { years, months, ...shorter } = duration;
+    if ((years || months) && Object.values(shorter).some((value) => value !== 0)) {
+        throw new InvalidResolutionError(
+            resolution,
+            "months and years cannot be combined with shorter units"
+        );
+    }
+
+    return duration;
+}
+
+/**
+ * Gets the length of a resolution in seconds.
+ *
+ * @param {string} resolution The resolution in ISO 8601 duration or short form.
+ * @returns {number} The length of the resolution in seconds.
+ * @throws {InvalidResolutionError} The resolution is not valid, or has months
+ * or years whose length in seconds varies.
+ */
+function resolutionToSeconds(resolution) {
+    const duration = parseResolution(resolution);
+    if (duration.years || duration.months) {
+        throw new InvalidResolutionError(resolution, "months and years have no fixed length");
+    }
+
+    return (
+        duration.weeks * 604800 +
+        duration.days * 86400 +
+        duration.hours * 3600 +
+        duration.minutes * 60 +
+        duration.seconds
+    );
+}
+
+/**
+ * Converts a resolution into its canonical ISO 8601 duration. Equivalent
+ * resolutions such as "1h", "PT60M" and "PT3600S" convert into the same
+ * duration, here "PT1H". Days are never turned into hours or weeks, as
+ * they are calendar days when aggregating in a time zone.
+ *
+ * @param {string} resolution The resolution in ISO 8601 duration or short form.
+ * @returns {string} The canonical ISO 8601 duration.
+ * @throws {InvalidResolutionError} The resolution is not valid.
+ */
+function toIsoDuration(resolution) {
+    const duration = parseResolution(resolution);
+
+    const months = duration.years * 12 + duration.months;
+    const time = duration.hours * 3600 + duration.minutes * 60 + duration.seconds;
+    const seconds = Math.round((time % 60) * 1000) / 1000;
+
+    if (!months && !duration.days && !time) {
+        return `P${duration.weeks}W`;
+    }
+
+    const days = duration.weeks * 7 + duration.days;
+    const date = [
+        [Math.floor(months / 12), "Y"],
+        [months % 12, "M"],
+        [days, "D"],
+    ];
+    const clock = [
+        [Math.floor(time / 3600), "H"],
+        [Math.floor((time % 3600) / 60), "M"],
+        [seconds, "S"],
+    ];
+
+    const format = (parts) =>
+        parts
+            .filter(([value]) => value > 0)
+            .map(([value, unit]) => value + unit)
+            .join("");
+
+    const timePart = format(clock);
+    return "P" + format(date) + (timePart ? "T" + timePart : "");
+}
+
+module.exports = {
+    InvalidResolutionError,
+    parseResolution,
+    resolutionToSeconds,
+    toIsoDuration,
+};
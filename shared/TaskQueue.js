@@ -6,11 +6,45 @@ var TaskQueue = function (cocurrent, name, hideProgress) {
     this.hideProgress = hideProgress;
 };
 
-TaskQueue.prototype.addTask = function (task, atBeginning) {
-    if (atBeginning) {
-        this.queue.unshift(task);
+/**
+ * Adds a task to the queue, a function called with a callback to invoke once
+ * the task is finished. Tasks of higher priority run before queued tasks of
+ * lower priority.
+ * @param {Function} task The task.
+ * @param {boolean} [atBeginning] True to run the task before those queued
+ * with the same priority.
+ * @param {AbortSignal} [signal] Signal that drops the task from the queue once
+ * aborted, if it has not started yet.
+ * @param {number} [priority] The priority of the task, defaults to 0.
+ */
+TaskQueue.prototype.addTask = function (task, atBeginning, signal, priority) {
+    // Each addition is queued on its own, even if the same task is added twice.
+    var entry = { task: task, priority: priority || 0, release: undefined };
+
+    if (signal) {
+        if (signal.aborted) {
+            return;
+        }
+
+        var self = this;
+        var onAbort = function () {
+            self._removeEntry(entry);
+        };
+
+        signal.addEventListener("abort", onAbort);
+        entry.release = function () {
+            signal.removeEventListener("abort", onAbort);
+        };
+    }
+
+    var index = this.queue.findIndex(function (queued) {
+        return atBeginning ? queued.priority <= entry.priority : queued.priority < entry.priority;
+    });
+
+    if (index < 0) {
+        this.queue.push(entry);
     } else {
-        this.queue.push(task);
+        this.queue.splice(index, 0, entry);
     }
 
     if (!this.hideProgress) {
@@ -29,17 +63,24 @@ TaskQueue.prototype.addTask = function (task, atBeginning) {
 TaskQueue.prototype.executeNext = function () {
     var self = this;
     while (this.onGoingTask < this.cocurrent && this.queue.length > 0) {
-        var task = this.queue.shift();
+        var entry = this.queue.shift();
+        this._releaseEntry(entry);
         this.onGoingTask = this.onGoingTask + 1;
 
         var onFinish = (function () {
             var executed = 0;
-            return function () {
+            var safetyTimer;
+            var finish = function () {
                 if (executed == 0) {
                     executed = 1;
+                    clearTimeout(safetyTimer);
                     self.onTaskFinished();
                 }
             };
+
+            // no mater the task is finished or not, we need to make sure the onFinished has been called
+            safetyTimer = setTimeout(finish, 300000);
+            return finish;
         })();
 
         try {
@@ -54,12 +95,7 @@ TaskQueue.prototype.executeNext = function () {
                 );
             }
 
-            // no mater the task is finished or not, we need to make sure the onFinished has been called
-            setTimeout(function () {
-                onFinish();
-            }, 300000);
-
-            task(onFinish);
+            entry.task(onFinish);
         } catch (ex) {
             setTimeout(function () {
                 onFinish();
@@ -89,12 +125,55 @@ TaskQueue.prototype.onTaskFinished = function () {
     }, 0);
 };
 
+/**
+ * Removes a task from the queue if it has not started yet. A task added more
+ * than once is only removed once, from the front of the queue.
+ * @param {Function} task The task.
+ * @returns {boolean} True if the task was removed.
+ */
+TaskQueue.prototype.removeTask = function (task) {
+    var entry = this.queue.find(function (queued) {
+        return queued.task === task;
+    });
+
+    return entry ? this._removeEntry(entry) : false;
+};
+
+/**
+ * Removes an entry from the queue if it has not started yet.
+ * @param {Object} entry The entry as queued by 'addTask'.
+ * @returns {boolean} True if the entry was removed.
+ * @private
+ */
+TaskQueue.prototype._removeEntry = function (entry) {
+    var index = this.queue.indexOf(entry);
+    if (index < 0) {
+        return false;
+    }
+
+    this.queue.splice(index, 1);
+    this._releaseEntry(entry);
+    return true;
+};
+
+/**
+ * Stops listening to the signal of an entry leaving the queue.
+ * @param {Object} entry The entry as queued by 'addTask'.
+ * @private
+ */
+TaskQueue.prototype._releaseEntry = function (entry) {
+    if (entry.release) {
+        entry.release();
+        entry.release = undefined;
+    }
+};
+
 /**
  * Remove the taskqueue to fresh states
  */
 TaskQueue.prototype.reset = function () {
     while (this.queue.length > 0) {
-        this.queue.pop();
+        this._releaseEntry(this.queue.pop());
     }
     this.onGoingTask = 0;
 };
@@ -0,0 +1,162 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+/**
+ * Error thrown when a time zone is not a known IANA time zone.
+ */
+class InvalidTimeZoneError extends Error {
+    /**
+     * @param {any} timeZone The offending time zone.
+     */
+    constructor(timeZone) {
+        super(`Invalid time zone '${timeZone}', expecting an IANA time zone such as 'Asia/Tokyo'`);
+        this.name = "InvalidTimeZoneError";
+        this.timeZone = timeZone;
+    }
+}
+
+/**
+ * Converts between Epoch seconds and local calendar days of a time zone,
+ * either an IANA time zone which may observe daylight saving time, or a fixed
+ * offset from UTC.
+ */
+class TimeZone {
+    /**
+     * @param {string|number} timeZone An IANA time zone such as "America/Los_Angeles",
+     * &nbsp;or a fixed offset in minutes east of UTC.
+     * @throws {InvalidTimeZoneError} The time zone is not known.
+     */
+    constructor(timeZone) {
+        if (typeof timeZone === "number") {
+            this.name = undefined;
+            this.fixedOffset = timeZone;
+            return;
+        }
+
+        try {
+            this._format = new Intl.DateTimeFormat("en-US", {
+                timeZone,
+                hour12: false,
+                year: "numeric",
+                month: "numeric",
+                day: "numeric",
+                hour: "numeric",
+                minute: "numeric",
+                second: "numeric",
+            });
+        } catch (err) {
+            throw new InvalidTimeZoneError(timeZone);
+        }
+
+        this.name = timeZone;
+        this.fixedOffset = undefined;
+    }
+
+    /**
+     * Checks if a time zone is a known IANA time zone.
+     * @param {string} timeZone The time zone to check.
+     * @returns {boolean} True if the time zone is known.
+     */
+    static isValid(timeZone) {
+        try {
+            return typeof timeZone === "string" && !!new TimeZone(timeZone);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Gets the offset from UTC in effect at a given time.
+     * @param {number} second Time in Epoch second.
+     * @returns {number} The offset in minutes east of UTC.
+     */
+    offsetAt(second) {
+        if (this.fixedOffset !== undefined) {
+            return this.fixedOffset;
+        }
+
+        const parts = {};
+        const whole = Math.floor(second);
+        this._format.formatToParts(new Date(whole * 1000)).forEach((part) => {
+            parts[part.type] = parseInt(part.value, 10);
+        });
+
+        // Some implementations format midnight as hour 24.
+        const local = Date.UTC(
+            parts.year,
+            parts.month - 1,
+            parts.day,
+            parts.hour % 24,
+            parts.minute,
+            parts.second
+        );
+
+        return Math.round((local / 1000 - whole) / 60);
+    }
+
+    /**
+     * Gets the local calendar day a given time falls on.
+     * @param {number} second Time in Epoch second.
+     * @returns {number} The number of days between 1970-01-01 and the local day.
+     */
+    dayOf(second) {
+        return Math.floor((second + this.offsetAt(second) * 60) / 86400);
+    }
+
+    /**
+     * Gets the first instant of a local period, such as an hour or a day.
+     * @param {number} localSecond Start of the period in local time, in seconds
+     * &nbsp;since local 1970-01-01 00:00.
+     * @param {number} seconds The length of the period in local time.
+     * @returns {number|undefined} The first instant whose local time falls in
+     * &nbsp;the period in Epoch second, undefined if a transition skips the
+     * &nbsp;whole period.
+     */
+    startOfPeriod(localSecond, seconds) {
+        // The period starts at one of the offsets in effect around its local
+        // start. When a transition skips the start, only the offset after the
+        // transition puts it in the period, at the transition.
+        const offsets = [this.offsetAt(localSecond)];
+        offsets.push(this.offsetAt(localSecond - offsets[0] * 60));
+        offsets.push(this.offsetAt(localSecond - offsets[1] * 60));
+
+        const starts = offsets
+            .map((offset) => localSecond - offset * 60)
+            .filter((start) => {
+                const local = start + this.offsetAt(start) * 60;
+                return local >= localSecond && local < localSecond + seconds;
+            });
+
+        return starts.length ? Math.min(...starts) : undefined;
+    }
+
+    /**
+     * Gets the start of a local calendar day. On days starting with a daylight
+     * saving time transition, that is the first instant that exists locally.
+     * @param {number} day The number of days between 1970-01-01 and the local day.
+     * @returns {number} The start of the local day in Epoch second.
+     */
+    startOfDay(day) {
+        const midnight = day * 86400;
+        const start = this.startOfPeriod(midnight, 86400);
+        return start !== undefined ? start : midnight - this.offsetAt(midnight) * 60;
+    }
+}
+
+module.exports = {
+    InvalidTimeZoneError,
+    TimeZone,
+};
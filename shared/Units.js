@@ -0,0 +1,288 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+
+/**
+ * The units device properties may be measured in, as set in 'propertyUnit' of
+ * the device model file. Each unit measures a quantity, such as a temperature
+ * or a pressure, and converts to any other unit of the same quantity through
+ * the base unit of that quantity: `base = value * scale + offset`.
+ *
+ * Units are looked up by identifier, symbol or alias, case insensitively, so
+ * that "Celsius", "°C" and "degC" all stand for the same unit.
+ */
+const Quantity = {
+    Temperature: "temperature",
+    Pressure: "pressure",
+    Humidity: "humidity",
+    Concentration: "concentration",
+    Power: "power",
+    Energy: "energy",
+    Flow: "flow",
+    Speed: "speed",
+    Illuminance: "illuminance",
+};
+
+const DataUnit = {
+    Celsius: "Celsius",
+    Fahrenheit: "Fahrenheit",
+    Kelvin: "Kelvin",
+    Pascal: "Pascal",
+    Hectopascal: "Hectopascal",
+    Kilopascal: "Kilopascal",
+    Bar: "Bar",
+    Millibar: "Millibar",
+    Psi: "Psi",
+    InchOfMercury: "InchOfMercury",
+    InchOfWater: "InchOfWater",
+    Percent: "Percent",
+    Fraction: "Fraction",
+    PartsPerMillion: "PartsPerMillion",
+    PartsPerBillion: "PartsPerBillion",
+    Watt: "Watt",
+    Kilowatt: "Kilowatt",
+    Megawatt: "Megawatt",
+    BtuPerHour: "BtuPerHour",
+    Horsepower: "Horsepower",
+    TonOfRefrigeration: "TonOfRefrigeration",
+    Joule: "Joule",
+    Kilojoule: "Kilojoule",
+    Megajoule: "Megajoule",
+    WattHour: "WattHour",
+    KilowattHour: "KilowattHour",
+    MegawattHour: "MegawattHour",
+    Btu: "Btu",
+    Therm: "Therm",
+    CubicMeterPerSecond: "CubicMeterPerSecond",
+    CubicMeterPerHour: "CubicMeterPerHour",
+    LiterPerSecond: "LiterPerSecond",
+    LiterPerMinute: "LiterPerMinute",
+    CubicFootPerMinute: "CubicFootPerMinute",
+    GallonPerMinute: "GallonPerMinute",
+    MeterPerSecond: "MeterPerSecond",
+    KilometerPerHour: "KilometerPerHour",
+    FootPerMinute: "FootPerMinute",
+    MilePerHour: "MilePerHour",
+    Lux: "Lux",
+    FootCandle: "FootCandle",
+};
+
+// The base unit of each quantity has a scale of 1 and no offset.
+const UNITS = {};
+
+/**
+ * Error thrown when a unit is not known, or when a value cannot be converted
+ * between two units because they measure different quantities.
+ */
+class UnitConversionError extends Error {
+    /**
+     * @param {string} message The error message.
+     * @param {string} [fromUnit] The unit converted from.
+     * @param {string} [toUnit] The unit converted to.
+     */
+    constructor(message, fromUnit, toUnit) {
+        super(message);
+        this.name = "UnitConversionError";
+        this.fromUnit = fromUnit;
+        this.toUnit = toUnit;
+    }
+}
+
+function normalize(name) {
+    return String(name).trim().toLowerCase();
+}
+
+/**
+ * Registers a unit, or replaces the unit registered with the same identifier.
+ *
+ * @param {string} id The identifier of the unit, e.g. "Kilopascal".
+ * @param {Object} definition The definition of the unit.
+ * @param {string} definition.quantity The quantity the unit measures, one of
+ * &nbsp;Quantity or a new quantity.
+ * @param {string} definition.symbol The symbol of the unit, e.g. "kPa".
+ * @param {number} [definition.scale] The base units in one unit, defaults to 1.
+ * @param {number} [definition.offset] The base units at the zero of the unit,
+ * &nbsp;defaults to 0.
+ * @param {string[]} [definition.aliases] Other names of the unit, e.g. "KPA".
+ */
+function registerUnit(id, definition) {
+    const unit = {
+        id,
+        quantity: definition.quantity,
+        symbol: definition.symbol || id,
+        scale: definition.scale === undefined ? 1 : definition.scale,
+        offset: definition.offset || 0,
+    };
+
+    [id, unit.symbol, ...(definition.aliases || [])].forEach((name) => {
+        UNITS[normalize(name)] = unit;
+    });
+}
+
+/**
+ * Gets a registered unit.
+ *
+ * @param {string} [name] The identifier, symbol or alias of the unit.
+ * @returns {{id: string, quantity: string, symbol: string, scale: number,
+ * offset: number}|undefined} The unit, or undefined if it is not known.
+ */
+function getUnit(name) {
+    return name === undefined || name === null ? undefined : UNITS[normalize(name)];
+}
+
+function requireUnit(name, fromUnit, toUnit) {
+    const unit = getUnit(name);
+    if (!unit) {
+        throw new UnitConversionError(`Unknown unit '${name}'`, fromUnit, toUnit);
+    }
+
+    return unit;
+}
+
+/**
+ * Checks if values can be converted between two units.
+ *
+ * @param {string} fromUnit The unit to convert from.
+ * @param {string} toUnit The unit to convert to.
+ * @returns {boolean} True if both units are known and measure the same quantity.
+ */
+function canConvert(fromUnit, toUnit) {
+    const from = getUnit(fromUnit);
+    const to = getUnit(toUnit);
+    return !!from && !!to && from.quantity === to.quantity;
+}
+
+/**
+ * Gets a function converting values from a unit to another.
+ *
+ * @param {string} fromUnit The unit to convert from.
+ * @param {string} toUnit The unit to convert to.
+ * @param {boolean} [difference] True to convert differences between values,
+ * &nbsp;such as increases or standard deviations, rather than values. These
+ * &nbsp;are only scaled, e.g. a difference of 1 °C is a difference of 1.8 °F.
+ * @returns {function(number): number} The conversion, which maps null and
+ * &nbsp;undefined to themselves.
+ * @throws {UnitConversionError} Either unit is not known, or they measure
+ * &nbsp;different quantities.
+ */
+function getConverter(fromUnit, toUnit, difference = false) {
+    const from = requireUnit(fromUnit, fromUnit, toUnit);
+    const to = requireUnit(toUnit, fromUnit, toUnit);
+
+    if (from.quantity !== to.quantity) {
+        throw new UnitConversionError(
+            `Cannot convert ${from.quantity} in '${from.id}' to ${to.quantity} in '${to.id}'`,
+            fromUnit,
+            toUnit
+        );
+    }
+
+    const scale = from.scale / to.scale;
+    const offset = difference ? 0 : (from.offset - to.offset) / to.scale;
+    if (scale === 1 && offset === 0) {
+        return (value) => value;
+    }
+
+    return (value) => (value === null || value === undefined ? value : value * scale + offset);
+}
+
+/**
+ * Converts a value from a unit to another.
+ *
+ * @param {number} value The value to convert.
+ * @param {string} fromUnit The unit to convert from.
+ * @param {string} toUnit The unit to convert to.
+ * @returns {number} The converted value.
+ * @throws {UnitConversionError} Either unit is not known, or they measure
+ * &nbsp;different quantities.
+ */
+function convertValue(value, fromUnit, toUnit) {
+    return getConverter(fromUnit, toUnit)(value);
+}
+
+const q = Quantity;
+const u = DataUnit;
+
+registerUnit(u.Celsius, { quantity: q.Temperature, symbol: "°C", aliases: ["degC", "C"] });
+registerUnit(u.Fahrenheit, {
+    quantity: q.Temperature,
+    symbol: "°F",
+    scale: 5 / 9,
+    offset: (-32 * 5) / 9,
+    aliases: ["degF", "F"],
+});
+registerUnit(u.Kelvin, { quantity: q.Temperature, symbol: "K", offset: -273.15 });
+
+registerUnit(u.Pascal, { quantity: q.Pressure, symbol: "Pa" });
+registerUnit(u.Hectopascal, { quantity: q.Pressure, symbol: "hPa", scale: 100 });
+registerUnit(u.Kilopascal, { quantity: q.Pressure, symbol: "kPa", scale: 1000 });
+registerUnit(u.Bar, { quantity: q.Pressure, symbol: "bar", scale: 100000 });
+registerUnit(u.Millibar, { quantity: q.Pressure, symbol: "mbar", scale: 100 });
+registerUnit(u.Psi, { quantity: q.Pressure, symbol: "psi", scale: 6894.757293 });
+registerUnit(u.InchOfMercury, { quantity: q.Pressure, symbol: "inHg", scale: 3386.389 });
+registerUnit(u.InchOfWater, { quantity: q.Pressure, symbol: "inH2O", scale: 249.08891 });
+
+registerUnit(u.Percent, { quantity: q.Humidity, symbol: "%", aliases: ["%RH", "RH"] });
+registerUnit(u.Fraction, { quantity: q.Humidity, symbol: "fraction", scale: 100 });
+
+registerUnit(u.PartsPerMillion, { quantity: q.Concentration, symbol: "ppm" });
+registerUnit(u.PartsPerBillion, { quantity: q.Concentration, symbol: "ppb", scale: 0.001 });
+
+registerUnit(u.Watt, { quantity: q.Power, symbol: "W" });
+registerUnit(u.Kilowatt, { quantity: q.Power, symbol: "kW", scale: 1000 });
+registerUnit(u.Megawatt, { quantity: q.Power, symbol: "MW", scale: 1000000 });
+registerUnit(u.BtuPerHour, { quantity: q.Power, symbol: "BTU/h", scale: 0.29307107 });
+registerUnit(u.Horsepower, { quantity: q.Power, symbol: "hp", scale: 745.69987 });
+registerUnit(u.TonOfRefrigeration, { quantity: q.Power, symbol: "TR", scale: 3516.8528 });
+
+registerUnit(u.Joule, { quantity: q.Energy, symbol: "J" });
+registerUnit(u.Kilojoule, { quantity: q.Energy, symbol: "kJ", scale: 1000 });
+registerUnit(u.Megajoule, { quantity: q.Energy, symbol: "MJ", scale: 1000000 });
+registerUnit(u.WattHour, { quantity: q.Energy, symbol: "Wh", scale: 3600 });
+registerUnit(u.KilowattHour, { quantity: q.Energy, symbol: "kWh", scale: 3600000 });
+registerUnit(u.MegawattHour, { quantity: q.Energy, symbol: "MWh", scale: 3600000000 });
+registerUnit(u.Btu, { quantity: q.Energy, symbol: "BTU", scale: 1055.05585 });
+registerUnit(u.Therm, { quantity: q.Energy, symbol: "thm", scale: 105505585 });
+
+registerUnit(u.CubicMeterPerSecond, { quantity: q.Flow, symbol: "m³/s", aliases: ["m3/s"] });
+registerUnit(u.CubicMeterPerHour, {
+    quantity: q.Flow,
+    symbol: "m³/h",
+    scale: 1 / 3600,
+    aliases: ["m3/h"],
+});
+registerUnit(u.LiterPerSecond, { quantity: q.Flow, symbol: "L/s", scale: 0.001 });
+registerUnit(u.LiterPerMinute, { quantity: q.Flow, symbol: "L/min", scale: 0.001 / 60 });
+registerUnit(u.CubicFootPerMinute, { quantity: q.Flow, symbol: "cfm", scale: 0.00047194745 });
+registerUnit(u.GallonPerMinute, { quantity: q.Flow, symbol: "gpm", scale: 0.0000630901964 });
+
+registerUnit(u.MeterPerSecond, { quantity: q.Speed, symbol: "m/s" });
+registerUnit(u.KilometerPerHour, { quantity: q.Speed, symbol: "km/h", scale: 1 / 3.6 });
+registerUnit(u.FootPerMinute, { quantity: q.Speed, symbol: "fpm", scale: 0.00508 });
+registerUnit(u.MilePerHour, { quantity: q.Speed, symbol: "mph", scale: 0.44704 });
+
+registerUnit(u.Lux, { quantity: q.Illuminance, symbol: "lx" });
+registerUnit(u.FootCandle, { quantity: q.Illuminance, symbol: "fc", scale: 10.7639104 });
+
+module.exports = {
+    Quantity,
+    DataUnit,
+    UnitConversionError,
+    registerUnit,
+    getUnit,
+    canConvert,
+    getConverter,
+    convertValue,
+};
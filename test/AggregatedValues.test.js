@@ -0,0 +1,128 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const { AggregatedValues } = require("../client/data/Hyperion.Data.DataModel.js");
+const { DateTimeSpan } = require("../client/data/Hyperion.Data.Storage.js");
+const { UnitConversionError } = require("../shared/Units.js");
+
+const START = Date.UTC(2021, 0, 1) / 1000;
+
+// Rounds values so that floating point errors of conversions compare equal.
+function round(values) {
+    return values.map((value) => (value === null ? value : Number(value.toFixed(9))));
+}
+
+function createAggregatedValues(count) {
+    const aggrValues = new AggregatedValues(new DateTimeSpan(START, START + count * 3600, "PT1H"));
+    aggrValues.tsValues = Array.from({ length: count }, (_, i) => START + i * 3600);
+    return aggrValues;
+}
+
+describe("AggregatedValues", () => {
+    describe("getStateFractions", () => {
+        it("is the fraction of time spent in a state out of any state", () => {
+            const aggrValues = createAggregatedValues(3);
+            aggrValues.states = ["false", "true"];
+            aggrValues.setStateDurations("false", [2400, 0, 0]);
+            aggrValues.setStateDurations("true", [1200, 3600, 0]);
+
+            assert.deepStrictEqual(aggrValues.getStateFractions("true"), [1 / 3, 1, null]);
+            assert.deepStrictEqual(aggrValues.getStateFractions("false"), [2 / 3, 0, null]);
+        });
+
+        it("counts states without durations as never held", () => {
+            const aggrValues = createAggregatedValues(2);
+            aggrValues.states = ["heat", "cool", "off"];
+            aggrValues.setStateDurations("heat", [900, 0]);
+            aggrValues.setStateDurations("cool", [2700, 0]);
+
+            assert.deepStrictEqual(aggrValues.getStateFractions("cool"), [0.75, null]);
+            assert.deepStrictEqual(aggrValues.getStateFractions("off"), [0, null]);
+        });
+
+        it("is undefined for properties holding numbers", () => {
+            assert.strictEqual(createAggregatedValues(1).getStateFractions("true"), undefined);
+        });
+    });
+
+    describe("convertUnit", () => {
+        function createTemperatures() {
+            const aggrValues = createAggregatedValues(3);
+            aggrValues.unit = "Celsius";
+            aggrValues.countValues = [2, 0, 4];
+            aggrValues.values = [20, null, 25];
+            aggrValues.avgValues = [20, null, 25];
+            aggrValues.minValues = [10, null, 20];
+            aggrValues.maxValues = [30, null, 30];
+            aggrValues.sumValues = [40, null, 100];
+            aggrValues.stdDevValues = [10, null, 5];
+            aggrValues.deltaValues = [0, null, 5];
+            aggrValues.rateValues = [0, null, 0.5];
+            aggrValues.setPercentileValues(95, [29, null, 30]);
+            aggrValues.setDataRange("avgValues", { min: 20, max: 25 });
+            aggrValues.setDataRange("p95Values", { min: 29, max: 30 });
+            return aggrValues;
+        }
+
+        it("converts values with the offset of the units", () => {
+            const converted = createTemperatures().convertUnit("°C", "°F");
+            assert.strictEqual(converted.unit, "°F");
+            assert.deepStrictEqual(converted.values, [68, null, 77]);
+            assert.deepStrictEqual(converted.avgValues, [68, null, 77]);
+            assert.deepStrictEqual(converted.minValues, [50, null, 68]);
+            assert.deepStrictEqual(converted.maxValues, [86, null, 86]);
+            assert.deepStrictEqual(round(converted.getPercentileValues(95)), [84.2, null, 86]);
+        });
+
+        it("scales differences without the offset", () => {
+            const converted = createTemperatures().convertUnit("°C", "°F");
+            assert.deepStrictEqual(converted.stdDevValues, [18, null, 9]);
+            assert.deepStrictEqual(converted.deltaValues, [0, null, 9]);
+            assert.deepStrictEqual(round(converted.rateValues), [0, null, 0.9]);
+
+            // Sums add the offset once per reading: 2 × 20 °C is 2 × 68 °F.
+            assert.deepStrictEqual(converted.sumValues, [136, null, 308]);
+        });
+
+        it("recomputes the data ranges from the converted values", () => {
+            const converted = createTemperatures().convertUnit("Celsius", "Kelvin");
+            const range = converted.getDataRange("avgValues");
+            assert.ok(range.min <= 293.15 && range.max >= 298.15);
+            assert.ok(converted.getDataRange("p95Values").min > 273.15);
+            assert.strictEqual(converted.getDataRange("values"), undefined);
+        });
+
+        it("leaves the original values untouched", () => {
+            const aggrValues = createTemperatures();
+            aggrValues.convertUnit("°C", "°F");
+            assert.strictEqual(aggrValues.unit, "Celsius");
+            assert.deepStrictEqual(aggrValues.avgValues, [20, null, 25]);
+            assert.deepStrictEqual(aggrValues.getDataRange("avgValues"), { min: 20, max: 25 });
+        });
+
+        it("rejects units of different quantities", () => {
+            assert.throws(() => createTemperatures().convertUnit("°C", "kPa"), UnitConversionError);
+        });
+
+        it("leaves states as they are", () => {
+            const aggrValues = createAggregatedValues(1);
+            aggrValues.states = ["false", "true"];
+            aggrValues.values = ["true"];
+            assert.deepStrictEqual(aggrValues.convertUnit("°C", "°F").values, ["true"]);
+        });
+    });
+});
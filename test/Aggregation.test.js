@@ -0,0 +1,65 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const {
+    InvalidPropertyKindError,
+    PropertyKind,
+    getCounterIncrease,
+    getPropertyKind,
+} = require("../shared/Aggregation.js");
+
+describe("Aggregation", () => {
+    describe("getCounterIncrease", () => {
+        it("is the difference of totals that went up", () => {
+            assert.strictEqual(getCounterIncrease(100, 130), 30);
+            assert.strictEqual(getCounterIncrease(100, 100), 0);
+            assert.strictEqual(getCounterIncrease(100, 130, 65535), 30);
+        });
+
+        it("takes a counter going down to have been reset", () => {
+            assert.strictEqual(getCounterIncrease(100, 5), 5);
+            assert.strictEqual(getCounterIncrease(100, 0), 0);
+            // Far from its maximum, the counter cannot have rolled over.
+            assert.strictEqual(getCounterIncrease(100, 5, 65535), 5);
+        });
+
+        it("takes a counter in the upper half of its range to have rolled over", () => {
+            assert.strictEqual(getCounterIncrease(65530, 4, 65535), 10);
+            assert.strictEqual(getCounterIncrease(65535, 0, 65535), 1);
+        });
+    });
+
+    describe("getPropertyKind", () => {
+        it("defaults to gauges", () => {
+            assert.strictEqual(getPropertyKind(undefined), PropertyKind.Gauge);
+            assert.strictEqual(getPropertyKind({ propertyId: "Temperature" }), PropertyKind.Gauge);
+            assert.strictEqual(getPropertyKind({ kind: "counter" }), PropertyKind.Counter);
+        });
+
+        it("rejects unknown kinds and invalid counter maximums", () => {
+            assert.throws(() => getPropertyKind({ kind: "meter" }), InvalidPropertyKindError);
+            assert.throws(
+                () => getPropertyKind({ kind: "counter", counterMax: 0 }),
+                InvalidPropertyKindError
+            );
+            assert.throws(
+                () => getPropertyKind({ kind: "counter", counterMax: "big" }),
+                InvalidPropertyKindError
+            );
+        });
+    });
+});
@@ -0,0 +1,52 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const AzureGateway = require("../server/gateways/Hyperion.Server.AzureGateway.js");
+const { Bucketing } = require("../shared/Bucketing.js");
+
+const START = Date.UTC(2021, 0, 1) / 1000;
+
+// The response of Time Series Insights to the query 'getAggregates' makes.
+function tsiResponse(temperatures) {
+    const bucketing = new Bucketing(START, START + 3 * 3600, "PT1H");
+    return {
+        timestamps: bucketing.timestamps.map((t) => new Date(t * 1000).toISOString()),
+        properties: [{ name: "TemperatureAvg", type: "Double", values: temperatures }],
+        bucketing,
+    };
+}
+
+describe("AzureGateway", () => {
+    it("combines the averages of devices over a group", async () => {
+        const gateway = new AzureGateway();
+        const responses = { dev1: tsiResponse([20, null, 22]), dev2: tsiResponse([24, 21, null]) };
+        gateway.getAggregates = async (deviceId) => responses[deviceId];
+
+        const result = await gateway.getGroupAggregates(
+            { deviceIds: ["dev1", "dev2"] },
+            "Temperature",
+            START,
+            START + 3 * 3600,
+            "PT1H"
+        );
+
+        assert.deepStrictEqual(result.timestamps, [START, START + 3600, START + 7200]);
+        assert.deepStrictEqual(result.deviceIds, ["dev1", "dev2"]);
+        assert.deepStrictEqual(result.properties.Temperature.value, [22, 21, 22]);
+        assert.deepStrictEqual(result.properties.Temperature.count, [2, 1, 1]);
+    });
+});
@@ -0,0 +1,216 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const { Bucketing, BucketingError } = require("../shared/Bucketing.js");
+const { InvalidResolutionError } = require("../shared/Resolution.js");
+const { InvalidTimeZoneError } = require("../shared/TimeZone.js");
+
+const HOUR = 3600;
+const DAY = 86400;
+
+// Epoch seconds of a UTC date and time, months counted from 1.
+function utc(year, month, day, hour = 0, minute = 0) {
+    return Date.UTC(year, month - 1, day, hour, minute) / 1000;
+}
+
+describe("Bucketing", () => {
+    it("aligns fixed-length buckets to multiples of the resolution", () => {
+        const bucketing = new Bucketing(utc(2021, 1, 1, 10, 20), utc(2021, 1, 1, 12, 40), "PT1H");
+        assert.deepStrictEqual(bucketing.timestamps, [
+            utc(2021, 1, 1, 10),
+            utc(2021, 1, 1, 11),
+            utc(2021, 1, 1, 12),
+        ]);
+        assert.strictEqual(bucketing.start, utc(2021, 1, 1, 10));
+        assert.strictEqual(bucketing.end, utc(2021, 1, 1, 13));
+    });
+
+    it("does not start a bucket at the end of the time window", () => {
+        const bucketing = new Bucketing(utc(2021, 1, 1, 10), utc(2021, 1, 1, 12), "PT1H");
+        assert.deepStrictEqual(bucketing.timestamps, [utc(2021, 1, 1, 10), utc(2021, 1, 1, 11)]);
+
+        const days = new Bucketing(utc(2021, 1, 1), utc(2021, 1, 3), "P1D");
+        assert.deepStrictEqual(days.timestamps, [utc(2021, 1, 1), utc(2021, 1, 2)]);
+    });
+
+    it("has a single bucket for an empty time window", () => {
+        const bucketing = new Bucketing(utc(2021, 1, 1, 10), utc(2021, 1, 1, 10), "PT1H");
+        assert.deepStrictEqual(bucketing.edges, [utc(2021, 1, 1, 10), utc(2021, 1, 1, 11)]);
+    });
+
+    it("aligns buckets to a fixed time zone offset", () => {
+        const bucketing = new Bucketing(utc(2021, 1, 1, 12), utc(2021, 1, 2, 12), "P1D", {
+            timeZoneOffset: 60,
+        });
+        assert.deepStrictEqual(bucketing.edges, [
+            utc(2020, 12, 31, 23),
+            utc(2021, 1, 1, 23),
+            utc(2021, 1, 2, 23),
+        ]);
+        assert.strictEqual(bucketing.timeZoneOffset, 60);
+
+        const halfHours = new Bucketing(utc(2021, 1, 1, 10), utc(2021, 1, 1, 11), "PT1H", {
+            timeZoneOffset: 330,
+        });
+        assert.strictEqual(halfHours.start, utc(2021, 1, 1, 9, 30));
+    });
+
+    it("follows daylight saving time in an IANA time zone", () => {
+        // Clocks go forward on 2021-03-14 in Los Angeles, from UTC-8 to UTC-7.
+        const bucketing = new Bucketing(utc(2021, 3, 13, 12), utc(2021, 3, 15, 12), "P1D", {
+            timeZone: "America/Los_Angeles",
+        });
+        assert.deepStrictEqual(bucketing.edges, [
+            utc(2021, 3, 13, 8),
+            utc(2021, 3, 14, 8),
+            utc(2021, 3, 15, 7),
+            utc(2021, 3, 16, 7),
+        ]);
+        assert.strictEqual(bucketing.edges[2] - bucketing.edges[1], 23 * HOUR);
+        assert.strictEqual(bucketing.timeZone, "America/Los_Angeles");
+        assert.strictEqual(bucketing.timeZoneOffset, undefined);
+    });
+
+    it("aligns each bucket with the offset in effect at its start", () => {
+        // Clocks go forward by 30 minutes on 2021-10-03 at 02:00 on Lord Howe
+        // Island, from UTC+10:30 to UTC+11, so local hours start on the hour in UTC.
+        const bucketing = new Bucketing(utc(2021, 10, 2, 12, 30), utc(2021, 10, 2, 18), "PT1H", {
+            timeZone: "Australia/Lord_Howe",
+        });
+        assert.deepStrictEqual(bucketing.edges, [
+            utc(2021, 10, 2, 12, 30),
+            utc(2021, 10, 2, 13, 30),
+            utc(2021, 10, 2, 14, 30),
+            utc(2021, 10, 2, 15, 30),
+            utc(2021, 10, 2, 16),
+            utc(2021, 10, 2, 17),
+            utc(2021, 10, 2, 18),
+        ]);
+        assert.strictEqual(bucketing.edges[4] - bucketing.edges[3], HOUR / 2);
+
+        // Clocks go back by 30 minutes on 2022-04-03 at 02:00, to UTC+10:30.
+        const back = new Bucketing(utc(2022, 4, 2, 13), utc(2022, 4, 2, 17), "PT1H", {
+            timeZone: "Australia/Lord_Howe",
+        });
+        assert.deepStrictEqual(back.edges, [
+            utc(2022, 4, 2, 13),
+            utc(2022, 4, 2, 14),
+            utc(2022, 4, 2, 15, 30),
+            utc(2022, 4, 2, 16, 30),
+            utc(2022, 4, 2, 17, 30),
+        ]);
+    });
+
+    it("starts weeks on Monday", () => {
+        // 2021-01-06 is a Wednesday.
+        const bucketing = new Bucketing(utc(2021, 1, 6), utc(2021, 1, 12), "P1W");
+        assert.deepStrictEqual(bucketing.edges, [
+            utc(2021, 1, 4),
+            utc(2021, 1, 11),
+            utc(2021, 1, 18),
+        ]);
+    });
+
+    it("lays out calendar months counted from January", () => {
+        const months = new Bucketing(utc(2021, 1, 15), utc(2021, 3, 10), "P1M");
+        assert.deepStrictEqual(months.timestamps, [
+            utc(2021, 1, 1),
+            utc(2021, 2, 1),
+            utc(2021, 3, 1),
+        ]);
+        assert.strictEqual(months.end, utc(2021, 4, 1));
+
+        const quarters = new Bucketing(utc(2021, 5, 15), utc(2021, 8, 10), "P3M");
+        assert.deepStrictEqual(quarters.edges, [
+            utc(2021, 4, 1),
+            utc(2021, 7, 1),
+            utc(2021, 10, 1),
+        ]);
+    });
+
+    it("finds the bucket of a reading depending on which end is closed", () => {
+        const start = utc(2021, 1, 1, 10);
+        const left = new Bucketing(start, start + 2 * HOUR, "PT1H");
+        const right = new Bucketing(start, start + 2 * HOUR, "PT1H", { closed: "right" });
+
+        assert.strictEqual(left.indexOf(start), 0);
+        assert.strictEqual(left.indexOf(start + HOUR), 1);
+        assert.strictEqual(left.indexOf(start + 2 * HOUR), -1);
+        assert.strictEqual(left.indexOf(start - 1), -1);
+
+        assert.strictEqual(right.indexOf(start), -1);
+        assert.strictEqual(right.indexOf(start + HOUR), 0);
+        assert.strictEqual(right.indexOf(start + 2 * HOUR), 1);
+    });
+
+    it("describes the buckets in JSON", () => {
+        const bucketing = new Bucketing(utc(2021, 1, 1), utc(2021, 1, 2), "24h");
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(bucketing)), {
+            resolution: "PT24H",
+            closed: "left",
+            timeZoneOffset: 0,
+            start: utc(2021, 1, 1),
+            end: utc(2021, 1, 2),
+        });
+    });
+
+    it("rejects invalid options", () => {
+        const start = utc(2021, 1, 1);
+        assert.throws(
+            () => new Bucketing(start, start + DAY, "PT1H", { closed: "both" }),
+            BucketingError
+        );
+        assert.throws(
+            () => new Bucketing(start, start + DAY, "PT1H", { timeZoneOffset: 15 * 60 }),
+            BucketingError
+        );
+        assert.throws(
+            () => new Bucketing(start, start + DAY, "PT1H", { timeZoneOffset: 1.5 }),
+            BucketingError
+        );
+        assert.throws(
+            () =>
+                new Bucketing(start, start + DAY, "PT1H", {
+                    timeZone: "Asia/Tokyo",
+                    timeZoneOffset: 60,
+                }),
+            BucketingError
+        );
+        assert.throws(
+            () => new Bucketing(start, start + DAY, "PT1H", { timeZone: "Mars/Olympus" }),
+            InvalidTimeZoneError
+        );
+        assert.throws(() => new Bucketing(start, start + DAY, "PT1X"), InvalidResolutionError);
+    });
+
+    it("rejects more buckets than allowed", () => {
+        const start = utc(2021, 1, 1);
+        assert.throws(() => new Bucketing(start, start + DAY, "PT1S"), BucketingError);
+        assert.throws(
+            () => new Bucketing(start, start + DAY, "PT1H", { maxBuckets: 23 }),
+            BucketingError
+        );
+        assert.throws(
+            () => new Bucketing(start, start + 10 * DAY, "P1D", { maxBuckets: 9 }),
+            BucketingError
+        );
+        assert.strictEqual(
+            new Bucketing(start, start + DAY, "PT1H", { maxBuckets: 24 }).timestamps.length,
+            24
+        );
+    });
+});
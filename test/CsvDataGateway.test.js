@@ -0,0 +1,258 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it, before, after } = require("node:test");
+const assert = require("assert");
+const FS = require("fs");
+const OS = require("os");
+const Path = require("path");
+const CsvDataGateway = require("../server/gateways/Hyperion.Server.CsvGateway.js");
+
+const START = Date.UTC(2021, 0, 1) / 1000;
+const INTERVAL = 60;
+
+// A row of the CSV file, every minute from 2021-01-01.
+function row(i) {
+    const time = new Date((START + i * INTERVAL) * 1000).toISOString();
+    return `${time}\t${(20 + 5 * Math.sin(i / 50)).toFixed(2)}\t${40 + (i % 17)}\n`;
+}
+
+function rows(from, to) {
+    let text = "";
+    for (let i = from; i < to; i++) {
+        text += row(i);
+    }
+    return text;
+}
+
+// Rounds numbers so that sums accumulated in another order compare equal.
+function round(aggregates) {
+    return JSON.parse(
+        JSON.stringify(aggregates, (key, value) =>
+            typeof value === "number" ? Number(value.toPrecision(10)) : value
+        )
+    );
+}
+
+describe("CsvDataGateway", () => {
+    let folder, create, plain, indexed, rolledUp;
+
+    before(() => {
+        folder = FS.mkdtempSync(Path.join(OS.tmpdir(), "csv-gateway-"));
+        const properties = ["Temperature", "Humidity"].map((propertyId) => ({
+            propertyId,
+            propertyName: propertyId,
+            propertyType: "double",
+        }));
+
+        FS.writeFileSync(
+            Path.join(folder, "device-models.json"),
+            JSON.stringify([{ deviceModelId: "m1", deviceProperties: properties }])
+        );
+        FS.writeFileSync(
+            Path.join(folder, "devices.json"),
+            JSON.stringify([{ deviceModelId: "m1", deviceInfo: [{ id: "dev1" }] }])
+        );
+        FS.mkdirSync(Path.join(folder, "data"));
+        FS.writeFileSync(
+            Path.join(folder, "data", "dev1.csv"),
+            "time\tTemperature\tHumidity\n" + rows(0, 3 * 1440)
+        );
+
+        create = (options) =>
+            new CsvDataGateway(
+                Path.join(folder, "device-models.json"),
+                Path.join(folder, "devices.json"),
+                Path.join(folder, "data"),
+                options
+            );
+
+        plain = create();
+        indexed = create({ indexed: true, indexInterval: 100 });
+        rolledUp = create({ rollups: true, rollupFolder: Path.join(folder, "rollups") });
+    });
+
+    after(() => {
+        FS.rmSync(folder, { recursive: true, force: true });
+    });
+
+    const windows = [
+        ["hours of a day", START, START + 86400, "PT1H"],
+        ["days", START, START + 3 * 86400, "P1D"],
+        ["minutes of an unaligned window", START + 3600 + 17, START + 3 * 3600 - 5, "PT5M"],
+        ["resolutions no rollup divides", START + 7200, START + 9 * 3600, "PT90S"],
+        ["a window past the data", START + 2 * 86400, START + 4 * 86400, "PT6H"],
+    ];
+
+    async function assertSameAggregates(gateway) {
+        for (const [name, start, end, resolution] of windows) {
+            const expected = await plain.getAggregates(
+                "dev1",
+                "Temperature,Humidity",
+                start,
+                end,
+                resolution
+            );
+            const actual = await gateway.getAggregates(
+                "dev1",
+                "Temperature,Humidity",
+                start,
+                end,
+                resolution
+            );
+            assert.deepStrictEqual(round(actual), round(expected), name);
+        }
+    }
+
+    it("aggregates the same with an index as with a plain scan", async () => {
+        await assertSameAggregates(indexed);
+        assert.ok(FS.existsSync(Path.join(folder, "data", "dev1.csv.idx")));
+    });
+
+    it("aggregates the same with rollups as with a plain scan", async () => {
+        await assertSameAggregates(rolledUp);
+        assert.ok(FS.existsSync(Path.join(folder, "rollups", "dev1.csv.rollup.json")));
+    });
+
+    it("aggregates the same once rows are appended", async () => {
+        FS.appendFileSync(Path.join(folder, "data", "dev1.csv"), rows(3 * 1440, 4 * 1440));
+        await assertSameAggregates(indexed);
+        await assertSameAggregates(rolledUp);
+    });
+
+    it("loads the device models once for successive calls", async () => {
+        const gateway = create();
+        const loads = [];
+        const getDeviceModels = gateway.getDeviceModels.bind(gateway);
+        const getDevicesInModel = gateway.getDevicesInModel.bind(gateway);
+        gateway.getDeviceModels = () => loads.push("models") && getDeviceModels();
+        gateway.getDevicesInModel = (id) => loads.push(id) && getDevicesInModel(id);
+
+        await gateway.getAggregates("dev1", "Temperature", START, START + 86400, "PT1H");
+        await gateway.getAggregates("dev1", "Humidity", START, START + 86400, "PT1H");
+        await gateway.getRawValues("dev1", ["Temperature"], START, START + 3600);
+        assert.deepStrictEqual(loads, ["models", "m1"]);
+    });
+});
+
+describe("CsvDataGateway state properties", () => {
+    let folder, gateway;
+
+    before(() => {
+        folder = FS.mkdtempSync(Path.join(OS.tmpdir(), "csv-states-"));
+        FS.writeFileSync(
+            Path.join(folder, "device-models.json"),
+            JSON.stringify([
+                {
+                    deviceModelId: "m1",
+                    deviceProperties: [
+                        { propertyId: "Occupied", propertyType: "Boolean" },
+                        {
+                            propertyId: "Mode",
+                            propertyType: "Enum",
+                            allowedValues: ["heat", "cool", "off"],
+                        },
+                    ],
+                },
+            ])
+        );
+        FS.writeFileSync(
+            Path.join(folder, "devices.json"),
+            JSON.stringify([{ deviceModelId: "m1", deviceInfo: [{ id: "dev1" }] }])
+        );
+
+        // Nothing is reported over the second hour, the states of the first hold.
+        const time = (minutes) => new Date((START + minutes * 60) * 1000).toISOString();
+        FS.mkdirSync(Path.join(folder, "data"));
+        FS.writeFileSync(
+            Path.join(folder, "data", "dev1.csv"),
+            "time\tOccupied\tMode\n" +
+                `${time(0)}\ttrue\theat\n` +
+                `${time(20)}\t0\theat\n` +
+                `${time(45)}\t\tcool\n` +
+                `${time(135)}\tyes\toff\n`
+        );
+
+        gateway = new CsvDataGateway(
+            Path.join(folder, "device-models.json"),
+            Path.join(folder, "devices.json"),
+            Path.join(folder, "data")
+        );
+    });
+
+    after(() => {
+        FS.rmSync(folder, { recursive: true, force: true });
+    });
+
+    it("aggregates the time spent in each state of a Boolean property", async () => {
+        const result = await gateway.getAggregates(
+            "dev1",
+            "Occupied",
+            START,
+            START + 3 * 3600,
+            "PT1H"
+        );
+
+        assert.deepStrictEqual(result.states, ["false", "true"]);
+        assert.deepStrictEqual(result.durations, {
+            false: [2400, 3600, 900],
+            true: [1200, 0, 2700],
+        });
+        assert.deepStrictEqual(result.transitions, [1, 0, 1]);
+        assert.deepStrictEqual(result.count, [2, 0, 1]);
+        assert.deepStrictEqual(result.gaps, [false, false, false]);
+        assert.deepStrictEqual(result.value, ["false", "false", "true"]);
+        assert.deepStrictEqual(result.avg, [null, null, null]);
+    });
+
+    it("aggregates the time spent in each state of an Enum property", async () => {
+        const result = await gateway.getAggregates("dev1", "Mode", START, START + 3 * 3600, "PT1H");
+
+        assert.deepStrictEqual(result.states, ["heat", "cool", "off"]);
+        assert.deepStrictEqual(result.durations, {
+            heat: [2700, 0, 0],
+            cool: [900, 3600, 900],
+            off: [0, 0, 2700],
+        });
+        assert.deepStrictEqual(result.transitions, [1, 0, 1]);
+        assert.deepStrictEqual(result.count, [3, 0, 1]);
+        assert.deepStrictEqual(result.value, ["heat", "cool", "off"]);
+    });
+
+    it("carries states across bucket boundaries", async () => {
+        // The buckets of the second half hour and later hold no Occupied readings.
+        const result = await gateway.getAggregates(
+            "dev1",
+            "Occupied,Mode",
+            START,
+            START + 5400,
+            "PT30M"
+        );
+
+        const { Occupied, Mode } = result.properties;
+        assert.deepStrictEqual(Occupied.durations, {
+            false: [600, 1800, 1800],
+            true: [1200, 0, 0],
+        });
+        assert.deepStrictEqual(Occupied.transitions, [1, 0, 0]);
+        assert.deepStrictEqual(Occupied.count, [2, 0, 0]);
+        assert.deepStrictEqual(Mode.durations, {
+            heat: [1800, 900, 0],
+            cool: [0, 900, 1800],
+            off: [0, 0, 0],
+        });
+        assert.deepStrictEqual(Mode.transitions, [0, 1, 0]);
+    });
+});
@@ -0,0 +1,284 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("assert");
+const EventEmitter = require("events");
+const DataGateway = require("../server/gateways/Hyperion.Server.DataGateway.js");
+const { createDataRouter } = require("../server/router/Hyperion.Server.DataRouter.js");
+const { Bucketing } = require("../shared/Bucketing.js");
+
+const START = Date.UTC(2021, 0, 1) / 1000;
+
+// A data gateway whose aggregates only carry the buckets they were asked for.
+class FakeGateway extends DataGateway {
+    constructor() {
+        super("FakeGateway");
+        this.subscriptions = [];
+    }
+
+    async getDeviceModels() {
+        return [{ deviceModelId: "m1", deviceProperties: [] }];
+    }
+
+    async getDevicesInModel(deviceModelId) {
+        return { deviceModelId, deviceInfo: [{ id: "dev1", tags: { floor: "3" } }] };
+    }
+
+    async getAggregates(deviceId, propertyId, startSecond, endSecond, resolution, options) {
+        if (deviceId === "broken") {
+            throw new Error("Unable to reach the data provider");
+        } else if (deviceId === "rejected") {
+            throw { code: "Unavailable" };
+        }
+
+        const bucketing = new Bucketing(startSecond, endSecond, resolution, options);
+        return { timestamps: bucketing.timestamps, bucketing, value: [1], options };
+    }
+
+    async subscribe(deviceId, propertyIds, onReading) {
+        if (deviceId === "broken") {
+            throw new Error("Unable to subscribe");
+        }
+
+        const subscription = { deviceId, propertyIds, onReading, active: true };
+        this.subscriptions.push(subscription);
+        return () => (subscription.active = false);
+    }
+}
+
+function createRequest(query) {
+    const req = new EventEmitter();
+    req.query = query;
+    req.path = "/test";
+    return req;
+}
+
+function createResponse() {
+    const res = new EventEmitter();
+    Object.assign(res, {
+        statusCode: 200,
+        headers: {},
+        chunks: [],
+        writableEnded: false,
+        destroyed: false,
+        status(status) {
+            res.statusCode = status;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            res.writableEnded = true;
+            return res;
+        },
+        writeHead(status, headers) {
+            res.statusCode = status;
+            Object.assign(res.headers, headers);
+            return res;
+        },
+        write(chunk) {
+            res.chunks.push(chunk);
+            return true;
+        },
+    });
+    return res;
+}
+
+describe("DataRouter", () => {
+    let gateway, router, errors, consoleError;
+
+    beforeEach(() => {
+        gateway = new FakeGateway();
+        router = createDataRouter({ gateways: { fake: gateway } });
+        errors = [];
+        consoleError = console.error;
+        console.error = (...args) => errors.push(args);
+    });
+
+    afterEach(() => {
+        console.error = consoleError;
+    });
+
+    // Calls the handler of a route the way Express would.
+    async function request(path, query) {
+        const layer = router.stack.find((layer) => layer.route && layer.route.path === path);
+        const req = createRequest(query);
+        const res = createResponse();
+        await layer.route.stack[0].handle(req, res);
+        return { req, res };
+    }
+
+    function aggregatesQuery(query) {
+        return Object.assign(
+            {
+                provider: "fake",
+                device: "dev1",
+                property: "Temperature",
+                startTime: String(START),
+                endTime: String(START + 86400),
+                resolution: "PT1H",
+            },
+            query
+        );
+    }
+
+    it("requires at least one data gateway", () => {
+        assert.throws(() => createDataRouter({ gateways: {} }), /At least one data gateway/);
+        assert.throws(() => createDataRouter({ gateways: { x: {} } }), /not a DataGateway/);
+    });
+
+    it("sends back the result of the data gateway", async () => {
+        const { res } = await request("/api/devices", { provider: "fake", model: "m1" });
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(res.body.deviceInfo[0].id, "dev1");
+    });
+
+    it("passes the bucketing options on to the data gateway", async () => {
+        const query = aggregatesQuery({
+            closed: "right",
+            timeZoneOffset: "60",
+            percentiles: "50,95",
+        });
+
+        const { res } = await request("/api/aggregates", query);
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(res.body.options, {
+            closed: "right",
+            timeZone: undefined,
+            timeZoneOffset: 60,
+            percentiles: [50, 95],
+        });
+    });
+
+    it("answers 404 for an unknown provider", async () => {
+        const { res } = await request("/api/aggregates", aggregatesQuery({ provider: "other" }));
+        assert.strictEqual(res.statusCode, 404);
+        assert.deepStrictEqual(res.body, { error: "Unknown provider 'other'" });
+    });
+
+    it("answers 400 for an invalid resolution or time zone", async () => {
+        const queries = [
+            aggregatesQuery({ resolution: "PT0S" }),
+            aggregatesQuery({ resolution: "fortnightly" }),
+            aggregatesQuery({ timeZone: "Mars/Olympus_Mons" }),
+            aggregatesQuery({ closed: "both" }),
+        ];
+
+        for (const query of queries) {
+            const { res } = await request("/api/aggregates", query);
+            assert.strictEqual(res.statusCode, 400, JSON.stringify(query));
+            assert.strictEqual(typeof res.body.error, "string");
+        }
+
+        assert.deepStrictEqual(errors, []);
+    });
+
+    it("answers 400 for invalid query parameters", async () => {
+        const queries = [
+            ["/api/aggregates", aggregatesQuery({ provider: undefined })],
+            ["/api/aggregates", aggregatesQuery({ device: " " })],
+            ["/api/aggregates", aggregatesQuery({ startTime: "yesterday" })],
+            ["/api/aggregates", aggregatesQuery({ endTime: String(START - 1) })],
+            ["/api/aggregates", aggregatesQuery({ percentiles: "50,101" })],
+            ["/api/aggregates", aggregatesQuery({ timeZoneOffset: "east" })],
+            ["/api/raw-values", aggregatesQuery({ limit: "0" })],
+            ["/api/group-aggregates", aggregatesQuery({})],
+            ["/api/group-aggregates", aggregatesQuery({ devices: "dev1", tags: "floor:3" })],
+            ["/api/group-aggregates", aggregatesQuery({ tags: "floor" })],
+            ["/api/group-aggregates", aggregatesQuery({ devices: "dev1", reducer: "median" })],
+        ];
+
+        for (const [path, query] of queries) {
+            const { res } = await request(path, query);
+            assert.strictEqual(res.statusCode, 400, `${path} ${JSON.stringify(query)}`);
+        }
+
+        assert.deepStrictEqual(errors, []);
+    });
+
+    it("answers 500 when the data gateway fails", async () => {
+        let { res } = await request("/api/aggregates", aggregatesQuery({ device: "broken" }));
+        assert.strictEqual(res.statusCode, 500);
+        assert.deepStrictEqual(res.body, { error: "Unable to reach the data provider" });
+
+        ({ res } = await request("/api/aggregates", aggregatesQuery({ device: "rejected" })));
+        assert.strictEqual(res.statusCode, 500);
+        assert.deepStrictEqual(res.body, { error: '{"code":"Unavailable"}' });
+        assert.strictEqual(errors.length, 2);
+    });
+
+    it("aggregates groups given by tags", async () => {
+        const query = aggregatesQuery({ device: undefined, tags: "floor:3", reducer: "max" });
+        const { res } = await request("/api/group-aggregates", query);
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(res.body.deviceIds, ["dev1"]);
+        assert.strictEqual(res.body.reducer, "max");
+    });
+
+    describe("api/live", () => {
+        const liveQuery = { provider: "fake", devices: "dev1", properties: "Temperature" };
+
+        it("streams the readings of devices as Server-Sent Events", async () => {
+            const { req, res } = await request("/api/live", liveQuery);
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res.headers["Content-Type"], "text/event-stream");
+
+            const [subscription] = gateway.subscriptions;
+            subscription.onReading({ timestamp: START, values: { Temperature: 21, Other: 1 } });
+            assert.deepStrictEqual(res.chunks, [
+                `data: ${JSON.stringify({
+                    deviceId: "dev1",
+                    timestamp: START,
+                    values: { Temperature: 21 },
+                })}\n\n`,
+            ]);
+
+            req.emit("close");
+            await new Promise((resolve) => setImmediate(resolve));
+            assert.strictEqual(subscription.active, false);
+        });
+
+        it("answers with an error when the stream cannot be set up", async () => {
+            let { res } = await request("/api/live", Object.assign({}, liveQuery, { devices: "" }));
+            assert.strictEqual(res.statusCode, 400);
+
+            ({ res } = await request("/api/live", Object.assign({}, liveQuery, { provider: "x" })));
+            assert.strictEqual(res.statusCode, 404);
+
+            ({ res } = await request(
+                "/api/live",
+                Object.assign({}, liveQuery, { devices: "broken" })
+            ));
+            assert.strictEqual(res.statusCode, 500);
+            assert.deepStrictEqual(res.body, { error: "Unable to subscribe" });
+            assert.deepStrictEqual(res.chunks, []);
+        });
+
+        it("ends the subscription of clients gone while subscribing", async () => {
+            const layer = router.stack.find(
+                (layer) => layer.route && layer.route.path === "/api/live"
+            );
+            const req = createRequest(liveQuery);
+            const res = createResponse();
+            const handled = layer.route.stack[0].handle(req, res);
+            req.emit("close");
+            await handled;
+            await new Promise((resolve) => setImmediate(resolve));
+
+            assert.strictEqual(res.headers["Content-Type"], undefined);
+            assert.strictEqual(gateway.subscriptions[0].active, false);
+        });
+    });
+});
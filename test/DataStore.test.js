@@ -0,0 +1,136 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("assert");
+const { DataStore } = require("../client/data/Hyperion.Data.Storage.js");
+const { DeviceModel } = require("../client/data/Hyperion.Data.DeviceModel.js");
+const { AzureDataAdapter } = require("../client/data/Hyperion.Data.Adapter.js");
+
+// Devices as listed by the IoT hub registry, see 'AzureGateway.getDevicesInModel'.
+const AZURE_DEVICES = [
+    { deviceId: "az1", status: "enabled", tags: { name: "AZ 1", floor: "3", modelId: "m2" } },
+    { deviceId: "az2", status: "disabled", tags: { name: "AZ 2", floor: "3", modelId: "m2" } },
+    { deviceId: "az3", status: "disabled", tags: { name: "AZ 3", floor: 4, modelId: "m2" } },
+];
+
+describe("DataStore", () => {
+    describe("findDevices", () => {
+        let store;
+
+        beforeEach(async () => {
+            store = new DataStore();
+            store.addDeviceModel(new DeviceModel("m1", "csv"));
+            [
+                ["dev1", "Enabled", { floor: "3", zone: "A" }],
+                ["dev2", "Enabled", { floor: "3", zone: "B" }],
+                ["dev3", "Disabled", { floor: "4", zone: "A" }],
+                ["dev4", undefined, {}],
+            ].forEach(([deviceId, status, tags]) => {
+                const device = store.addDevice("m1", deviceId);
+                device.status = status;
+                device.tags = tags;
+                device.name = `Sensor ${deviceId}`;
+            });
+
+            const adapter = new AzureDataAdapter("azure", "");
+            adapter.getDevices = async () => AZURE_DEVICES;
+            const [deviceModel] = await adapter.fetchDevicesForModels([
+                new DeviceModel("m2", adapter.id),
+            ]);
+            store.addDeviceModel(deviceModel);
+        });
+
+        const ids = (devices) => devices.map((device) => device.id).sort();
+
+        it("finds all devices without criteria", () => {
+            assert.deepStrictEqual(ids(store.findDevices()), [
+                "az1",
+                "az2",
+                "az3",
+                "dev1",
+                "dev2",
+                "dev3",
+                "dev4",
+            ]);
+        });
+
+        it("finds the devices carrying all tags, compared as strings", () => {
+            assert.deepStrictEqual(ids(store.findDevices({ tags: { floor: "3" } })), [
+                "az1",
+                "az2",
+                "dev1",
+                "dev2",
+            ]);
+            assert.deepStrictEqual(ids(store.findDevices({ tags: { floor: "4" } })), [
+                "az3",
+                "dev3",
+            ]);
+            assert.deepStrictEqual(ids(store.findDevices({ tags: { floor: "3", zone: "A" } })), [
+                "dev1",
+            ]);
+            assert.deepStrictEqual(ids(store.findDevices({ tags: { floor: "5" } })), []);
+        });
+
+        it("finds the devices in a status, including disabled Azure devices", () => {
+            assert.deepStrictEqual(ids(store.findDevices({ status: "Disabled" })), [
+                "az2",
+                "az3",
+                "dev3",
+            ]);
+            assert.deepStrictEqual(ids(store.findDevices({ status: "enabled" })), [
+                "az1",
+                "dev1",
+                "dev2",
+            ]);
+            assert.deepStrictEqual(ids(store.findDevices({ status: "Unknown" })), []);
+        });
+
+        it("combines criteria", () => {
+            const criteria = { model: "m2", status: "Disabled", tags: { floor: "3" } };
+            assert.deepStrictEqual(ids(store.findDevices(criteria)), ["az2"]);
+            assert.deepStrictEqual(
+                ids(store.findDevices({ status: "Enabled", text: "sensor dev2" })),
+                ["dev2"]
+            );
+            assert.deepStrictEqual(ids(store.findDevices({ model: "other" })), []);
+        });
+
+        it("follows status and tag changes once reindexed", () => {
+            store.getDevice("az1").status = "disabled";
+            store.getDevice("dev4").tags = { floor: "3" };
+            store.reindexDevices();
+
+            assert.deepStrictEqual(ids(store.findDevices({ status: "Disabled" })), [
+                "az1",
+                "az2",
+                "az3",
+                "dev3",
+            ]);
+            assert.deepStrictEqual(ids(store.findDevices({ tags: { floor: "3" } })), [
+                "az1",
+                "az2",
+                "dev1",
+                "dev2",
+                "dev4",
+            ]);
+        });
+
+        it("leaves removed devices out", () => {
+            store.removeDevice("az2");
+            assert.deepStrictEqual(ids(store.findDevices({ status: "disabled" })), ["az3", "dev3"]);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("assert");
+const { DataStore, DateTimeSpan } = require("../client/data/Hyperion.Data.Storage.js");
+const { DeviceModel } = require("../client/data/Hyperion.Data.DeviceModel.js");
+const { AggregatedValues, DeviceData } = require("../client/data/Hyperion.Data.DataModel.js");
+const { DataAdapter, QueryParam } = require("../client/data/Hyperion.Data.Adapter.js");
+const { UnitConversionError } = require("../shared/Units.js");
+
+const START = Date.UTC(2021, 0, 1) / 1000;
+
+// A data adapter reporting 20 for every property over the first hour.
+class FakeAdapter extends DataAdapter {
+    constructor() {
+        super("fake");
+    }
+
+    async fetchDeviceData(query) {
+        const deviceData = new DeviceData(query.deviceId);
+        query.propertyIds.forEach((propertyId) => {
+            const aggrValues = new AggregatedValues(query.dateTimeSpan);
+            aggrValues.tsValues = [START];
+            aggrValues.countValues = [1];
+            aggrValues.values = [20];
+            aggrValues.avgValues = [20];
+            deviceData.getPropertyData(propertyId).setAggregatedValues(aggrValues);
+        });
+
+        return deviceData;
+    }
+}
+
+describe("DataView", () => {
+    const span = new DateTimeSpan(START, START + 3600, "PT1H");
+    let store, view;
+
+    beforeEach(async () => {
+        store = new DataStore();
+        store.registerDataAdapter(new FakeAdapter());
+
+        const deviceModel = new DeviceModel("m1", "fake");
+        deviceModel.addProperty("Temperature", "Temperature").dataUnit = "Celsius";
+        deviceModel.addProperty("Level", "Level");
+        store.addDeviceModel(deviceModel);
+        store.addDevice("m1", "dev1");
+
+        const query = new QueryParam(span);
+        query.deviceId = "dev1";
+        query.propertyIds = ["Temperature", "Level"];
+        await store.fetchDeviceData(query);
+
+        view = store.createView();
+        view.setTimeWindow(span);
+    });
+
+    it("gets the values in the unit of the property by default", () => {
+        const aggrValues = view.getAggregatedValues("dev1", "Temperature");
+        assert.deepStrictEqual(aggrValues.avgValues, [20]);
+        assert.strictEqual(view.getDisplayUnit("Temperature"), undefined);
+    });
+
+    it("converts the values to the display unit of the property", () => {
+        view.setDisplayUnit("Temperature", "°F");
+        const converted = view.getAggregatedValues("dev1", "Temperature");
+        assert.deepStrictEqual(converted.avgValues, [68]);
+        assert.strictEqual(converted.unit, "°F");
+        assert.strictEqual(view.getAggregatedValues("dev1", "Temperature"), converted);
+
+        view.setDisplayUnit("Temperature", "K");
+        assert.deepStrictEqual(view.getAggregatedValues("dev1", "Temperature").avgValues, [293.15]);
+
+        view.setDisplayUnit("Temperature", undefined);
+        assert.deepStrictEqual(view.getAggregatedValues("dev1", "Temperature").avgValues, [20]);
+    });
+
+    it("leaves the values of properties without a unit as they are", () => {
+        view.setDisplayUnit("Level", "°F");
+        assert.deepStrictEqual(view.getAggregatedValues("dev1", "Level").avgValues, [20]);
+    });
+
+    it("rejects unknown display units", () => {
+        assert.throws(() => view.setDisplayUnit("Temperature", "Furlong"), UnitConversionError);
+        assert.strictEqual(view.getDisplayUnit("Temperature"), undefined);
+    });
+
+    it("rejects display units of another quantity", () => {
+        view.setDisplayUnit("Temperature", "kPa");
+        assert.throws(() => view.getAggregatedValues("dev1", "Temperature"), UnitConversionError);
+    });
+});
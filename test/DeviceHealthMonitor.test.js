@@ -0,0 +1,53 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+
+const { DataStore, DateTimeSpan } = require("../client/data/Hyperion.Data.Storage.js");
+const { DeviceModel } = require("../client/data/Hyperion.Data.DeviceModel.js");
+const { QueryParam } = require("../client/data/Hyperion.Data.Adapter.js");
+const { EventType, QueryCompletedEventArgs } = require("../client/data/Hyperion.Data.Event.js");
+const { DeviceHealthMonitor } = require("../client/data/Hyperion.Data.Health.js");
+
+const START = Date.parse("2021-01-01T00:00:00Z") / 1000;
+
+function createDataStore() {
+    const store = new DataStore();
+    const deviceModel = new DeviceModel("m1", "csv");
+    deviceModel.reportingInterval = "PT30M";
+    store.addDeviceModel(deviceModel);
+    store.addDevice("m1", "dev1");
+    return store;
+}
+
+describe("DeviceHealthMonitor", () => {
+    it("does not request values missing from a completed query", () => {
+        const store = createDataStore();
+        const requests = [];
+        store._requestPool.addRequest = (...args) => requests.push(args);
+        store._useTimeWindow = () => assert.fail("The time window was marked as used.");
+        const monitor = new DeviceHealthMonitor(store);
+
+        const query = new QueryParam(new DateTimeSpan(START, START + 4 * 3600, "PT30M"));
+        query.deviceId = "dev1";
+        query.propertyIds = ["Temperature"];
+        store.emit(EventType.QueryCompleted, new QueryCompletedEventArgs(query));
+
+        assert.deepStrictEqual(requests, []);
+        assert.deepStrictEqual(monitor.getGaps("dev1"), []);
+        monitor.dispose();
+    });
+});
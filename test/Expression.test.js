@@ -0,0 +1,128 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const {
+    DerivedProperties,
+    Expression,
+    InvalidExpressionError,
+} = require("../shared/Expression.js");
+
+// Evaluates an expression over the given property values.
+function evaluate(source, values = {}) {
+    return new Expression(source).evaluate((propertyId) => values[propertyId]);
+}
+
+describe("Expression", () => {
+    it("follows the usual precedence and associativity", () => {
+        assert.strictEqual(evaluate("1 + 2 * 3"), 7);
+        assert.strictEqual(evaluate("(1 + 2) * 3"), 9);
+        assert.strictEqual(evaluate("7 - 2 - 1"), 4);
+        assert.strictEqual(evaluate("1 + 2 * 3 % 4"), 3);
+        assert.strictEqual(evaluate("2 ^ 3 ^ 2"), 512);
+        assert.strictEqual(evaluate("-2 ^ 2"), -4);
+        assert.strictEqual(evaluate("2 ^ -1"), 0.5);
+        assert.strictEqual(evaluate("2 * -3"), -6);
+        assert.strictEqual(evaluate("1e-3 * 1000"), 1);
+    });
+
+    it("evaluates properties, constants and functions", () => {
+        const values = { Humidity: 50, "Supply Air Temp": 18 };
+        assert.strictEqual(evaluate("Humidity / 2", values), 25);
+        assert.strictEqual(evaluate("[Supply Air Temp] + 1", values), 19);
+        assert.strictEqual(evaluate("min(3, Humidity, 2)", values), 2);
+        assert.strictEqual(evaluate("pow(2, 10)"), 1024);
+        assert.strictEqual(evaluate("round(PI * 100)"), 314);
+        assert.strictEqual(evaluate("ln(E)"), 1);
+    });
+
+    it("lists the properties it depends on in order of appearance", () => {
+        const expression = new Expression("Temperature - (100 - Humidity) / 5 + Temperature");
+        assert.deepStrictEqual(expression.dependencies, ["Temperature", "Humidity"]);
+        assert.strictEqual(expression.source, "Temperature - (100 - Humidity) / 5 + Temperature");
+    });
+
+    it("has no value when a property has none or the result is not finite", () => {
+        assert.strictEqual(evaluate("Humidity + 1", {}), null);
+        assert.strictEqual(evaluate("Humidity + 1", { Humidity: null }), null);
+        assert.strictEqual(evaluate("Humidity + 1", { Humidity: "50" }), null);
+        assert.strictEqual(evaluate("10 / 0"), null);
+        assert.strictEqual(evaluate("sqrt(-1)"), null);
+    });
+
+    it("rejects expressions that cannot be parsed", () => {
+        const rejects = (source, position) =>
+            assert.throws(
+                () => new Expression(source),
+                (err) => err instanceof InvalidExpressionError && err.position === position
+            );
+
+        rejects("1 +", 3);
+        rejects("(1", 2);
+        rejects("1 2", 2);
+        rejects("#", 0);
+        rejects("[Open", 0);
+        rejects("foo(1)", 0);
+        rejects("pow(1)", 0);
+        rejects("min()", 0);
+        assert.throws(() => new Expression(""), InvalidExpressionError);
+        assert.throws(() => new Expression(undefined), InvalidExpressionError);
+    });
+});
+
+describe("DerivedProperties", () => {
+    const derived = new DerivedProperties();
+    derived.add("TotalPower", "PowerL1 + PowerL2 + PowerL3");
+    derived.add("PowerPerPhase", "TotalPower / 3");
+    derived.add("Imbalance", "max(PowerL1, PowerL2, PowerL3) - PowerPerPhase");
+
+    it("knows which properties are derived", () => {
+        assert.strictEqual(derived.has("TotalPower"), true);
+        assert.strictEqual(derived.has("PowerL1"), false);
+        assert.strictEqual(
+            derived.getExpression("TotalPower").source,
+            "PowerL1 + PowerL2 + PowerL3"
+        );
+    });
+
+    it("finds the properties a property is ultimately computed from", () => {
+        assert.deepStrictEqual(derived.getInputs("Imbalance"), ["PowerL1", "PowerL2", "PowerL3"]);
+        assert.deepStrictEqual(derived.getInputs("PowerL1"), ["PowerL1"]);
+    });
+
+    it("evaluates properties derived from other derived properties", () => {
+        const values = { PowerL1: 10, PowerL2: 20, PowerL3: 30 };
+        assert.strictEqual(
+            derived.evaluate("PowerPerPhase", (id) => values[id]),
+            20
+        );
+        assert.strictEqual(
+            derived.evaluate("Imbalance", (id) => values[id]),
+            10
+        );
+        assert.strictEqual(
+            derived.evaluate("Imbalance", () => undefined),
+            null
+        );
+    });
+
+    it("rejects properties depending on each other in a cycle", () => {
+        const cyclic = new DerivedProperties();
+        cyclic.add("A", "B + 1");
+        cyclic.add("B", "A + 1");
+        assert.throws(() => cyclic.getInputs("A"), InvalidExpressionError);
+    });
+});
@@ -0,0 +1,130 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const {
+    InvalidGroupError,
+    getGroupReducer,
+    matchTags,
+    parseTags,
+    reduceGroup,
+} = require("../shared/GroupAggregation.js");
+
+describe("GroupAggregation", () => {
+    describe("reduceGroup", () => {
+        it("combines the values of each bucket across devices", () => {
+            const result = reduceGroup(
+                2,
+                [
+                    [1, 10],
+                    [3, 20],
+                    [5, 30],
+                ],
+                "sum"
+            );
+            assert.deepStrictEqual(result, {
+                reducer: "sum",
+                value: [9, 60],
+                count: [3, 3],
+                gaps: [false, false],
+                min: [1, 10],
+                max: [5, 30],
+                avg: [3, 20],
+                sum: [9, 60],
+            });
+        });
+
+        it("leaves devices without a value out of a bucket", () => {
+            const result = reduceGroup(3, [[1, null, 4], undefined, [3, NaN, "5"]], "avg");
+            assert.deepStrictEqual(result.count, [2, 0, 1]);
+            assert.deepStrictEqual(result.value, [2, null, 4]);
+            assert.deepStrictEqual(result.min, [1, null, 4]);
+            assert.deepStrictEqual(result.max, [3, null, 4]);
+        });
+
+        it("marks buckets no device has a value for as gaps", () => {
+            const result = reduceGroup(
+                2,
+                [
+                    [null, 2],
+                    [undefined, 4],
+                ],
+                "max"
+            );
+            assert.deepStrictEqual(result.gaps, [true, false]);
+            assert.deepStrictEqual(result.count, [0, 2]);
+            ["value", "min", "max", "avg", "sum"].forEach((stat) =>
+                assert.strictEqual(result[stat][0], null, stat)
+            );
+            assert.strictEqual(result.value[1], 4);
+        });
+
+        it("yields as many buckets as asked for", () => {
+            const result = reduceGroup(3, [[1]], "min");
+            assert.deepStrictEqual(result.value, [1, null, null]);
+            assert.deepStrictEqual(result.gaps, [false, true, true]);
+            assert.deepStrictEqual(reduceGroup(0, [[1]], "min").count, []);
+        });
+    });
+
+    describe("getGroupReducer", () => {
+        it("defaults to the average", () => {
+            assert.strictEqual(getGroupReducer(), "avg");
+            assert.strictEqual(getGroupReducer(""), "avg");
+            assert.strictEqual(getGroupReducer("sum"), "sum");
+        });
+
+        it("rejects unknown reducers", () => {
+            assert.throws(() => getGroupReducer("median"), InvalidGroupError);
+        });
+    });
+
+    describe("parseTags", () => {
+        it("parses key:value pairs", () => {
+            assert.deepStrictEqual(parseTags("floor:3, zone : A"), { floor: "3", zone: "A" });
+        });
+
+        it("keeps colons and empty values in values", () => {
+            assert.deepStrictEqual(parseTags("url:http://host,empty:"), {
+                url: "http://host",
+                empty: "",
+            });
+        });
+
+        it("rejects tags without a key or a separator", () => {
+            assert.throws(() => parseTags("floor"), InvalidGroupError);
+            assert.throws(() => parseTags(":3"), InvalidGroupError);
+            assert.throws(() => parseTags("floor:3,"), InvalidGroupError);
+        });
+    });
+
+    describe("matchTags", () => {
+        it("matches devices carrying every tag, compared as strings", () => {
+            const deviceTags = { floor: 3, zone: "A", spare: null };
+            assert.ok(matchTags(deviceTags, { floor: "3" }));
+            assert.ok(matchTags(deviceTags, { floor: "3", zone: "A" }));
+            assert.ok(!matchTags(deviceTags, { floor: "3", zone: "B" }));
+            assert.ok(!matchTags(deviceTags, { building: "1" }));
+            assert.ok(!matchTags(deviceTags, { spare: "null" }));
+        });
+
+        it("matches every device against an empty filter", () => {
+            assert.ok(matchTags({ floor: "3" }, {}));
+            assert.ok(matchTags(undefined, {}));
+            assert.ok(!matchTags(undefined, { floor: "3" }));
+        });
+    });
+});
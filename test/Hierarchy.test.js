@@ -0,0 +1,198 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const {
+    InvalidHierarchyError,
+    flattenHierarchy,
+    hierarchyFromTags,
+    validateHierarchy,
+} = require("../shared/Hierarchy.js");
+const { Hierarchy } = require("../client/data/Hyperion.Data.Hierarchy.js");
+const { DataStore } = require("../client/data/Hyperion.Data.Storage.js");
+const { DeviceModel } = require("../client/data/Hyperion.Data.DeviceModel.js");
+
+// A building with two floors, a meter attached to the first floor itself.
+const TREE = {
+    id: "hq",
+    level: "building",
+    children: [
+        {
+            id: "hq-1",
+            name: "Floor 1",
+            level: "floor",
+            deviceIds: ["meter1"],
+            children: [
+                { id: "hq-101", level: "room", deviceIds: ["dev1", "dev2"] },
+                { id: "hq-102", level: "room", deviceIds: ["dev3"], dbIds: [7, 8] },
+            ],
+        },
+        { id: "hq-2", level: "floor", children: [{ id: "hq-201", level: "room" }] },
+    ],
+};
+
+describe("Hierarchy", () => {
+    describe("flattenHierarchy", () => {
+        it("lists parents before their children", () => {
+            const nodes = flattenHierarchy(TREE);
+            assert.deepStrictEqual(
+                nodes.map((node) => [node.id, node.parentId]),
+                [
+                    ["hq", undefined],
+                    ["hq-1", "hq"],
+                    ["hq-101", "hq-1"],
+                    ["hq-102", "hq-1"],
+                    ["hq-2", "hq"],
+                    ["hq-201", "hq-2"],
+                ]
+            );
+            assert.strictEqual(nodes[0].name, "hq");
+            assert.strictEqual(nodes[1].name, "Floor 1");
+            assert.deepStrictEqual(nodes[3].dbIds, [7, 8]);
+            assert.deepStrictEqual(nodes[5].deviceIds, []);
+        });
+    });
+
+    describe("hierarchyFromTags", () => {
+        it("attaches devices to the node of their innermost tag", () => {
+            const nodes = hierarchyFromTags([
+                { id: "dev1", tags: { building: "HQ", floor: "3", room: "301" } },
+                { id: "dev2", tags: { building: "HQ", floor: "3", room: "302" } },
+                { id: "meter", tags: { building: "HQ", floor: 3 } },
+                { id: "loose", tags: { zone: "A" } },
+                { id: "untagged" },
+            ]);
+
+            assert.deepStrictEqual(nodes, [
+                { id: "HQ", name: "HQ", level: "building", parentId: undefined, deviceIds: [] },
+                { id: "HQ/3", name: "3", level: "floor", parentId: "HQ", deviceIds: ["meter"] },
+                {
+                    id: "HQ/3/301",
+                    name: "301",
+                    level: "room",
+                    parentId: "HQ/3",
+                    deviceIds: ["dev1"],
+                },
+                {
+                    id: "HQ/3/302",
+                    name: "302",
+                    level: "room",
+                    parentId: "HQ/3",
+                    deviceIds: ["dev2"],
+                },
+            ]);
+        });
+    });
+
+    describe("validateHierarchy", () => {
+        function assertInvalid(nodes, nodeId, message) {
+            assert.throws(
+                () => validateHierarchy(nodes),
+                (err) =>
+                    err instanceof InvalidHierarchyError &&
+                    err.nodeId === nodeId &&
+                    message.test(err.message)
+            );
+        }
+
+        it("accepts trees", () => {
+            const nodes = flattenHierarchy(TREE);
+            assert.strictEqual(validateHierarchy(nodes), nodes);
+        });
+
+        it("rejects nodes that are not trees", () => {
+            assertInvalid([{ id: "" }], undefined, /no identifier/);
+            assertInvalid([{ id: "a" }, { id: "a" }], "a", /Duplicate node 'a'/);
+            assertInvalid([{ id: "a", parentId: "b" }], "a", /unknown parent 'b'/);
+            assertInvalid(
+                [
+                    { id: "a", parentId: "c" },
+                    { id: "b", parentId: "a" },
+                    { id: "c", parentId: "b" },
+                ],
+                "a",
+                /own ancestor/
+            );
+            assertInvalid(
+                [
+                    { id: "a", deviceIds: ["dev1"] },
+                    { id: "b", deviceIds: ["dev1"] },
+                ],
+                "b",
+                /'dev1' is attached to both 'a' and 'b'/
+            );
+        });
+    });
+
+    describe("getDeviceIdsUnder", () => {
+        const hierarchy = Hierarchy.fromNodes(flattenHierarchy(TREE));
+
+        it("gets the devices of a node and its descendants, depth first", () => {
+            assert.deepStrictEqual(hierarchy.getDeviceIdsUnder("hq"), [
+                "meter1",
+                "dev1",
+                "dev2",
+                "dev3",
+            ]);
+            assert.deepStrictEqual(hierarchy.getDeviceIdsUnder("hq-102"), ["dev3"]);
+            assert.deepStrictEqual(hierarchy.getDeviceIdsUnder("hq-2"), []);
+            assert.deepStrictEqual(hierarchy.getDeviceIdsUnder("unknown"), []);
+        });
+
+        it("follows devices moved to another node", () => {
+            const moved = Hierarchy.fromNodes(flattenHierarchy(TREE));
+            moved.attachDevice("dev1", "hq-201");
+            assert.deepStrictEqual(moved.getDeviceIdsUnder("hq-1"), ["meter1", "dev2", "dev3"]);
+            assert.deepStrictEqual(moved.getDeviceIdsUnder("hq-2"), ["dev1"]);
+            assert.strictEqual(moved.getNodeOfDevice("dev1").id, "hq-201");
+        });
+
+        it("round trips through a flat list of nodes", () => {
+            assert.deepStrictEqual(hierarchy.toNodes(), flattenHierarchy(TREE));
+        });
+    });
+
+    describe("InvalidHierarchyError", () => {
+        it("is thrown for nodes that are not trees", () => {
+            assert.throws(
+                () => Hierarchy.fromNodes([{ id: "a" }, { id: "b", parentId: "c" }]),
+                InvalidHierarchyError
+            );
+        });
+
+        it("is thrown for unknown or duplicate nodes", () => {
+            const hierarchy = new Hierarchy();
+            hierarchy.addNode("hq", "building");
+            assert.throws(() => hierarchy.addNode("hq", "building"), /Duplicate node 'hq'/);
+            assert.throws(() => hierarchy.addNode("hq-1", "floor", "other"), InvalidHierarchyError);
+            assert.throws(() => hierarchy.attachDevice("dev1", "other"), InvalidHierarchyError);
+        });
+    });
+
+    describe("DataStore.getDevicesUnder", () => {
+        it("gets the loaded devices under a node", () => {
+            const store = new DataStore();
+            store.addDeviceModel(new DeviceModel("m1", "fake"));
+            ["dev1", "dev3"].forEach((deviceId) => store.addDevice("m1", deviceId));
+            store.hierarchy = Hierarchy.fromNodes(flattenHierarchy(TREE));
+
+            const ids = (devices) => devices.map((device) => device.id);
+            assert.deepStrictEqual(ids(store.getDevicesUnder("hq")), ["dev1", "dev3"]);
+            assert.deepStrictEqual(ids(store.getDevicesUnder("hq-101")), ["dev1"]);
+            assert.deepStrictEqual(ids(store.getDevicesUnder("unknown")), []);
+        });
+    });
+});
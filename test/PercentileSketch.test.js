@@ -0,0 +1,63 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const PercentileSketch = require("../server/gateways/PercentileSketch.js");
+
+// Values 0 to count - 1 in a fixed pseudo-random order.
+function shuffled(count) {
+    const values = Array.from({ length: count }, (_, i) => i);
+    let seed = 42;
+    for (let i = count - 1; i > 0; i--) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        const j = seed % (i + 1);
+        [values[i], values[j]] = [values[j], values[i]];
+    }
+
+    return values;
+}
+
+describe("PercentileSketch", () => {
+    it("interpolates exact percentiles between ranks", () => {
+        const sorted = [10, 20, 30, 40];
+        assert.strictEqual(PercentileSketch.exactPercentile(sorted, 0), 10);
+        assert.strictEqual(PercentileSketch.exactPercentile(sorted, 50), 25);
+        assert.strictEqual(PercentileSketch.exactPercentile(sorted, 100), 40);
+        assert.strictEqual(PercentileSketch.exactPercentile([7], 90), 7);
+        assert.strictEqual(PercentileSketch.exactPercentile([], 50), null);
+    });
+
+    it("computes exact percentiles up to its limit", () => {
+        const sketch = new PercentileSketch([50, 90, 99]);
+        shuffled(101).forEach((value) => sketch.add(value));
+        assert.deepStrictEqual(sketch.getPercentiles(), [50, 90, 99]);
+    });
+
+    it("has no percentiles without values", () => {
+        assert.deepStrictEqual(new PercentileSketch([50, 90]).getPercentiles(), [null, null]);
+    });
+
+    it("estimates percentiles beyond its limit", () => {
+        const sketch = new PercentileSketch([50, 90, 99], 100);
+        shuffled(10000).forEach((value) => sketch.add(value));
+
+        const [p50, p90, p99] = sketch.getPercentiles();
+        assert.ok(Math.abs(p50 - 5000) < 200, `p50 is ${p50}`);
+        assert.ok(Math.abs(p90 - 9000) < 200, `p90 is ${p90}`);
+        assert.ok(Math.abs(p99 - 9900) < 200, `p99 is ${p99}`);
+        assert.strictEqual(sketch.values.length, 0);
+    });
+});
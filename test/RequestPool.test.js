@@ -0,0 +1,177 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it, afterEach } = require("node:test");
+const assert = require("assert");
+const { DataStore, DateTimeSpan } = require("../client/data/Hyperion.Data.Storage.js");
+const { DeviceModel } = require("../client/data/Hyperion.Data.DeviceModel.js");
+const { DeviceData } = require("../client/data/Hyperion.Data.DataModel.js");
+const { DataAdapter, DataRequestError } = require("../client/data/Hyperion.Data.Adapter.js");
+const { EventType } = require("../client/data/Hyperion.Data.Event.js");
+
+const START = Date.UTC(2021, 0, 1) / 1000;
+
+// A data adapter failing the first queries with the given errors.
+class FailingAdapter extends DataAdapter {
+    constructor(errors) {
+        super("failing");
+        this.errors = errors;
+        this.calls = [];
+    }
+
+    async fetchDeviceData(query) {
+        this.calls.push(Date.now());
+        if (this.calls.length <= this.errors.length) {
+            throw this.errors[this.calls.length - 1];
+        }
+
+        return new DeviceData(query.deviceId);
+    }
+}
+
+function createDataStore(adapter, retryPolicy) {
+    const store = new DataStore({ requestPool: { debounceDelay: 0, retryPolicy } });
+    store.registerDataAdapter(adapter);
+    store.addDeviceModel(new DeviceModel("m1", adapter.id));
+    store.addDevice("m1", "dev1");
+    return store;
+}
+
+// Requests a property, resolving with the event the query ends with.
+function request(store) {
+    return new Promise((resolve) => {
+        store.addEventListener(EventType.QueryCompleted, (e) => resolve({ completed: e }));
+        store.addEventListener(EventType.QueryFailed, (e) => resolve({ failed: e }));
+        store._requestPool.addRequest(
+            "dev1",
+            "Temperature",
+            new DateTimeSpan(START, START + 3600, "PT1H")
+        );
+    });
+}
+
+function unavailable() {
+    return new DataRequestError("Service unavailable", "api/aggregates", 503);
+}
+
+describe("RequestPool", () => {
+    const random = Math.random;
+
+    afterEach(() => {
+        Math.random = random;
+    });
+
+    describe("retry delays", () => {
+        const store = createDataStore(new FailingAdapter([]), {
+            baseDelay: 100,
+            maxDelay: 500,
+            jitter: 0,
+        });
+        const pool = store._requestPool;
+
+        it("back off exponentially up to the longest delay", () => {
+            const delays = [0, 1, 2, 3, 4].map((attempts) => pool._getRetryDelay(attempts));
+            assert.deepStrictEqual(delays, [100, 200, 400, 500, 500]);
+        });
+
+        it("take off at most the jitter fraction of each delay", () => {
+            pool.retryPolicy = { jitter: 0.5 };
+            Math.random = () => 0;
+            assert.strictEqual(pool._getRetryDelay(1), 200);
+            Math.random = () => 0.999999;
+            assert.ok(Math.abs(pool._getRetryDelay(1) - 100) < 0.001);
+
+            Math.random = random;
+            for (let i = 0; i < 100; i++) {
+                const delay = pool._getRetryDelay(2);
+                assert.ok(delay > 200 && delay <= 400, String(delay));
+            }
+        });
+    });
+
+    describe("retryPolicy", () => {
+        it("only changes the given fields", () => {
+            const store = createDataStore(new FailingAdapter([]));
+            store._requestPool.retryPolicy = { retries: 1 };
+            const policy = store._requestPool.retryPolicy;
+            assert.strictEqual(policy.retries, 1);
+            assert.strictEqual(policy.baseDelay, 1000);
+            assert.deepStrictEqual(policy.retryableStatuses, [408, 429, 500, 502, 503, 504]);
+        });
+
+        it("retries requests that failed to reach the data provider or with retryable statuses", () => {
+            const pool = createDataStore(new FailingAdapter([]))._requestPool;
+            const error = (status) => new DataRequestError("Failed", "api/aggregates", status);
+            assert.ok(pool._shouldRetry(error(undefined), 0));
+            assert.ok(pool._shouldRetry(error(429), 0));
+            assert.ok(pool._shouldRetry(error(503), 3));
+            assert.ok(!pool._shouldRetry(error(503), 4));
+            assert.ok(!pool._shouldRetry(error(400), 0));
+            assert.ok(!pool._shouldRetry(error(404), 0));
+            assert.ok(!pool._shouldRetry(new Error("Failed"), 0));
+        });
+    });
+
+    describe("failed queries", () => {
+        it("are retried after growing delays until they succeed", async () => {
+            const adapter = new FailingAdapter([unavailable(), unavailable()]);
+            const store = createDataStore(adapter, { baseDelay: 20, jitter: 0 });
+
+            const { completed } = await request(store);
+            assert.ok(completed);
+            assert.strictEqual(adapter.calls.length, 3);
+
+            // Timers may fire a millisecond early.
+            assert.ok(adapter.calls[1] - adapter.calls[0] >= 19);
+            assert.ok(adapter.calls[2] - adapter.calls[1] >= 39);
+        });
+
+        it("emit QueryFailed once all retries failed", async () => {
+            const errors = [unavailable(), unavailable(), unavailable(), unavailable()];
+            const adapter = new FailingAdapter(errors);
+            const store = createDataStore(adapter, { retries: 2, baseDelay: 1 });
+
+            const { failed } = await request(store);
+            assert.strictEqual(adapter.calls.length, 3);
+            assert.strictEqual(failed.error, errors[2]);
+            assert.strictEqual(failed.query.deviceId, "dev1");
+            assert.deepStrictEqual(failed.query.propertyIds, ["Temperature"]);
+        });
+
+        it("are not retried for errors retrying does not help", async () => {
+            const errors = [
+                new DataRequestError("Not found", "api/aggregates", 404),
+                new TypeError("Unexpected response"),
+            ];
+
+            for (const error of errors) {
+                const adapter = new FailingAdapter([error]);
+                const store = createDataStore(adapter, { baseDelay: 1 });
+                const { failed } = await request(store);
+                assert.strictEqual(adapter.calls.length, 1);
+                assert.strictEqual(failed.error, error);
+            }
+        });
+
+        it("are retried when the data provider cannot be reached", async () => {
+            const adapter = new FailingAdapter([new DataRequestError("Offline", "api/aggregates")]);
+            const store = createDataStore(adapter, { baseDelay: 1 });
+
+            const { completed } = await request(store);
+            assert.ok(completed);
+            assert.strictEqual(adapter.calls.length, 2);
+        });
+    });
+});
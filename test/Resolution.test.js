@@ -0,0 +1,112 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const {
+    InvalidResolutionError,
+    parseResolution,
+    resolutionToSeconds,
+    toIsoDuration,
+} = require("../shared/Resolution.js");
+
+describe("Resolution", () => {
+    describe("parseResolution", () => {
+        it("parses ISO 8601 durations", () => {
+            assert.deepStrictEqual(parseResolution("P1DT12H30M"), {
+                years: 0,
+                months: 0,
+                weeks: 0,
+                days: 1,
+                hours: 12,
+                minutes: 30,
+                seconds: 0,
+            });
+            assert.strictEqual(parseResolution("PT0.5S").seconds, 0.5);
+            assert.strictEqual(parseResolution("PT0,5S").seconds, 0.5);
+        });
+
+        it("parses short forms in either case, where 'm' stands for minutes", () => {
+            assert.strictEqual(parseResolution("5m").minutes, 5);
+            assert.strictEqual(parseResolution("5M").minutes, 5);
+            assert.strictEqual(parseResolution("1D").days, 1);
+            assert.strictEqual(parseResolution("2w").weeks, 2);
+        });
+
+        it("accepts days and weeks after the time designator", () => {
+            assert.strictEqual(parseResolution("PT1D").days, 1);
+            assert.strictEqual(parseResolution("PT1W").weeks, 1);
+        });
+
+        it("rejects invalid, empty and zero durations", () => {
+            for (const resolution of [
+                "",
+                "P",
+                "PT",
+                "P1DT",
+                "1x",
+                "PT-1H",
+                "P0D",
+                "0s",
+                60,
+                null,
+            ]) {
+                assert.throws(() => parseResolution(resolution), InvalidResolutionError);
+            }
+        });
+
+        it("rejects months or years combined with shorter units", () => {
+            assert.throws(() => parseResolution("P1M1D"), InvalidResolutionError);
+            assert.throws(() => parseResolution("P1YT1H"), InvalidResolutionError);
+            assert.strictEqual(parseResolution("P1Y2M").months, 2);
+        });
+    });
+
+    describe("resolutionToSeconds", () => {
+        it("gets the length of fixed-length resolutions", () => {
+            assert.strictEqual(resolutionToSeconds("PT5M"), 300);
+            assert.strictEqual(resolutionToSeconds("1h"), 3600);
+            assert.strictEqual(resolutionToSeconds("P1W"), 604800);
+            assert.strictEqual(resolutionToSeconds("P1DT1S"), 86401);
+        });
+
+        it("rejects months and years", () => {
+            assert.throws(() => resolutionToSeconds("P1M"), InvalidResolutionError);
+            assert.throws(() => resolutionToSeconds("P1Y"), InvalidResolutionError);
+        });
+    });
+
+    describe("toIsoDuration", () => {
+        it("converts equivalent resolutions into the same duration", () => {
+            assert.strictEqual(toIsoDuration("1h"), "PT1H");
+            assert.strictEqual(toIsoDuration("PT60M"), "PT1H");
+            assert.strictEqual(toIsoDuration("PT3600S"), "PT1H");
+            assert.strictEqual(toIsoDuration("PT90S"), "PT1M30S");
+        });
+
+        it("keeps days as days and converts legacy forms", () => {
+            assert.strictEqual(toIsoDuration("PT24H"), "PT24H");
+            assert.strictEqual(toIsoDuration("PT1D"), "P1D");
+            assert.strictEqual(toIsoDuration("PT1D12H"), "P1DT12H");
+            assert.strictEqual(toIsoDuration("P1W"), "P1W");
+            assert.strictEqual(toIsoDuration("P1W1D"), "P8D");
+        });
+
+        it("folds months into years", () => {
+            assert.strictEqual(toIsoDuration("P12M"), "P1Y");
+            assert.strictEqual(toIsoDuration("P3M"), "P3M");
+        });
+    });
+});
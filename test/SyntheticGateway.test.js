@@ -0,0 +1,66 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const SyntheticGateway = require("../server/gateways/Hyperion.Server.SyntheticGateway.js");
+const { Bucketing } = require("../shared/Bucketing.js");
+const { DerivedProperties } = require("../shared/Expression.js");
+
+const START = Date.UTC(2021, 0, 1) / 1000;
+
+// Generates a constant temperature for the first hour, then zero.
+const synthetic = {
+    value: (sensorType, time) => (time.getTime() / 1000 < START + 3600 ? 4 : 0),
+};
+
+describe("SyntheticGateway", () => {
+    const gateway = new SyntheticGateway("models.json", "devices.json", "config.json");
+    const derived = new DerivedProperties();
+    derived.add("Inverse", "1 / Temperature");
+
+    it("computes the standard deviation of the values in each bucket", () => {
+        const bucketing = new Bucketing(START, START + 3600, "PT30M");
+        const aggregates = gateway._aggregate(
+            synthetic,
+            "Temperature",
+            bucketing,
+            undefined,
+            [],
+            derived
+        );
+
+        assert.deepStrictEqual(aggregates.avg, [4, 4]);
+        assert.deepStrictEqual(aggregates.stdDev, [0, 0]);
+    });
+
+    it("leaves a gap for a bucket in which a derived property has no value", () => {
+        const bucketing = new Bucketing(START, START + 7200, "PT1H");
+        const aggregates = gateway._aggregate(
+            synthetic,
+            "Inverse",
+            bucketing,
+            undefined,
+            [50],
+            derived
+        );
+
+        assert.deepStrictEqual(aggregates.gaps, [false, true]);
+        assert.strictEqual(aggregates.count[1], 0);
+        assert.deepStrictEqual(aggregates.avg, [0.25, null]);
+        assert.deepStrictEqual(aggregates.stdDev, [0, null]);
+        assert.deepStrictEqual(aggregates.percentiles[50], [0.25, null]);
+    });
+});
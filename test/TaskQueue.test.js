@@ -0,0 +1,134 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const TaskQueue = require("../shared/TaskQueue.js");
+
+// A task recording its name when started, and finishing right away unless held.
+function recorder(started, name, held) {
+    return (finish) => {
+        started.push(name);
+        if (held) {
+            held.push(finish);
+        } else {
+            finish();
+        }
+    };
+}
+
+// Resolves once the queue has carried out all of its tasks.
+function drained(queue) {
+    return new Promise((resolve) => {
+        const check = () => {
+            if (queue.queue.length == 0 && queue.onGoingTask == 0) {
+                resolve();
+            } else {
+                setTimeout(check, 1);
+            }
+        };
+        check();
+    });
+}
+
+describe("TaskQueue", () => {
+    it("runs no more tasks at a time than allowed", async () => {
+        const queue = new TaskQueue(2, "test", true);
+        const started = [];
+        const held = [];
+        ["a", "b", "c"].forEach((name) => queue.addTask(recorder(started, name, held)));
+
+        assert.deepStrictEqual(started, ["a", "b"]);
+        held.shift()();
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        assert.deepStrictEqual(started, ["a", "b", "c"]);
+
+        held.forEach((finish) => finish());
+        await drained(queue);
+    });
+
+    it("runs queued tasks by priority", async () => {
+        const queue = new TaskQueue(1, "test", true);
+        const started = [];
+        const held = [];
+        queue.addTask(recorder(started, "running", held));
+        queue.addTask(recorder(started, "low"), false, undefined, -1);
+        queue.addTask(recorder(started, "normal"));
+        queue.addTask(recorder(started, "high"), false, undefined, 1);
+        queue.addTask(recorder(started, "first normal"), true);
+
+        held[0]();
+        await drained(queue);
+        assert.deepStrictEqual(started, ["running", "high", "first normal", "normal", "low"]);
+    });
+
+    it("queues the same task added twice on its own each time", async () => {
+        const queue = new TaskQueue(1, "test", true);
+        const started = [];
+        const held = [];
+        const controller = new AbortController();
+        let runs = 0;
+        const task = (finish) => {
+            started.push(`task ${++runs}`);
+            finish();
+        };
+
+        queue.addTask(recorder(started, "running", held));
+        queue.addTask(task, false, controller.signal, 0);
+        queue.addTask(recorder(started, "normal"));
+        queue.addTask(task, false, undefined, 1);
+
+        // Aborting drops the addition it was given to, which kept its own priority.
+        controller.abort();
+        held[0]();
+        await drained(queue);
+        assert.deepStrictEqual(started, ["running", "task 1", "normal"]);
+    });
+
+    it("removes a task that has not started yet", async () => {
+        const queue = new TaskQueue(1, "test", true);
+        const started = [];
+        const held = [];
+        const task = recorder(started, "removed");
+        queue.addTask(recorder(started, "running", held));
+        queue.addTask(task);
+
+        assert.strictEqual(queue.removeTask(task), true);
+        assert.strictEqual(queue.removeTask(task), false);
+        held[0]();
+        await drained(queue);
+        assert.deepStrictEqual(started, ["running"]);
+    });
+
+    it("ignores tasks whose signal is already aborted", () => {
+        const queue = new TaskQueue(1, "test", true);
+        const started = [];
+        const controller = new AbortController();
+        controller.abort();
+        queue.addTask(recorder(started, "aborted"), false, controller.signal);
+        assert.deepStrictEqual(started, []);
+    });
+
+    it("leaves no timer behind once its tasks are finished", async () => {
+        // The test process would not exit for minutes otherwise.
+        const queue = new TaskQueue(3, "test", true);
+        const started = [];
+        for (let i = 0; i < 10; i++) {
+            queue.addTask(recorder(started, i));
+        }
+        await drained(queue);
+        assert.strictEqual(started.length, 10);
+    });
+});
@@ -0,0 +1,70 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const { InvalidTimeZoneError, TimeZone } = require("../shared/TimeZone.js");
+
+// Epoch seconds of a UTC date and time, months counted from 1.
+function utc(year, month, day, hour = 0, minute = 0) {
+    return Date.UTC(year, month - 1, day, hour, minute) / 1000;
+}
+
+// Days between 1970-01-01 and a date, months counted from 1.
+function dayNumber(year, month, day) {
+    return Date.UTC(year, month - 1, day) / 86400000;
+}
+
+describe("TimeZone", () => {
+    it("uses a fixed offset when given minutes", () => {
+        const zone = new TimeZone(-300);
+        assert.strictEqual(zone.name, undefined);
+        assert.strictEqual(zone.offsetAt(utc(2021, 7, 1)), -300);
+        assert.strictEqual(zone.dayOf(utc(2021, 7, 2, 3)), dayNumber(2021, 7, 1));
+        assert.strictEqual(zone.startOfDay(dayNumber(2021, 7, 1)), utc(2021, 7, 1, 5));
+    });
+
+    it("follows daylight saving time of an IANA time zone", () => {
+        const zone = new TimeZone("Europe/Paris");
+        assert.strictEqual(zone.name, "Europe/Paris");
+        assert.strictEqual(zone.offsetAt(utc(2021, 1, 15)), 60);
+        assert.strictEqual(zone.offsetAt(utc(2021, 7, 15)), 120);
+
+        // Clocks go forward at 01:00 UTC on 2021-03-28.
+        assert.strictEqual(zone.offsetAt(utc(2021, 3, 28, 0, 59)), 60);
+        assert.strictEqual(zone.offsetAt(utc(2021, 3, 28, 1)), 120);
+    });
+
+    it("finds local calendar days and their start", () => {
+        const zone = new TimeZone("Asia/Tokyo");
+        assert.strictEqual(zone.dayOf(utc(2021, 1, 1, 14, 59)), dayNumber(2021, 1, 1));
+        assert.strictEqual(zone.dayOf(utc(2021, 1, 1, 15)), dayNumber(2021, 1, 2));
+        assert.strictEqual(zone.startOfDay(dayNumber(2021, 1, 2)), utc(2021, 1, 1, 15));
+    });
+
+    it("starts a day at its first local instant when it begins with a transition", () => {
+        // Clocks skip midnight on 2021-03-14 in Havana, the day starts at 01:00.
+        const zone = new TimeZone("America/Havana");
+        assert.strictEqual(zone.startOfDay(dayNumber(2021, 3, 14)), utc(2021, 3, 14, 5));
+        assert.strictEqual(zone.startOfDay(dayNumber(2021, 3, 15)), utc(2021, 3, 15, 4));
+    });
+
+    it("rejects unknown time zones", () => {
+        assert.throws(() => new TimeZone("Mars/Olympus"), InvalidTimeZoneError);
+        assert.strictEqual(TimeZone.isValid("America/Los_Angeles"), true);
+        assert.strictEqual(TimeZone.isValid("Mars/Olympus"), false);
+        assert.strictEqual(TimeZone.isValid(60), false);
+    });
+});
@@ -0,0 +1,93 @@
+//
+// Copyright 2021 Autodesk
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const {
+    DataUnit,
+    UnitConversionError,
+    canConvert,
+    convertValue,
+    getConverter,
+    getUnit,
+} = require("../shared/Units.js");
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ""} ${actual} != ${expected}`);
+}
+
+describe("Units", () => {
+    describe("getUnit", () => {
+        it("looks units up by identifier, symbol or alias, case insensitively", () => {
+            ["Celsius", "°C", "degc", " C "].forEach((name) =>
+                assert.strictEqual(getUnit(name).id, DataUnit.Celsius, name)
+            );
+            assert.strictEqual(getUnit("kpa").id, DataUnit.Kilopascal);
+            assert.strictEqual(getUnit("Furlong"), undefined);
+            assert.strictEqual(getUnit(undefined), undefined);
+        });
+    });
+
+    describe("convertValue", () => {
+        it("converts temperatures between units with an offset", () => {
+            assertClose(convertValue(212, "°F", "°C"), 100);
+            assertClose(convertValue(-40, "Celsius", "Fahrenheit"), -40);
+            assertClose(convertValue(0, "°C", "K"), 273.15);
+            assertClose(convertValue(0, "K", "°F"), -459.67);
+            assertClose(convertValue(convertValue(72.5, "°F", "K"), "K", "°F"), 72.5);
+        });
+
+        it("scales units without an offset", () => {
+            assertClose(convertValue(1013.25, "hPa", "kPa"), 101.325);
+            assertClose(convertValue(1, "kWh", "MJ"), 3.6);
+            assertClose(convertValue(36, "km/h", "m/s"), 10);
+            assert.strictEqual(convertValue(21, "°C", "Celsius"), 21);
+        });
+
+        it("rejects units of different quantities", () => {
+            assert.throws(
+                () => convertValue(1, "°C", "kPa"),
+                (err) =>
+                    err instanceof UnitConversionError &&
+                    err.fromUnit === "°C" &&
+                    err.toUnit === "kPa" &&
+                    /temperature/.test(err.message)
+            );
+            assert.ok(!canConvert("°C", "kPa"));
+            assert.ok(canConvert("°C", "K"));
+        });
+
+        it("rejects unknown units", () => {
+            assert.throws(() => convertValue(1, "°C", "Furlong"), UnitConversionError);
+            assert.throws(() => convertValue(1, "Furlong", "°C"), /Unknown unit 'Furlong'/);
+            assert.ok(!canConvert("Furlong", "Furlong"));
+        });
+    });
+
+    describe("getConverter", () => {
+        it("scales differences without the offset", () => {
+            const convert = getConverter("°C", "°F", true);
+            assertClose(convert(10), 18);
+            assertClose(convert(0), 0);
+            assertClose(getConverter("K", "°C", true)(5), 5);
+        });
+
+        it("maps null and undefined to themselves", () => {
+            const convert = getConverter("°C", "°F");
+            assert.strictEqual(convert(null), null);
+            assert.strictEqual(convert(undefined), undefined);
+        });
+    });
+});